@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Add-on for applying the changes of the rows pushed by the server
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var LiveData;
+
+/**
+ * Parses the JSON string. Returns null if it is not a valid JSON.
+ * @param {string} str - JSON string
+ * @returns {?object}
+ * @ignore
+ */
+function parseJSON(str) {
+    try {
+        return JSON.parse(str);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Add-on for applying the changes of the rows pushed by the server, via the EventSource or the WebSocket.
+ * Each message is parsed into a transaction ({add, update, remove}) and applied by the grid.applyTransaction().
+ * @module addon/liveData
+ * @param {object} options
+ *      @param {tui.Grid} options.grid - Grid instance
+ *      @param {(EventSource|WebSocket|object)} options.source - Source of the messages.
+ *          It should have the addEventListener() and the removeEventListener() methods.
+ *      @param {string} [options.eventName='message'] - Name of the event of the message
+ *      @param {function} [options.parse] - Function to convert the message event to the transaction.
+ *          If not specified, the data of the message is parsed as JSON, and the invalid messages are ignored.
+ *      @param {boolean} [options.flash=false] - Whether to highlight the changed cells for a while
+ * @example
+ *   grid.use('LiveData', {
+ *       source: new EventSource('/api/items/stream'),
+ *       flash: true
+ *   });
+ *
+ *   // Stop applying the messages (The source is not closed. It is also called when the grid is destroyed)
+ *   grid.getAddOn('LiveData').disconnect();
+ */
+LiveData = tui.util.defineClass(/**@lends module:addon/liveData.prototype */{
+    init: function(options) {
+        /**
+         * Grid instance
+         * @type {tui.Grid}
+         */
+        this.grid = options.grid;
+
+        /**
+         * Source of the messages
+         * @type {(EventSource|WebSocket|object)}
+         */
+        this.source = options.source;
+
+        /**
+         * Name of the event of the message
+         * @type {string}
+         */
+        this.eventName = options.eventName || 'message';
+
+        /**
+         * Function to convert the message event to the transaction
+         * @type {?function}
+         */
+        this.parse = options.parse || null;
+
+        /**
+         * Whether to highlight the changed cells
+         * @type {boolean}
+         */
+        this.flash = !!options.flash;
+
+        /**
+         * Listener bound to this instance
+         * @type {function}
+         */
+        this.listener = _.bind(this._onMessage, this);
+
+        this.source.addEventListener(this.eventName, this.listener);
+    },
+
+    /**
+     * Stops applying the messages. The source is not closed.
+     */
+    disconnect: function() {
+        if (this.source) {
+            this.source.removeEventListener(this.eventName, this.listener);
+            this.source = null;
+        }
+    },
+
+    /**
+     * Event handler for the message of the source
+     * @param {MessageEvent} event - Message event
+     * @private
+     */
+    _onMessage: function(event) {
+        var transaction = _.isFunction(this.parse) ? this.parse(event) : parseJSON(event.data);
+
+        if (transaction) {
+            this.grid.applyTransaction(transaction, {
+                flash: this.flash
+            });
+        }
+    }
+});
+
+module.exports = LiveData;
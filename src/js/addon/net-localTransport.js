@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Transport of the Addon.Net which serves an array of rows in memory
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var util = require('../common/util');
+
+var DEFAULT_KEY_COLUMN_NAME = 'id';
+
+// Names of the lists of the modified rows mapped by the request types
+var listNameMap = {
+    createData: 'createList',
+    updateData: 'updateList',
+    deleteData: 'deleteList',
+    modifyData: 'updateList'
+};
+
+// Names of the methods to handle the requests mapped by the request types
+var handlerNameMap = {
+    readData: '_read',
+    createData: '_modify',
+    updateData: '_modify',
+    deleteData: '_modify',
+    modifyData: '_modify'
+};
+
+var LocalTransport;
+
+/**
+ * Parses the value if it is a JSON string.
+ * @param {*} value - value
+ * @returns {*}
+ * @ignore
+ */
+function parseJSON(value) {
+    return _.isString(value) ? JSON.parse(value) : value;
+}
+
+/**
+ * Returns whether the value is empty. (undefined, null or '')
+ * @param {*} value - value
+ * @returns {boolean}
+ * @ignore
+ */
+function isEmpty(value) {
+    return _.isUndefined(value) || _.isNull(value) || value === '';
+}
+
+/**
+ * Returns a copy of the row without the data of the grid. (rowKey, _extraData and the meta columns)
+ * @param {object} row - Row data
+ * @returns {object}
+ * @ignore
+ */
+function toStoredRow(row) {
+    return _.omit(row, function(value, name) {
+        return name === 'rowKey' || name === '_extraData' || util.isMetaColumn(name);
+    });
+}
+
+/**
+ * Compares the two values for sorting. The empty values come first.
+ * @param {*} a - value
+ * @param {*} b - value
+ * @returns {number}
+ * @ignore
+ */
+function compareValues(a, b) {
+    if (a === b || (isEmpty(a) && isEmpty(b))) {
+        return 0;
+    }
+    if (isEmpty(a)) {
+        return -1;
+    }
+    if (isEmpty(b)) {
+        return 1;
+    }
+
+    return a > b ? 1 : -1;
+}
+
+/**
+ * Returns the sort keys of the request data.
+ * The sortColumns is used if it exists, otherwise the sortColumn and the sortAscending are used.
+ * @param {object} data - Request data
+ * @returns {Array.<{columnName: string, isAscending: boolean}>}
+ * @ignore
+ */
+function getSortKeys(data) {
+    if (data.sortColumns) {
+        return parseJSON(data.sortColumns);
+    }
+    if (data.sortColumn) {
+        return [{
+            columnName: data.sortColumn,
+            isAscending: String(data.sortAscending) !== 'false'
+        }];
+    }
+
+    return [];
+}
+
+/**
+ * Returns the rows sorted by the sort keys. The order of the rows which have the same values is kept.
+ * @param {Array.<object>} rows - Rows
+ * @param {Array.<{columnName: string, isAscending: boolean}>} sortKeys - Sort keys
+ * @returns {Array.<object>}
+ * @ignore
+ */
+function sortRows(rows, sortKeys) {
+    var entries = _.map(rows, function(row, index) {
+        return {
+            row: row,
+            index: index
+        };
+    });
+
+    entries.sort(function(a, b) {
+        var result = 0;
+
+        _.find(sortKeys, function(sortKey) {
+            result = compareValues(a.row[sortKey.columnName], b.row[sortKey.columnName]);
+            if (String(sortKey.isAscending) === 'false') {
+                result = -result;
+            }
+
+            return result !== 0;
+        });
+
+        return result || (a.index - b.index);
+    });
+
+    return _.pluck(entries, 'row');
+}
+
+/**
+ * Transport of the Addon.Net which serves an array of rows in memory, like a server.
+ * It can be used for the prototypes or the unit tests without a server.
+ *  - 'readData': Sorts the rows by the sortColumns (or the sortColumn and the sortAscending),
+ *      and responds the rows of the page. (The other parameters are ignored)
+ *  - 'createData', 'updateData', 'deleteData', 'modifyData': Applies the createList, the updateList
+ *      and the deleteList (or the rowList, or the row of the per-row request) to the rows.
+ *      The rows are identified by the keyColumnName, and the created rows without the key are given new keys.
+ *      The saved rows are responded in the data.rows and the rejected rows in the data.errors.
+ * @module addon/net-localTransport
+ * @param {Array.<object>} [rows] - Initial rows
+ * @param {object} [options] - Options
+ *      @param {string} [options.keyColumnName='id'] - The name of the column which identifies the rows
+ *      @param {number} [options.delay=0] - Delay(ms) of the responses. If 0, it responds synchronously.
+ * @example
+ *   grid.use('Net', {
+ *       transport: new tui.Grid.LocalTransport([
+ *           {id: 1, name: 'Apple'},
+ *           {id: 2, name: 'Banana'}
+ *       ], {delay: 100}),
+ *       perPage: 10
+ *   });
+ */
+LocalTransport = tui.util.defineClass(/**@lends module:addon/net-localTransport.prototype */{
+    init: function(rows, options) {
+        options = options || {};
+
+        /**
+         * The name of the column which identifies the rows
+         * @type {string}
+         */
+        this.keyColumnName = options.keyColumnName || DEFAULT_KEY_COLUMN_NAME;
+
+        /**
+         * Delay(ms) of the responses
+         * @type {number}
+         */
+        this.delay = options.delay || 0;
+
+        /**
+         * Stored rows
+         * @type {Array.<object>}
+         */
+        this.rows = _.map(rows, toStoredRow);
+    },
+
+    /**
+     * Handles the request with the stored rows.
+     * @param {object} settings - Request settings (See the module:addon/net-transport)
+     * @returns {object} Promise which has the abort() method
+     */
+    send: function(settings) {
+        var deferred = new $.Deferred();
+        var respond = $.proxy(this._respond, this, deferred, settings);
+        var promise = deferred.promise();
+        var timeoutId = null;
+
+        if (this.delay) {
+            timeoutId = setTimeout(respond, this.delay);
+        } else {
+            respond();
+        }
+        promise.abort = function() {
+            clearTimeout(timeoutId);
+            deferred.reject({
+                status: 0,
+                statusText: 'abort'
+            }, 'abort');
+        };
+
+        return promise;
+    },
+
+    /**
+     * Returns copies of the stored rows.
+     * @returns {Array.<object>}
+     */
+    getRows: function() {
+        return _.map(this.rows, _.clone);
+    },
+
+    /**
+     * Resolves the deferred with the response of the request.
+     * @param {object} deferred - Deferred object
+     * @param {object} settings - Request settings
+     * @private
+     */
+    _respond: function(deferred, settings) {
+        var handlerName = handlerNameMap[settings.requestType];
+        var data = parseJSON(settings.data) || {};
+
+        if (!handlerName) {
+            deferred.resolve({
+                result: false,
+                message: 'Unsupported request type: ' + settings.requestType
+            });
+        } else {
+            deferred.resolve(this[handlerName](data, settings.requestType));
+        }
+    },
+
+    /**
+     * Returns the response of the 'readData' request.
+     * @param {object} data - Request data
+     * @returns {object}
+     * @private
+     */
+    _read: function(data) {
+        var rows = sortRows(this.rows, getSortKeys(data));
+        var page = Number(data.page) || 1;
+        var perPage = Number(data.perPage) || rows.length;
+        var start = (page - 1) * perPage;
+
+        return {
+            result: true,
+            data: {
+                contents: _.map(rows.slice(start, start + perPage), _.clone),
+                pagination: {
+                    page: page,
+                    totalCount: rows.length
+                }
+            }
+        };
+    },
+
+    /**
+     * Applies the created, updated and deleted rows of the request, and returns the response.
+     * @param {object} data - Request data
+     * @param {string} requestType - Request type
+     * @returns {object}
+     * @private
+     */
+    _modify: function(data, requestType) {
+        var listMap = this._getModifiedListMap(data, requestType);
+        var results = {
+            rows: [],
+            errors: []
+        };
+
+        _.each(listMap.createList, _.partial(this._applyRow, '_createRow', results), this);
+        _.each(listMap.updateList, _.partial(this._applyRow, '_updateRow', results), this);
+        _.each(listMap.deleteList, _.partial(this._applyRow, '_deleteRow', results), this);
+
+        return {
+            result: true,
+            data: results
+        };
+    },
+
+    /**
+     * Returns the lists of the modified rows in the request data.
+     * If the data has no list, the rowList (or the data itself for the per-row request) is used
+     * as the list of the request type.
+     * @param {object} data - Request data
+     * @param {string} requestType - Request type
+     * @returns {{createList: Array, updateList: Array, deleteList: Array}}
+     * @private
+     */
+    _getModifiedListMap: function(data, requestType) {
+        var listMap = {};
+        var listNames = ['createList', 'updateList', 'deleteList'];
+
+        if (_.some(listNames, _.partial(_.has, data))) {
+            _.each(listNames, function(listName) {
+                listMap[listName] = parseJSON(data[listName]) || [];
+            });
+        } else {
+            listMap[listNameMap[requestType]] = data.rowList ? parseJSON(data.rowList) : [data];
+        }
+
+        return listMap;
+    },
+
+    /**
+     * Applies the row with the method, and adds the result to the results.
+     * @param {string} methodName - Name of the method to apply the row
+     * @param {{rows: Array, errors: Array}} results - Results of the request
+     * @param {object} row - Row data of the request
+     * @private
+     */
+    _applyRow: function(methodName, results, row) {
+        var result = this[methodName](row);
+
+        if (result.message) {
+            results.errors.push({
+                rowKey: row.rowKey,
+                message: result.message
+            });
+        } else if (result.row) {
+            results.rows.push(_.extend({
+                rowKey: row.rowKey
+            }, result.row));
+        }
+    },
+
+    /**
+     * Adds the row. If the row doesn't have the key, a new key is given.
+     * @param {object} row - Row data
+     * @returns {{row: object, message: string}} Stored row or the error message
+     * @private
+     */
+    _createRow: function(row) {
+        var storedRow = toStoredRow(row);
+        var key = storedRow[this.keyColumnName];
+
+        if (isEmpty(key)) {
+            storedRow[this.keyColumnName] = this._createKey();
+        } else if (this._indexOf(key) !== -1) {
+            return {
+                message: 'Duplicated key: ' + key
+            };
+        }
+        this.rows.push(storedRow);
+
+        return {
+            row: _.clone(storedRow)
+        };
+    },
+
+    /**
+     * Updates the row of the key with the row data.
+     * @param {object} row - Row data
+     * @returns {{row: object, message: string}} Stored row or the error message
+     * @private
+     */
+    _updateRow: function(row) {
+        var key = row[this.keyColumnName];
+        var index = this._indexOf(key);
+
+        if (index === -1) {
+            return {
+                message: 'Not found: ' + key
+            };
+        }
+        this.rows[index] = _.extend({}, this.rows[index], toStoredRow(row));
+
+        return {
+            row: _.clone(this.rows[index])
+        };
+    },
+
+    /**
+     * Removes the row of the key.
+     * @param {object} row - Row data
+     * @returns {{message: string}} Error message
+     * @private
+     */
+    _deleteRow: function(row) {
+        var key = row[this.keyColumnName];
+        var index = this._indexOf(key);
+
+        if (index === -1) {
+            return {
+                message: 'Not found: ' + key
+            };
+        }
+        this.rows.splice(index, 1);
+
+        return {};
+    },
+
+    /**
+     * Returns the index of the row of the key.
+     * @param {(number|string)} key - Key of the row
+     * @returns {number}
+     * @private
+     */
+    _indexOf: function(key) {
+        var keyColumnName = this.keyColumnName;
+
+        if (isEmpty(key)) {
+            return -1;
+        }
+
+        return _.findIndex(this.rows, function(row) {
+            return String(row[keyColumnName]) === String(key);
+        });
+    },
+
+    /**
+     * Returns a new key, which is greater than the numeric keys of all rows by 1.
+     * @returns {number}
+     * @private
+     */
+    _createKey: function() {
+        var keyColumnName = this.keyColumnName;
+        var maxKey = _.reduce(this.rows, function(memo, row) {
+            var key = Number(row[keyColumnName]);
+
+            return isNaN(key) ? memo : Math.max(memo, key);
+        }, 0);
+
+        return maxKey + 1;
+    }
+});
+
+module.exports = LocalTransport;
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Request queue for Addon.Net
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+/**
+ * Request queue for Addon.Net
+ * The requests are sent one by one in the order they are added, for each lane.
+ * (ex: The 'read' lane and the 'write' lane are processed independently)
+ * @module addon/net-queue
+ * @ignore
+ */
+var RequestQueue = tui.util.defineClass(/**@lends module:addon/net-queue.prototype */{
+    init: function() {
+        /**
+         * Lanes mapped by the names. Each lane has the running entry and the pending entries.
+         * @type {Object.<string, {running: ?Object, pending: Array.<Object>}>}
+         */
+        this.laneMap = {};
+    },
+
+    /**
+     * Adds the request to the lane. It is sent after all previous requests of the lane are completed.
+     * The send function receives the callback which should be called when the request is completed,
+     * and should return the object which has the abort() method.
+     * @param {string} laneName - Lane name
+     * @param {function(function): {abort: function}} send - Function to send the request
+     */
+    add: function(laneName, send) {
+        this._getLane(laneName).pending.push({
+            send: send,
+            request: null
+        });
+        this._next(laneName);
+    },
+
+    /**
+     * Aborts the running request and removes the pending requests of the lane.
+     * @param {string} laneName - Lane name
+     */
+    abort: function(laneName) {
+        var lane = this._getLane(laneName);
+        var running = lane.running;
+
+        lane.pending = [];
+        lane.running = null;
+        if (running && running.request) {
+            running.request.abort();
+        }
+    },
+
+    /**
+     * Aborts the requests of all lanes.
+     */
+    abortAll: function() {
+        _.each(_.keys(this.laneMap), this.abort, this);
+    },
+
+    /**
+     * Returns whether the lane has the running or pending requests.
+     * @param {string} laneName - Lane name
+     * @returns {boolean}
+     */
+    isBusy: function(laneName) {
+        var lane = this._getLane(laneName);
+
+        return !!lane.running || lane.pending.length > 0;
+    },
+
+    /**
+     * Returns the lane of the name. If it doesn't exist, creates a new one.
+     * @param {string} laneName - Lane name
+     * @returns {{running: ?Object, pending: Array.<Object>}}
+     * @private
+     */
+    _getLane: function(laneName) {
+        if (!this.laneMap[laneName]) {
+            this.laneMap[laneName] = {
+                running: null,
+                pending: []
+            };
+        }
+
+        return this.laneMap[laneName];
+    },
+
+    /**
+     * Sends the first pending request of the lane, if no request of the lane is running.
+     * @param {string} laneName - Lane name
+     * @private
+     */
+    _next: function(laneName) {
+        var lane = this._getLane(laneName);
+        var entry;
+
+        if (lane.running || !lane.pending.length) {
+            return;
+        }
+        entry = lane.running = lane.pending.shift();
+        entry.request = entry.send(_.bind(this._onComplete, this, laneName, entry));
+    },
+
+    /**
+     * Callback which is called when the request is completed. Sends the next request of the lane.
+     * (The callback of the aborted request is ignored)
+     * @param {string} laneName - Lane name
+     * @param {Object} entry - Completed entry
+     * @private
+     */
+    _onComplete: function(laneName, entry) {
+        var lane = this._getLane(laneName);
+
+        if (lane.running === entry) {
+            lane.running = null;
+            this._next(laneName);
+        }
+    }
+});
+
+module.exports = RequestQueue;
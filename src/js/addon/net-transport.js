@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Default transport of the Addon.Net, which sends the requests with the jQuery.ajax()
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+/**
+ * Default transport of the Addon.Net, which sends the requests with the jQuery.ajax().
+ * A custom transport (ex: fetch, WebSocket) should implement the send() method in the same way.
+ * @module addon/net-transport
+ * @ignore
+ */
+var AjaxTransport = tui.util.defineClass(/**@lends module:addon/net-transport.prototype */{
+    /**
+     * Sends the request.
+     * @param {object} settings - Request settings
+     *      @param {string} settings.url - URL
+     *      @param {string} settings.type - HTTP method
+     *      @param {(object|string)} settings.data - Request data (JSON string if the contentType is JSON)
+     *      @param {string} settings.dataType - Type of the response data
+     *      @param {string} settings.requestType - 'readData|createData|updateData|deleteData|modifyData'
+     *      @param {object} settings.headers - HTTP headers
+     *      @param {string} [settings.contentType] - Content type
+     *      @param {boolean} [settings.processData] - Whether to convert the data to a query string
+     *      @param {function} [settings.beforeSend] - Function called before the request is sent
+     * @returns {object} Promise-like object which has the then() method, and optionally the abort() method.
+     *      It is resolved with the response data, or rejected with the error object which has
+     *      the 'status' (HTTP status, 0 for network errors) and the 'statusText'.
+     */
+    send: function(settings) {
+        return $.ajax(settings);
+    }
+});
+
+module.exports = AjaxTransport;
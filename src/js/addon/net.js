@@ -9,30 +9,182 @@ var _ = require('underscore');
 
 var View = require('../base/view');
 var Router = require('./net-router');
+var RequestQueue = require('./net-queue');
+var AjaxTransport = require('./net-transport');
 var util = require('../common/util');
 var formUtil = require('../common/formUtil');
 var GridEvent = require('../common/gridEvent');
 
 var renderStateMap = require('../common/constMap').renderState;
+var syncStateMap = require('../common/constMap').syncState;
 var DELAY_FOR_LOADING_STATE = 200;
+var MODE_PAGINATION = 'pagination';
+var MODE_INFINITE = 'infinite';
+var MODE_SERVER_SIDE = 'serverSide';
+
+// Distance(px) from the bottom of the scroll to start loading the next page in the infinite mode
+var DISTANCE_FOR_NEXT_PAGE = 100;
+
+// Request types which send the data edited by the user
+var VALIDATION_REQUEST_TYPES = ['createData', 'updateData', 'modifyData'];
+
+// Request types which are sent for each row if the URL has parameters (ex: '/items/:rowKey')
+var ROW_REQUEST_TYPES = ['createData', 'updateData', 'deleteData'];
+
+// Lanes of the request queue. The requests of each lane are sent one by one.
+var QUEUE_READ = 'read';
+var QUEUE_WRITE = 'write';
+var QUEUE_READ_CHILDREN = 'readChildren';
+
+// Lanes of the read requests. The other requests are sent in the 'write' lane.
+var laneNameMap = {
+    readData: QUEUE_READ,
+    readChildren: QUEUE_READ_CHILDREN
+};
+
+// HTTP status which requires the refresh of the authentication
+var HTTP_STATUS_UNAUTHORIZED = 401;
+
+var CONTENT_TYPE_JSON = 'application/json';
+var URL_PARAM_REGEX = /:([A-Za-z_]\w*)/g;
+
+// Default HTTP methods of each request type for the JSON content type
+var jsonMethods = {
+    readData: 'GET',
+    readChildren: 'GET',
+    createData: 'POST',
+    updateData: 'PUT',
+    deleteData: 'DELETE',
+    modifyData: 'POST'
+};
+
+var Net;
+
+/**
+ * Returns whether the URL has parameters like '/items/:rowKey'.
+ * @param {string} url - URL
+ * @returns {boolean}
+ * @ignore
+ */
+function hasUrlParams(url) {
+    URL_PARAM_REGEX.lastIndex = 0;
+
+    return URL_PARAM_REGEX.test(url);
+}
+
+/**
+ * Replaces the parameters of the URL with the values of the data.
+ * @param {string} url - URL (ex: '/items/:rowKey')
+ * @param {object} data - Data which has the values of the parameters
+ * @returns {{url: string, paramNames: Array.<string>}} - URL and the names of the replaced parameters
+ * @ignore
+ */
+function fillUrlParams(url, data) {
+    var paramNames = [];
+    var filledUrl = String(url).replace(URL_PARAM_REGEX, function(matched, name) {
+        var value = data && data[name];
+
+        paramNames.push(name);
+
+        return (_.isUndefined(value) || _.isNull(value)) ? '' : encodeURIComponent(value);
+    });
+
+    return {
+        url: filledUrl,
+        paramNames: paramNames
+    };
+}
+
+/**
+ * Returns whether the response of the failed request is received from the server.
+ * @param {object} error - jqXHR or the error object of the transport
+ * @returns {boolean}
+ * @ignore
+ */
+function isResponded(error) {
+    return error.readyState > 1 || error.status > 0;
+}
 
 /**
  * Add-on for binding to remote data
  * @module addon/net
  * @param {object} options
  *      @param {jquery} [options.el] - Form element (to be used for ajax request)
- *      @param {boolean} [options.initialRequest=true] - Whether to request 'readData' after initialized
+ *      @param {boolean} [options.initialRequest=true] - Whether to request 'readData' after initialized.
+ *          The current page of the pagination and the current sort options are requested,
+ *          which can be restored by the stateStorageKey option of the grid.
  *      @param {string} [options.readDataMethod='POST'] - Http method to be used for 'readData' API ('POST' or 'GET')
  *      @param {object} [options.api] - URL map
  *          @param {string} [options.api.readData] - URL for read-data
+ *          @param {string} [options.api.readChildren] - URL for reading the children of a row in the tree.
+ *              It's requested with the 'parentRowKey' parameter when the row whose children are not loaded yet
+ *              is expanded (See the treeColumnOptions of the grid), and the 'contents' of the response are
+ *              appended to the children of the row. (ex: '/items/:parentRowKey/children')
  *          @param {string} [options.api.createData] - URL for create
  *          @param {string} [options.api.updateData] - URL for update
  *          @param {string} [options.api.modifyData] - URL for modify (create/update/delete at once)
  *          @param {string} [options.api.deleteData] - URL for delete
  *          @param {string} [options.api.downloadExcel] - URL for download data of this page as an excel-file
  *          @param {string} [options.api.downloadExcelAll] - URL for download all data as an excel-file
+ *          The URL can have parameters like '/items/:rowKey', which are replaced with the values of the request
+ *          data. If the URL of 'createData', 'updateData' or 'deleteData' has parameters, a request is sent for
+ *          each row with the data of the row.
  *      @param {number} [options.perPage=500] - The number of items to be shown in a page
+ *      @param {string} [options.mode='pagination'] - 'pagination', 'infinite' or 'serverSide'.
+ *          In the 'infinite' mode, the pagination is not used and the next page is requested and appended
+ *          to the grid when the grid is scrolled near the bottom, until all rows are loaded.
+ *          (The pagination.totalCount of the response is used to determine whether all rows are loaded.)
+ *          Sorting is delegated to the server, and the rows are read again from the first page when sorted.
+ *          In the 'serverSide' mode, the pagination is not used and the grid scrolls through all rows
+ *          reported by the pagination.totalCount of the response. Only the pages(blocks) of the rows in the
+ *          rendering range are requested, and placeholder rows are shown until they are loaded.
+ *          The loaded blocks are kept up to the maxBlockCount (except the blocks which have unsaved changes),
+ *          and sorting and filtering are delegated to the server.
+ *          (The filter conditions are sent as the 'filterConditions' parameter in JSON)
+ *          Smart-rendering and the fixed row height are required in this mode.
+ *      @param {number} [options.maxBlockCount=10] - The maximum number of blocks kept in the 'serverSide' mode
+ *      @param {string} [options.contentType='application/x-www-form-urlencoded'] - Content type of the requests.
+ *          If set to 'application/json', the data is sent as a JSON body (or a query string for 'GET')
+ *          and the modified rows are not stringified into the form fields.
+ *      @param {object} [options.methods] - HTTP methods mapped by the request types.
+ *          (ex: {readData: 'GET', createData: 'POST', updateData: 'PUT', deleteData: 'DELETE'})
+ *          The default method is 'POST' (the readDataMethod for 'readData'). If the contentType is
+ *          'application/json', the default methods are 'GET', 'POST', 'PUT', 'DELETE' and 'POST' for
+ *          'readData', 'createData', 'updateData', 'deleteData' and 'modifyData'.
+ *      @param {function} [options.parseResponse] - Function to convert the response of the server to the
+ *          expected shape: {result: boolean, data: {contents: Array, pagination: {page, totalCount}}, message}.
+ *          It receives the response data and the request type.
+ *      @param {object|function} [options.headers] - HTTP headers of the requests (ex: CSRF or bearer token).
+ *          If it is a function, it is called with the request type before each request is sent,
+ *          and should return the headers.
+ *      @param {function} [options.beforeSend] - Function called with the jqXHR and the ajax settings
+ *          before each request is sent. If it returns false, the request is canceled.
+ *      @param {function} [options.refreshAuth] - Function called when the server responds with the status 401.
+ *          If the promise returned by the function is resolved, the request is sent again once
+ *          (with the headers evaluated again). (ex: Requests a new access token and stores it)
+ *      @param {object} [options.retry] - Options for retrying the failed requests.
+ *          The requests are retried only for the network errors and the server errors (status >= 500),
+ *          and the 'errorResponse' event occurs after all retries are failed.
+ *          @param {number} [options.retry.count=0] - The maximum number of retries
+ *          @param {number} [options.retry.delay=1000] - Delay(ms) before the first retry
+ *          @param {number} [options.retry.factor=2] - Factor by which the delay is multiplied for each retry
+ *      @param {object} [options.transport] - Transport which sends the requests. (Default: jQuery.ajax)
+ *          It should have the send() method, which receives the request settings
+ *          ({url, type, data, dataType, requestType, headers, ...}) and returns a promise-like object.
+ *          The promise should be resolved with the response data, or rejected with the error object which has
+ *          the 'status' (HTTP status, 0 for network errors). If it has the abort() method, it is used to abort
+ *          the request. (ex: fetch, WebSocket or tui.Grid.LocalTransport which serves an array of rows)
+ *          The requests without the URL are sent only by the custom transports.
  *      @param {boolean} [options.enableAjaxHistory=true] - Whether to use the browser history for the ajax requests
+ *      The rows sent by the request() are marked with the sync state 'PENDING', and then 'SAVED' or 'ERROR'
+ *      by the response. (See the showSyncStatus option of the grid) The response can have the results of each row:
+ *      {result: true, data: {rows: [{rowKey: 1, id: 101}], errors: [{rowKey: 2, message: 'Duplicated'}]}}.
+ *      The data of the 'rows' (ex: keys assigned by the server) is merged into the rows, and the saved rows
+ *      become the original data. The rejected rows remain modified, to be sent again.
+ *      The requests are queued and sent one by one, for the 'readData', the 'readChildren' and the other
+ *      request types separately.
+ *      When a new 'readData' is requested, the pending and in-flight requests of 'readData' and 'readChildren'
+ *      are aborted, so that a stale response never overwrites a newer one.
  * @example
  *   <form id="data_form">
  *   <input type="text" name="query"/>
@@ -89,14 +241,16 @@ var DELAY_FOR_LOADING_STATE = 200;
  *      net.request('modifyData');
  *   </script>
  */
-var Net = View.extend(/**@lends module:addon/net.prototype */{
+Net = View.extend(/**@lends module:addon/net.prototype */{
     initialize: function(options) {
         var defaultOptions;
 
         defaultOptions = {
             initialRequest: true,
+            initialPage: null,
             api: {
                 readData: '',
+                readChildren: '',
                 createData: '',
                 updateData: '',
                 deleteData: '',
@@ -105,9 +259,21 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
                 downloadExcelAll: ''
             },
             perPage: 500,
+            mode: 'pagination',
+            contentType: 'application/x-www-form-urlencoded',
+            headers: null,
+            beforeSend: null,
+            refreshAuth: null,
+            retry: {
+                count: 0,
+                delay: 1000,
+                factor: 2
+            },
+            transport: null,
             enableAjaxHistory: true
         };
         options = $.extend(true, defaultOptions, options); // deep extend
+        options.methods = this._getMethods(options);
 
         this.setOwnProperties({
             // models
@@ -117,20 +283,34 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
 
             // extra objects
             router: null,
-            pagination: options.pagination,
+            requestQueue: new RequestQueue(),
+            transport: options.transport || new AjaxTransport(),
+            pagination: (options.mode === MODE_PAGINATION) ? options.pagination : null,
 
             // configs
             api: options.api,
             enableAjaxHistory: options.enableAjaxHistory,
-            readDataMethod: options.readDataMethod || 'POST',
+            readDataMethod: options.methods.readData,
+            methods: options.methods,
+            contentType: options.contentType,
+            parseResponse: options.parseResponse || null,
+            headers: options.headers,
+            beforeSend: options.beforeSend,
+            refreshAuth: options.refreshAuth,
+            retry: options.retry,
             perPage: options.perPage,
+            mode: options.mode,
+            initialPage: options.initialPage,
 
             // state data
             curPage: 1,
+            totalCount: null,
+            isAllLoaded: false,
+            isNextPageCheckRequired: false,
             timeoutIdForDelay: null,
             requestedFormData: null,
-            isLocked: false,
-            lastRequestedReadData: null
+            lastRequestedReadData: null,
+            readGeneration: 0
         });
 
         this._initializeDataModelNetwork();
@@ -139,10 +319,12 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
         this._showToolbarExcelBtns();
 
         this.listenTo(this.dataModel, 'sortChanged', this._onSortChanged, this);
+        this.listenTo(this.dataModel, 'childrenRequired', this._readChildren);
+        this._initializeMode(options.maxBlockCount);
 
         if (options.initialRequest) {
             if (!this.lastRequestedReadData) {
-                this._readDataAt(1, false);
+                this._readDataAt(this._getInitialPage(), false, this.dataModel.sortOptions);
             }
         }
     },
@@ -153,6 +335,47 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
         submit: '_onSubmit'
     },
 
+    /**
+     * Returns the HTTP methods mapped by the request types.
+     * @param {object} options - Options of the constructor
+     * @returns {object}
+     * @private
+     */
+    _getMethods: function(options) {
+        var defaultMethods;
+
+        if (options.contentType === CONTENT_TYPE_JSON) {
+            defaultMethods = _.clone(jsonMethods);
+        } else {
+            defaultMethods = {
+                readData: options.readDataMethod || 'POST'
+            };
+        }
+
+        return _.extend(defaultMethods, options.methods);
+    },
+
+    /**
+     * Initializes the event handlers for the 'infinite' or 'serverSide' mode.
+     * In the 'infinite' mode, sorting is delegated to the server, because only the loaded pages can be sorted
+     * in the client. The rows are read again from the first page when the sort options are changed.
+     * @param {number} [maxBlockCount] - The maximum number of blocks kept in the 'serverSide' mode
+     * @private
+     */
+    _initializeMode: function(maxBlockCount) {
+        if (this.mode === MODE_INFINITE) {
+            this.dataModel.sortOptions.useClient = false;
+            this.listenTo(this.renderModel, 'change:scrollTop change:maxScrollTop', this._readNextPageIfNeeded);
+        } else if (this.mode === MODE_SERVER_SIDE) {
+            this.dataModel.useServerSideRows({
+                blockSize: this.perPage,
+                maxBlockCount: maxBlockCount
+            });
+            this.listenTo(this.dataModel, 'blockRequired', this._readBlock);
+            this.listenTo(this.dataModel, 'filterChanged', this._onFilterChanged);
+        }
+    },
+
     /**
      * pagination instance 를 초기화 한다.
      * @private
@@ -188,10 +411,11 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
 
     /**
      * ajax history 를 사용하기 위한 router 를 초기화한다.
+     * JSON 모드에서는 조회 파라미터를 query string 으로 관리하지 않으므로 router 를 사용하지 않는다.
      * @private
      */
     _initializeRouter: function() {
-        if (this.enableAjaxHistory) {
+        if (this.enableAjaxHistory && !this._isJSON()) {
             this.router = new Router({
                 net: this
             });
@@ -223,6 +447,15 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
         }
     },
 
+    /**
+     * 최초 조회할 페이지를 반환한다. 그리드의 상태(stateStorageKey)가 복원된 경우 복원된 페이지를 사용한다.
+     * @returns {number} 페이지 번호
+     * @private
+     */
+    _getInitialPage: function() {
+        return (this.pagination && this.initialPage) || 1;
+    },
+
     /**
      * pagination 에서 before page move가 발생했을 때 이벤트 핸들러
      * @param {{page:number}} customEvent pagination 으로부터 전달받는 이벤트 객체
@@ -283,31 +516,46 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
     },
 
     /**
-     * network 통신에 대한 _lock 을 건다.
+     * 'readData' 요청 후 일정 시간이 지나면 로딩 상태를 표시한다.
      * @private
      */
-    _lock: function() {
+    _startLoading: function() {
         var renderModel = this.renderModel;
 
+        this._clearLoadingTimer();
         this.timeoutIdForDelay = setTimeout(function() {
             renderModel.set('state', renderStateMap.LOADING);
         }, DELAY_FOR_LOADING_STATE);
-
-        this.isLocked = true;
     },
 
     /**
-     * network 통신에 대해 unlock 한다.
+     * 로딩 상태 표시를 종료한다.
      * loading layer hide 는 rendering 하는 로직에서 수행한다.
      * @private
      */
-    _unlock: function() {
+    _stopLoading: function() {
+        this._clearLoadingTimer();
+        this.renderModel.set('isLoadingNextPage', false);
+    },
+
+    /**
+     * 로딩 상태 표시를 위한 timer 를 제거한다.
+     * @private
+     */
+    _clearLoadingTimer: function() {
         if (this.timeoutIdForDelay !== null) {
             clearTimeout(this.timeoutIdForDelay);
             this.timeoutIdForDelay = null;
         }
+    },
 
-        this.isLocked = false;
+    /**
+     * Returns whether any 'readData' request is pending or in flight.
+     * @returns {boolean}
+     * @private
+     */
+    _isReading: function() {
+        return this.requestQueue.isBusy(QUEUE_READ);
     },
 
     /**
@@ -319,6 +567,20 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
         return formUtil.getFormData(this.$el);
     },
 
+    /**
+     * 새로 조회할 때 사용할 request 파라미터를 반환한다.
+     * JSON 모드에서는 form 대신 마지막으로 요청한 파라미터를 사용한다.
+     * @returns {object} request 파라미터
+     * @private
+     */
+    _getReadParams: function() {
+        if (this._isJSON()) {
+            return _.clone(this.lastRequestedReadData) || {};
+        }
+
+        return this._getFormData();
+    },
+
     /**
      * DataModel 에서 Backbone.fetch 수행 이후 success 콜백
      * @param {object} dataModel grid 의 dataModel
@@ -331,6 +593,9 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
 
         dataModel.setOriginalRowList();
 
+        if (this.mode === MODE_INFINITE) {
+            this._updateLoadedState(responseData);
+        }
         if (pagination && responseData.pagination) {
             page = responseData.pagination.page;
             totalCount = responseData.pagination.totalCount;
@@ -342,6 +607,231 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
         }
     },
 
+    /**
+     * Requests the first block of the server-side row model.
+     * The rows are reset with the total count of the response.
+     * @param {object} data - Request data
+     * @private
+     */
+    _readFirstBlock: function(data) {
+        this._ajax({
+            requestType: 'readData',
+            url: this.api.readData,
+            data: data,
+            type: this.readDataMethod,
+            isAbortingReads: true,
+            success: $.proxy(this._onReadFirstBlockSuccess, this, data.perPage)
+        });
+    },
+
+    /**
+     * Success callback of the request for the first block of the server-side row model
+     * @param {number} blockSize - The number of rows in a block
+     * @param {object} responseData - Response data
+     * @private
+     */
+    _onReadFirstBlockSuccess: function(blockSize, responseData) {
+        var rowList = responseData.contents || [];
+        var totalCount = tui.util.pick(responseData, 'pagination', 'totalCount');
+
+        this.dataModel.resetServerSideRows(_.isNumber(totalCount) ? totalCount : rowList.length, rowList, blockSize);
+    },
+
+    /**
+     * Event handler for the 'blockRequired' event of the dataModel.
+     * Requests the rows of the block with the last requested data.
+     * @param {number} blockIndex - Block index
+     * @private
+     */
+    _readBlock: function(blockIndex) {
+        var requestedFormData = this.requestedFormData;
+        var data = _.extend({}, requestedFormData, {
+            page: blockIndex + 1,
+            perPage: this.perPage
+        });
+
+        this._ajax({
+            requestType: 'readData',
+            url: this.api.readData,
+            data: data,
+            type: this.readDataMethod,
+            success: $.proxy(this._onReadBlockSuccess, this, blockIndex, requestedFormData),
+            error: $.proxy(this._onReadBlockError, this, blockIndex, requestedFormData)
+        });
+    },
+
+    /**
+     * Success callback of the request for a block of the server-side row model
+     * @param {number} blockIndex - Block index
+     * @param {object} requestedFormData - The form data of the query when the block is requested
+     * @param {object} responseData - Response data
+     * @private
+     */
+    _onReadBlockSuccess: function(blockIndex, requestedFormData, responseData) {
+        // ignores the response of the previous query
+        if (requestedFormData === this.requestedFormData) {
+            this.dataModel.setBlockRows(blockIndex, responseData.contents || []);
+        }
+    },
+
+    /**
+     * Error callback of the request for a block of the server-side row model.
+     * Discards the block not to leave the placeholder rows, so that the block is requested again when needed.
+     * @param {number} blockIndex - Block index
+     * @param {object} requestedFormData - The form data of the query when the block is requested
+     * @private
+     */
+    _onReadBlockError: function(blockIndex, requestedFormData) {
+        if (requestedFormData === this.requestedFormData) {
+            this.dataModel.discardBlock(blockIndex);
+        }
+    },
+
+    /**
+     * Event handler for the 'filterChanged' event of the dataModel in the server-side row model.
+     * Reads the first page again with the filter conditions.
+     * @param {{conditionMap: Object}} eventData - Event data
+     * @private
+     */
+    _onFilterChanged: function(eventData) {
+        var data = this.requestedFormData;
+
+        if (!data) {
+            return;
+        }
+        if (_.isEmpty(eventData.conditionMap)) {
+            delete data.filterConditions;
+        } else {
+            data.filterConditions = JSON.stringify(eventData.conditionMap);
+        }
+        this._readDataAt(1, true);
+    },
+
+    /**
+     * Event handler for the 'childrenRequired' event of the dataModel.
+     * Requests the children of the row to append them to the row.
+     * @param {{rowKey: (number|string)}} eventData - Event data
+     * @private
+     */
+    _readChildren: function(eventData) {
+        var rowKey = eventData.rowKey;
+        var readGeneration = this.readGeneration;
+
+        this._ajax({
+            requestType: 'readChildren',
+            url: this.api.readChildren,
+            data: {
+                parentRowKey: rowKey
+            },
+            type: this.methods.readChildren || this.readDataMethod,
+            success: $.proxy(this._onReadChildrenSuccess, this, rowKey, readGeneration),
+            error: $.proxy(this._onReadChildrenError, this, rowKey, readGeneration)
+        });
+    },
+
+    /**
+     * Success callback of the request for the children of the row.
+     * The response is ignored if the data is read again in the meantime.
+     * @param {(number|string)} rowKey - rowKey of the parent row
+     * @param {number} readGeneration - The generation of the data when the children are requested
+     * @param {object} responseData - Response data
+     * @private
+     */
+    _onReadChildrenSuccess: function(rowKey, readGeneration, responseData) {
+        if (readGeneration === this.readGeneration) {
+            this.dataModel.appendOriginalRowList(responseData.contents || [], {
+                parentRowKey: rowKey
+            });
+        }
+    },
+
+    /**
+     * Error callback of the request for the children of the row.
+     * Collapses the row to clear the loading state, so that the children are requested again when it's expanded.
+     * @param {(number|string)} rowKey - rowKey of the parent row
+     * @param {number} readGeneration - The generation of the data when the children are requested
+     * @private
+     */
+    _onReadChildrenError: function(rowKey, readGeneration) {
+        if (readGeneration === this.readGeneration) {
+            this.dataModel.setTreeExpanded(rowKey, false);
+        }
+    },
+
+    /**
+     * Requests the next page if the grid is scrolled near the bottom in the infinite mode.
+     * If the loaded rows do not fill the body, the next page is also requested.
+     * @private
+     */
+    _readNextPageIfNeeded: function() {
+        var renderModel = this.renderModel;
+        var distance = renderModel.get('maxScrollTop') - renderModel.get('scrollTop');
+
+        if (this.mode === MODE_INFINITE && !renderModel.get('isLoadingNextPage') && !this._isReading() &&
+            !this.isAllLoaded && this.requestedFormData && distance <= DISTANCE_FOR_NEXT_PAGE) {
+            this._readNextPage();
+        }
+    },
+
+    /**
+     * Requests the next page with the last requested data, to append the rows to the grid.
+     * While the request is pending, the loading row is shown at the bottom of the body.
+     * @private
+     */
+    _readNextPage: function() {
+        var data = _.extend({}, this.requestedFormData, {
+            page: this.curPage + 1,
+            perPage: this.perPage
+        });
+
+        this.renderModel.set('isLoadingNextPage', true);
+        this._ajax({
+            requestType: 'readData',
+            url: this.api.readData,
+            data: data,
+            type: this.readDataMethod,
+            success: $.proxy(this._onReadNextPageSuccess, this, data.page)
+        });
+    },
+
+    /**
+     * Success callback of the request for the next page
+     * @param {number} page - Requested page
+     * @param {object} responseData - Response data
+     * @private
+     */
+    _onReadNextPageSuccess: function(page, responseData) {
+        var rowList = responseData.contents || [];
+
+        this.curPage = page;
+        if (rowList.length) {
+            this.dataModel.appendOriginalRowList(rowList);
+        }
+        this._updateLoadedState(responseData);
+    },
+
+    /**
+     * Updates whether all rows are loaded in the infinite mode, with the response of the 'readData'.
+     * All rows are regarded as loaded if the response has less rows than perPage,
+     * or the number of the loaded pages reaches the totalCount.
+     * @param {object} responseData - Response data
+     * @private
+     */
+    _updateLoadedState: function(responseData) {
+        var totalCount = tui.util.pick(responseData, 'pagination', 'totalCount');
+        var rowList = responseData.contents || [];
+
+        if (this.curPage === 1) {
+            this.totalCount = null;
+        }
+        if (_.isNumber(totalCount)) {
+            this.totalCount = totalCount;
+        }
+        this.isAllLoaded = rowList.length < this.perPage ||
+            (_.isNumber(this.totalCount) && this.curPage * this.perPage >= this.totalCount);
+        this.isNextPageCheckRequired = true;
+    },
+
     /**
      * DataModel 에서 Backbone.fetch 수행 이후 error 콜백
      * @param {object} dataModel grid 의 dataModel
@@ -380,37 +870,44 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
 
     /**
      * 데이터 조회 요청.
+     * 이전에 요청한 조회가 진행중이면 취소하고 새로 요청한다.
      * @param {object} data 요청시 사용할 request 파라미터
      * @private
      */
     _requestReadData: function(data) {
         var startNumber = 1;
 
-        this._setFormData(data);
+        if (!this._isJSON()) {
+            this._setFormData(data);
+        }
 
-        if (!this.isLocked) {
-            this.renderModel.initializeVariables();
-            this._lock();
+        this.renderModel.initializeVariables();
+        this._startLoading();
 
-            this.requestedFormData = _.clone(data);
-            this.curPage = data.page || this.curPage;
-            startNumber = (this.curPage - 1) * this.perPage + 1;
-            this.renderModel.set({
-                startNumber: startNumber
-            });
+        this.requestedFormData = _.clone(data);
+        this.readGeneration += 1;
+        this.curPage = data.page || this.curPage;
+        startNumber = (this.curPage - 1) * this.perPage + 1;
+        this.renderModel.set({
+            startNumber: startNumber
+        });
 
-            //마지막 요청한 reloadData에서 사용하기 위해 data 를 저장함.
-            this.lastRequestedReadData = _.clone(data);
+        //마지막 요청한 reloadData에서 사용하기 위해 data 를 저장함.
+        this.lastRequestedReadData = _.clone(data);
+        if (this.mode === MODE_SERVER_SIDE) {
+            this._readFirstBlock(data);
+        } else {
             this.dataModel.fetch({
                 requestType: 'readData',
                 data: data,
                 type: this.readDataMethod,
+                isAbortingReads: true,
                 success: $.proxy(this._onReadSuccess, this),
                 error: $.proxy(this._onReadError, this),
                 reset: true
             });
-            this.dataModel.setSortOptionValues(data.sortColumn, data.sortAscending);
         }
+        this._restoreSortOptions(data);
 
         if (this.router) {
             this.router.navigate('read/' + util.toQueryString(data), {
@@ -419,12 +916,30 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
         }
     },
 
+    /**
+     * 요청 데이터의 정렬 관련 값으로 dataModel 의 정렬 옵션을 갱신한다.
+     * sortColumns 값이 있으면 전체 정렬 키 목록을, 없으면 sortColumn, sortAscending 값을 사용한다.
+     * @param {object} data 요청 데이터
+     * @private
+     */
+    _restoreSortOptions: function(data) {
+        var sortKeys;
+
+        if (data.sortColumns) {
+            sortKeys = _.isString(data.sortColumns) ? JSON.parse(data.sortColumns) : data.sortColumns;
+            this.dataModel.setSortKeys(sortKeys);
+        } else {
+            this.dataModel.setSortOptionValues(data.sortColumn, data.sortAscending);
+        }
+    },
+
     /**
      * sortChanged 이벤트 발생시 실행되는 함수
      * @private
      * @param {object} sortOptions 정렬 옵션
-     * @param {string} sortOptions.sortColumn 정렬할 컬럼명
+     * @param {string} sortOptions.columnName 정렬할 컬럼명
      * @param {boolean} sortOptions.isAscending 오름차순 여부
+     * @param {Array} sortOptions.sortKeys 우선순위 순으로 정렬된 정렬 키 목록
      */
     _onSortChanged: function(sortOptions) {
         if (sortOptions.isRequireFetch) {
@@ -434,22 +949,31 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
 
     /**
      * 데이터 객체의 정렬 옵션 관련 값을 변경한다.
+     * sortColumn, sortAscending 에는 우선순위가 가장 높은 정렬 키의 값을,
+     * sortColumns 에는 전체 정렬 키 목록을 JSON 문자열로 설정한다.
+     * (ex: sortColumns='[{"columnName":"region","isAscending":true},{"columnName":"date","isAscending":false}]')
      * @private
      * @param {object} data 데이터 객체
      * @param {object} sortOptions 정렬 옵션
-     * @param {string} sortOptions.sortColumn 정렬할 컬럼명
+     * @param {string} sortOptions.columnName 정렬할 컬럼명
      * @param {boolean} sortOptions.isAscending 오름차순 여부
+     * @param {Array} [sortOptions.sortKeys] 우선순위 순으로 정렬된 정렬 키 목록
      */
     _changeSortOptions: function(data, sortOptions) {
+        var sortKeys;
+
         if (!sortOptions) {
             return;
         }
         if (sortOptions.columnName === 'rowKey') {
             delete data.sortColumn;
             delete data.sortAscending;
+            delete data.sortColumns;
         } else {
+            sortKeys = sortOptions.sortKeys || [_.pick(sortOptions, 'columnName', 'isAscending')];
             data.sortColumn = sortOptions.columnName;
             data.sortAscending = sortOptions.isAscending;
+            data.sortColumns = JSON.stringify(sortKeys);
         }
     },
 
@@ -458,15 +982,16 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
      * @param {Number} page 조회할 페이지 정보
      * @param {Boolean} [isUsingRequestedData=true] page 단위 검색이므로, form 수정여부와 관계없이 처음 보낸 form 데이터로 조회할지 여부를 결정한다.
      * @param {object} sortOptions 정렬 옵션
-     * @param {string} sortOptions.sortColumn 정렬할 컬럼명
+     * @param {string} sortOptions.columnName 정렬할 컬럼명
      * @param {boolean} sortOptions.isAscending 오름차순 여부
+     * @param {Array} [sortOptions.sortKeys] 우선순위 순으로 정렬된 정렬 키 목록
      * @private
      */
     _readDataAt: function(page, isUsingRequestedData, sortOptions) {
         var data;
 
         isUsingRequestedData = _.isUndefined(isUsingRequestedData) ? true : isUsingRequestedData;
-        data = isUsingRequestedData ? this.requestedFormData : this._getFormData();
+        data = isUsingRequestedData ? this.requestedFormData : this._getReadParams();
         data.page = page;
         data.perPage = this.perPage;
         this._changeSortOptions(data, sortOptions);
@@ -475,6 +1000,8 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
 
     /**
      * Send request to server to sync data
+     * The 'createData', 'updateData' and 'modifyData' requests are refused, and the 'invalidRequest' event
+     * occurs instead, while the validation of any row to send is failed or still pending.
      * @param {String} requestType - 'createData|updateData|deleteData|modifyData'
      * @param {object} options - Options
      *      @param {String} [options.url] - URL to send the request
@@ -487,7 +1014,7 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
     request: function(requestType, options) {
         var newOptions = _.extend({
             url: this.api[requestType],
-            type: null,
+            type: this.methods[requestType] || null,
             hasDataParam: true,
             isOnlyChecked: true,
             isOnlyModified: true,
@@ -500,10 +1027,109 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
             if (newOptions.isUpdateOriginal) {
                 this.dataModel.setOriginalRowList();
             }
-            this._ajax(param);
+            _.each(this._splitRequestParam(param), this._requestRows, this);
         }
     },
 
+    /**
+     * Sends the request with the keys of the rows, which are marked as 'PENDING' when the request is queued.
+     * @param {object} param - Request parameter
+     * @private
+     */
+    _requestRows: function(param) {
+        this._ajax(_.extend({
+            rowKeys: _.pluck(param.rowList, 'rowKey')
+        }, param));
+    },
+
+    /**
+     * Sets the sync state of the rows.
+     * @param {Array.<(number|string)>} rowKeys - Row keys
+     * @param {string} state - 'PENDING' | 'SAVED' | 'ERROR'
+     * @param {string} [message] - Message of the state
+     * @private
+     */
+    _setSyncStates: function(rowKeys, state, message) {
+        _.each(rowKeys, function(rowKey) {
+            this.dataModel.setSyncState(rowKey, state, message);
+        }, this);
+    },
+
+    /**
+     * Updates the sync states of the sent rows with the response.
+     * The rows in the data.errors of the response (or all rows if the result is false) are marked as 'ERROR'
+     * with the messages. The other rows are marked as 'SAVED' after the data of the data.rows is merged,
+     * and become the original data.
+     * @param {Array.<(number|string)>} rowKeys - Keys of the sent rows
+     * @param {object} responseData - Response data
+     * @private
+     */
+    _updateSyncStates: function(rowKeys, responseData) {
+        var dataModel = this.dataModel;
+        var isSuccess = !!(responseData && responseData.result);
+        var message = (responseData && responseData.message) || '';
+        var data = (responseData && responseData.data) || {};
+        var savedRowMap = _.indexBy(data.rows, 'rowKey');
+        var errorMap = _.indexBy(data.errors, 'rowKey');
+        var savedRowKeys = _.filter(rowKeys, function(rowKey) {
+            var error = errorMap[rowKey];
+
+            if (!isSuccess || error) {
+                dataModel.setSyncState(rowKey, syncStateMap.ERROR, error ? error.message : message);
+
+                return false;
+            }
+            if (savedRowMap[rowKey]) {
+                dataModel.mergeRowData(rowKey, savedRowMap[rowKey]);
+            }
+            dataModel.setSyncState(rowKey, syncStateMap.SAVED);
+
+            return true;
+        });
+
+        dataModel.setOriginalRows(savedRowKeys);
+    },
+
+    /**
+     * Validates the rows to send before sending the request of the 'createData', 'updateData' or 'modifyData'.
+     * If the rows have invalid data or are being validated, triggers the 'invalidRequest' event instead.
+     * @param {String} requestType - 'createData|updateData|deleteData|modifyData'
+     * @param {Array.<Object>} rowList - Data of the rows to send
+     * @returns {boolean} Whether the request can be sent
+     * @private
+     */
+    _isValidToRequest: function(requestType, rowList) {
+        var dataModel = this.dataModel;
+        var rowKeys = _.pluck(rowList, 'rowKey');
+        var errorRows, isValidating;
+
+        if (!_.contains(VALIDATION_REQUEST_TYPES, requestType)) {
+            return true;
+        }
+
+        errorRows = dataModel.validate(rowKeys);
+        isValidating = !errorRows.length && dataModel.isValidating(rowKeys);
+        if (!errorRows.length && !isValidating) {
+            return true;
+        }
+
+        /**
+         * Occurs instead of sending the request, if the rows to send have invalid data or are being validated
+         * @event tui.Grid#invalidRequest
+         * @type {module:common/gridEvent}
+         * @property {string} requestType - Request type
+         * @property {Array.<Object>} errorRows - Rows which have invalid data, in the form of the result of validate()
+         * @property {boolean} isValidating - Whether the asynchronous validation of the rows is pending
+         */
+        this.trigger('invalidRequest', new GridEvent({
+            requestType: requestType,
+            errorRows: errorRows,
+            isValidating: isValidating
+        }));
+
+        return false;
+    },
+
     /**
      * Change window.location to registered url for downloading data
      * @param {string} type - Download type. 'excel' or 'excelAll'.
@@ -557,6 +1183,7 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
             checkList = checkMap[requestType],
             data = {},
             count = 0,
+            rowList = [],
             dataMap;
 
         options = _.defaults(options || {}, {
@@ -574,19 +1201,22 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
                 _.each(dataMap, function(list, name) {
                     if (_.contains(checkList, name) && list.length) {
                         count += list.length;
-                        data[name] = JSON.stringify(list);
+                        data[name] = this._isJSON() ? list : JSON.stringify(list);
+                        rowList = rowList.concat(list);
                     }
                 }, this);
             } else {
                 //{rowList: []} 에 담는다.
                 data.rowList = dataModel.getRowList(options.isOnlyChecked);
                 count = data.rowList.length;
+                rowList = data.rowList;
             }
         }
 
         return {
             data: data,
-            count: count
+            count: count,
+            rowList: rowList
         };
     },
 
@@ -616,18 +1246,42 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
         var dataParam = this._getDataParam(requestType, newOptions);
         var param = null;
 
+        if (!this._isValidToRequest(requestType, dataParam.rowList)) {
+            return param;
+        }
         if (newOptions.isSkipConfirm || this._isConfirmed(requestType, dataParam.count)) {
             param = {
                 requestType: requestType,
                 url: newOptions.url,
                 data: dataParam.data,
-                type: newOptions.type
+                rowList: dataParam.rowList,
+                type: newOptions.type || this.methods[requestType]
             };
         }
 
         return param;
     },
 
+    /**
+     * Splits the request parameter into the parameters for each row,
+     * if the URL of the 'createData', 'updateData' or 'deleteData' has parameters. (ex: '/items/:rowKey')
+     * @param {object} param - Request parameter returned by the _getRequestParam()
+     * @returns {Array.<object>} Request parameters
+     * @private
+     */
+    _splitRequestParam: function(param) {
+        if (!_.contains(ROW_REQUEST_TYPES, param.requestType) || !hasUrlParams(param.url)) {
+            return [param];
+        }
+
+        return _.map(param.rowList, function(row) {
+            return _.extend({}, param, {
+                data: row,
+                rowList: [row]
+            });
+        });
+    },
+
     /**
      * requestType 에 따른 컨펌 메세지를 노출한다.
      * @param {String} requestType 요청 타입. 'createData|updateData|deleteData|modifyData' 중 하나를 인자로 넘긴다.
@@ -675,7 +1329,10 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
 
     /**
      * ajax 통신을 한다.
-     * @param {{requestType: string, url: string, data: object, type: string, dataType: string}} options ajax 요청 파라미터
+     * 요청은 request queue 에 추가되어 순서대로 전송된다.
+     * @param {{requestType: string, url: string, data: object, type: string, dataType: string,
+     *     isAbortingReads: boolean}} options ajax 요청 파라미터.
+     *     isAbortingReads 가 true 이면 대기중이거나 진행중인 'readData', 'readChildren' 요청을 취소한다.
      * @private
      */
     _ajax: function(options) {
@@ -698,24 +1355,361 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
             data: options.data || {},
             type: options.type || 'POST',
             dataType: options.dataType || 'json',
-            complete: $.proxy(this._onComplete, this, options.complete, options),
-            success: $.proxy(this._onSuccess, this, options.success, options),
-            error: $.proxy(this._onError, this, options.error, options)
+            requestType: options.requestType,
+            beforeSend: this.beforeSend
         };
-        if (options.url) {
-            $.ajax(params);
+        if (this._isSendable(params)) {
+            this._applyUrlParams(params);
+            this._applyContentType(params);
+            this._enqueue(params, options);
         }
     },
 
     /**
-     * ajax complete 이벤트 핸들러
-     * @param {Function} callback   통신 완료 이후 수행할 콜백함수
-     * @param {object} jqXHR    jqueryXHR  객체
+     * Returns whether the request can be sent.
+     * The default transport(jQuery.ajax) requires the URL, but the custom transports don't.
+     * @param {object} params - ajax parameters
+     * @returns {boolean}
+     * @private
+     */
+    _isSendable: function(params) {
+        return !!params.url || !(this.transport instanceof AjaxTransport);
+    },
+
+    /**
+     * Adds the request to the request queue.
+     * The 'readData' requests and the other requests are sent one by one in the separate lanes.
+     * The rows of the request are marked as 'PENDING' here, not before the request is stopped
+     * by the beforeRequest event or refused for the missing URL, so that they never remain 'PENDING'.
+     * @param {object} params - ajax parameters
+     * @param {object} options - ajax 요청 옵션
+     * @private
+     */
+    _enqueue: function(params, options) {
+        var laneName = laneNameMap[options.requestType] || QUEUE_WRITE;
+
+        if (options.isAbortingReads) {
+            this.requestQueue.abort(QUEUE_READ);
+            this.requestQueue.abort(QUEUE_READ_CHILDREN);
+        }
+        if (options.rowKeys) {
+            this._setSyncStates(options.rowKeys, syncStateMap.PENDING);
+        }
+        this.requestQueue.add(laneName, $.proxy(this._createRequest, this, params, options));
+    },
+
+    /**
+     * Sends the request, and returns the object to abort it. (Called by the request queue)
+     * @param {object} params - ajax parameters
+     * @param {object} options - ajax 요청 옵션
+     * @param {function} complete - Callback to notify the request queue that the request is completed
+     * @returns {{abort: function}}
+     * @private
+     */
+    _createRequest: function(params, options, complete) {
+        var request = {
+            params: params,
+            options: options,
+            complete: complete,
+            retryCount: 0,
+            isAuthRefreshed: false,
+            isAborted: false,
+            xhr: null,
+            timeoutId: null
+        };
+
+        this._send(request);
+
+        return {
+            abort: $.proxy(this._abortRequest, this, request)
+        };
+    },
+
+    /**
+     * Sends the request by the transport, with the headers evaluated at this time.
+     * @param {object} request - Request object created by the _createRequest()
+     * @private
+     */
+    _send: function(request) {
+        var params = _.extend({}, request.params, {
+            headers: this._getHeaders(request.options.requestType)
+        });
+
+        request.timeoutId = null;
+        request.xhr = this.transport.send(params);
+        request.xhr.then(
+            $.proxy(this._onRequestSuccess, this, request),
+            $.proxy(this._onRequestFail, this, request)
+        );
+    },
+
+    /**
+     * Sends the request again if it is not aborted.
+     * @param {object} request - Request object
+     * @private
+     */
+    _resend: function(request) {
+        if (!request.isAborted) {
+            this._send(request);
+        }
+    },
+
+    /**
+     * Aborts the request. The callbacks of the aborted request are not called.
+     * @param {object} request - Request object
+     * @private
+     */
+    _abortRequest: function(request) {
+        request.isAborted = true;
+        if (request.timeoutId !== null) {
+            clearTimeout(request.timeoutId);
+            request.timeoutId = null;
+        }
+        if (request.xhr && _.isFunction(request.xhr.abort)) {
+            request.xhr.abort();
+        }
+    },
+
+    /**
+     * Returns the HTTP headers of the request.
+     * @param {string} requestType - Request type
+     * @returns {object}
+     * @private
+     */
+    _getHeaders: function(requestType) {
+        var headers = this.headers;
+
+        if (_.isFunction(headers)) {
+            headers = headers(requestType);
+        }
+
+        return _.extend({}, headers);
+    },
+
+    /**
+     * Success callback of the request.
+     * The request is completed even if the callbacks throw an error, so that the next request can be sent.
+     * @param {object} request - Request object
+     * @param {Object} responseData 응답 데이터
      * @param {number} status   http status 정보
+     * @param {object} jqXHR    jqueryXHR  객체
+     * @private
+     */
+    _onRequestSuccess: function(request, responseData, status, jqXHR) {
+        var options = request.options;
+
+        try {
+            this._onSuccess(options.success, options, responseData, status, jqXHR);
+        } finally {
+            this._completeRequest(request);
+        }
+    },
+
+    /**
+     * Fail callback of the transport.
+     * Fills the status and the message from the error object, for the transports which reject the promise
+     * with only the error object. (ex: native Promise)
+     * @param {object} request - Request object
+     * @param {object} error - jqXHR or the error object which has the status
+     * @param {string} [status] - status 정보
+     * @param {String} [errorMessage] - 에러 메세지
      * @private
      */
-    _onComplete: function(callback, jqXHR, status) { // eslint-disable-line no-unused-vars
-        this._unlock();
+    _onRequestFail: function(request, error, status, errorMessage) {
+        error = error || {};
+        this._onRequestError(request, error, status || error.statusText || 'error',
+            errorMessage || error.message || '');
+    },
+
+    /**
+     * Error callback of the request.
+     * Refreshes the authentication or retries the request if needed, before handling the error.
+     * @param {object} request - Request object
+     * @param {object} jqXHR    jqueryXHR  객체
+     * @param {string} status   status 정보
+     * @param {String} errorMessage 에러 메세지
+     * @private
+     */
+    _onRequestError: function(request, jqXHR, status, errorMessage) {
+        if (request.isAborted) {
+            return;
+        }
+
+        if (this._isAuthRefreshRequired(request, jqXHR)) {
+            this._refreshAuth(request, jqXHR, status, errorMessage);
+        } else if (this._isRetryRequired(request, jqXHR, status)) {
+            this._retry(request);
+        } else {
+            this._failRequest(request, jqXHR, status, errorMessage);
+        }
+    },
+
+    /**
+     * Handles the error of the request and completes it.
+     * The request canceled by the beforeSend option is completed without handling the error,
+     * and the sync states of its rows are removed.
+     * The request is completed even if the callbacks throw an error, so that the next request can be sent.
+     * @param {object} request - Request object
+     * @param {object} jqXHR    jqueryXHR  객체
+     * @param {string} status   status 정보
+     * @param {String} errorMessage 에러 메세지
+     * @private
+     */
+    _failRequest: function(request, jqXHR, status, errorMessage) {
+        var options = request.options;
+
+        if (request.isAborted) {
+            return;
+        }
+        try {
+            if (status !== 'canceled') {
+                this._onError(options.error, options, jqXHR, status, errorMessage);
+            } else if (options.rowKeys) {
+                this._setSyncStates(options.rowKeys, null);
+            }
+        } finally {
+            this._completeRequest(request);
+        }
+    },
+
+    /**
+     * Notifies the request queue that the request is completed, and calls the complete handler.
+     * @param {object} request - Request object
+     * @private
+     */
+    _completeRequest: function(request) {
+        request.complete();
+        this._onComplete();
+    },
+
+    /**
+     * Returns whether to refresh the authentication and send the request again.
+     * @param {object} request - Request object
+     * @param {object} jqXHR    jqueryXHR  객체
+     * @returns {boolean}
+     * @private
+     */
+    _isAuthRefreshRequired: function(request, jqXHR) {
+        return _.isFunction(this.refreshAuth) && !request.isAuthRefreshed &&
+            jqXHR.status === HTTP_STATUS_UNAUTHORIZED;
+    },
+
+    /**
+     * Calls the refreshAuth option, and sends the request again if the returned promise is resolved.
+     * @param {object} request - Request object
+     * @param {object} jqXHR    jqueryXHR  객체
+     * @param {string} status   status 정보
+     * @param {String} errorMessage 에러 메세지
+     * @private
+     */
+    _refreshAuth: function(request, jqXHR, status, errorMessage) {
+        request.isAuthRefreshed = true;
+        $.when(this.refreshAuth()).then(
+            $.proxy(this._resend, this, request),
+            $.proxy(this._failRequest, this, request, jqXHR, status, errorMessage)
+        );
+    },
+
+    /**
+     * Returns whether to retry the request.
+     * Only the network errors (status 0) and the server errors (status >= 500) are retried.
+     * @param {object} request - Request object
+     * @param {object} jqXHR    jqueryXHR  객체
+     * @param {string} status   status 정보
+     * @returns {boolean}
+     * @private
+     */
+    _isRetryRequired: function(request, jqXHR, status) {
+        var httpStatus = jqXHR.status;
+
+        return status !== 'canceled' && request.retryCount < this.retry.count &&
+            (httpStatus === 0 || httpStatus >= 500);
+    },
+
+    /**
+     * Sends the request again after the delay, which increases by the retry.factor for each retry.
+     * @param {object} request - Request object
+     * @private
+     */
+    _retry: function(request) {
+        var retry = this.retry;
+        var delay = retry.delay * Math.pow(retry.factor, request.retryCount);
+
+        request.retryCount += 1;
+        request.timeoutId = setTimeout($.proxy(this._resend, this, request), delay);
+    },
+
+    /**
+     * Replaces the parameters of the URL with the values of the request data.
+     * The replaced values are removed from the query string of the 'GET' request.
+     * @param {object} params - ajax parameters
+     * @private
+     */
+    _applyUrlParams: function(params) {
+        var filled;
+
+        if (!hasUrlParams(params.url)) {
+            return;
+        }
+        filled = fillUrlParams(params.url, params.data);
+        params.url = filled.url;
+        if (params.type.toUpperCase() === 'GET') {
+            params.data = _.omit(params.data, filled.paramNames);
+        }
+    },
+
+    /**
+     * Converts the request data to the JSON body if the contentType is 'application/json'.
+     * @param {object} params - ajax parameters
+     * @private
+     */
+    _applyContentType: function(params) {
+        if (this._isJSON() && params.type.toUpperCase() !== 'GET') {
+            params.contentType = CONTENT_TYPE_JSON;
+            params.data = JSON.stringify(params.data);
+            params.processData = false;
+        }
+    },
+
+    /**
+     * Returns whether the contentType is 'application/json'.
+     * @returns {boolean}
+     * @private
+     */
+    _isJSON: function() {
+        return this.contentType === CONTENT_TYPE_JSON;
+    },
+
+    /**
+     * Converts the response data with the parseResponse option.
+     * @param {*} responseData - Response data
+     * @param {string} requestType - Request type
+     * @returns {object} Response data in the shape of {result, data: {contents, pagination}, message}
+     * @private
+     */
+    _parseResponse: function(responseData, requestType) {
+        if (_.isFunction(this.parseResponse)) {
+            return this.parseResponse(responseData, requestType);
+        }
+
+        return responseData;
+    },
+
+    /**
+     * ajax complete 이벤트 핸들러
+     * 대기중이거나 진행중인 'readData' 요청이 없으면 로딩 상태 표시를 종료한다.
+     * In the infinite mode, checks whether the next page is needed after the rows are loaded.
+     * @private
+     */
+    _onComplete: function() {
+        if (!this._isReading()) {
+            this._stopLoading();
+        }
+
+        if (this.isNextPageCheckRequired) {
+            this.isNextPageCheckRequired = false;
+            this._readNextPageIfNeeded();
+        }
     },
 
     /**
@@ -728,8 +1722,14 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
      * @private
      */
     _onSuccess: function(callback, options, responseData, status, jqXHR) {
-        var message = responseData && responseData.message;
-        var eventData = new GridEvent({
+        var message, eventData;
+
+        responseData = this._parseResponse(responseData, options.requestType);
+        message = responseData && responseData.message;
+        if (options.rowKeys) {
+            this._updateSyncStates(options.rowKeys, responseData);
+        }
+        eventData = new GridEvent({
             httpStatus: status,
             requestType: options.requestType,
             requestParameter: options.data,
@@ -767,6 +1767,8 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
                 callback(responseData.data || {}, status, jqXHR);
             }
         } else {
+            this._callErrorCallback(options, responseData, status);
+
             /**
              * Occurs after the response event, if the result is false
              * @event tui.Grid#failResponse
@@ -786,6 +1788,20 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
         }
     },
 
+    /**
+     * Calls the error callback of the request, which is called when the request fails or the result is false.
+     * It's called before the events, to clean up the state of the request even if the events are stopped.
+     * @param {object} options - ajax 요청 옵션
+     * @param {*} responseData - Response data or jqXHR
+     * @param {string} status - status 정보
+     * @private
+     */
+    _callErrorCallback: function(options, responseData, status) {
+        if (_.isFunction(options.error)) {
+            options.error(responseData, status);
+        }
+    },
+
     /**
      * ajax error 이벤트 핸들러
      * @param {Function} callback Callback function
@@ -795,7 +1811,7 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
      * @param {String} errorMessage 에러 메세지
      * @private
      */
-    _onError: function(callback, options, jqXHR, status) {
+    _onError: function(callback, options, jqXHR, status, errorMessage) {
         var eventData = new GridEvent({
             httpStatus: status,
             requestType: options.requestType,
@@ -803,6 +1819,10 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
             responseData: null
         });
         this.renderModel.set('state', renderStateMap.DONE);
+        if (options.rowKeys) {
+            this._setSyncStates(options.rowKeys, syncStateMap.ERROR, errorMessage || status);
+        }
+        this._callErrorCallback(options, jqXHR, status);
 
         this.trigger('response', eventData);
         if (eventData.isStopped()) {
@@ -822,7 +1842,7 @@ var Net = View.extend(/**@lends module:addon/net.prototype */{
             return;
         }
 
-        if (jqXHR.readyState > 1) {
+        if (isResponded(jqXHR)) {
             alert('데이터 요청 중에 에러가 발생하였습니다.\n\n다시 시도하여 주시기 바랍니다.');
         }
     }
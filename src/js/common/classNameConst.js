@@ -20,16 +20,27 @@ var classNames = {
     ICO_ARROW: 'icon-arrow',
     ICO_ARROW_LEFT: 'icon-arrow-left',
     ICO_ARROW_RIGHT: 'icon-arrow-right',
+    ICO_SYNC: 'icon-sync',
 
     // layer
     LAYER_STATE: 'layer-state',
     LAYER_STATE_CONTENT: 'layer-state-content',
     LAYER_STATE_LOADING: 'layer-state-loading',
+    LAYER_STATE_ROW: 'layer-state-row',
     LAYER_EDITING: 'layer-editing',
     LAYER_FOCUS: 'layer-focus',
     LAYER_FOCUS_BORDER: 'layer-focus-border',
     LAYER_SELECTION: 'layer-selection',
     LAYER_DATE_PICKER: 'layer-datepicker',
+    LAYER_FILTER: 'layer-filter',
+    LAYER_FILTER_FIELD: 'layer-filter-field',
+    LAYER_FILTER_BUTTONS: 'layer-filter-buttons',
+    LAYER_TOOLTIP: 'layer-tooltip',
+    LAYER_COLUMN_CHOOSER: 'layer-column-chooser',
+    LAYER_COLUMN_CHOOSER_SEARCH: 'layer-column-chooser-search',
+    LAYER_COLUMN_CHOOSER_LIST: 'layer-column-chooser-list',
+    COLUMN_CHOOSER_DROP_BEFORE: 'column-chooser-drop-before',
+    COLUMN_CHOOSER_DROP_AFTER: 'column-chooser-drop-after',
 
     // border line
     BORDER_LINE: 'border-line',
@@ -51,10 +62,14 @@ var classNames = {
     COLUMN_RESIZE_CONTAINER: 'column-resize-container',
     COLUMN_RESIZE_HANDLE: 'column-resize-handle',
     COLUMN_RESIZE_HANDLE_LAST: 'column-resize-handle-last',
+    COLUMN_DROP_INDICATOR: 'column-drop-indicator',
 
     // body
     BODY_CONTAINER: 'body-container',
     BODY_TABLE_CONTAINER: 'table-container',
+    ROW_DRAG_GHOST: 'row-drag-ghost',
+    ROW_DRAG_GHOST_COUNT: 'row-drag-ghost-count',
+    ROW_DROP_INDICATOR: 'row-drop-indicator',
 
     // scrollbar
     SCROLLBAR_HEAD: 'scrollbar-head',
@@ -83,13 +98,22 @@ var classNames = {
     CELL_ROW_EVEN: 'cell-row-even',
     CELL_EDITABLE: 'cell-editable',
     CELL_DUMMY: 'cell-dummy',
+    CELL_PLACEHOLDER: 'cell-placeholder',
     CELL_REQUIRED: 'cell-required',
     CELL_DISABLED: 'cell-disabled',
     CELL_SELECTED: 'cell-selected',
     CELL_INVALID: 'cell-invalid',
+    CELL_VALIDATING: 'cell-validating',
+    CELL_FLASH: 'cell-flash',
+    CELL_GROUP_ROW: 'cell-group-row',
     CELL_ELLIPSIS: 'cell-ellipsis',
     CELL_CURRENT_ROW: 'cell-current-row',
     CELL_MAIN_BUTTON: 'cell-main-button',
+    CELL_SYNC_STATUS: 'cell-sync-status',
+    CELL_SYNC_PENDING: 'cell-sync-pending',
+    CELL_SYNC_SAVED: 'cell-sync-saved',
+    CELL_SYNC_ERROR: 'cell-sync-error',
+    CELL_DRAGGABLE: 'cell-draggable',
 
     // cell content
     CELL_CONTENT: 'cell-content',
@@ -97,16 +121,28 @@ var classNames = {
     CELL_CONTENT_AFTER: 'content-after',
     CELL_CONTENT_INPUT: 'content-input',
     CELL_CONTENT_TEXT: 'content-text',
+    TREE_EXTRA_CONTENT: 'tree-extra-content',
 
     // buttons
     BTN_TEXT: 'btn-text',
     BTN_SORT: 'btn-sorting',
     BTN_SORT_UP: 'btn-sorting-up',
     BTN_SORT_DOWN: 'btn-sorting-down',
+    BTN_SORT_PRIORITY: 'btn-sorting-priority',
+    BTN_FILTER: 'btn-filter',
+    BTN_FILTER_ACTIVE: 'btn-filter-active',
+    BTN_FILTER_APPLY: 'btn-filter-apply',
+    BTN_FILTER_CLEAR: 'btn-filter-clear',
+    BTN_GROUP_TOGGLE: 'btn-group-toggle',
+    BTN_GROUP_COLLAPSED: 'btn-group-collapsed',
+    BTN_TREE_TOGGLE: 'btn-tree-toggle',
+    BTN_TREE_COLLAPSED: 'btn-tree-collapsed',
+    BTN_ROW_DRAG: 'btn-row-drag',
     BTN_EXCEL: 'btn-excel-download',
     BTN_EXCEL_ICON: 'btn-excel-icon',
     BTN_EXCEL_PAGE: 'btn-excel-page',
     BTN_EXCEL_ALL: 'btn-excel-all',
+    BTN_COLUMN_CHOOSER: 'btn-column-chooser',
 
     // toolbar
     TOOLBAR: 'toolbar',
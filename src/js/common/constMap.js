@@ -20,6 +20,8 @@ var keyCode = {
     CHAR_F: 70,
     CHAR_R: 82,
     CHAR_V: 86,
+    CHAR_Y: 89,
+    CHAR_Z: 90,
     LEFT_WINDOW_KEY: 91,
     F5: 116,
     BACKSPACE: 8,
@@ -40,6 +42,11 @@ module.exports = {
         DONE: 'DONE',
         EMPTY: 'EMPTY'
     },
+    syncState: {
+        PENDING: 'PENDING',
+        SAVED: 'SAVED',
+        ERROR: 'ERROR'
+    },
     dimension: {
         CELL_BORDER_WIDTH: 1,
         TABLE_BORDER_WIDTH: 1,
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Parser for the delimiter-separated text like CSV and TSV (RFC 4180)
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var QUOTE = '"';
+var NEWLINE = '\n';
+
+/**
+ * Returns the index where the unquoted field which starts from the given index ends.
+ * @param {String} text - Text
+ * @param {number} start - Start index
+ * @param {String} delimiter - Delimiter
+ * @returns {number}
+ * @ignore
+ */
+function findFieldEnd(text, start, delimiter) {
+    var delimiterIndex = text.indexOf(delimiter, start);
+    var newlineIndex = text.indexOf(NEWLINE, start);
+
+    if (delimiterIndex < 0) {
+        delimiterIndex = text.length;
+    }
+    if (newlineIndex < 0) {
+        newlineIndex = text.length;
+    }
+
+    return Math.min(delimiterIndex, newlineIndex);
+}
+
+/**
+ * Reads the quoted field. The escaped quotes("") are converted to a quote,
+ * and the characters between the closing quote and the next delimiter are appended as they are.
+ * @param {String} text - Text
+ * @param {number} start - Index of the character next to the opening quote
+ * @param {String} delimiter - Delimiter
+ * @returns {{value: String, end: number}}
+ * @ignore
+ */
+function readQuotedField(text, start, delimiter) {
+    var value = '';
+    var index = start;
+    var quoteIndex = text.indexOf(QUOTE, index);
+    var end;
+
+    while (quoteIndex >= 0 && text.charAt(quoteIndex + 1) === QUOTE) {
+        value += text.slice(index, quoteIndex) + QUOTE;
+        index = quoteIndex + 2;
+        quoteIndex = text.indexOf(QUOTE, index);
+    }
+
+    // the field is not closed until the end of the text
+    if (quoteIndex < 0) {
+        return {
+            value: value + text.slice(index),
+            end: text.length
+        };
+    }
+
+    value += text.slice(index, quoteIndex);
+    end = findFieldEnd(text, quoteIndex + 1, delimiter);
+
+    return {
+        value: value + text.slice(quoteIndex + 1, end),
+        end: end
+    };
+}
+
+/**
+ * Reads the field which starts from the given index.
+ * @param {String} text - Text
+ * @param {number} start - Start index
+ * @param {String} delimiter - Delimiter
+ * @returns {{value: String, end: number}} The value and the index of the character next to the field
+ * @ignore
+ */
+function readField(text, start, delimiter) {
+    var end;
+
+    if (text.charAt(start) === QUOTE) {
+        return readQuotedField(text, start + 1, delimiter);
+    }
+    end = findFieldEnd(text, start, delimiter);
+
+    return {
+        value: text.slice(start, end),
+        end: end
+    };
+}
+
+/**
+ * @module common/csvParser
+ * @ignore
+ */
+module.exports = {
+    /**
+     * Parses the text into the two-dimensional array of strings.
+     * Fields can be enclosed in double quotes to contain delimiters, line breaks or escaped quotes("").
+     * Line breaks(CRLF, CR) are normalized to LF and the line break at the end of the text is ignored.
+     * @param {String} text - Text to parse
+     * @param {String} [delimiter=','] - Delimiter of the fields
+     * @returns {Array.<Array.<String>>}
+     */
+    parse: function(text, delimiter) {
+        var rows = [];
+        var cells = [];
+        var index = 0;
+        var field;
+
+        delimiter = delimiter || ',';
+        text = String(text).replace(/\r\n?/g, NEWLINE).replace(/\n$/, '');
+        if (!text) {
+            return rows;
+        }
+
+        while (index <= text.length) {
+            field = readField(text, index, delimiter);
+            cells.push(field.value);
+            if (text.charAt(field.end) !== delimiter) {
+                rows.push(cells);
+                cells = [];
+            }
+            index = field.end + 1;
+        }
+
+        return rows;
+    }
+};
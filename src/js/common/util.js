@@ -8,6 +8,10 @@ var _ = require('underscore');
 
 var CELL_BORDER_WIDTH = require('./constMap').dimension.CELL_BORDER_WIDTH;
 
+// yyyy-mm-dd, yyyy.mm.dd, yyyy/mm/dd, yyyy년 mm월 dd일 (with optional hh:mm[:ss])
+var DATE_PATTERN = new RegExp('^\\s*(\\d{4})\\s*[.\\-/년]\\s*(\\d{1,2})\\s*[.\\-/월]\\s*(\\d{1,2})\\s*[.일]?' +
+    '(?:[\\sT]+(\\d{1,2}):(\\d{1,2})(?::(\\d{1,2}))?)?\\s*$');
+
 /**
 * util 모듈
 * @module util
@@ -105,7 +109,7 @@ var util = {
      * @returns {Boolean}
      */
     isMetaColumn: function(columnName) {
-        return _.contains(['_button', '_number'], columnName);
+        return _.contains(['_button', '_number', '_syncStatus', '_draggable'], columnName);
     },
 
     /**
@@ -270,6 +274,54 @@ var util = {
         return value;
     },
 
+    /**
+     * Converts the value to a number.
+     * Thousands separators(,) and white spaces in a string are ignored. (ex: '1,000' -> 1000)
+     * @memberof module:util
+     * @param {*} value - The value to convert
+     * @returns {number} The converted number. NaN if the value can't be converted.
+     */
+    toNumber: function(value) {
+        if (_.isNumber(value)) {
+            return value;
+        }
+        if (!_.isString(value) || !value.replace(/\s/g, '')) {
+            return NaN;
+        }
+        return Number(value.replace(/[,\s]/g, ''));
+    },
+
+    /**
+     * Converts the value to a timestamp(milliseconds).
+     * Date objects, numbers and the strings like '2016-03-07', '2016.03.07', '2016/3/7 12:30:00',
+     * '2016년 3월 7일' are available.
+     * @memberof module:util
+     * @param {*} value - The value to convert
+     * @returns {number} The converted timestamp. NaN if the value can't be converted.
+     */
+    toTimestamp: function(value) {
+        var matched;
+
+        if (_.isDate(value)) {
+            return value.getTime();
+        }
+        if (_.isNumber(value)) {
+            return value;
+        }
+        if (!_.isString(value)) {
+            return NaN;
+        }
+
+        matched = value.match(DATE_PATTERN);
+        if (matched) {
+            return new Date(
+                Number(matched[1]), Number(matched[2]) - 1, Number(matched[3]),
+                Number(matched[4] || 0), Number(matched[5] || 0), Number(matched[6] || 0)
+            ).getTime();
+        }
+        return Date.parse(value);
+    },
+
     /**
      * Capitalize first character of the target string.
      * @param  {string} string Target string
@@ -365,6 +417,25 @@ var util = {
         return options;
     },
 
+    /**
+     * Decodes the UTF-8 bytes to a string.
+     * @param {Uint8Array} bytes - bytes
+     * @returns {string}
+     */
+    decodeUTF8: function(bytes) {
+        var binary = '';
+        var i;
+
+        if (window.TextDecoder) {
+            return new window.TextDecoder('utf-8').decode(bytes);
+        }
+        for (i = 0; i < bytes.length; i += 1) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        return decodeURIComponent(escape(binary));
+    },
+
     /**
      * Outputs a warning message to the web console.
      * @param {string} message - message
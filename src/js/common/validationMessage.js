@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Messages for the validation errors
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var DEFAULT_MESSAGE_MAP = {
+    REQUIRED: '필수 입력 항목입니다.',
+    TYPE_NUMBER: '숫자를 입력해 주세요.',
+    MIN: '{min} 이상의 값을 입력해 주세요.',
+    MAX: '{max} 이하의 값을 입력해 주세요.',
+    MIN_LENGTH: '{minLength}자 이상 입력해 주세요.',
+    MAX_LENGTH: '{maxLength}자 이하로 입력해 주세요.',
+    REGEXP: '입력 형식이 올바르지 않습니다.',
+    UNIQUE: '중복된 값입니다.',
+    VALIDATOR: '유효하지 않은 값입니다.'
+};
+
+var messageMap = _.clone(DEFAULT_MESSAGE_MAP);
+
+/**
+ * Replaces the placeholders like '{min}' in the message with the values of the validation options.
+ * @param {String} message - Message
+ * @param {Object} validation - Validation options of the column
+ * @returns {String}
+ * @ignore
+ */
+function replacePlaceholders(message, validation) {
+    return message.replace(/\{(\w+)\}/g, function(placeholder, name) {
+        return _.has(validation, name) ? validation[name] : placeholder;
+    });
+}
+
+/**
+ * @module common/validationMessage
+ * @ignore
+ */
+module.exports = {
+    /**
+     * Sets the messages for the error codes. The messages are shared by all grid instances.
+     * If the newMessageMap is not specified, restores the default messages.
+     * @param {Object.<string, string>} [newMessageMap] - Messages mapped by the error codes
+     */
+    setMessages: function(newMessageMap) {
+        if (newMessageMap) {
+            _.extend(messageMap, newMessageMap);
+        } else {
+            messageMap = _.clone(DEFAULT_MESSAGE_MAP);
+        }
+    },
+
+    /**
+     * Returns the message of the validation error.
+     * The message returned by the custom validator has the highest priority,
+     * and then the messages in the validation.messages of the column and the messages set by setMessages().
+     * @param {{errorCode: String, message: String}} error - Validation error
+     * @param {Object} [columnModel] - Column model
+     * @returns {String}
+     */
+    getMessage: function(error, columnModel) {
+        var validation = (columnModel && columnModel.validation) || {};
+        var message = error.message ||
+            tui.util.pick(validation, 'messages', error.errorCode) ||
+            messageMap[error.errorCode] ||
+            error.errorCode;
+
+        return replacePlaceholders(message, validation);
+    }
+};
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Reader which extracts the cell values of the first worksheet from the spreadsheet files
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var util = require('./util');
+
+var SIGNATURE_END_OF_CENTRAL_DIR = 0x06054b50;
+var SIGNATURE_CENTRAL_DIR = 0x02014b50;
+var COMPRESSION_STORED = 0;
+var COMPRESSION_DEFLATED = 8;
+var WORKBOOK_PATH = 'xl/workbook.xml';
+var WORKBOOK_RELS_PATH = 'xl/_rels/workbook.xml.rels';
+var SHARED_STRINGS_PATH = 'xl/sharedStrings.xml';
+var DEFAULT_SHEET_PATH = 'xl/worksheets/sheet1.xml';
+
+var cellValueConverters;
+
+/**
+ * Finds the entries of the zip archive from the central directory.
+ * @param {DataView} view - DataView of the archive
+ * @returns {Object.<string, {method: number, offset: number, size: number}>} Entries mapped by the file names
+ * @ignore
+ */
+function readZipEntries(view) {
+    var entries = {};
+    var eocdOffset = view.byteLength - 22;
+    var offset, count, nameLength, name, localOffset;
+
+    while (eocdOffset >= 0 && view.getUint32(eocdOffset, true) !== SIGNATURE_END_OF_CENTRAL_DIR) {
+        eocdOffset -= 1;
+    }
+    if (eocdOffset < 0) {
+        throw new Error('Invalid XLSX file: the end of the central directory is not found');
+    }
+
+    count = view.getUint16(eocdOffset + 10, true);
+    offset = view.getUint32(eocdOffset + 16, true);
+    while (count > 0 && view.getUint32(offset, true) === SIGNATURE_CENTRAL_DIR) {
+        nameLength = view.getUint16(offset + 28, true);
+        name = util.decodeUTF8(new window.Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength));
+        localOffset = view.getUint32(offset + 42, true);
+        entries[name] = {
+            method: view.getUint16(offset + 10, true),
+            size: view.getUint32(offset + 20, true),
+            // data starts after the local file header (30 bytes + file name + extra field)
+            offset: localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+        };
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        count -= 1;
+    }
+
+    return entries;
+}
+
+/**
+ * Decompresses the raw deflate data using the DecompressionStream of the browser.
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @returns {Object} jQuery promise which is resolved with the decompressed bytes
+ * @ignore
+ */
+function inflate(bytes) {
+    var deferred = new $.Deferred();
+    var stream;
+
+    if (!window.DecompressionStream) {
+        return deferred.reject(new Error('This browser cannot decompress XLSX files. ' +
+            'Please use CSV or XML Spreadsheet 2003 files instead.')).promise();
+    }
+
+    stream = new window.Blob([bytes]).stream().pipeThrough(new window.DecompressionStream('deflate-raw'));
+    new window.Response(stream).arrayBuffer().then(function(buffer) {
+        deferred.resolve(new window.Uint8Array(buffer));
+    }, function(error) {
+        deferred.reject(error);
+    });
+
+    return deferred.promise();
+}
+
+/**
+ * Reads the content of the zip entry as a string.
+ * @param {ArrayBuffer} buffer - Archive
+ * @param {?{method: number, offset: number, size: number}} entry - Zip entry
+ * @returns {Object} jQuery promise which is resolved with the content (null if the entry does not exist)
+ * @ignore
+ */
+function readEntryText(buffer, entry) {
+    var bytes;
+
+    if (!entry) {
+        return new $.Deferred().resolve(null).promise();
+    }
+
+    bytes = new window.Uint8Array(buffer, entry.offset, entry.size);
+    if (entry.method === COMPRESSION_STORED) {
+        return new $.Deferred().resolve(util.decodeUTF8(bytes)).promise();
+    }
+    if (entry.method !== COMPRESSION_DEFLATED) {
+        return new $.Deferred().reject(new Error('Unsupported compression method of XLSX file')).promise();
+    }
+
+    return inflate(bytes).then(util.decodeUTF8);
+}
+
+/**
+ * Returns the text of the element excluding the phonetic runs.
+ * @param {Element} element - Element of the string item (si or is)
+ * @returns {String}
+ * @ignore
+ */
+function getStringItemText(element) {
+    return $(element).find('t').filter(function() {
+        return this.parentNode.nodeName !== 'rPh';
+    }).map(function() {
+        return $(this).text();
+    }).get().join('');
+}
+
+/**
+ * Converts the column part of the cell reference like 'AB12' to the zero-based index.
+ * @param {String} ref - Cell reference
+ * @returns {number}
+ * @ignore
+ */
+function getColumnIndex(ref) {
+    var letters = ref.replace(/[^A-Z]/g, '');
+
+    return _.reduce(letters, function(index, letter) {
+        return (index * 26) + (letter.charCodeAt(0) - 64);
+    }, 0) - 1;
+}
+
+/**
+ * Functions which convert the text of the cell to the value, mapped by the type of the cell
+ * @ignore
+ */
+cellValueConverters = {
+    s: function(text, $cell, sharedStrings) {
+        return sharedStrings[Number(text)];
+    },
+    inlineStr: function(text, $cell) {
+        return getStringItemText($cell.children('is')[0]);
+    },
+    b: function(text) {
+        return text === '1';
+    },
+    str: _.identity,
+    e: _.identity,
+    n: function(text) {
+        return text === '' ? '' : Number(text);
+    }
+};
+
+/**
+ * Returns the value of the cell element of the worksheet.
+ * @param {Element} cell - Cell element (c)
+ * @param {Array.<String>} sharedStrings - Shared strings
+ * @returns {*}
+ * @ignore
+ */
+function getCellValue(cell, sharedStrings) {
+    var $cell = $(cell);
+    var converter = cellValueConverters[$cell.attr('t')] || cellValueConverters.n;
+
+    return converter($cell.children('v').text(), $cell, sharedStrings);
+}
+
+/**
+ * Parses the worksheet XML of the Office Open XML.
+ * @param {String} sheetXML - Worksheet XML
+ * @param {Array.<String>} sharedStrings - Shared strings
+ * @returns {Array.<Array>}
+ * @ignore
+ */
+function parseWorksheet(sheetXML, sharedStrings) {
+    var rows = [];
+
+    $($.parseXML(sheetXML)).find('sheetData > row').each(function() {
+        var rowNumber = Number($(this).attr('r')) || (rows.length + 1);
+        var values = [];
+
+        $(this).children('c').each(function() {
+            var ref = $(this).attr('r');
+
+            values[ref ? getColumnIndex(ref) : values.length] = getCellValue(this, sharedStrings);
+        });
+        rows[rowNumber - 1] = values;
+    });
+
+    return _.map(rows, function(values) {
+        return _.map(values || [], function(value) {
+            return _.isUndefined(value) ? '' : value;
+        });
+    });
+}
+
+/**
+ * Returns the path of the first worksheet using the relationships of the workbook.
+ * @param {?String} workbookXML - Workbook XML
+ * @param {?String} relsXML - Relationships XML of the workbook
+ * @returns {String}
+ * @ignore
+ */
+function getFirstSheetPath(workbookXML, relsXML) {
+    var relationId, target;
+
+    if (!workbookXML || !relsXML) {
+        return DEFAULT_SHEET_PATH;
+    }
+    relationId = $($.parseXML(workbookXML)).find('sheets > sheet').first().attr('r:id');
+    $($.parseXML(relsXML)).find('Relationship').each(function() {
+        if ($(this).attr('Id') === relationId) {
+            target = $(this).attr('Target');
+        }
+    });
+
+    if (!target) {
+        return DEFAULT_SHEET_PATH;
+    }
+
+    return target.charAt(0) === '/' ? target.slice(1) : 'xl/' + target;
+}
+
+/**
+ * @module common/xlsxReader
+ * @ignore
+ */
+module.exports = {
+    /**
+     * Returns whether the data is a zip archive, which is the container of the XLSX file.
+     * @param {ArrayBuffer} buffer - Data
+     * @returns {boolean}
+     */
+    isZip: function(buffer) {
+        var bytes = new window.Uint8Array(buffer, 0, Math.min(buffer.byteLength, 2));
+
+        // 'PK'
+        return bytes[0] === 0x50 && bytes[1] === 0x4b;
+    },
+
+    /**
+     * Reads the cell values of the first worksheet of the XLSX(Office Open XML) file.
+     * Cells of the string and the boolean type are converted to strings and booleans,
+     * and the other cells are converted to numbers (date cells remain as serial numbers).
+     * The compressed entries can be read only if the browser supports the DecompressionStream.
+     * @param {ArrayBuffer} buffer - Content of the file
+     * @returns {Object} jQuery promise which is resolved with the two-dimensional array of the values
+     */
+    readXLSX: function(buffer) {
+        var deferred = new $.Deferred();
+        var entries;
+
+        try {
+            entries = readZipEntries(new window.DataView(buffer));
+        } catch (error) {
+            return deferred.reject(error).promise();
+        }
+
+        $.when(
+            readEntryText(buffer, entries[WORKBOOK_PATH]),
+            readEntryText(buffer, entries[WORKBOOK_RELS_PATH]),
+            readEntryText(buffer, entries[SHARED_STRINGS_PATH])
+        ).then(function(workbookXML, relsXML, sharedStringsXML) {
+            var sharedStrings = sharedStringsXML ? _.map($($.parseXML(sharedStringsXML)).find('si'),
+                getStringItemText) : [];
+            var sheetEntry = entries[getFirstSheetPath(workbookXML, relsXML)];
+
+            if (!sheetEntry) {
+                deferred.reject(new Error('Invalid XLSX file: no worksheet is found'));
+                return;
+            }
+            readEntryText(buffer, sheetEntry).then(function(sheetXML) {
+                deferred.resolve(parseWorksheet(sheetXML, sharedStrings));
+            }, deferred.reject);
+        }, deferred.reject);
+
+        return deferred.promise();
+    },
+
+    /**
+     * Reads the cell values of the first worksheet of the XML Spreadsheet 2003 (SpreadsheetML) document,
+     * which is generated by the export of the grid.
+     * Cells of the Number type are converted to numbers.
+     * @param {String} xml - Content of the document
+     * @returns {Array.<Array>} Two-dimensional array of the values
+     */
+    parseSpreadsheetML: function(xml) {
+        var $table = $($.parseXML(xml)).find('Worksheet').first().find('Table');
+        var rows = [];
+
+        $table.children('Row').each(function() {
+            var rowIndex = Number($(this).attr('ss:Index')) || (rows.length + 1);
+            var values = [];
+
+            $(this).children('Cell').each(function() {
+                var $data = $(this).children('Data');
+                var columnIndex = Number($(this).attr('ss:Index')) || (values.length + 1);
+                var text = $data.text();
+
+                values[columnIndex - 1] = ($data.attr('ss:Type') === 'Number') ? Number(text) : text;
+                values.length += Number($(this).attr('ss:MergeAcross')) || 0;
+            });
+            rows[rowIndex - 1] = values;
+        });
+
+        return _.map(rows, function(values) {
+            return _.map(values || [], function(value) {
+                return _.isUndefined(value) ? '' : value;
+            });
+        });
+    }
+};
@@ -15,7 +15,7 @@ var defaultOptionsMap = {
  */
 var ComponentHolder = tui.util.defineClass(/**@lends module:componentHolder.prototype */{
     init: function(optionsMap) {
-        this.optionsMap = $.extend(true, defaultOptionsMap, optionsMap);
+        this.optionsMap = $.extend(true, {}, defaultOptionsMap, optionsMap);
         this.instanceMap = {};
     },
 
@@ -54,6 +54,15 @@ var DomState = tui.util.defineClass(/**@lends module:domState.prototype */{
             .find('td[' + attrNameConst.COLUMN_NAME + '="' + columnName + '"]');
     },
 
+    /**
+     * Returns an element of the header cell identified by columnName
+     * @param {String} columnName - Column name
+     * @returns {jQuery} Header cell(TH) element
+     */
+    getHeaderElement: function(columnName) {
+        return this.$el.find('th[' + attrNameConst.COLUMN_NAME + '="' + columnName + '"]');
+    },
+
     /**
      * Returns an array of heights of all rows
      * @returns {Array.<number>}
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Exporter which generates CSV or XLS(SpreadsheetML 2003) files from the data in the browser
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var util = require('./common/util');
+
+var LIST_EDIT_TYPES = ['select', 'checkbox', 'radio'];
+var CRLF = '\r\n';
+var BOM = '\uFEFF';
+
+var Exporter;
+
+var formatMap = {
+    csv: {
+        extension: 'csv',
+        mimeType: 'text/csv;charset=utf-8'
+    },
+    xls: {
+        extension: 'xls',
+        mimeType: 'application/vnd.ms-excel;charset=utf-8'
+    }
+};
+
+/**
+ * Escapes the value to be used in the CSV file. (RFC 4180)
+ * @param {String} value - Value
+ * @returns {String}
+ * @ignore
+ */
+function escapeCSV(value) {
+    if (/[",\r\n]/.test(value)) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+}
+
+/**
+ * Escapes the value to be used in the XML document.
+ * @param {String} value - Value
+ * @returns {String}
+ * @ignore
+ */
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\r?\n/g, '&#10;');
+}
+
+/**
+ * Removes the HTML tags from the string returned by the formatter.
+ * @param {String} value - Value
+ * @returns {String}
+ * @ignore
+ */
+function stripTags(value) {
+    return String(value).replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Returns the count of the same items from the given position, moving by the given step.
+ * @param {Array.<Array>} matrix - Two-dimensional array
+ * @param {number} rowIndex - Row index
+ * @param {number} columnIndex - Column index
+ * @param {boolean} isVertical - If set to true, moves downward. Otherwise moves rightward.
+ * @returns {number}
+ * @ignore
+ */
+function countSpan(matrix, rowIndex, columnIndex, isVertical) {
+    var item = matrix[rowIndex][columnIndex];
+    var count = 1;
+
+    while (isVertical ? (matrix[rowIndex + count] && matrix[rowIndex + count][columnIndex] === item) :
+        (matrix[rowIndex][columnIndex + count] === item)) {
+        count += 1;
+    }
+    return count;
+}
+
+/**
+ * Exporter which generates CSV or XLS(SpreadsheetML 2003) files from the data in the browser
+ * @module exporter
+ * @param {Object} options - Options
+ * @param {module:model/data/rowList} options.dataModel - Data model
+ * @param {module:model/data/columnModel} options.columnModel - Column model
+ * @ignore
+ */
+Exporter = tui.util.defineClass(/**@lends module:exporter.prototype */{
+    init: function(options) {
+        this.dataModel = options.dataModel;
+        this.columnModel = options.columnModel;
+    },
+
+    /**
+     * Generates the file of the format and downloads it.
+     * @param {String} format - 'csv' or 'xls'
+     * @param {Object} [options] - Options
+     * @param {String} [options.fileName='grid'] - File name without extension
+     * @param {Boolean} [options.onlyVisibleColumns=true] - If set to false, hidden columns are also exported
+     * @param {Boolean} [options.onlyCheckedRows=false] - If set to true, only checked rows are exported
+     * @param {Boolean} [options.useFormattedValue=true] - If set to true, the text of the list items and the result
+     *     of the formatter are exported instead of the raw values
+     * @returns {String} The content of the file
+     */
+    exportData: function(format, options) {
+        var formatInfo = formatMap[format];
+        var headerRows, bodyRows, content;
+
+        if (!formatInfo) {
+            throw new Error('Invalid export format. The format should be one of ' + _.keys(formatMap).join(', '));
+        }
+        options = _.extend({
+            fileName: 'grid',
+            onlyVisibleColumns: true,
+            onlyCheckedRows: false,
+            useFormattedValue: true
+        }, options);
+
+        headerRows = this._getHeaderRows(options);
+        bodyRows = this._getBodyRows(options);
+        content = (format === 'csv') ? this._toCSV(headerRows, bodyRows) : this._toSpreadsheetML(headerRows, bodyRows);
+
+        this._download(content, options.fileName + '.' + formatInfo.extension, formatInfo.mimeType);
+
+        return content;
+    },
+
+    /**
+     * Returns the column models to be exported.
+     * @param {Object} options - Options
+     * @returns {Array.<Object>}
+     * @private
+     */
+    _getColumnModels: function(options) {
+        var columnModel = this.columnModel;
+
+        if (options.onlyVisibleColumns) {
+            return columnModel.getVisibleColumnModelList();
+        }
+        return _.reject(columnModel.get('dataColumnModelList'), function(column) {
+            return util.isMetaColumn(column.columnName);
+        });
+    },
+
+    /**
+     * Returns the rows of the header including the merged columns.
+     * Each cell is an object which has the title and the span counts, or null if it is covered by the merged cell.
+     * @param {Object} options - Options
+     * @returns {Array.<Array.<?{title: String, colspan: number, rowspan: number}>>}
+     * @private
+     */
+    _getHeaderRows: function(options) {
+        var hierarchyList = _.map(this._getColumnModels(options), function(column) {
+            return this.columnModel.getColumnHierarchy(column);
+        }, this);
+        var rowCount = Math.max.apply(Math, [1].concat(_.pluck(hierarchyList, 'length')));
+        var matrix = _.map(_.range(rowCount), function(rowIndex) {
+            return _.map(hierarchyList, function(hierarchy) {
+                return hierarchy[Math.min(rowIndex, hierarchy.length - 1)];
+            });
+        });
+
+        return _.map(matrix, function(items, rowIndex) {
+            return _.map(items, function(item, columnIndex) {
+                var isCovered = (rowIndex > 0 && matrix[rowIndex - 1][columnIndex] === item) ||
+                    (columnIndex > 0 && items[columnIndex - 1] === item);
+
+                return isCovered ? null : {
+                    title: item.title,
+                    colspan: countSpan(matrix, rowIndex, columnIndex, false),
+                    rowspan: countSpan(matrix, rowIndex, columnIndex, true)
+                };
+            });
+        });
+    },
+
+    /**
+     * Returns the rows of the data.
+     * @param {Object} options - Options
+     * @returns {Array.<Array>}
+     * @private
+     */
+    _getBodyRows: function(options) {
+        var columns = this._getColumnModels(options);
+        var rows = this.dataModel.getFilteredRows();
+
+        if (options.onlyCheckedRows) {
+            rows = _.filter(rows, function(row) {
+                return row.get('_button');
+            });
+        }
+
+        return _.map(rows, function(row) {
+            return _.map(columns, function(column) {
+                return options.useFormattedValue ? this._getFormattedValue(row, column) : row.get(column.columnName);
+            }, this);
+        }, this);
+    },
+
+    /**
+     * Returns the value of the cell as it is displayed.
+     * @param {module:model/data/row} row - Row model
+     * @param {Object} column - Column model
+     * @returns {String}
+     * @private
+     */
+    _getFormattedValue: function(row, column) {
+        var value = row.get(column.columnName);
+        var editType = this.columnModel.getEditType(column.columnName);
+        var list = tui.util.pick(column, 'editOption', 'list');
+
+        if (_.contains(LIST_EDIT_TYPES, editType) && list) {
+            value = _.map(util.toString(value).split(','), function(itemValue) {
+                var item = _.find(list, function(listItem) {
+                    return String(listItem.value) === itemValue;
+                });
+
+                return item ? item.text : itemValue;
+            }).join(',');
+        } else if (editType === 'password') {
+            value = '';
+        }
+        if (_.isFunction(column.formatter)) {
+            value = stripTags(util.toString(column.formatter(value, row.toJSON(), column)));
+        }
+
+        return util.toString(value);
+    },
+
+    /**
+     * Generates the CSV string.
+     * The merged header cell is written only in the first cell of the merged area.
+     * @param {Array.<Array>} headerRows - Header rows
+     * @param {Array.<Array>} bodyRows - Body rows
+     * @returns {String}
+     * @private
+     */
+    _toCSV: function(headerRows, bodyRows) {
+        var headerLines = _.map(headerRows, function(cells) {
+            return _.map(cells, function(cell) {
+                return cell ? escapeCSV(util.toString(cell.title)) : '';
+            }).join(',');
+        });
+        var bodyLines = _.map(bodyRows, function(values) {
+            return _.map(values, function(value) {
+                return escapeCSV(util.toString(value));
+            }).join(',');
+        });
+
+        return headerLines.concat(bodyLines).join(CRLF);
+    },
+
+    /**
+     * Generates the XML string of the SpreadsheetML 2003 format, which can be opened by Excel.
+     * @param {Array.<Array>} headerRows - Header rows
+     * @param {Array.<Array>} bodyRows - Body rows
+     * @returns {String}
+     * @private
+     */
+    _toSpreadsheetML: function(headerRows, bodyRows) {
+        var headerXML = _.map(headerRows, function(cells) {
+            var cellsXML = _.map(cells, function(cell, index) {
+                if (!cell) {
+                    return '';
+                }
+                return '<Cell ss:Index="' + (index + 1) + '" ss:StyleID="header"' +
+                    (cell.colspan > 1 ? ' ss:MergeAcross="' + (cell.colspan - 1) + '"' : '') +
+                    (cell.rowspan > 1 ? ' ss:MergeDown="' + (cell.rowspan - 1) + '"' : '') + '>' +
+                    '<Data ss:Type="String">' + escapeXML(util.toString(cell.title)) + '</Data></Cell>';
+            });
+
+            return '<Row>' + cellsXML.join('') + '</Row>';
+        });
+        var bodyXML = _.map(bodyRows, function(values) {
+            var cellsXML = _.map(values, function(value) {
+                var type = (_.isNumber(value) && isFinite(value)) ? 'Number' : 'String';
+
+                return '<Cell><Data ss:Type="' + type + '">' + escapeXML(util.toString(value)) + '</Data></Cell>';
+            });
+
+            return '<Row>' + cellsXML.join('') + '</Row>';
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<?mso-application progid="Excel.Sheet"?>' +
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" ' +
+                'xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">' +
+            '<Styles><Style ss:ID="header"><Font ss:Bold="1"/>' +
+                '<Alignment ss:Horizontal="Center" ss:Vertical="Center"/></Style></Styles>' +
+            '<Worksheet ss:Name="Sheet1"><Table>' +
+            headerXML.join('') + bodyXML.join('') +
+            '</Table></Worksheet></Workbook>';
+    },
+
+    /**
+     * Downloads the content as a file.
+     * @param {String} content - Content of the file
+     * @param {String} fileName - File name
+     * @param {String} mimeType - MIME type
+     * @private
+     */
+    _download: function(content, fileName, mimeType) {
+        var blob = new Blob([BOM + content], {type: mimeType});
+        var url, anchor;
+
+        if (window.navigator.msSaveBlob) {
+            window.navigator.msSaveBlob(blob, fileName);
+            return;
+        }
+
+        url = window.URL.createObjectURL(blob);
+        anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = fileName;
+        anchor.style.display = 'none';
+        document.body.appendChild(anchor);
+        anchor.click();
+        document.body.removeChild(anchor);
+
+        setTimeout(function() {
+            window.URL.revokeObjectURL(url);
+        });
+    }
+});
+
+module.exports = Exporter;
@@ -14,9 +14,16 @@ var PublicEventEmitter = require('./publicEventEmitter');
 var PainterManager = require('./painter/manager');
 var PainterController = require('./painter/controller');
 var NetAddOn = require('./addon/net');
+var LocalTransport = require('./addon/net-localTransport');
+var LiveDataAddOn = require('./addon/liveData');
 var ComponentHolder = require('./componentHolder');
+var Exporter = require('./exporter');
+var Importer = require('./importer');
+var PivotTable = require('./pivotTable');
+var GridState = require('./gridState');
 var util = require('./common/util');
 var themeManager = require('./theme/manager');
+var validationMessage = require('./common/validationMessage');
 var themeNameConst = require('./common/constMap').themeName;
 
 var instanceMap = {};
@@ -41,6 +48,20 @@ tui = window.tui = tui || {};
  *          If not specified, the button column will not be shown.
  *      @param {boolean} [options.autoNumbering=true] - Specifies whether to assign a auto increasing number
  *          to each rows when rendering time.
+ *      @param {boolean} [options.showSyncStatus=false] - Specifies whether to show the column of the icons
+ *          which represent the sync state of each row ('PENDING', 'SAVED' or 'ERROR'), set by the Net addon.
+ *          The message of the state is shown as the title of the icon.
+ *      @param {boolean} [options.useRowDrag=false] - Specifies whether to show the column of the handles
+ *          to drag the rows. Dragging a handle moves the row, or all checked (or selected) rows if the row is
+ *          checked (or selected), to the position of the drop line. The rows can't be moved while they are
+ *          sorted by a column, grouped or hierarchical. See the 'beforeRowMove' event.
+ *          The rows can also be dropped on another grid or on any DOM element (the data of the rows is given
+ *          as a JSON string of the 'text/plain' type). See the 'dragStart' and 'drop' events.
+ *      @param {Object} [options.rowDragOptions] - The options of dragging the rows. (useRowDrag should be true)
+ *          @param {string} [options.rowDragOptions.dropEffect='move'] - Specifies whether the rows dropped on
+ *              another grid are removed from this grid ('move') or not ('copy').
+ *          @param {boolean} [options.rowDragOptions.acceptDrop=false] - If set to true, the rows dragged from
+ *              another grid can be dropped on this grid.
  *      @param {number} [options.headerHeight=35] - The height of the header area.
  *          When rows in header are multiple (merged column), this value must be the total height of rows.
  *      @param {number} [options.rowHeight=27] - The height of each rows.
@@ -57,6 +78,12 @@ tui = window.tui = tui || {};
  *          without server.
  *      @param {boolean} [options.singleClickEdit=false] - If set to true, editable cell in the view-mode will be
  *          changed to edit-mode by a single click.
+ *      @param {boolean} [options.useColumnReorder=false] - If set to true, the columns can be reordered by
+ *          dragging the headers, instead of extending the column selection. (The selection can be still extended
+ *          with the shift key.) The merged columns are moved together within their parent merged column,
+ *          and the columns can be moved across the boundary of the fixed columns. See the 'columnMoved' event.
+ *      @param {string} [options.stateStorageKey] - If specified, the state of the grid (See {@link tui.Grid#getState})
+ *          is saved to the localStorage with this key whenever it is changed, and restored when the grid is created.
  *      @param {boolean} [options.scrollX=true] - Specifies whether to show horizontal scrollbar.
  *      @param {boolean} [options.scrollY=true] - Specifies whether to show vertical scrollbar.
  *      @param {boolean} [options.fitToParentHeight=false] - If set to true, the height of the grid will expand to
@@ -64,7 +91,28 @@ tui = window.tui = tui || {};
  *      @param {boolean} [options.showDummyRows=false] - If set to true, empty area will be filled with dummy rows.
  *      @param {string} [options.keyColumnName=null] - The name of the column to be used to identify each rows.
  *          If not specified, unique value for each rows will be created internally.
- *      @param {boolean} [options.toolbar=false] - If set to true, toolbar area will be shown.
+ *      @param {Object} [options.treeColumnOptions] - Options for displaying the rows as a tree.
+ *          If specified, the rows in the '_children' array of each row data are displayed as the children of
+ *          the row, and the indentation and the button to expand or collapse the children are shown in the
+ *          tree column. If the '_children' is true, the row has the children which are not loaded yet,
+ *          and the 'childrenRequired' event occurs when the row is expanded. (See the 'readChildren' API of
+ *          the Net add-on) While the tree is used, the rows can't be grouped and the row spans are not applied.
+ *          @param {string} options.treeColumnOptions.name - The name of the column which shows the tree.
+ *          @param {boolean} [options.treeColumnOptions.useCascadingCheckbox=true] - If set to true and the
+ *              selectType is 'checkbox', checking a row checks all its descendants, and a row is checked
+ *              only when all its children are checked.
+ *          @param {boolean} [options.treeColumnOptions.isExpanded=false] - Whether the rows are expanded at first.
+ *      @param {(boolean|Object)} [options.toolbar=false] - If set to true or an object, toolbar area will be shown.
+ *          @param {boolean} [options.toolbar.excelButton=false] - If set to true, the button for downloading the
+ *              current data as an excel file will be shown. If the Net addon has no 'downloadExcel' API,
+ *              the file is generated in the browser by {@link tui.Grid#export}.
+ *          @param {boolean} [options.toolbar.excelAllButton=false] - If set to true, the button for downloading
+ *              all data as an excel file will be shown. If the Net addon has no 'downloadExcelAll' API,
+ *              the file is generated in the browser by {@link tui.Grid#export}.
+ *          @param {boolean} [options.toolbar.columnChooserButton=false] - If set to true, the button for opening
+ *              the column chooser will be shown. The column chooser lists all columns (grouped by the merged
+ *              columns) to show or hide them with the checkboxes, to search them and to reorder them by dragging.
+ *              The required columns (isRequired) and the key column (keyColumnName) can't be hidden.
  *      @param {boolean} [options.resizeHandle=false] - If set to true, a handle for resizing height will be shown.
  *      @param {Object} [options.pagination=null] - Options for tui.component.Pagination.
  *          If set to null or false, pagination will not be used.
@@ -86,6 +134,31 @@ tui = window.tui = tui || {};
  *              will not be changed.
  *          @param {boolean} [options.columnModelList.isRequired=false] - If set to true, the data of the column
  *              will be checked to be not empty whenever data is changed or calling {@link tui.Grid#validate}.
+ *          @param {Object} [options.columnModelList.validation] - The rules to validate the data of the column
+ *              whenever data is changed or calling {@link tui.Grid#validate}. Rules except the validator are not
+ *              applied to empty values.
+ *              @param {number} [options.columnModelList.validation.min] - The minimum number (error code: 'MIN')
+ *              @param {number} [options.columnModelList.validation.max] - The maximum number (error code: 'MAX')
+ *              @param {number} [options.columnModelList.validation.minLength] - The minimum length of the text
+ *                  (error code: 'MIN_LENGTH')
+ *              @param {number} [options.columnModelList.validation.maxLength] - The maximum length of the text
+ *                  (error code: 'MAX_LENGTH')
+ *              @param {(RegExp|string)} [options.columnModelList.validation.regExp] - The regular expression
+ *                  which the text should match (error code: 'REGEXP')
+ *              @param {boolean} [options.columnModelList.validation.unique] - If set to true, the value should be
+ *                  unique within the column (error code: 'UNIQUE')
+ *              @param {function} [options.columnModelList.validation.validator] - The custom validator which
+ *                  receives (value, rowData). It should return true(or nothing) if the value is valid.
+ *                  Otherwise it can return false (error code: 'VALIDATOR'), a custom error code, or an object
+ *                  which contains the errorCode and the message.
+ *              @param {Object.<string, string>} [options.columnModelList.validation.messages] - The messages
+ *                  mapped by the error codes, which override the messages set by
+ *                  {@link tui.Grid.setValidationMessages} for the column.
+ *              @param {function} [options.columnModelList.validation.asyncValidator] - The asynchronous validator
+ *                  which receives (value, rowData) and returns a promise or a jQuery Deferred. It is executed only
+ *                  if the other rules are passed, and the resolved value is treated the same as the return value of
+ *                  the validator. If it is rejected, the error code is 'VALIDATOR'. While it is pending, the cell
+ *                  has the 'validating' state. Use {@link tui.Grid#validateAsync} to wait for the results.
  *          @param {string} [options.columnModelList.defaultValue] - The default value to be shown when the column
  *              doesn't have a value.
  *          @param {function} [options.columnModelList.formatter] - The function that formats the value of the cell.
@@ -96,6 +169,22 @@ tui = window.tui = tui || {};
  *               ignored when setting up the list of modified rows.
  *          @param {boolean} [options.columnModelList.isSortable=false] - If set to true, sort button will be shown on
  *              the right side of the column header, which executes the sort action when clicked.
+ *          @param {string} [options.columnModelList.sortingType] - Specifies how to compare the values of the column
+ *              when sorting. Available values are 'string', 'number', 'date' and 'locale'.
+ *              'number' ignores thousands separators(e.g. '1,000'), 'date' accepts the strings like '2016-03-07',
+ *              '2016.03.07' and '2016년 3월 7일', 'locale' compares strings with String#localeCompare.
+ *              If not specified, the raw values are compared.
+ *          @param {function} [options.columnModelList.comparator] - The function to compare two non-empty values
+ *              of the column when sorting. It receives (valueA, valueB, rowA, rowB) and should return a negative
+ *              number, zero or a positive number like the compare function of Array#sort. Overrides sortingType.
+ *          @param {string} [options.columnModelList.nullOrder] - Specifies where to place empty values
+ *              (null, undefined, '') when sorting. Available values are 'first' and 'last', which are applied
+ *              regardless of the sort order. If not specified, empty values are regarded as the least values.
+ *          @param {string} [options.columnModelList.filter] - If specified, filter button will be shown on the right
+ *              side of the column header, which opens the filter layer when clicked.
+ *              Available values are 'text', 'number', 'date' and 'select'.
+ *              The 'select' filter uses editOption.list as its items if exists, otherwise the distinct values of
+ *              the column.
  *          @param {Array} [options.columnModelList.editOption] - The object for configuring editing UI.
  *              @param {string} [options.columnModelList.editOption.type='normal'] - The string value that specifies
  *                  the type of the editing UI.
@@ -164,15 +253,27 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
         this.container = this.viewFactory.createContainer();
         this.publicEventEmitter = this._createPublicEventEmitter();
         this.domState = domState;
+        this.pivotTable = new PivotTable({
+            dataModel: this.modelManager.dataModel,
+            columnModel: this.modelManager.columnModel
+        });
+
+        this.addOn = {};
 
         this.container.render();
         this.refreshLayout();
 
+        this.gridState = new GridState({
+            modelManager: this.modelManager,
+            componentHolder: this.componentHolder,
+            addOn: this.addOn,
+            storageKey: options.stateStorageKey
+        });
+
         if (!themeManager.isApplied()) {
             themeManager.apply(themeNameConst.DEFAULT);
         }
 
-        this.addOn = {};
         instanceMap[this.id] = this;
     },
 
@@ -223,7 +324,8 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
      */
     _createViewFactory: function(domState, options) {
         var viewOptions = _.pick(options, [
-            'singleClickEdit', 'resizeHandle', 'toolbar', 'copyOption', 'footer'
+            'singleClickEdit', 'resizeHandle', 'toolbar', 'copyOption', 'footer', 'useColumnReorder',
+            'rowDragOptions'
         ]);
         var dependencies = {
             modelManager: this.modelManager,
@@ -256,6 +358,9 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
         var emitter = new PublicEventEmitter(this);
 
         emitter.listenToFocusModel(this.modelManager.focusModel);
+        emitter.listenToColumnModel(this.modelManager.columnModel);
+        emitter.listenToDataModel(this.modelManager.dataModel);
+        emitter.listenToHistoryModel(this.modelManager.historyModel);
         emitter.listenToContainerView(this.container);
 
         return emitter;
@@ -324,6 +429,7 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
 
     /**
      * Returns the object that contains all values in the row at specified index.
+     * Rows hidden by the filter are not counted in the index.
      * @param {number} index - The index of the row
      * @param {Boolean} [isJsonString=false] - If set to true, return value will be converted to JSON string.
      * @returns {Object|string} - The object that contains all values in the row. (or JSON string of the object)
@@ -334,10 +440,12 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
 
     /**
      * Returns the total number of the rows.
+     * Rows hidden by the filter are not counted.
+     * If the rows are grouped, the group rows are counted and the rows in the collapsed groups are not.
      * @returns {number} - The total number of the rows
      */
     getRowCount: function() {
-        return this.modelManager.dataModel.length;
+        return this.modelManager.dataModel.getVisibleRowCount();
     },
 
     /**
@@ -497,6 +605,7 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
 
     /**
      * Removes the row identified by the specified rowKey.
+     * If the tree is used, the descendant rows are also removed.
      * @param {(number|string)} rowKey - The unique key of the row
      * @param {(boolean|object)} [options] - Options. If the type is boolean, this value is equivalent to
      *     options.removeOriginalData.
@@ -523,9 +632,7 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
             message = rowKeyList.length + '건의 데이터를 삭제하시겠습니까?';
 
         if (rowKeyList.length > 0 && (!isConfirm || confirm(message))) {
-            _.each(rowKeyList, function(rowKey) {
-                this.modelManager.dataModel.removeRow(rowKey);
-            }, this);
+            this.modelManager.dataModel.removeRows(rowKeyList);
             return true;
         }
         return false;
@@ -580,7 +687,9 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
 
     /**
      * Returns the object that contains the lists of changed data compared to the original data.
-     * The object has properties 'createList', 'updateList', 'deleteList'.
+     * The object has properties 'createList', 'updateList', 'deleteList' and 'orderChangedList'.
+     * The 'orderChangedList' contains the rows whose positions among the original rows are changed
+     * (e.g. by dragging the rows), in the current order.
      * @param {Object} [options] Options
      *      @param {boolean} [options.isOnlyChecked=false] - If set to true, only checked rows will be considered.
      *      @param {boolean} [options.isRaw=false] - If set to true, the data will contains
@@ -588,12 +697,52 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
      *      @param {boolean} [options.isOnlyRowKeyList=false] - If set to true, only keys of the changed
      *          rows will be returned.
      *      @param {Array} [options.filteringColumnList] - A list of column name to be excluded.
-     * @returns {{createList: Array, updateList: Array, deleteList: Array}} - Object that contains the result list.
+     * @returns {{createList: Array, updateList: Array, deleteList: Array, orderChangedList: Array}}
+     *     - Object that contains the result list.
      */
     getModifiedRowList: function(options) {
         return this.modelManager.dataModel.getModifiedRowList(options);
     },
 
+    /**
+     * Returns the sync state of the row, which is set by the Net addon when the row is sent to the server.
+     * The state is one of 'PENDING', 'SAVED' and 'ERROR', and the message is the error message of the row
+     * if the server rejected it.
+     * @param {(number|string)} rowKey - The unique key of the row
+     * @returns {?{state: string, message: string}} - The sync state (null if the row has not been sent)
+     */
+    getSyncState: function(rowKey) {
+        return this.modelManager.dataModel.getSyncState(rowKey);
+    },
+
+    /**
+     * Applies the changes of the rows pushed by the server (ex: live monitoring data), touching only the
+     * changed rows. Unlike the setRowList(), the focus, the selection, the scroll position and the
+     * modifications of the other rows are kept. The rows are identified by the keyColumnName.
+     * The applied data becomes the original data, and the row being edited by the user is not changed.
+     * @param {object} transaction - Changes of the rows
+     *      @param {Array.<object>} [transaction.add] - Data of the rows to be appended
+     *      @param {Array.<object>} [transaction.update] - Data of the rows to be updated (Only the given columns)
+     *      @param {Array.<(object|number|string)>} [transaction.remove] - Keys(or data) of the rows to be removed
+     * @param {object} [options] - Options
+     *      @param {boolean} [options.flash=false] - Whether to highlight the changed cells for a while
+     * @returns {{added: Array, updated: Array, removed: Array, skipped: Array}} - The rowKeys of the rows
+     *      by the results. The skipped rows are the rows not changed because they are being edited.
+     * @example
+     * grid.applyTransaction({
+     *     add: [{id: 10, name: 'New'}],
+     *     update: [{id: 1, price: 2000}],
+     *     remove: [3]
+     * }, {flash: true});
+     */
+    applyTransaction: function(transaction, options) {
+        var editingAddress = this.modelManager.focusModel.get('editingAddress');
+
+        return this.modelManager.dataModel.applyTransaction(transaction, _.extend({
+            lockedRowKeys: editingAddress ? [editingAddress.rowKey] : []
+        }, options));
+    },
+
     /**
      * Insert the new row with specified data to the end of table.
      * @param {object} [row] - The data for the new row
@@ -602,6 +751,9 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
      * @param {boolean} [options.extendPrevRowSpan] - If set to true and the previous row at target index
      *        has a rowspan data, the new row will extend the existing rowspan data.
      * @param {boolean} [options.focus] - If set to true, move focus to the new row after appending
+     * @param {(number|string)} [options.parentRowKey] - If the tree is used, the new row is appended to the
+     *        children of the row. The parent row is expanded, and the 'at' option is ignored.
+     *        The row data can have the '_children' array to append the descendants together.
      */
     appendRow: function(row, options) {
         this.modelManager.dataModel.append(row, options);
@@ -617,6 +769,55 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
         this.modelManager.dataModel.prepend(row, options);
     },
 
+    /**
+     * Moves the rows to the position before the row at the target index. The rows are moved together
+     * in the current order, and the rows whose order is changed are returned as the 'orderChangedList'
+     * of the {@link tui.Grid#getModifiedRowList|getModifiedRowList}.
+     * The rows can't be moved while they are sorted by a column, grouped or hierarchical.
+     * @param {Array.<(number|string)>} rowKeys - The unique keys of the rows to move
+     * @param {number} targetIndex - The index of the row before which the rows are moved, counted before the move.
+     *     If it's the number of the rows, the rows are moved to the end.
+     * @returns {boolean} True if the rows are moved (False if the move is canceled by the 'beforeRowMove' event)
+     */
+    moveRows: function(rowKeys, targetIndex) {
+        return this.modelManager.dataModel.moveRows(rowKeys, targetIndex);
+    },
+
+    /**
+     * Reverts the last change of the data. The changes made by setValue, paste, deleting the cell values,
+     * appendRow, prependRow, removeRow and moveRows are recorded in the history, and each of them is reverted at once.
+     * The history is cleared when the whole data is replaced (e.g. setRowList, restore).
+     * The 'historyChanged' event is triggered with the count of the undoable and redoable changes
+     * whenever the history is changed.
+     * @returns {boolean} True if any change is reverted
+     * @example
+     * grid.on('historyChanged', function(ev) {
+     *     $('#btn-undo').prop('disabled', !ev.undoCount);
+     *     $('#btn-redo').prop('disabled', !ev.redoCount);
+     * });
+     * $('#btn-undo').on('click', function() {
+     *     grid.undo();
+     * });
+     */
+    undo: function() {
+        return this.modelManager.dataModel.undo();
+    },
+
+    /**
+     * Applies the last reverted change again.
+     * @returns {boolean} True if any change is applied
+     */
+    redo: function() {
+        return this.modelManager.dataModel.redo();
+    },
+
+    /**
+     * Removes all changes recorded in the history.
+     */
+    clearHistory: function() {
+        this.modelManager.historyModel.clear();
+    },
+
     /**
      * Returns true if there are at least one row changed.
      * @returns {boolean} - True if there are at least one row changed.
@@ -625,6 +826,83 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
         return this.modelManager.dataModel.isChanged();
     },
 
+    /**
+     * Generates a file of the current data in the browser and downloads it.
+     * Only the rows which are not hidden by the filter are exported, in the order of the current sorting.
+     * The merged columns (options.columnMerge) are exported as the merged header cells.
+     * The 'xls' format is generated as SpreadsheetML 2003 (XML), which can be opened by Excel.
+     * @param {string} format - 'csv' or 'xls'
+     * @param {Object} [options] - Options
+     *     @param {string} [options.fileName='grid'] - The name of the file without extension
+     *     @param {boolean} [options.onlyVisibleColumns=true] - If set to false, hidden columns are also exported.
+     *     @param {boolean} [options.onlyCheckedRows=false] - If set to true, only checked rows are exported.
+     *     @param {boolean} [options.useFormattedValue=true] - If set to true, the text of the list items and the
+     *         result of the formatter are exported. Otherwise, the raw values are exported.
+     * @returns {string} The content of the generated file
+     * @example
+     * grid['export']('xls', {
+     *     fileName: 'orders',
+     *     onlyCheckedRows: true
+     * });
+     */
+    'export': function(format, options) {
+        var exporter = new Exporter({
+            dataModel: this.modelManager.dataModel,
+            columnModel: this.modelManager.columnModel
+        });
+
+        return exporter.exportData(format, options);
+    },
+
+    /**
+     * Parses the file and appends the rows to the grid.
+     * CSV, TSV, JSON (an array of objects or arrays) and XLSX files are supported. For the 'xlsx' format,
+     * both the Office Open XML file and the SpreadsheetML 2003 file generated by {@link tui.Grid#export|export}
+     * can be imported. (Compressed XLSX files can be read only in the browsers which support DecompressionStream.)
+     * The headers of the source are mapped to the columns by the columnName or the title of the columns.
+     * The texts of the list items are converted to their values, and the numeric strings of the number columns are
+     * converted to numbers. Each row is validated with the validation rules of the columns,
+     * and the invalid rows are rejected and listed in the report.
+     * The imported rows are regarded as created rows in {@link tui.Grid#getModifiedRowList|getModifiedRowList},
+     * and the whole import can be reverted by {@link tui.Grid#undo|undo}.
+     * @param {(File|Blob|ArrayBuffer|string)} source - The file or the content of the file
+     * @param {Object} [options] - Options
+     *     @param {string} [options.format] - 'csv', 'tsv', 'json' or 'xlsx'.
+     *         If not specified, it is inferred from the file name or the content.
+     *     @param {Object.<string, string>} [options.columnMapping] - The column names mapped by the headers
+     *         of the source. Only the mapped headers are imported.
+     *     @param {boolean} [options.hasHeader=true] - Whether the first row of the source is the header.
+     *         If set to false, the values are mapped to the visible columns in order.
+     *     @param {string} [options.mode='append'] - If set to 'replace', all existing rows are removed before
+     *         the rows are appended. The removed rows are regarded as deleted rows.
+     *     @param {function} [options.converter] - The function to convert each value before the validation.
+     *         It receives the value, the column name and the row data, and returns the converted value.
+     * @returns {Promise} The jQuery promise which is resolved with the report of the import,
+     *     or rejected with an Error if the source cannot be parsed.
+     *     The report has the importedCount and the rejectedRows, which is an array of objects
+     *     that have the index of the row in the source (except the header), the data and the errors.
+     * @example
+     * grid.importData(fileInput.files[0], {
+     *     columnMapping: {
+     *         'Product Name': 'name',
+     *         'Price': 'price'
+     *     },
+     *     mode: 'replace'
+     * }).then(function(report) {
+     *     console.log(report.importedCount);
+     *     // [{index: 2, data: {name: '', price: 10}, errors: [{columnName: 'name', errorCode: 'REQUIRED', ...}]}]
+     *     console.log(report.rejectedRows);
+     * });
+     */
+    importData: function(source, options) {
+        var importer = new Importer({
+            dataModel: this.modelManager.dataModel,
+            columnModel: this.modelManager.columnModel
+        });
+
+        return importer.importData(source, options);
+    },
+
     /**
      * Returns the instance of specified AddOn.
      * @param {string} name - The name of the AddOn
@@ -667,6 +945,24 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
         this.modelManager.columnModel.set('columnFixCount', count);
     },
 
+    /**
+     * Moves the column to the index among the data columns (except the meta columns like '_number').
+     * The columns of a merged column are moved together, and a column is moved only within its parent
+     * merged column. So the column is placed at the allowed position nearest to the targetIndex.
+     * If the column is moved across the boundary of the fixed columns, the columnFixCount is adjusted.
+     * @param {string} columnName - The name of the column or the merged column
+     * @param {number} targetIndex - The index of the (first) column after moving
+     * @returns {boolean} - True if the column is moved
+     * @example
+     * grid.on('columnMoved', function(ev) {
+     *     localStorage.setItem('columnOrder', JSON.stringify(ev.columnNames));
+     * });
+     * grid.moveColumn('price', 0);
+     */
+    moveColumn: function(columnName, targetIndex) {
+        return this.modelManager.columnModel.moveColumn(columnName, targetIndex);
+    },
+
     /**
      * Sets the list of column model.
      * @param {Array} columnModelList - A new list of column model
@@ -687,10 +983,15 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
                 toolbarModel: this.modelManager.toolbarModel,
                 renderModel: this.modelManager.renderModel,
                 dataModel: this.modelManager.dataModel,
-                pagination: this.componentHolder.getInstance('pagination')
+                pagination: this.componentHolder.getInstance('pagination'),
+                initialPage: this.gridState.popPendingPage()
             }, options);
             this.addOn.Net = new NetAddOn(options);
             this.publicEventEmitter.listenToNetAddon(this.addOn.Net);
+        } else if (name === 'LiveData') {
+            this.addOn.LiveData = new LiveDataAddOn(_.extend({
+                grid: this
+            }, options));
         }
         return this;
     },
@@ -708,9 +1009,19 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
      * @param {string} columnName - The name of the column to be used to compare the rows
      * @param {boolean} [isAscending] - Whether the sort order is ascending.
      *        If not specified, use the negative value of the current order.
+     * @param {boolean} [isMultiple=false] - If set to true, the column is added to the current sort keys
+     *        as the next priority instead of replacing them.
      */
-    sort: function(columnName, isAscending) {
-        this.modelManager.dataModel.sortByField(columnName, isAscending);
+    sort: function(columnName, isAscending, isMultiple) {
+        this.modelManager.dataModel.sortByField(columnName, isAscending, isMultiple);
+    },
+
+    /**
+     * Returns the list of the current sort keys in order of priority.
+     * @returns {Array.<{columnName: string, isAscending: boolean}>} - A list of sort keys
+     */
+    getSortKeys: function() {
+        return _.map(this.modelManager.dataModel.sortOptions.sortKeys, _.clone);
     },
 
     /**
@@ -720,6 +1031,244 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
         this.sort('rowKey');
     },
 
+    /**
+     * Hides the rows which don't match the filter condition of the specified column.
+     * Hidden rows are not removed from the data, so they are still included in the result of
+     * {@link tui.Grid#getModifiedRowList} and {@link tui.Grid#getRowList}.
+     * The filter conditions of multiple columns are combined with AND.
+     * @param {string} columnName - The name of the column
+     * @param {(Object|function)} condition - The filter condition.
+     *     If it's a function, it receives (value, rowData) and should return true for the rows to be shown.
+     *     @param {string} condition.type - 'text', 'number', 'date' or 'select'
+     *     @param {string} [condition.operator='contains'] - 'contains'(case-insensitive) or 'equals' for 'text' type
+     *     @param {string} [condition.value] - The keyword for 'text' type
+     *     @param {number} [condition.min] - The minimum value(inclusive) for 'number' type
+     *     @param {number} [condition.max] - The maximum value(inclusive) for 'number' type
+     *     @param {(string|Date)} [condition.start] - The start date(inclusive) for 'date' type
+     *     @param {(string|Date)} [condition.end] - The end date(inclusive) for 'date' type
+     *     @param {Array} [condition.values] - The list of the values to be shown for 'select' type
+     * @example
+     * grid.filter('name', {type: 'text', value: 'kim'});
+     * grid.filter('price', {type: 'number', min: 1000, max: 5000});
+     * grid.filter('date', {type: 'date', start: '2016-01-01', end: '2016-06-30'});
+     * grid.filter('region', {type: 'select', values: ['seoul', 'busan']});
+     */
+    filter: function(columnName, condition) {
+        this.modelManager.dataModel.filterByField(columnName, condition);
+    },
+
+    /**
+     * Removes the filter condition of the specified column.
+     * If the column name is not specified, removes all filter conditions and shows all rows.
+     * @param {string} [columnName] - The name of the column
+     */
+    unfilter: function(columnName) {
+        this.modelManager.dataModel.unfilterByField(columnName);
+    },
+
+    /**
+     * Returns the filter condition of the specified column.
+     * If the column name is not specified, returns all conditions mapped by the column names.
+     * @param {string} [columnName] - The name of the column
+     * @returns {?Object} - The filter condition
+     */
+    getFilterCondition: function(columnName) {
+        var filterModel = this.modelManager.filterModel;
+
+        return columnName ? filterModel.getCondition(columnName) : filterModel.getConditionMap();
+    },
+
+    /**
+     * Groups the rows by the values of the specified columns.
+     * A group row, which shows the value, the number of the rows and the summaries of the group,
+     * is inserted above the rows of each group. The groups are nested in the order of the columns,
+     * and can be expanded or collapsed by clicking the toggle button of the group rows.
+     * The group rows can't be focused or edited, and they are not included in the data of the grid.
+     * While the rows are grouped, the row spans are not applied.
+     * @param {(string|Array.<string>)} columnNames - The names of the columns.
+     *     If empty, the rows are ungrouped.
+     * @param {Object} [options] - Options
+     *     @param {Object.<string, string>} [options.summary] - Summary types of the groups mapped by
+     *         the column names. ('sum', 'avg', 'cnt', 'max' or 'min')
+     *     @param {boolean} [options.isCollapsed=false] - Whether the groups are collapsed at first
+     * @example
+     * grid.groupBy(['region', 'city'], {
+     *     summary: {
+     *         price: 'sum',
+     *         score: 'avg'
+     *     }
+     * });
+     */
+    groupBy: function(columnNames, options) {
+        this.modelManager.dataModel.groupBy(columnNames, options);
+    },
+
+    /**
+     * Removes the group rows and shows the rows without grouping.
+     */
+    ungroup: function() {
+        this.modelManager.dataModel.ungroup();
+    },
+
+    /**
+     * Returns the information of the group row.
+     * @param {string} rowKey - The rowKey of the group row
+     * @returns {?{columnName: string, value: *, count: number, depth: number, isExpanded: boolean,
+     *     summaries: Object.<string, number>}} - The information of the group (null if it's not a group row)
+     */
+    getGroupInfo: function(rowKey) {
+        return this.modelManager.dataModel.getGroupInfo(rowKey);
+    },
+
+    /**
+     * Expands the group. If the rowKey is not specified, expands all groups.
+     * @param {string} [rowKey] - The rowKey of the group row
+     */
+    expandGroup: function(rowKey) {
+        this._setGroupExpanded(rowKey, true);
+    },
+
+    /**
+     * Collapses the group. If the rowKey is not specified, collapses all groups.
+     * @param {string} [rowKey] - The rowKey of the group row
+     */
+    collapseGroup: function(rowKey) {
+        this._setGroupExpanded(rowKey, false);
+    },
+
+    /**
+     * Expands or collapses the group, or all groups if the rowKey is not specified.
+     * @param {string} [rowKey] - The rowKey of the group row
+     * @param {boolean} isExpanded - Whether to expand the group
+     * @private
+     */
+    _setGroupExpanded: function(rowKey, isExpanded) {
+        var dataModel = this.modelManager.dataModel;
+
+        if (util.isBlank(rowKey)) {
+            dataModel.setAllGroupsExpanded(isExpanded);
+        } else {
+            dataModel.setGroupExpanded(rowKey, isExpanded);
+        }
+    },
+
+    /**
+     * Turns the rows into a cross-tab (pivot table).
+     * The distinct values of the column fields become the columns with the multi-level headers,
+     * the distinct values of the row fields become the rows, and the values of the value fields are aggregated
+     * into the cells. The columns and the rows before the pivot are restored by {@link tui.Grid#unpivot|unpivot}.
+     * If the pivot is already applied, the rows before the pivot are pivoted again with the new options.
+     * The pivoted rows are regarded as the original data, and the grouping, the filter and the sorting are removed.
+     * @param {Object} options - Options
+     *     @param {(string|Array.<string>)} [options.rowFields] - The names of the columns to be the rows
+     *     @param {(string|Array.<string>)} [options.columnFields] - The names of the columns to be the columns.
+     *         The headers are nested in the order of the fields.
+     *     @param {(string|Object|Array)} options.valueFields - The columns to be aggregated.
+     *         Each field is the name of the column or an object which has the options below.
+     *         @param {string} options.valueFields.name - The name of the column
+     *         @param {string} [options.valueFields.type='sum'] - Type of the aggregation.
+     *             ('sum', 'avg', 'cnt', 'max' or 'min')
+     *         @param {string} [options.valueFields.title] - Title of the column of the aggregated values
+     * @example
+     * grid.pivot({
+     *     rowFields: 'region',
+     *     columnFields: ['year', 'quarter'],
+     *     valueFields: [
+     *         {name: 'amount', type: 'sum'},
+     *         {name: 'amount', type: 'cnt', title: 'Orders'}
+     *     ]
+     * });
+     */
+    pivot: function(options) {
+        this.pivotTable.apply(options);
+    },
+
+    /**
+     * Restores the columns and the rows before the {@link tui.Grid#pivot|pivot}.
+     */
+    unpivot: function() {
+        this.pivotTable.reset();
+    },
+
+    /**
+     * Returns the options of the current pivot.
+     * @returns {?{rowFields: Array.<string>, columnFields: Array.<string>,
+     *     valueFields: Array.<{name: string, type: string}>}} - Options (null if the pivot is not applied)
+     */
+    getPivotOptions: function() {
+        return this.pivotTable.getOptions();
+    },
+
+    /**
+     * Expands the children of the row, if the tree is used.
+     * If the children are not loaded yet, the 'childrenRequired' event occurs to load them.
+     * @param {(number|string)} rowKey - The unique key of the row
+     * @param {boolean} [isRecursive=false] - If set to true, the descendants are also expanded
+     */
+    expand: function(rowKey, isRecursive) {
+        this.modelManager.dataModel.setTreeExpanded(rowKey, true, isRecursive);
+    },
+
+    /**
+     * Collapses the children of the row, if the tree is used.
+     * @param {(number|string)} rowKey - The unique key of the row
+     * @param {boolean} [isRecursive=false] - If set to true, the descendants are also collapsed
+     */
+    collapse: function(rowKey, isRecursive) {
+        this.modelManager.dataModel.setTreeExpanded(rowKey, false, isRecursive);
+    },
+
+    /**
+     * Expands the children of all rows, if the tree is used.
+     * The rows whose children are not loaded yet are not expanded.
+     */
+    expandAll: function() {
+        this.modelManager.dataModel.setAllTreeExpanded(true);
+    },
+
+    /**
+     * Collapses the children of all rows, if the tree is used.
+     */
+    collapseAll: function() {
+        this.modelManager.dataModel.setAllTreeExpanded(false);
+    },
+
+    /**
+     * Returns the rowKey of the parent row in the tree.
+     * @param {(number|string)} rowKey - The unique key of the row
+     * @returns {?(number|string)} - The rowKey of the parent row (null if the row is a root row)
+     */
+    getParentRowKey: function(rowKey) {
+        return this.modelManager.dataModel.getParentRowKey(rowKey);
+    },
+
+    /**
+     * Returns the rowKeys of the child rows in the tree.
+     * @param {(number|string)} rowKey - The unique key of the row
+     * @returns {Array.<(number|string)>} - The rowKeys of the child rows
+     */
+    getChildRowKeys: function(rowKey) {
+        return this.modelManager.dataModel.getChildRowKeys(rowKey);
+    },
+
+    /**
+     * Returns the rowKeys of all descendant rows in the tree.
+     * @param {(number|string)} rowKey - The unique key of the row
+     * @returns {Array.<(number|string)>} - The rowKeys of the descendant rows
+     */
+    getDescendantRowKeys: function(rowKey) {
+        return this.modelManager.dataModel.getDescendantRowKeys(rowKey);
+    },
+
+    /**
+     * Returns the depth of the row in the tree. The depth of the root rows is 0.
+     * @param {(number|string)} rowKey - The unique key of the row
+     * @returns {number} - The depth of the row
+     */
+    getDepth: function(rowKey) {
+        return this.modelManager.dataModel.getTreeDepth(rowKey);
+    },
+
     /**
      * Adds the specified css class to cell element identified by the rowKey and className
      * @param {(number|string)} rowKey - The unique key of the row
@@ -770,11 +1319,13 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
 
     /**
      * Returns the index of the row indentified by the rowKey.
+     * Rows hidden by the filter are not counted in the index.
+     * If the rows are grouped, the group rows are counted in the index.
      * @param {number|string} rowKey - The unique key of the row
-     * @returns {number} - The index of the row
+     * @returns {number} - The index of the row (-1 if the row is hidden by the filter or in a collapsed group)
      */
     getIndexOfRow: function(rowKey) {
-        return this.modelManager.dataModel.indexOfRowKey(rowKey);
+        return this.modelManager.dataModel.indexOfVisibleRowKey(rowKey);
     },
 
     /**
@@ -835,6 +1386,33 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
         this.modelManager.columnModel.setHidden(args, true);
     },
 
+    /**
+     * Returns the state of the grid as a plain object, which can be serialized to JSON.
+     * The state consists of the data columns in order (with the width and the hidden flag of each column,
+     * and the width of the hidden column is null), the columnFixCount, the sort keys, the page number
+     * (null if the pagination is not used) and the scroll position.
+     * @returns {{columns: Array.<{columnName: string, width: ?number, isHidden: boolean}>, columnFixCount: number,
+     *     sortKeys: Array.<{columnName: string, isAscending: boolean}>, page: ?number,
+     *     scrollTop: number, scrollLeft: number}} - The state
+     * @example
+     * localStorage.setItem('gridState', JSON.stringify(grid.getState()));
+     */
+    getState: function() {
+        return this.gridState.getState();
+    },
+
+    /**
+     * Restores the state returned by {@link tui.Grid#getState}.
+     * The values which are not in the state are not changed, and the columns which are not in the state
+     * are placed after the other columns. If the Net addon is used, the rows of the page are requested.
+     * @param {Object} state - The state
+     * @example
+     * grid.setState(JSON.parse(localStorage.getItem('gridState')));
+     */
+    setState: function(state) {
+        this.gridState.setState(state);
+    },
+
     /**
      * Sets the HTML string of given column footer.
      * @param {string} columnName - column name
@@ -847,6 +1425,8 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
     /**
      * Validates all data and returns the result.
      * Return value is an array which contains only rows which have invalid cell data.
+     * Columns which have isRequired, dataType: 'number' or validation options are validated.
+     * The message property exists only if the custom validator returns it.
      * @returns {Array.<Object>} An array of error object
      * @example
      // return value example
@@ -860,7 +1440,7 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
                 },
                 {
                     columnName: 'c2',
-                    errorCode: 'REQUIRED'
+                    errorCode: 'MAX_LENGTH'
                 }
             ]
         },
@@ -869,7 +1449,8 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
             errors: [
                 {
                     columnName: 'c2',
-                    errorCode: 'REQUIRED'
+                    errorCode: 'CUSTOM_ERROR',
+                    message: 'Custom error message'
                 }
             ]
         }
@@ -879,10 +1460,70 @@ tui.Grid = View.extend(/**@lends tui.Grid.prototype */{
         return this.modelManager.dataModel.validate();
     },
 
+    /**
+     * Validates all data including the asynchronous validators(columnModelList.validation.asyncValidator).
+     * Returns a promise which is resolved with the same result as {@link tui.Grid#validate}
+     * once all pending asynchronous validations have finished.
+     * @returns {Object} jQuery promise
+     * @example
+     * grid.validateAsync().done(function(errorRows) {
+     *     if (!errorRows.length) {
+     *         // all data is valid
+     *     }
+     * });
+     */
+    validateAsync: function() {
+        return this.modelManager.dataModel.validateAsync();
+    },
+
+    /**
+     * Returns whether any asynchronous validation is pending.
+     * @returns {boolean}
+     */
+    isValidating: function() {
+        return this.modelManager.dataModel.isValidating();
+    },
+
+    /**
+     * Returns an array of the cells which are currently marked as invalid.
+     * Cells are marked whenever data is changed or calling {@link tui.Grid#validate}.
+     * @returns {Array.<{rowKey: (number|string), columnName: string, errorCode: string, message: string}>}
+     * @example
+     * // return value example
+     * [
+     *     {rowKey: 1, columnName: 'c1', errorCode: 'REQUIRED', message: '필수 입력 항목입니다.'},
+     *     {rowKey: 3, columnName: 'c2', errorCode: 'MAX', message: '100 이하의 값을 입력해 주세요.'}
+     * ]
+     */
+    getInvalidCells: function() {
+        return this.modelManager.dataModel.getInvalidCells();
+    },
+
+    /**
+     * Focus to the next invalid cell from the currently focused cell.
+     * If there is no invalid cell after the focused cell, focus to the first invalid cell.
+     * @returns {?Object} The invalid cell which is focused (null if no invalid cell exists)
+     * @example
+     * $('#btn-save').on('click', function() {
+     *     if (grid.validate().length) {
+     *         grid.focusNextInvalidCell();
+     *     } else {
+     *         grid.getAddOn('Net').request('modifyData');
+     *     }
+     * });
+     */
+    focusNextInvalidCell: function() {
+        return this.modelManager.focusModel.focusNextInvalidCell();
+    },
+
     /**
      * Destroys the instance.
      */
     destroy: function() {
+        if (this.addOn.LiveData) {
+            this.addOn.LiveData.disconnect();
+        }
+        this.gridState.destroy();
         this.modelManager.destroy();
         this.container.destroy();
         this.modelManager = this.container = null;
@@ -956,6 +1597,15 @@ tui.Grid.getInstanceById = function(id) {
  *     @param {Object} [extOptions.cell.invalid] - Styles for invalid cells.
  *       @param {String} [extOptions.cell.invalid.background] - background color of invalid cells.
  *       @param {String} [extOptions.cell.invalid.text] - text color of invalid cells.
+ *     @param {Object} [extOptions.cell.validating] - Styles for cells which are being validated asynchronously.
+ *       @param {String} [extOptions.cell.validating.background] - background color of validating cells.
+ *       @param {String} [extOptions.cell.validating.text] - text color of validating cells.
+ *     @param {Object} [extOptions.cell.flash] - Styles for cells which flash after changed by the applyTransaction().
+ *       @param {String} [extOptions.cell.flash.background] - background color of flashing cells.
+ *       @param {String} [extOptions.cell.flash.text] - text color of flashing cells.
+ *     @param {Object} [extOptions.cell.groupRow] - Styles for cells in the group rows.
+ *       @param {String} [extOptions.cell.groupRow.background] - background color of cells in the group rows.
+ *       @param {String} [extOptions.cell.groupRow.text] - text color of cells in the group rows.
  *     @param {Object} [extOptions.cell.currentRow] - Styles for cells in a current row.
  *       @param {String} [extOptions.cell.currentRow.background] - background color of cells in a current row.
  *       @param {String} [extOptions.cell.currentRow.text] - text color of cells in a current row.
@@ -980,3 +1630,41 @@ tui.Grid.applyTheme('striped', {
 tui.Grid.applyTheme = function(presetName, extOptions) {
     themeManager.apply(presetName, extOptions);
 };
+
+/**
+ * Sets the messages for the validation errors, which are shown in the tooltip of invalid cells
+ * and returned by {@link tui.Grid#getInvalidCells}. The messages are applied to all grid instances.
+ * The placeholders like '{min}' are replaced with the values of the validation options of each column.
+ * The messages in columnModelList.validation.messages have higher priority than these.
+ * @api
+ * @static
+ * @param {Object.<string, string>} [messageMap] - Messages mapped by the error codes
+ *     ('REQUIRED', 'TYPE_NUMBER', 'MIN', 'MAX', 'MIN_LENGTH', 'MAX_LENGTH', 'REGEXP', 'UNIQUE', 'VALIDATOR'
+ *     and the custom error codes). If not specified, the default messages are restored.
+ * @example
+tui.Grid.setValidationMessages({
+    REQUIRED: 'This field is required.',
+    MAX_LENGTH: 'Please enter no more than {maxLength} characters.'
+});
+ */
+tui.Grid.setValidationMessages = function(messageMap) {
+    validationMessage.setMessages(messageMap);
+};
+
+/**
+ * Transport of the Net add-on which serves an array of rows in memory, with the paging, the sorting and
+ * the modification like a server. It can be used for the prototypes or the unit tests without a server.
+ * @api
+ * @static
+ * @type {function}
+ * @see module:addon/net-localTransport
+ * @example
+grid.use('Net', {
+    transport: new tui.Grid.LocalTransport([
+        {id: 1, name: 'Apple'},
+        {id: 2, name: 'Banana'}
+    ], {keyColumnName: 'id', delay: 100}),
+    perPage: 10
+});
+ */
+tui.Grid.LocalTransport = LocalTransport;
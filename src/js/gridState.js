@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Grid state which can be saved and restored, like the columns, the sort keys and the scroll position
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+var Backbone = require('backbone');
+
+var DELAY_SAVE = 100;
+
+var GridState;
+
+/**
+ * Grid state, which consists of the order, the widths and the hidden flags of the columns, the columnFixCount,
+ * the sort keys, the page number and the scroll position.
+ * If the storageKey is given, the state is restored from the localStorage when created,
+ * and saved to the localStorage whenever it is changed.
+ * @module gridState
+ * @param {Object} options - Options
+ * @param {module:model/manager} options.modelManager - Model manager
+ * @param {module:componentHolder} options.componentHolder - Component holder
+ * @param {Object} options.addOn - AddOn instances of the grid mapped by the names
+ * @param {string} [options.storageKey] - Key of the localStorage item to save the state
+ * @ignore
+ */
+GridState = tui.util.defineClass(/**@lends module:gridState.prototype */{
+    init: function(options) {
+        var modelManager = options.modelManager;
+
+        this.columnModel = modelManager.columnModel;
+        this.coordColumnModel = modelManager.coordColumnModel;
+        this.dataModel = modelManager.dataModel;
+        this.renderModel = modelManager.renderModel;
+        this.componentHolder = options.componentHolder;
+        this.addOn = options.addOn;
+        this.storageKey = options.storageKey || null;
+
+        /**
+         * Scroll position to be restored after the rows are set
+         * @type {?{scrollTop: number, scrollLeft: number}}
+         */
+        this.pendingScroll = null;
+
+        /**
+         * Page number to be restored when the Net addon is used
+         * (The pagination can't move to the page until the Net addon reads the total count)
+         * @type {?number}
+         */
+        this.pendingPage = null;
+
+        /**
+         * Id of the timer to save the state
+         * @type {?number}
+         */
+        this.timeoutIdForSave = null;
+
+        if (this.storageKey) {
+            this.restore();
+            this._listenToChanges();
+        }
+    },
+
+    /**
+     * Listens to the models to save the state when it is changed.
+     * @private
+     */
+    _listenToChanges: function() {
+        this.listenTo(this.columnModel, 'columnModelChange', this._saveLazily)
+            .listenTo(this.coordColumnModel, 'columnWidthChanged', this._saveLazily)
+            .listenTo(this.dataModel, 'sortChanged', this._saveLazily)
+            .listenTo(this.dataModel, 'reset', this._onDataReset)
+            .listenTo(this.renderModel, 'change:scrollTop change:scrollLeft', this._saveLazily);
+    },
+
+    /**
+     * Event handler for the 'reset' event on the dataModel.
+     * Restores the pending scroll position, and saves the state for the page number.
+     * @private
+     */
+    _onDataReset: function() {
+        var pendingScroll = this.pendingScroll;
+
+        if (pendingScroll && this.dataModel.length) {
+            this.pendingScroll = null;
+            this.renderModel.set(pendingScroll);
+        }
+        this._saveLazily();
+    },
+
+    /**
+     * Saves the state after a while, so that the state is saved once for the successive changes.
+     * @private
+     */
+    _saveLazily: function() {
+        var self = this;
+
+        clearTimeout(this.timeoutIdForSave);
+        this.timeoutIdForSave = setTimeout(function() {
+            self.timeoutIdForSave = null;
+            self.save();
+        }, DELAY_SAVE);
+    },
+
+    /**
+     * Returns the current state.
+     * @returns {Object}
+     */
+    getState: function() {
+        var widthMap = this.coordColumnModel.getColumnWidthMap();
+        var scroll = this.pendingScroll || this.renderModel.pick('scrollTop', 'scrollLeft');
+
+        return {
+            columns: _.map(this.columnModel.get('dataColumnModelList'), function(columnModel) {
+                var columnName = columnModel.columnName;
+
+                return {
+                    columnName: columnName,
+                    width: _.has(widthMap, columnName) ? widthMap[columnName] : null,
+                    isHidden: !!columnModel.isHidden
+                };
+            }),
+            columnFixCount: this.columnModel.get('columnFixCount'),
+            sortKeys: _.map(this.dataModel.sortOptions.sortKeys, _.clone),
+            page: this._getPage(),
+            scrollTop: scroll.scrollTop,
+            scrollLeft: scroll.scrollLeft
+        };
+    },
+
+    /**
+     * Sets the state. The values which are not in the state are not changed.
+     * @param {Object} state - State returned by getState()
+     */
+    setState: function(state) {
+        state = state || {};
+
+        if (state.columns || _.isNumber(state.columnFixCount)) {
+            this._setColumnState(state.columns, state.columnFixCount);
+        }
+        if (state.sortKeys) {
+            this.dataModel.sortByKeys(state.sortKeys);
+        }
+        if (state.page) {
+            this._setPage(state.page);
+        }
+        this._setScroll(state);
+    },
+
+    /**
+     * Sets the order, the widths and the hidden flags of the columns, and the columnFixCount.
+     * @param {Array.<Object>} [columns] - Columns in order
+     * @param {number} [columnFixCount] - Count of the fixed columns
+     * @private
+     */
+    _setColumnState: function(columns, columnFixCount) {
+        var widthMap = {};
+
+        _.each(columns, function(column) {
+            if (column.width) {
+                widthMap[column.columnName] = column.width;
+            }
+        });
+
+        this.columnModel.setColumnState(columns, columnFixCount);
+        this.coordColumnModel.setColumnWidthMap(widthMap);
+    },
+
+    /**
+     * Returns the current page number.
+     * @returns {?number} Null if the pagination is not used
+     * @private
+     */
+    _getPage: function() {
+        var pagination = this.componentHolder.getInstance('pagination');
+
+        if (!pagination) {
+            return null;
+        }
+
+        return this.pendingPage || pagination.getCurrentPage();
+    },
+
+    /**
+     * Moves to the page. If the Net addon is used, the rows of the page are requested to the server.
+     * If the pagination can't move to the page yet, the page is kept until the Net addon is used.
+     * @param {number} page - Page number
+     * @private
+     */
+    _setPage: function(page) {
+        var pagination = this.componentHolder.getInstance('pagination');
+
+        if (this.addOn.Net) {
+            this.addOn.Net.readData(page);
+        } else if (pagination) {
+            pagination.movePageTo(page);
+            if (pagination.getCurrentPage() !== page) {
+                this.pendingPage = page;
+            }
+        }
+    },
+
+    /**
+     * Returns the page number to be restored, and clears it. (Called when the Net addon is used)
+     * @returns {?number}
+     */
+    popPendingPage: function() {
+        var page = this.pendingPage;
+
+        this.pendingPage = null;
+
+        return page;
+    },
+
+    /**
+     * Sets the scroll position. If there is no row yet, the position is restored after the rows are set.
+     * @param {{scrollTop: number, scrollLeft: number}} state - State
+     * @private
+     */
+    _setScroll: function(state) {
+        var scroll = _.pick(state, 'scrollTop', 'scrollLeft');
+
+        if (_.isEmpty(scroll)) {
+            return;
+        }
+        if (this.dataModel.length) {
+            this.renderModel.set(scroll);
+        } else {
+            this.pendingScroll = _.extend(this.renderModel.pick('scrollTop', 'scrollLeft'), scroll);
+        }
+    },
+
+    /**
+     * Saves the current state to the localStorage.
+     */
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getState()));
+        } catch (e) {
+            // the localStorage is not available or full
+        }
+    },
+
+    /**
+     * Restores the state saved in the localStorage.
+     */
+    restore: function() {
+        var state;
+
+        try {
+            state = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            state = null;
+        }
+        if (state) {
+            this.setState(state);
+        }
+    },
+
+    /**
+     * Destroys this object. The state to be saved is saved immediately.
+     */
+    destroy: function() {
+        if (this.timeoutIdForSave) {
+            clearTimeout(this.timeoutIdForSave);
+            this.save();
+        }
+        this.stopListening();
+    }
+});
+
+_.extend(GridState.prototype, Backbone.Events);
+
+module.exports = GridState;
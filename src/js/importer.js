@@ -0,0 +1,373 @@
+/**
+ * @fileoverview Importer which loads the data of CSV, TSV, JSON or XLSX files into the grid
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var util = require('./common/util');
+var csvParser = require('./common/csvParser');
+var xlsxReader = require('./common/xlsxReader');
+
+var LIST_EDIT_TYPES = ['select', 'checkbox', 'radio'];
+var FORMATS = ['csv', 'tsv', 'json', 'xlsx'];
+var BOM = '\uFEFF';
+
+var Importer;
+
+var extensionMap = {
+    csv: 'csv',
+    txt: 'tsv',
+    tsv: 'tsv',
+    json: 'json',
+    xlsx: 'xlsx',
+    xls: 'xlsx',
+    xml: 'xlsx'
+};
+
+/**
+ * Infers the format from the content of the text.
+ * @param {String} text - Content
+ * @returns {String}
+ * @ignore
+ */
+function inferFormat(text) {
+    var firstChar = $.trim(text).charAt(0);
+    var firstLine = text.split(/\r?\n/)[0];
+
+    if (firstChar === '[' || firstChar === '{') {
+        return 'json';
+    }
+    if (firstChar === '<') {
+        return 'xlsx';
+    }
+
+    return firstLine.indexOf('\t') >= 0 ? 'tsv' : 'csv';
+}
+
+/**
+ * Parses the text of the format into the records.
+ * @param {String} text - Content
+ * @param {String} format - Format
+ * @returns {(Array|Object)}
+ * @ignore
+ */
+function parseText(text, format) {
+    if (format === 'json') {
+        return $.parseJSON(text);
+    }
+    if (format === 'xlsx') {
+        return xlsxReader.parseSpreadsheetML(text);
+    }
+
+    return csvParser.parse(text, format === 'tsv' ? '\t' : ',');
+}
+
+/**
+ * Converts the texts of the list items to their values.
+ * Multiple items of the checkbox are separated by commas.
+ * @param {*} value - Value
+ * @param {Array.<{text: String, value: *}>} list - List items
+ * @returns {*}
+ * @ignore
+ */
+function convertListText(value, list) {
+    var values = _.map(util.toString(value).split(','), function(text) {
+        var item = _.find(list, function(listItem) {
+            return listItem.text === text || String(listItem.value) === text;
+        });
+
+        return item ? item.value : text;
+    });
+
+    return values.length > 1 ? values.join(',') : values[0];
+}
+
+/**
+ * Converts the numeric string to a number. Other values are returned as they are.
+ * @param {*} value - Value
+ * @returns {*}
+ * @ignore
+ */
+function convertNumericString(value) {
+    if (_.isString(value) && $.trim(value) !== '' && isFinite(value)) {
+        return Number(value);
+    }
+    return value;
+}
+
+/**
+ * Reads the file as an ArrayBuffer.
+ * @param {Blob} file - File
+ * @returns {Object} jQuery promise
+ * @ignore
+ */
+function readFile(file) {
+    var deferred = new $.Deferred();
+    var reader = new FileReader();
+
+    reader.onload = function() {
+        deferred.resolve(reader.result);
+    };
+    reader.onerror = function() {
+        deferred.reject(reader.error || new Error('Failed to read the file'));
+    };
+    reader.readAsArrayBuffer(file);
+
+    return deferred.promise();
+}
+
+/**
+ * Importer which loads the data of CSV, TSV, JSON or XLSX files into the grid
+ * @module importer
+ * @param {Object} options - Options
+ * @param {module:model/data/rowList} options.dataModel - Data model
+ * @param {module:model/data/columnModel} options.columnModel - Column model
+ * @ignore
+ */
+Importer = tui.util.defineClass(/**@lends module:importer.prototype */{
+    init: function(options) {
+        this.dataModel = options.dataModel;
+        this.columnModel = options.columnModel;
+    },
+
+    /**
+     * Parses the source and appends the valid rows to the grid.
+     * @param {(File|Blob|ArrayBuffer|String)} source - File or the content of the file
+     * @param {Object} [options] - Options
+     * @param {String} [options.format] - 'csv', 'tsv', 'json' or 'xlsx'.
+     *     If not specified, it is inferred from the file name or the content.
+     * @param {Object.<string, ?string>} [options.columnMapping] - Column names mapped by the source headers.
+     *     If not specified, the headers are compared with the column names and the titles of the columns.
+     * @param {Boolean} [options.hasHeader=true] - Whether the first row of CSV, TSV or XLSX is the header.
+     *     If set to false, the values are mapped to the visible columns in order.
+     * @param {String} [options.mode='append'] - 'append' or 'replace'
+     * @param {function} [options.converter] - Function to convert each value before the validation.
+     *     It receives the value, the column name and the row data, and returns the converted value.
+     * @returns {Object} jQuery promise which is resolved with the report of the import,
+     *     or rejected with an Error if the source cannot be parsed.
+     */
+    importData: function(source, options) {
+        var deferred = new $.Deferred();
+        var self = this;
+
+        options = _.extend({
+            hasHeader: true,
+            mode: 'append'
+        }, options);
+
+        this._read(source, options.format || this._getFormatFromName(source)).then(function(records) {
+            try {
+                deferred.resolve(self.dataModel.importRowList(
+                    self._toRowDataList(records, options),
+                    options.mode === 'replace'
+                ));
+            } catch (error) {
+                deferred.reject(error);
+            }
+        }, deferred.reject);
+
+        return deferred.promise();
+    },
+
+    /**
+     * Returns the format inferred from the extension of the file name.
+     * @param {*} source - Source
+     * @returns {?String}
+     * @private
+     */
+    _getFormatFromName: function(source) {
+        var matches = _.isString(source && source.name) && source.name.match(/\.(\w+)$/);
+
+        return matches ? (extensionMap[matches[1].toLowerCase()] || null) : null;
+    },
+
+    /**
+     * Reads the records from the source.
+     * @param {(File|Blob|ArrayBuffer|String)} source - Source
+     * @param {?String} format - Format
+     * @returns {Object} jQuery promise which is resolved with the array of the records
+     * @private
+     */
+    _read: function(source, format) {
+        var deferred = new $.Deferred();
+        var self = this;
+
+        if (format && !_.contains(FORMATS, format)) {
+            return deferred.reject(new Error('Invalid import format. The format should be one of ' +
+                FORMATS.join(', '))).promise();
+        }
+
+        if (_.isString(source)) {
+            return this._parseText(source, format);
+        }
+        if (Object.prototype.toString.call(source) === '[object ArrayBuffer]') {
+            return this._parseBuffer(source, format);
+        }
+        if (window.Blob && source instanceof window.Blob) {
+            readFile(source).then(function(buffer) {
+                self._parseBuffer(buffer, format).then(deferred.resolve, deferred.reject);
+            }, deferred.reject);
+
+            return deferred.promise();
+        }
+
+        return deferred.reject(new Error('The source should be a File, an ArrayBuffer or a String')).promise();
+    },
+
+    /**
+     * Parses the content of the binary file.
+     * @param {ArrayBuffer} buffer - Content
+     * @param {?String} format - Format
+     * @returns {Object} jQuery promise which is resolved with the array of the records
+     * @private
+     */
+    _parseBuffer: function(buffer, format) {
+        if (xlsxReader.isZip(buffer)) {
+            return xlsxReader.readXLSX(buffer);
+        }
+
+        return this._parseText(util.decodeUTF8(new window.Uint8Array(buffer)), format);
+    },
+
+    /**
+     * Parses the text.
+     * @param {String} text - Content
+     * @param {?String} format - Format
+     * @returns {Object} jQuery promise which is resolved with the array of the records
+     * @private
+     */
+    _parseText: function(text, format) {
+        var deferred = new $.Deferred();
+        var records;
+
+        if (text.charAt(0) === BOM) {
+            text = text.slice(1);
+        }
+
+        try {
+            records = parseText(text, format || inferFormat(text));
+        } catch (error) {
+            return deferred.reject(error).promise();
+        }
+
+        return deferred.resolve(_.isArray(records) ? records : [records]).promise();
+    },
+
+    /**
+     * Converts the records to the row data of the grid.
+     * Records can be arrays of values or objects whose keys are the headers.
+     * @param {Array.<(Array|Object)>} records - Records
+     * @param {Object} options - Options
+     * @returns {Array.<Object>}
+     * @private
+     */
+    _toRowDataList: function(records, options) {
+        var columnNames;
+
+        records = _.reject(records, function(record) {
+            return _.isArray(record) && !_.some(record, function(value) {
+                return !util.isBlank(value);
+            });
+        });
+
+        if (records.length && !_.isArray(records[0])) {
+            return _.map(records, function(record) {
+                return this._createRowData(_.keys(record), _.values(record), options);
+            }, this);
+        }
+
+        if (options.hasHeader) {
+            columnNames = records.shift();
+        } else {
+            columnNames = _.pluck(this.columnModel.getVisibleColumnModelList(), 'columnName');
+        }
+
+        return _.map(records, function(values) {
+            return this._createRowData(columnNames, values, options);
+        }, this);
+    },
+
+    /**
+     * Creates the row data from the headers and the values.
+     * Values of the unknown headers are ignored.
+     * @param {Array.<String>} headers - Headers
+     * @param {Array} values - Values
+     * @param {Object} options - Options
+     * @returns {Object}
+     * @private
+     */
+    _createRowData: function(headers, values, options) {
+        var rowData = {};
+
+        _.each(headers, function(header, index) {
+            var columnName = this._getColumnName(header, options.columnMapping);
+
+            if (columnName) {
+                rowData[columnName] = _.isUndefined(values[index]) ? '' : values[index];
+            }
+        }, this);
+
+        _.each(rowData, function(value, columnName) {
+            rowData[columnName] = this._convertValue(value, columnName, rowData, options.converter);
+        }, this);
+
+        return rowData;
+    },
+
+    /**
+     * Returns the name of the column which matches the header of the source.
+     * Returns null if the header is mapped to a column which doesn't exist.
+     * @param {String} header - Header
+     * @param {Object} [columnMapping] - Column names mapped by the headers
+     * @returns {?String}
+     * @private
+     */
+    _getColumnName: function(header, columnMapping) {
+        var columnModel, columnName;
+
+        header = $.trim(util.toString(header));
+        if (columnMapping) {
+            columnName = _.has(columnMapping, header) ? columnMapping[header] : null;
+
+            return this.columnModel.getColumnModel(columnName) ? columnName : null;
+        }
+
+        columnModel = _.find(this.columnModel.get('dataColumnModelList'), function(column) {
+            return !util.isMetaColumn(column.columnName) &&
+                (column.columnName === header || $.trim(util.toString(column.title)) === header);
+        });
+
+        return columnModel ? columnModel.columnName : null;
+    },
+
+    /**
+     * Converts the value of the source to the value of the column.
+     * The texts of the list items are converted to their values, and the numeric strings of the number columns
+     * are converted to numbers. And then the converter of the options is applied.
+     * @param {*} value - Value
+     * @param {String} columnName - Column name
+     * @param {Object} rowData - Row data which is being created
+     * @param {function} [converter] - Converter of the options
+     * @returns {*}
+     * @private
+     */
+    _convertValue: function(value, columnName, rowData, converter) {
+        var column = this.columnModel.getColumnModel(columnName);
+        var list = tui.util.pick(column, 'editOption', 'list');
+
+        if (list && _.contains(LIST_EDIT_TYPES, this.columnModel.getEditType(columnName))) {
+            value = convertListText(value, list);
+        } else if (column.dataType === 'number') {
+            value = convertNumericString(value);
+        }
+        if (_.isFunction(converter)) {
+            value = converter(value, columnName, rowData);
+        }
+
+        return value;
+    }
+});
+
+module.exports = Importer;
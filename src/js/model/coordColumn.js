@@ -44,7 +44,16 @@ var CoordColumn = Model.extend(/**@lends module:model/coordColumn.prototype */{
          */
         this._isModified = false;
 
+        /**
+         * Widths of the columns mapped by the column names, which are kept while the columns are moved.
+         * @private
+         * @type {?{current: Object.<string, number>, original: Object.<string, number>}}
+         */
+        this._widthMapsBeforeMove = null;
+
         this.listenTo(this.columnModel, 'columnModelChange', this.resetColumnWidths);
+        this.listenTo(this.columnModel, 'beforeColumnMove', this._onBeforeColumnMove);
+        this.listenTo(this.columnModel, 'columnMoved', this._onColumnMoved);
         this.listenTo(this.dimensionModel, 'change:width', this._onDimensionWidthChange);
         this.resetColumnWidths();
     },
@@ -87,6 +96,83 @@ var CoordColumn = Model.extend(/**@lends module:model/coordColumn.prototype */{
         this._setColumnWidthVariables(this._calculateColumnWidth(widthList), true);
     },
 
+    /**
+     * Returns the widths of the visible columns mapped by the column names.
+     * @param {Array.<number>} widthList - Widths of the visible columns
+     * @returns {Object.<string, number>}
+     * @private
+     */
+    _getColumnWidthMap: function(widthList) {
+        var columnNames = _.pluck(this.columnModel.getVisibleColumnModelList(null, true), 'columnName');
+
+        return _.object(columnNames, widthList);
+    },
+
+    /**
+     * Returns the widths of the visible columns mapped by the column names.
+     * @returns {Object.<string, number>}
+     */
+    getColumnWidthMap: function() {
+        return this._getColumnWidthMap(this.get('columnWidthList'));
+    },
+
+    /**
+     * Sets the widths of the visible columns mapped by the column names, as if they are resized by user.
+     * The widths of the columns which are not in the map or have the fixed width are not changed.
+     * @param {Object.<string, number>} widthMap - Widths of the columns mapped by the column names
+     */
+    setColumnWidthMap: function(widthMap) {
+        var columnNames = _.pluck(this.columnModel.getVisibleColumnModelList(null, true), 'columnName');
+        var fixedFlags = this._columnWidthFixedFlags;
+        var minWidthList = this._minColumnWidthList;
+        var columnWidthList = _.map(this.get('columnWidthList'), function(width, index) {
+            var newWidth = widthMap[columnNames[index]];
+
+            if (fixedFlags[index] || !(newWidth > 0)) {
+                return width;
+            }
+
+            return Math.max(newWidth, minWidthList[index]);
+        });
+
+        this._setColumnWidthVariables(columnWidthList);
+        this._isModified = true;
+    },
+
+    /**
+     * Event handler for the 'beforeColumnMove' event on the columnModel.
+     * Keeps the widths of the columns, which are reset when the columns are changed.
+     * @private
+     */
+    _onBeforeColumnMove: function() {
+        this._widthMapsBeforeMove = {
+            current: this._getColumnWidthMap(this.get('columnWidthList')),
+            original: this._getColumnWidthMap(this.get('originalWidthList'))
+        };
+    },
+
+    /**
+     * Event handler for the 'columnMoved' event on the columnModel.
+     * Restores the widths of the columns in the new order.
+     * @private
+     */
+    _onColumnMoved: function() {
+        var widthMaps = this._widthMapsBeforeMove;
+        var columnNames = _.pluck(this.columnModel.getVisibleColumnModelList(null, true), 'columnName');
+
+        if (!widthMaps) {
+            return;
+        }
+        this._widthMapsBeforeMove = null;
+
+        this.set('originalWidthList', _.map(columnNames, function(columnName) {
+            return widthMaps.original[columnName];
+        }));
+        this._setColumnWidthVariables(_.map(columnNames, function(columnName) {
+            return widthMaps.current[columnName];
+        }));
+    },
+
     /**
      * columnWidthList 로 부터, lside 와 rside 의 전체 너비를 계산하여 저장한다.
      * @param {array} columnWidthList - 컬럼 넓이값 배열
@@ -47,6 +47,40 @@ var CoordConverter = Model.extend(/**@lends module:model/coordConverter.prototyp
         };
     },
 
+    /**
+     * Returns the boundary of the rows nearest to the mouse position, where the dragged rows are dropped.
+     * @param {Number} pageX - Mouse X-position based on page
+     * @param {Number} pageY - Mouse Y-position based on page
+     * @returns {{index: number, top: number}} The index of the visible row below the boundary
+     *     (the number of the visible rows if the boundary is below the last row),
+     *     and the top position of the boundary relative to the body-area
+     */
+    getRowBoundaryFromMousePosition: function(pageX, pageY) {
+        var coordRowModel = this.coordRowModel;
+        var rowCount = this.dataModel.getVisibleRowCount();
+        var position = this.dimensionModel.getPositionFromBodyArea(pageX, pageY);
+        var posWithScroll = this._getScrolledPosition(position);
+        var index = Math.max(coordRowModel.indexOf(posWithScroll.y), 0);
+        var top;
+
+        if (index < rowCount &&
+            posWithScroll.y > coordRowModel.getOffsetAt(index) + (coordRowModel.getHeightAt(index) / 2)) {
+            index += 1;
+        }
+        index = Math.min(index, rowCount);
+
+        if (index < rowCount) {
+            top = coordRowModel.getOffsetAt(index);
+        } else {
+            top = rowCount ? coordRowModel.getOffsetAt(index - 1) + coordRowModel.getHeightAt(index - 1) : 0;
+        }
+
+        return {
+            index: index,
+            top: top - this.renderModel.get('scrollTop')
+        };
+    },
+
     /**
      * Returns the scrolled position in addition to given position
      * @param {{x: number, y: number}} position - position
@@ -94,7 +128,7 @@ var CoordConverter = Model.extend(/**@lends module:model/coordConverter.prototyp
         var firstIdx, lastIdx, top, bottom;
         var coordRowModel = this.coordRowModel;
 
-        firstIdx = this.dataModel.indexOfRowKey(rowKey);
+        firstIdx = this.dataModel.indexOfVisibleRowKey(rowKey);
         lastIdx = firstIdx + rowSpanCount - 1;
         top = coordRowModel.getOffsetAt(firstIdx);
         bottom = coordRowModel.getOffsetAt(lastIdx) +
@@ -36,7 +36,8 @@ var CoordRow = Model.extend(/**@lends module:model/coordRow.prototype */{
         // If the isFixedRowHeight is false, as the height of each row should be synced with DOM,
         // syncWithDom() method is called instead at the end of rendering process.
         if (this.dimensionModel.get('isFixedRowHeight')) {
-            this.listenTo(this.dataModel, 'add remove reset sort', this.syncWithDataModel);
+            this.listenTo(this.dataModel, 'add remove reset sort filterChanged groupChanged expanded collapsed',
+                this.syncWithDataModel);
         }
     },
 
@@ -70,7 +71,12 @@ var CoordRow = Model.extend(/**@lends module:model/coordRow.prototype */{
         var defHeight = this.dimensionModel.get('rowHeight');
         var rowHeights = [];
 
-        this.dataModel.each(function(row, index) {
+        // The rows of the server-side row model are not loaded all, so the default height is used.
+        if (this.dataModel.isServerSide()) {
+            return _.times(this.dataModel.getVisibleRowCount(), _.constant(defHeight));
+        }
+
+        _.each(this.dataModel.getVisibleRows(), function(row, index) {
             rowHeights[index] = (row.getHeight() || defHeight);
         });
 
@@ -134,7 +140,7 @@ var CoordRow = Model.extend(/**@lends module:model/coordRow.prototype */{
      * @returns {number}
      */
     getHeight: function(rowKey) {
-        var index = this.dataModel.indexOfRowKey(rowKey);
+        var index = this.dataModel.indexOfVisibleRowKey(rowKey);
         return this.getHeightAt(index);
     },
 
@@ -144,7 +150,7 @@ var CoordRow = Model.extend(/**@lends module:model/coordRow.prototype */{
      * @returns {number}
      */
     getOffset: function(rowKey) {
-        var index = this.dataModel.indexOfRowKey(rowKey);
+        var index = this.dataModel.indexOfVisibleRowKey(rowKey);
         return this.getOffsetAt(index);
     },
 
@@ -155,14 +161,22 @@ var CoordRow = Model.extend(/**@lends module:model/coordRow.prototype */{
      */
     indexOf: function(position) {
         var rowOffsets = this.rowOffsets;
-        var idx = 0;
+        var low = 0;
+        var high = rowOffsets.length;
+        var mid;
 
+        // binary search for the first offset greater than the position
         position += CELL_BORDER_WIDTH;
-        while (rowOffsets[idx] <= position) {
-            idx += 1;
+        while (low < high) {
+            mid = Math.floor((low + high) / 2);
+            if (rowOffsets[mid] <= position) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
         }
 
-        return idx - 1;
+        return low - 1;
     }
 });
 
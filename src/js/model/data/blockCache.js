@@ -0,0 +1,169 @@
+/**
+ * @fileoverview LRU cache which holds the blocks of rows of the server-side row model
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var DEFAULT_MAX_BLOCK_COUNT = 10;
+
+/**
+ * LRU cache which holds the blocks of rows.
+ * If the number of blocks exceeds the maxBlockCount, the least recently used blocks are evicted.
+ * The blocks which are not evictable (ex: blocks which have unsaved changes) are skipped.
+ * @module model/data/blockCache
+ * @param {number} [maxBlockCount=10] - The maximum number of blocks to keep
+ * @param {function} [isEvictable] - Function which returns whether the block can be evicted
+ * @ignore
+ */
+var BlockCache = tui.util.defineClass(/**@lends module:model/data/blockCache.prototype */{
+    init: function(maxBlockCount, isEvictable) {
+        /**
+         * The maximum number of blocks to keep
+         * @type {number}
+         */
+        this.maxBlockCount = Math.max(maxBlockCount || DEFAULT_MAX_BLOCK_COUNT, 1);
+
+        /**
+         * Function which returns whether the block can be evicted
+         * @type {function}
+         */
+        this.isEvictable = isEvictable || _.constant(true);
+
+        /**
+         * The number of blocks to keep at least, even if it exceeds the maxBlockCount
+         * @type {number}
+         */
+        this.reservedCount = 0;
+
+        /**
+         * Blocks mapped by the block indexes
+         * @type {Object.<number, Object>}
+         */
+        this.blockMap = {};
+
+        /**
+         * Block indexes ordered from the least recently used one
+         * @type {Array.<number>}
+         */
+        this.usedOrder = [];
+    },
+
+    /**
+     * Returns whether the block of the index exists.
+     * This method doesn't change the order of the use.
+     * @param {number} blockIndex - block index
+     * @returns {boolean}
+     */
+    has: function(blockIndex) {
+        return _.has(this.blockMap, blockIndex);
+    },
+
+    /**
+     * Returns the block of the index and marks it as the most recently used one.
+     * @param {number} blockIndex - block index
+     * @returns {?Object}
+     */
+    get: function(blockIndex) {
+        if (!this.has(blockIndex)) {
+            return null;
+        }
+        this._touch(blockIndex);
+
+        return this.blockMap[blockIndex];
+    },
+
+    /**
+     * Returns the block of the index without changing the order of the use.
+     * @param {number} blockIndex - block index
+     * @returns {?Object}
+     */
+    peek: function(blockIndex) {
+        return this.has(blockIndex) ? this.blockMap[blockIndex] : null;
+    },
+
+    /**
+     * Sets the block of the index as the most recently used one.
+     * The least recently used blocks are evicted if the number of blocks exceeds the maxBlockCount,
+     * except the blocks which are not evictable.
+     * @param {number} blockIndex - block index
+     * @param {Object} block - block
+     * @returns {Array.<Object>} - Evicted blocks
+     */
+    set: function(blockIndex, block) {
+        var maxCount = Math.max(this.maxBlockCount, this.reservedCount);
+        var evictedBlocks = [];
+        var orderIndex = 0;
+        var lruBlockIndex;
+
+        this.blockMap[blockIndex] = block;
+        this._touch(blockIndex);
+
+        while (this.usedOrder.length > maxCount && orderIndex < this.usedOrder.length - 1) {
+            lruBlockIndex = this.usedOrder[orderIndex];
+            if (this.isEvictable(this.blockMap[lruBlockIndex])) {
+                evictedBlocks.push(this.remove(lruBlockIndex));
+            } else {
+                orderIndex += 1;
+            }
+        }
+
+        return evictedBlocks;
+    },
+
+    /**
+     * Sets the number of blocks to keep at least, even if it exceeds the maxBlockCount.
+     * (ex: All blocks in the rendering range should be kept)
+     * @param {number} count - The number of blocks
+     */
+    reserve: function(count) {
+        this.reservedCount = count;
+    },
+
+    /**
+     * Removes the block of the index
+     * @param {number} blockIndex - block index
+     * @returns {?Object} - Removed block
+     */
+    remove: function(blockIndex) {
+        var block = this.peek(blockIndex);
+
+        delete this.blockMap[blockIndex];
+        this.usedOrder = _.without(this.usedOrder, blockIndex);
+
+        return block;
+    },
+
+    /**
+     * Removes all blocks
+     */
+    clear: function() {
+        this.blockMap = {};
+        this.usedOrder = [];
+    },
+
+    /**
+     * Returns all blocks ordered by the block indexes
+     * @returns {Array.<Object>}
+     */
+    getBlocks: function() {
+        var blockMap = this.blockMap;
+
+        return _.map(_.sortBy(this.usedOrder), function(blockIndex) {
+            return blockMap[blockIndex];
+        });
+    },
+
+    /**
+     * Marks the block of the index as the most recently used one.
+     * @param {number} blockIndex - block index
+     * @private
+     */
+    _touch: function(blockIndex) {
+        this.usedOrder = _.without(this.usedOrder, blockIndex);
+        this.usedOrder.push(blockIndex);
+    }
+});
+
+module.exports = BlockCache;
@@ -8,15 +8,45 @@ var _ = require('underscore');
 
 var Model = require('../../base/model');
 var util = require('../../common/util');
+var classNameConst = require('../../common/classNameConst');
 var frameConst = require('../../common/constMap').frame;
 
+var ColumnModel;
+
+/**
+ * Formatter of the sync status column, which shows the icon of the sync state of the row.
+ * The message of the state (ex: error message) is shown as the title of the icon.
+ * @param {string} value - Sync state of the row ('PENDING' | 'SAVED' | 'ERROR')
+ * @param {Object} rowAttrs - All attributes of the row
+ * @returns {string} HTML string
+ * @ignore
+ */
+function formatSyncStatus(value, rowAttrs) {
+    var message = tui.util.pick(rowAttrs, '_extraData', 'syncMessage') || value;
+
+    if (!value) {
+        return '';
+    }
+
+    return '<span class="' + classNameConst.ICO_SYNC + '" title="' + tui.util.encodeHTMLEntity(message) + '"></span>';
+}
+
+/**
+ * Formatter of the draggable column, which shows the handle to drag the row.
+ * @returns {string} HTML string
+ * @ignore
+ */
+function formatDragHandle() {
+    return '<span class="' + classNameConst.BTN_ROW_DRAG + '" draggable="true"></span>';
+}
+
 /**
  * 컬럼 모델 데이터를 다루는 객체
  * @module model/data/columnModel
  * @extends module:base/model
  * @ignore
  */
-var ColumnModel = Model.extend(/**@lends module:model/data/columnModel.prototype */{
+ColumnModel = Model.extend(/**@lends module:model/data/columnModel.prototype */{
     initialize: function() {
         Model.prototype.initialize.apply(this, arguments);
         this.textType = {
@@ -35,6 +65,8 @@ var ColumnModel = Model.extend(/**@lends module:model/data/columnModel.prototype
         dataColumnModelList: [],
         visibleList: [], // 이 리스트는 메타컬럼/데이터컬럼 구분하지 않고 저장
         hasNumberColumn: true,
+        hasSyncStatusColumn: false,
+        hasDraggableColumn: false,
         selectType: '',
         columnModelMap: {},
         relationListMap: {},
@@ -50,8 +82,10 @@ var ColumnModel = Model.extend(/**@lends module:model/data/columnModel.prototype
     _initializeMetaColumns: function(source) {
         var dest = [];
 
+        this._initializeDraggableColumn(dest);
         this._initializeButtonColumn(dest);
         this._initializeNumberColumn(dest);
+        this._initializeSyncStatusColumn(dest);
         this._overwriteColumnModelList(dest, source);
         return dest;
     },
@@ -90,6 +124,48 @@ var ColumnModel = Model.extend(/**@lends module:model/data/columnModel.prototype
         this._extendColumnList(numberColumn, metaColumnModelList);
     },
 
+    /**
+     * 인자로 넘어온 metaColumnModelList 에 설정값에 맞게 sync status column 을 추가한다.
+     * The column shows the icon of the sync state of each row. (ex: Saved or rejected by the server)
+     * @param {Array} metaColumnModelList - Meta column model list
+     * @private
+     */
+    _initializeSyncStatusColumn: function(metaColumnModelList) {
+        var syncStatusColumn = {
+            columnName: '_syncStatus',
+            align: 'center',
+            title: '',
+            className: classNameConst.CELL_SYNC_STATUS,
+            formatter: formatSyncStatus,
+            isFixedWidth: true,
+            isHidden: !this.get('hasSyncStatusColumn'),
+            width: 30
+        };
+
+        this._extendColumnList(syncStatusColumn, metaColumnModelList);
+    },
+
+    /**
+     * 인자로 넘어온 metaColumnModelList 에 설정값에 맞게 draggable column 을 추가한다.
+     * The column shows the handle to drag the rows to reorder them.
+     * @param {Array} metaColumnModelList - Meta column model list
+     * @private
+     */
+    _initializeDraggableColumn: function(metaColumnModelList) {
+        var draggableColumn = {
+            columnName: '_draggable',
+            align: 'center',
+            title: '',
+            className: classNameConst.CELL_DRAGGABLE,
+            formatter: formatDragHandle,
+            isFixedWidth: true,
+            isHidden: !this.get('hasDraggableColumn'),
+            width: 30
+        };
+
+        this._extendColumnList(draggableColumn, metaColumnModelList);
+    },
+
     /**
      * 인자로 넘어온 metaColumnModelList 에 설정값에 맞게 button column 을 추가한다.
      * @param {Array} metaColumnModelList - Meta column model listt
@@ -439,6 +515,232 @@ var ColumnModel = Model.extend(/**@lends module:model/data/columnModel.prototype
         return _.uniq(searchedNames);
     },
 
+    /**
+     * Returns the hierarchy of the column from the outermost merged column to the column itself.
+     * @param {Object} columnModel - Column model (or merged column info)
+     * @param {Array} [resultList] - Result list for the recursive call
+     * @returns {Array.<Object>} - The list of the merged column infos and the column model
+     */
+    getColumnHierarchy: function(columnModel, resultList) {
+        var columnMergeList = this.get('columnMerge');
+
+        resultList = resultList || [];
+        /* istanbul ignore else */
+        if (columnModel) {
+            resultList.unshift(columnModel);
+            _.each(columnMergeList, function(columnMerge) {
+                if (_.contains(columnMerge.columnNameList, columnModel.columnName)) {
+                    this.getColumnHierarchy(columnMerge, resultList);
+                }
+            }, this);
+        }
+        return resultList;
+    },
+
+    /**
+     * Moves the column to the index among the data columns.
+     * The columns of a merged column (columnMerge) are moved together, and a column is moved only within
+     * its parent merged column, not to be placed in the middle of the other merged columns.
+     * So the column is placed at the allowed position which is the nearest to the targetIndex.
+     * If the column is moved across the boundary of the fixed columns, the columnFixCount is adjusted
+     * so that the other columns stay on their side.
+     * @param {string} columnName - Name of the column or the merged column
+     * @param {number} targetIndex - Index of the (first) column after moving
+     * @param {boolean} [isFixed] - Whether to place the column in the fixed area if it's placed on the boundary.
+     *     If not specified, the column stays on its side.
+     * @returns {boolean} True if the column is moved
+     */
+    moveColumn: function(columnName, targetIndex, isFixed) {
+        var columnNames = _.pluck(this.get('dataColumnModelList'), 'columnName');
+        var blocks = this._getSiblingColumnBlocks(columnName, columnNames);
+        var movingNames = this.getUnitColumnNamesIfMerged(columnName);
+        var movingBlock = _.find(blocks, function(block) {
+            return _.contains(block, movingNames[0]);
+        });
+        var offset, newColumnNames, newColumnFixCount;
+
+        if (!movingBlock) {
+            return false;
+        }
+        offset = _.indexOf(columnNames, blocks[0][0]);
+        blocks = _.without(blocks, movingBlock);
+        blocks.splice(this._getNearestBlockPosition(blocks, offset, targetIndex), 0, movingBlock);
+
+        newColumnNames = columnNames.slice(0, offset).concat(
+            _.flatten(blocks),
+            columnNames.slice(offset + _.flatten(blocks).length)
+        );
+        newColumnFixCount = this._getColumnFixCountAfterMove(columnNames, newColumnNames, movingBlock, isFixed);
+
+        if (_.isEqual(columnNames, newColumnNames) && newColumnFixCount === this.get('columnFixCount')) {
+            return false;
+        }
+        this._setMovedColumnModelList(newColumnNames, newColumnFixCount, columnName);
+
+        return true;
+    },
+
+    /**
+     * Returns the names of the unit columns of the column and its siblings (the columns in the same
+     * parent merged column, or the top-level columns), grouped by each sibling in order.
+     * @param {string} columnName - Name of the column or the merged column
+     * @param {Array.<string>} columnNames - Names of the data columns in order
+     * @returns {Array.<Array.<string>>}
+     * @private
+     */
+    _getSiblingColumnBlocks: function(columnName, columnNames) {
+        var columnMerge = this.get('columnMerge');
+        var parent = _.find(columnMerge, function(mergeInfo) {
+            return _.contains(mergeInfo.columnNameList, columnName);
+        });
+        var siblingNames, blocks;
+
+        if (parent) {
+            siblingNames = parent.columnNameList;
+        } else {
+            siblingNames = _.difference(
+                _.pluck(columnMerge, 'columnName').concat(columnNames),
+                _.flatten(_.pluck(columnMerge, 'columnNameList'))
+            );
+        }
+
+        blocks = _.map(siblingNames, function(name) {
+            return _.sortBy(_.intersection(this.getUnitColumnNamesIfMerged(name), columnNames), function(unitName) {
+                return _.indexOf(columnNames, unitName);
+            });
+        }, this);
+
+        return _.sortBy(_.filter(blocks, _.size), function(block) {
+            return _.indexOf(columnNames, block[0]);
+        });
+    },
+
+    /**
+     * Returns the position among the blocks to insert a block, which makes the index of the block
+     * the nearest to the targetIndex.
+     * @param {Array.<Array.<string>>} blocks - Blocks of the column names
+     * @param {number} offset - Index of the first column of the blocks
+     * @param {number} targetIndex - Target index of the block
+     * @returns {number}
+     * @private
+     */
+    _getNearestBlockPosition: function(blocks, offset, targetIndex) {
+        var startIndex = offset;
+        var position = 0;
+        var minDistance = Math.abs(startIndex - targetIndex);
+
+        _.each(blocks, function(block, index) {
+            startIndex += block.length;
+            if (Math.abs(startIndex - targetIndex) < minDistance) {
+                minDistance = Math.abs(startIndex - targetIndex);
+                position = index + 1;
+            }
+        });
+
+        return position;
+    },
+
+    /**
+     * Returns the columnFixCount after the columns are moved, which keeps the other columns on their side.
+     * @param {Array.<string>} columnNames - Names of the data columns before moving
+     * @param {Array.<string>} newColumnNames - Names of the data columns after moving
+     * @param {Array.<string>} movingNames - Names of the moved columns
+     * @param {boolean} [isFixed] - Whether to place the columns in the fixed area if they're placed on the boundary
+     * @returns {number}
+     * @private
+     */
+    _getColumnFixCountAfterMove: function(columnNames, newColumnNames, movingNames, isFixed) {
+        var columnFixCount = this.get('columnFixCount');
+        var fixedOtherCount = _.difference(columnNames.slice(0, columnFixCount), movingNames).length;
+        var newIndex = _.indexOf(newColumnNames, movingNames[0]);
+
+        if (tui.util.isUndefined(isFixed)) {
+            isFixed = _.indexOf(columnNames, movingNames[0]) < columnFixCount;
+        }
+        if (newIndex < fixedOtherCount || (newIndex === fixedOtherCount && isFixed)) {
+            return fixedOtherCount + movingNames.length;
+        }
+
+        return fixedOtherCount;
+    },
+
+    /**
+     * Sets the data columns in the new order and triggers the 'columnMoved' event.
+     * @param {Array.<string>} columnNames - Names of the data columns in the new order
+     * @param {number} columnFixCount - New columnFixCount
+     * @param {string} movedColumnName - Name of the moved column
+     * @private
+     */
+    _setMovedColumnModelList: function(columnNames, columnFixCount, movedColumnName) {
+        var columnModelMap = this.get('columnModelMap');
+        var firstUnitName = this.getUnitColumnNamesIfMerged(movedColumnName)[0];
+
+        this.trigger('beforeColumnMove');
+        this._setColumnModelList(_.map(columnNames, function(name) {
+            return columnModelMap[name];
+        }), columnFixCount);
+
+        /**
+         * Occurs when a column is moved by dragging the header or {@link tui.Grid#moveColumn|moveColumn}
+         * @api
+         * @event tui.Grid#columnMoved
+         * @type {Object}
+         * @property {string} columnName - Name of the moved column (or the merged column)
+         * @property {number} targetIndex - Index of the (first) column after moving
+         * @property {Array.<string>} columnNames - Names of all data columns in the new order
+         * @property {number} columnFixCount - Count of the fixed columns
+         */
+        this.trigger('columnMoved', {
+            columnName: movedColumnName,
+            targetIndex: _.indexOf(columnNames, firstUnitName),
+            columnNames: columnNames,
+            columnFixCount: columnFixCount
+        });
+    },
+
+    /**
+     * Sets the order and the hidden flags of the data columns, and the columnFixCount at once.
+     * The columns which are not in the list are placed after the listed columns in the current order.
+     * If the new order splits the columns of a merged column, the current order is kept.
+     * @param {Array.<{columnName: string, isHidden: boolean}>} [columns] - Data columns in the new order
+     * @param {number} [columnFixCount] - Count of the fixed columns
+     */
+    setColumnState: function(columns, columnFixCount) {
+        var columnModelMap = this.get('columnModelMap');
+        var currentNames = _.pluck(this.get('dataColumnModelList'), 'columnName');
+        var stateMap = _.indexBy(columns, 'columnName');
+        var columnNames = _.intersection(_.pluck(columns, 'columnName'), currentNames);
+
+        columnNames = columnNames.concat(_.difference(currentNames, columnNames));
+        if (!this._isMergedColumnsAdjacent(columnNames)) {
+            columnNames = currentNames;
+        }
+
+        this._setColumnModelList(_.map(columnNames, function(name) {
+            var state = stateMap[name];
+
+            return state ? _.extend({}, columnModelMap[name], {
+                isHidden: !!state.isHidden
+            }) : columnModelMap[name];
+        }), columnFixCount);
+    },
+
+    /**
+     * Returns whether the columns of each merged column are adjacent in the order.
+     * @param {Array.<string>} columnNames - Names of the data columns in order
+     * @returns {boolean}
+     * @private
+     */
+    _isMergedColumnsAdjacent: function(columnNames) {
+        return _.every(this.get('columnMerge'), function(mergeInfo) {
+            var indexes = _.without(_.map(this.getUnitColumnNamesIfMerged(mergeInfo.columnName), function(name) {
+                return _.indexOf(columnNames, name);
+            }), -1);
+
+            return !indexes.length || (_.max(indexes) - _.min(indexes) === indexes.length - 1);
+        }, this);
+    },
+
     /**
      * Set footer contents.
      * (Just trigger 'setFooterContent')
@@ -6,6 +6,16 @@
 
 var _ = require('underscore');
 
+var classNameConst = require('../../common/classNameConst');
+var syncStateMap = require('../../common/constMap').syncState;
+
+// Class names of the cells of the row mapped by the sync states
+var syncClassNameMap = _.object([
+    [syncStateMap.PENDING, classNameConst.CELL_SYNC_PENDING],
+    [syncStateMap.SAVED, classNameConst.CELL_SYNC_SAVED],
+    [syncStateMap.ERROR, classNameConst.CELL_SYNC_ERROR]
+]);
+
 /**
  * Data 중 각 행의 데이터 모델 (DataSource)
  * @module data/row
@@ -78,6 +88,38 @@ var ExtraDataManager = tui.util.defineClass(/**@lends module:model/data/extraDat
         this.data.rowState = rowState;
     },
 
+    /**
+     * Returns the sync state of the row, which represents the result of saving the row to the server.
+     * @returns {?{state: string, message: string}} - state: 'PENDING' | 'SAVED' | 'ERROR'
+     */
+    getSyncState: function() {
+        var state = this.data.syncState;
+
+        if (!state) {
+            return null;
+        }
+
+        return {
+            state: state,
+            message: this.data.syncMessage || ''
+        };
+    },
+
+    /**
+     * Sets the sync state.
+     * @param {string} state - 'PENDING' | 'SAVED' | 'ERROR' (If empty, the sync state is removed)
+     * @param {string} [message] - Message of the state (ex: error message from the server)
+     */
+    setSyncState: function(state, message) {
+        if (state) {
+            this.data.syncState = state;
+            this.data.syncMessage = message || '';
+        } else {
+            delete this.data.syncState;
+            delete this.data.syncMessage;
+        }
+    },
+
     /**
      * Sets the rowSpanData.
      * @param {string} columnName - Column name
@@ -153,6 +195,9 @@ var ExtraDataManager = tui.util.defineClass(/**@lends module:model/data/extraDat
                 arrayPush.apply(classNameList, classNameData.column[columnName]);
             }
         }
+        if (this.data.syncState) {
+            classNameList.push(syncClassNameMap[this.data.syncState]);
+        }
         return classNameList;
     },
 
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Filter model which holds the filter conditions of each column
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var Model = require('../../base/model');
+var util = require('../../common/util');
+
+var Filter;
+
+/**
+ * Matchers for each type of condition.
+ * Each matcher receives (condition, value, rowData) and returns whether the value matches the condition.
+ * @type {Object.<string, function>}
+ * @ignore
+ */
+var matchers = {
+    text: function(condition, value) {
+        var text = isEmpty(value) ? '' : String(value);
+        var keyword = isEmpty(condition.value) ? '' : String(condition.value);
+
+        if (condition.operator === 'equals') {
+            return text === keyword;
+        }
+        return text.toLowerCase().indexOf(keyword.toLowerCase()) !== -1;
+    },
+
+    number: function(condition, value) {
+        return isInRange(util.toNumber(value), condition.min, condition.max, util.toNumber);
+    },
+
+    date: function(condition, value) {
+        return isInRange(util.toTimestamp(value), condition.start, condition.end, util.toTimestamp);
+    },
+
+    select: function(condition, value) {
+        return _.some(condition.values, function(item) {
+            return String(item) === String(value);
+        });
+    },
+
+    custom: function(condition, value, rowData) {
+        return !!condition.isMatched(value, rowData);
+    }
+};
+
+/**
+ * Returns whether the value is empty. (null, undefined, '')
+ * @param {*} value - value
+ * @returns {boolean}
+ * @ignore
+ */
+function isEmpty(value) {
+    return _.isNull(value) || _.isUndefined(value) || value === '';
+}
+
+/**
+ * Returns whether the given number is in the range. (inclusive)
+ * Empty boundaries are ignored.
+ * @param {number} value - value
+ * @param {*} min - lower boundary
+ * @param {*} max - upper boundary
+ * @param {function} converter - function to convert the boundaries to numbers
+ * @returns {boolean}
+ * @ignore
+ */
+function isInRange(value, min, max, converter) {
+    if (_.isNaN(value)) {
+        return false;
+    }
+    return (isEmpty(min) || value >= converter(min)) &&
+        (isEmpty(max) || value <= converter(max));
+}
+
+/**
+ * Filter model
+ * @module model/data/filter
+ * @extends module:base/model
+ * @ignore
+ */
+Filter = Model.extend(/**@lends module:model/data/filter.prototype */{
+    initialize: function() {
+        Model.prototype.initialize.apply(this, arguments);
+
+        this.set('conditionMap', {}, {silent: true});
+    },
+
+    defaults: {
+        /**
+         * Filter conditions mapped by column names
+         * @type {Object.<string, Object>}
+         */
+        conditionMap: null,
+
+        /**
+         * Name of the column whose filter layer is opened
+         * @type {?string}
+         */
+        editingColumnName: null
+    },
+
+    /**
+     * Opens the filter layer of the column.
+     * @param {string} columnName - column name
+     */
+    startEditing: function(columnName) {
+        this.set('editingColumnName', columnName);
+    },
+
+    /**
+     * Closes the filter layer.
+     */
+    finishEditing: function() {
+        this.set('editingColumnName', null);
+    },
+
+    /**
+     * Converts the condition to the internal format.
+     * A function is converted to the 'custom' condition.
+     * @param {(Object|function)} condition - condition
+     * @returns {Object} - normalized condition
+     * @private
+     */
+    _normalizeCondition: function(condition) {
+        if (_.isFunction(condition)) {
+            condition = {
+                type: 'custom',
+                isMatched: condition
+            };
+        }
+        if (!condition || !matchers[condition.type]) {
+            throw new Error('Invalid filter condition. The type should be one of ' + _.keys(matchers).join(', '));
+        }
+        if (condition.type === 'custom' && !_.isFunction(condition.isMatched)) {
+            throw new Error('Invalid filter condition. The custom condition should have the isMatched function');
+        }
+        return _.clone(condition);
+    },
+
+    /**
+     * Sets the filter condition of the column.
+     * @param {string} columnName - column name
+     * @param {(Object|function)} condition - condition
+     */
+    setCondition: function(columnName, condition) {
+        var conditionMap = _.clone(this.get('conditionMap'));
+
+        conditionMap[columnName] = this._normalizeCondition(condition);
+        this.set('conditionMap', conditionMap);
+    },
+
+    /**
+     * Removes the filter condition of the column.
+     * If the column name is not specified, removes all conditions.
+     * @param {string} [columnName] - column name
+     */
+    removeCondition: function(columnName) {
+        var conditionMap = {};
+
+        if (columnName) {
+            if (!this.hasCondition(columnName)) {
+                return;
+            }
+            conditionMap = _.omit(this.get('conditionMap'), columnName);
+        } else if (!this.isActive()) {
+            return;
+        }
+        this.set('conditionMap', conditionMap);
+    },
+
+    /**
+     * Returns the filter condition of the column.
+     * @param {string} columnName - column name
+     * @returns {?Object}
+     */
+    getCondition: function(columnName) {
+        var condition = this.get('conditionMap')[columnName];
+
+        return condition ? _.clone(condition) : null;
+    },
+
+    /**
+     * Returns all filter conditions mapped by column names.
+     * @returns {Object.<string, Object>}
+     */
+    getConditionMap: function() {
+        return _.clone(this.get('conditionMap'));
+    },
+
+    /**
+     * Returns whether the column has the filter condition.
+     * @param {string} columnName - column name
+     * @returns {boolean}
+     */
+    hasCondition: function(columnName) {
+        return _.has(this.get('conditionMap'), columnName);
+    },
+
+    /**
+     * Returns whether any filter condition exists.
+     * @returns {boolean}
+     */
+    isActive: function() {
+        return !_.isEmpty(this.get('conditionMap'));
+    },
+
+    /**
+     * Returns whether the row matches all filter conditions.
+     * @param {module:model/data/row} row - row model
+     * @returns {boolean}
+     */
+    isMatched: function(row) {
+        return _.every(this.get('conditionMap'), function(condition, columnName) {
+            return matchers[condition.type](condition, row.get(columnName), row.attributes);
+        });
+    }
+});
+
+module.exports = Filter;
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Mixin of the row list which groups the rows by the values of the columns
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var Row = require('./row');
+var Summary = require('../summary');
+var util = require('../../common/util');
+
+var GROUP_ROW_KEY_PREFIX = '_group';
+
+/**
+ * Mixin of the row list which groups the rows by the values of the columns.
+ * The group rows are not added to the collection, but inserted into the visible rows.
+ * @mixin
+ * @exports module:model/data/groupRows
+ * @ignore
+ */
+var groupRows = {
+    /**
+     * Initializes the states of the grouping.
+     * @private
+     */
+    _initializeGroupRows: function() {
+        this.setOwnProperties({
+            /**
+             * Options of the grouping of the rows. If null, the rows are not grouped.
+             * @type {?{columnNames: Array.<string>, summaryTypeMap: Object.<string, string>, isCollapsed: boolean}}
+             */
+            groupOptions: null,
+
+            /**
+             * Map of the group rows which are shown above the rows of each group (K: rowKey, V: row)
+             * @type {Object.<string, module:model/data/row>}
+             */
+            groupRowMap: {},
+
+            /**
+             * Map of the rowKeys of the group rows (K: path of the values of the group, V: rowKey)
+             * It keeps the rowKey of a group while the rows are regrouped by the same columns.
+             * @type {Object.<string, string>}
+             */
+            groupRowKeyMap: {},
+
+            /**
+             * The last id used to create the rowKey of a group row
+             * @type {number}
+             */
+            lastGroupRowId: -1,
+
+            /**
+             * Map of the expanded states of the groups which are expanded or collapsed one by one
+             * (K: rowKey of the group row, V: whether it's expanded)
+             * @type {Object.<string, boolean>}
+             */
+            groupExpandedMap: {}
+        });
+
+        this.on('change', this._onChangeForGroups);
+    },
+
+    /**
+     * Groups the rows by the values of the columns.
+     * A group row, which shows the value, the number of the rows and the summaries of the group,
+     * is inserted above the rows of each group. The groups are ordered by their first rows,
+     * and nested in the order of the columns. It's ignored in the server-side row model and the tree.
+     * @param {(string|Array.<string>)} columnNames - Names of the columns. If empty, the rows are ungrouped.
+     * @param {Object} [options] - Options
+     * @param {Object.<string, string>} [options.summary] - Summary types mapped by the column names
+     *     ('sum', 'avg', 'cnt', 'max' or 'min')
+     * @param {boolean} [options.isCollapsed=false] - Whether the groups are collapsed at first
+     */
+    groupBy: function(columnNames, options) {
+        columnNames = _.compact([].concat(columnNames));
+        options = options || {};
+
+        if (this.isServerSide() || this.isTree()) {
+            return;
+        }
+        if (!columnNames.length) {
+            this.ungroup();
+            return;
+        }
+        this.groupOptions = {
+            columnNames: columnNames,
+            summaryTypeMap: options.summary || {},
+            isCollapsed: !!options.isCollapsed
+        };
+        this.groupRowKeyMap = {};
+        this.groupExpandedMap = {};
+        this._onGroupChange();
+    },
+
+    /**
+     * Removes the group rows and shows the rows without grouping.
+     */
+    ungroup: function() {
+        if (!this.groupOptions) {
+            return;
+        }
+        this.groupOptions = null;
+        this.groupRowMap = {};
+        this.groupRowKeyMap = {};
+        this.groupExpandedMap = {};
+        this._onGroupChange();
+    },
+
+    /**
+     * Returns whether the rows are grouped.
+     * @returns {boolean}
+     */
+    isGrouped: function() {
+        return !!this.groupOptions;
+    },
+
+    /**
+     * Returns the names of the columns by which the rows are grouped.
+     * @returns {Array.<string>}
+     */
+    getGroupColumnNames: function() {
+        return this.groupOptions ? this.groupOptions.columnNames.slice() : [];
+    },
+
+    /**
+     * Returns whether the row is a group row.
+     * @param {module:model/data/row} row - row
+     * @returns {boolean}
+     */
+    isGroupRow: function(row) {
+        return !!row && _.has(this.groupRowMap, row.get('rowKey'));
+    },
+
+    /**
+     * Returns the information of the group row.
+     * @param {string} rowKey - rowKey of the group row
+     * @returns {?{columnName: string, value: *, count: number, depth: number, isExpanded: boolean,
+     *     summaries: Object.<string, number>}} - null if the row is not a group row
+     */
+    getGroupInfo: function(rowKey) {
+        var row = this.groupRowMap[rowKey];
+
+        return row ? _.clone(row.groupInfo) : null;
+    },
+
+    /**
+     * Expands or collapses the group.
+     * @param {string} rowKey - rowKey of the group row
+     * @param {boolean} isExpanded - Whether to expand the group
+     */
+    setGroupExpanded: function(rowKey, isExpanded) {
+        var row = this.groupRowMap[rowKey];
+
+        if (row && row.groupInfo.isExpanded !== !!isExpanded) {
+            this.groupExpandedMap[rowKey] = !!isExpanded;
+            this._onGroupChange();
+        }
+    },
+
+    /**
+     * Expands the group if it's collapsed, or collapses it if it's expanded.
+     * @param {string} rowKey - rowKey of the group row
+     */
+    toggleGroup: function(rowKey) {
+        var row = this.groupRowMap[rowKey];
+
+        if (row) {
+            this.setGroupExpanded(rowKey, !row.groupInfo.isExpanded);
+        }
+    },
+
+    /**
+     * Expands or collapses all groups.
+     * @param {boolean} isExpanded - Whether to expand the groups
+     */
+    setAllGroupsExpanded: function(isExpanded) {
+        if (this.groupOptions) {
+            this.groupOptions.isCollapsed = !isExpanded;
+            this.groupExpandedMap = {};
+            this._onGroupChange();
+        }
+    },
+
+    /**
+     * Resets the visible rows and triggers the 'groupChanged' event.
+     * @private
+     */
+    _onGroupChange: function() {
+        this._resetVisibleRows();
+
+        /**
+         * Occurs when the rows are grouped or ungrouped, or the groups are expanded or collapsed
+         * @api
+         * @event tui.Grid#groupChanged
+         * @type {Object}
+         * @property {Array.<string>} columnNames - Names of the columns by which the rows are grouped
+         */
+        this.trigger('groupChanged', {
+            columnNames: this.getGroupColumnNames()
+        });
+    },
+
+    /**
+     * Event handler for the 'change' event of the rows.
+     * Regroups the rows if the values of the grouping columns or the summary columns are changed.
+     * @param {module:model/data/row} row - row
+     * @private
+     */
+    _onChangeForGroups: function(row) {
+        var groupOptions = this.groupOptions;
+        var columnNames;
+
+        if (groupOptions) {
+            columnNames = groupOptions.columnNames.concat(_.keys(groupOptions.summaryTypeMap));
+            if (_.intersection(_.keys(row.changed), columnNames).length) {
+                this._onGroupChange();
+            }
+        }
+    },
+
+    /**
+     * Returns the list of the rows in which the group rows are inserted.
+     * The rows in the collapsed groups are not included.
+     * @param {Array.<module:model/data/row>} rows - rows
+     * @returns {Array.<module:model/data/row>}
+     * @private
+     */
+    _createGroupedRows: function(rows) {
+        var result = [];
+
+        this.groupRowMap = {};
+        this._appendGroupedRows(result, rows, 0, []);
+
+        return result;
+    },
+
+    /**
+     * Groups the rows by the column of the depth, and appends the group rows and the rows of the groups
+     * to the result. The rows of the expanded groups are grouped again by the column of the next depth.
+     * @param {Array.<module:model/data/row>} result - The list to which the rows are appended
+     * @param {Array.<module:model/data/row>} rows - rows
+     * @param {number} depth - Depth of the groups
+     * @param {Array.<string>} parentKeys - Keys of the values of the parent groups
+     * @private
+     */
+    _appendGroupedRows: function(result, rows, depth, parentKeys) {
+        var columnName = this.groupOptions.columnNames[depth];
+
+        if (!columnName) {
+            _.each(rows, function(row) {
+                result.push(row);
+            });
+
+            return;
+        }
+        _.each(this._splitIntoGroups(rows, columnName), function(group) {
+            var keys = parentKeys.concat(group.key);
+            var groupRow = this._createGroupRow(columnName, group, depth, keys);
+
+            result.push(groupRow);
+            if (groupRow.groupInfo.isExpanded) {
+                this._appendGroupedRows(result, group.rows, depth + 1, keys);
+            }
+        }, this);
+    },
+
+    /**
+     * Splits the rows into the groups by the values of the column. The empty values are regarded as the same.
+     * @param {Array.<module:model/data/row>} rows - rows
+     * @param {string} columnName - column name
+     * @returns {Array.<{key: string, value: *, rows: Array.<module:model/data/row>}>} - Groups in the order
+     *     of their first rows
+     * @private
+     */
+    _splitIntoGroups: function(rows, columnName) {
+        var groups = [];
+        var groupMap = {};
+
+        _.each(rows, function(row) {
+            var value = row.get(columnName);
+            var key = util.isBlank(value) ? '' : String(value);
+
+            if (!_.has(groupMap, key)) {
+                groupMap[key] = {
+                    key: key,
+                    value: value,
+                    rows: []
+                };
+                groups.push(groupMap[key]);
+            }
+            groupMap[key].rows.push(row);
+        });
+
+        return groups;
+    },
+
+    /**
+     * Creates a group row. The summaries of the group are set as the values of the columns.
+     * @param {string} columnName - Name of the grouping column
+     * @param {{key: string, value: *, rows: Array}} group - Group
+     * @param {number} depth - Depth of the group
+     * @param {Array.<string>} keys - Keys of the values of the group and the parent groups
+     * @returns {module:model/data/row}
+     * @private
+     */
+    _createGroupRow: function(columnName, group, depth, keys) {
+        var rowKey = this._getGroupRowKey(JSON.stringify(keys));
+        var summaries = {};
+        var row;
+
+        _.each(this.groupOptions.summaryTypeMap, function(summaryType, summaryColumnName) {
+            var values = _.invoke(group.rows, 'get', summaryColumnName);
+
+            summaries[summaryColumnName] = Summary.calculate(values)[summaryType];
+        });
+
+        row = new Row(_.extend({
+            rowKey: rowKey,
+            _button: false,
+            _extraData: {
+                rowState: 'DISABLED'
+            }
+        }, summaries), {
+            collection: this,
+            parse: true
+        });
+        row.groupInfo = {
+            columnName: columnName,
+            value: group.value,
+            count: group.rows.length,
+            depth: depth,
+            isExpanded: this._isGroupExpanded(rowKey),
+            summaries: summaries
+        };
+        this.groupRowMap[rowKey] = row;
+
+        return row;
+    },
+
+    /**
+     * Returns the rowKey of the group row of the path. A new rowKey is created if the path is new.
+     * @param {string} path - Path of the values of the group
+     * @returns {string}
+     * @private
+     */
+    _getGroupRowKey: function(path) {
+        if (!_.has(this.groupRowKeyMap, path)) {
+            this.lastGroupRowId += 1;
+            this.groupRowKeyMap[path] = GROUP_ROW_KEY_PREFIX + this.lastGroupRowId;
+        }
+
+        return this.groupRowKeyMap[path];
+    },
+
+    /**
+     * Returns whether the group is expanded.
+     * @param {string} rowKey - rowKey of the group row
+     * @returns {boolean}
+     * @private
+     */
+    _isGroupExpanded: function(rowKey) {
+        if (_.has(this.groupExpandedMap, rowKey)) {
+            return this.groupExpandedMap[rowKey];
+        }
+
+        return !this.groupOptions.isCollapsed;
+    }
+};
+
+module.exports = groupRows;
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview History model which records the changes of the data as undoable transactions
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var Model = require('../../base/model');
+
+var DEFAULT_MAX_SIZE = 100;
+
+/**
+ * History model which records the changes of the data as undoable transactions.
+ * A transaction is an array of actions, which are applied by the data model.
+ * @module model/data/history
+ * @extends module:base/model
+ * @param {Object} attrs - Attributes
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxSize=100] - The maximum number of transactions to be kept
+ * @ignore
+ */
+var History = Model.extend(/**@lends module:model/data/history.prototype */{
+    initialize: function(attrs, options) {
+        Model.prototype.initialize.apply(this, arguments);
+
+        this.setOwnProperties({
+            maxSize: (options && options.maxSize) || DEFAULT_MAX_SIZE,
+            undoStack: [],
+            redoStack: [],
+
+            /**
+             * Actions of the transaction in progress
+             * @type {?Array.<Object>}
+             */
+            pendingActions: null,
+
+            /**
+             * Depth of the nested transactions
+             * @type {number}
+             */
+            transactionDepth: 0,
+
+            /**
+             * Whether the recording is paused (while applying the actions of undo/redo)
+             * @type {boolean}
+             */
+            isPaused: false
+        });
+    },
+
+    /**
+     * Starts a transaction. All actions recorded until endTransaction() is called are grouped
+     * into one transaction. Transactions can be nested, and only the outermost one is pushed.
+     */
+    startTransaction: function() {
+        if (!this.transactionDepth) {
+            this.pendingActions = [];
+        }
+        this.transactionDepth += 1;
+    },
+
+    /**
+     * Ends the transaction and pushes it to the undo stack if it has any action.
+     */
+    endTransaction: function() {
+        var actions;
+
+        if (!this.transactionDepth) {
+            return;
+        }
+        this.transactionDepth -= 1;
+
+        if (!this.transactionDepth) {
+            actions = this.pendingActions;
+            this.pendingActions = null;
+            if (actions.length) {
+                this._push(actions);
+            }
+        }
+    },
+
+    /**
+     * Records the action. If no transaction is in progress, the action is pushed as a transaction by itself.
+     * @param {Object} action - Action object which has the type property
+     */
+    record: function(action) {
+        if (this.isPaused) {
+            return;
+        }
+        if (this.transactionDepth) {
+            this.pendingActions.push(action);
+        } else {
+            this._push([action]);
+        }
+    },
+
+    /**
+     * Executes the function without recording any action.
+     * The recording is resumed even if the function throws an error.
+     * @param {function} func - Function to execute
+     * @param {Object} [context] - Context of the function
+     */
+    pauseWhile: function(func, context) {
+        var isPaused = this.isPaused;
+
+        this.isPaused = true;
+        try {
+            func.call(context);
+        } finally {
+            this.isPaused = isPaused;
+        }
+    },
+
+    /**
+     * Pushes the transaction to the undo stack and clears the redo stack.
+     * @param {Array.<Object>} actions - Actions of the transaction
+     * @private
+     */
+    _push: function(actions) {
+        this.undoStack.push(actions);
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this._triggerChange();
+    },
+
+    /**
+     * Moves the last transaction from the undo stack to the redo stack and returns it.
+     * @returns {?Array.<Object>} Actions of the transaction to be reverted (null if nothing to undo)
+     */
+    undo: function() {
+        var actions = this.undoStack.pop();
+
+        if (!actions) {
+            return null;
+        }
+        this.redoStack.push(actions);
+        this._triggerChange();
+
+        return actions;
+    },
+
+    /**
+     * Moves the last transaction from the redo stack to the undo stack and returns it.
+     * @returns {?Array.<Object>} Actions of the transaction to be applied again (null if nothing to redo)
+     */
+    redo: function() {
+        var actions = this.redoStack.pop();
+
+        if (!actions) {
+            return null;
+        }
+        this.undoStack.push(actions);
+        this._triggerChange();
+
+        return actions;
+    },
+
+    /**
+     * Removes all transactions.
+     */
+    clear: function() {
+        var isEmpty = !this.undoStack.length && !this.redoStack.length;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingActions = this.transactionDepth ? [] : null;
+
+        if (!isEmpty) {
+            this._triggerChange();
+        }
+    },
+
+    /**
+     * Returns whether any transaction can be undone.
+     * @returns {boolean}
+     */
+    canUndo: function() {
+        return !!this.undoStack.length;
+    },
+
+    /**
+     * Returns whether any transaction can be redone.
+     * @returns {boolean}
+     */
+    canRedo: function() {
+        return !!this.redoStack.length;
+    },
+
+    /**
+     * Triggers the historyChanged event with the size of each stack.
+     * @private
+     */
+    _triggerChange: function() {
+        this.trigger('historyChanged', {
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length
+        });
+    }
+});
+
+module.exports = History;
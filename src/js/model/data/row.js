@@ -21,6 +21,128 @@ var PRIVATE_PROPERTIES = [
 // Error code for validtaion
 var VALID_ERR_REQUIRED = 'REQUIRED';
 var VALID_ERR_TYPE_NUMBER = 'TYPE_NUMBER';
+var VALID_ERR_MIN = 'MIN';
+var VALID_ERR_MAX = 'MAX';
+var VALID_ERR_MIN_LENGTH = 'MIN_LENGTH';
+var VALID_ERR_MAX_LENGTH = 'MAX_LENGTH';
+var VALID_ERR_REGEXP = 'REGEXP';
+var VALID_ERR_UNIQUE = 'UNIQUE';
+var VALID_ERR_VALIDATOR = 'VALIDATOR';
+
+var Row;
+
+/**
+ * Creates an object which represents the result of validation.
+ * @param {String} errorCode - Error code (empty string if valid)
+ * @param {String} [message] - Error message
+ * @returns {{errorCode: String, message: String}}
+ * @ignore
+ */
+function createValidationResult(errorCode, message) {
+    return {
+        errorCode: errorCode || '',
+        message: message || ''
+    };
+}
+
+/**
+ * Converts the return value of the custom validator to the validation result.
+ * The validator can return true(or nothing) if the value is valid, or false, an error code,
+ * or an object which contains errorCode and message if the value is invalid.
+ * @param {*} result - Return value of the validator
+ * @returns {{errorCode: String, message: String}}
+ * @ignore
+ */
+function parseValidatorResult(result) {
+    if (result === false) {
+        return createValidationResult(VALID_ERR_VALIDATOR);
+    }
+    if (_.isString(result)) {
+        return createValidationResult(result);
+    }
+    if (_.isObject(result)) {
+        return createValidationResult(result.errorCode || VALID_ERR_VALIDATOR, result.message);
+    }
+
+    return createValidationResult();
+}
+
+/**
+ * Checks the isRequired and dataType options of the column and returns the error code.
+ * Empty values are checked only with the isRequired option.
+ * @param {*} value - Value of the cell
+ * @param {Object} columnModel - Column model
+ * @returns {String} Error code
+ * @ignore
+ */
+function checkBasicRules(value, columnModel) {
+    if (util.isBlank(value)) {
+        return columnModel.isRequired ? VALID_ERR_REQUIRED : '';
+    }
+    if (columnModel.dataType === 'number' && !_.isNumber(value)) {
+        return VALID_ERR_TYPE_NUMBER;
+    }
+    return '';
+}
+
+/**
+ * Checks the min/max rules and returns the error code.
+ * @param {*} value - Value of the cell
+ * @param {Object} validation - Validation options of the column
+ * @returns {String} Error code
+ * @ignore
+ */
+function checkRange(value, validation) {
+    var hasMin = _.isNumber(validation.min);
+    var hasMax = _.isNumber(validation.max);
+    var number;
+
+    if (!hasMin && !hasMax) {
+        return '';
+    }
+
+    number = util.toNumber(value);
+    if (_.isNaN(number)) {
+        return VALID_ERR_TYPE_NUMBER;
+    }
+    if (hasMin && number < validation.min) {
+        return VALID_ERR_MIN;
+    }
+    if (hasMax && number > validation.max) {
+        return VALID_ERR_MAX;
+    }
+
+    return '';
+}
+
+/**
+ * Checks the minLength/maxLength/regExp rules and returns the error code.
+ * @param {*} value - Value of the cell
+ * @param {Object} validation - Validation options of the column
+ * @returns {String} Error code
+ * @ignore
+ */
+function checkText(value, validation) {
+    var text = String(value);
+    var regExp = validation.regExp;
+
+    if (_.isNumber(validation.minLength) && text.length < validation.minLength) {
+        return VALID_ERR_MIN_LENGTH;
+    }
+    if (_.isNumber(validation.maxLength) && text.length > validation.maxLength) {
+        return VALID_ERR_MAX_LENGTH;
+    }
+    if (regExp) {
+        regExp = _.isRegExp(regExp) ? regExp : new RegExp(regExp);
+        regExp.lastIndex = 0;
+
+        if (!regExp.test(text)) {
+            return VALID_ERR_REGEXP;
+        }
+    }
+
+    return '';
+}
 
 /**
  * Data 중 각 행의 데이터 모델 (DataSource)
@@ -28,13 +150,14 @@ var VALID_ERR_TYPE_NUMBER = 'TYPE_NUMBER';
  * @extends module:base/model
  * @ignore
  */
-var Row = Model.extend(/**@lends module:model/data/row.prototype */{
+Row = Model.extend(/**@lends module:model/data/row.prototype */{
     initialize: function() {
         Model.prototype.initialize.apply(this, arguments);
         this.extraDataManager = new ExtraDataManager(this.get('_extraData'));
 
         this.columnModel = this.collection.columnModel;
         this.validateMap = {};
+        this.asyncValidationMap = {};
         this.on('change', this._onChange, this);
     },
 
@@ -84,26 +207,262 @@ var Row = Model.extend(/**@lends module:model/data/row.prototype */{
             this.collection.syncRowSpannedData(this, columnName, value);
             this._executeChangeAfterCallback(columnName);
             this.validateCell(columnName, true);
+            this._validateDuplicatedCells(columnName, this.previous(columnName), value);
         }, this);
     },
 
     /**
-     * Validate the cell data of given columnName and returns the error code.
+     * Validate the cell data of given columnName and returns the result.
      * @param  {Object} columnName - Column name
-     * @returns {String} Error code
+     * @returns {{errorCode: String, message: String}} Validation result
      * @private
      */
     _validateCellData: function(columnName) {
         var columnModel = this.columnModel.getColumnModel(columnName);
         var value = this.get(columnName);
+        var validation = columnModel.validation;
+        var errorCode = checkBasicRules(value, columnModel);
+
+        if (!errorCode && validation) {
+            return this._checkValidationRules(columnName, value, validation);
+        }
+        this._clearAsyncValidation(columnName);
+
+        return createValidationResult(errorCode);
+    },
+
+    /**
+     * Validates the cell with the rules except the asyncValidator and returns the result,
+     * without marking the cell as invalid.
+     * @param {String} columnName - Column name
+     * @returns {{errorCode: String, message: String}} Validation result
+     */
+    checkSyncValidation: function(columnName) {
+        var columnModel = this.columnModel.getColumnModel(columnName);
+        var value = this.get(columnName);
+        var errorCode = checkBasicRules(value, columnModel);
+
+        if (!errorCode && columnModel.validation) {
+            return this._checkSyncValidationRules(columnName, value, columnModel.validation);
+        }
+
+        return createValidationResult(errorCode);
+    },
+
+    /**
+     * Checks the rules in the validation options of the column and returns the result.
+     * @param {String} columnName - Column name
+     * @param {*} value - Value of the cell
+     * @param {Object} validation - Validation options of the column
+     * @returns {{errorCode: String, message: String}} Validation result
+     * @private
+     */
+    _checkValidationRules: function(columnName, value, validation) {
+        var result = this._checkSyncValidationRules(columnName, value, validation);
+
+        if (result.errorCode) {
+            this._clearAsyncValidation(columnName);
+        } else if (_.isFunction(validation.asyncValidator)) {
+            result = this._validateAsync(columnName, value, validation.asyncValidator);
+        }
+
+        return result;
+    },
+
+    /**
+     * Checks the rules except the asyncValidator and returns the result.
+     * @param {String} columnName - Column name
+     * @param {*} value - Value of the cell
+     * @param {Object} validation - Validation options of the column
+     * @returns {{errorCode: String, message: String}} Validation result
+     * @private
+     */
+    _checkSyncValidationRules: function(columnName, value, validation) {
         var errorCode = '';
 
-        if (columnModel.isRequired && util.isBlank(value)) {
-            errorCode = VALID_ERR_REQUIRED;
-        } else if (columnModel.dataType === 'number' && !_.isNumber(value)) {
-            errorCode = VALID_ERR_TYPE_NUMBER;
+        if (!util.isBlank(value)) {
+            errorCode = checkRange(value, validation) || checkText(value, validation) ||
+                this._checkUnique(columnName, value, validation);
         }
-        return errorCode;
+        if (!errorCode && _.isFunction(validation.validator)) {
+            return parseValidatorResult(validation.validator(value, this.attributes));
+        }
+
+        return createValidationResult(errorCode);
+    },
+
+    /**
+     * Executes the asynchronous validator of the column.
+     * While the validator is pending, the cell is regarded as valid and the 'validating' state is set.
+     * If the validator has already been executed with the same value, the previous result is used.
+     * @param {String} columnName - Column name
+     * @param {*} value - Value of the cell
+     * @param {function} asyncValidator - Asynchronous validator which returns a promise or a jQuery Deferred
+     * @returns {{errorCode: String, message: String}} Validation result
+     * @private
+     */
+    _validateAsync: function(columnName, value, asyncValidator) {
+        var state = this.asyncValidationMap[columnName];
+        var returnValue;
+
+        if (state && state.value === value) {
+            return state.result || createValidationResult();
+        }
+
+        this._clearAsyncValidation(columnName);
+        state = {
+            value: value,
+            result: null,
+            deferred: new $.Deferred()
+        };
+        this.asyncValidationMap[columnName] = state;
+
+        returnValue = asyncValidator(value, this.attributes);
+        if (returnValue && _.isFunction(returnValue.then)) {
+            returnValue.then(
+                _.bind(this._onAsyncValidatorResolved, this, columnName, state),
+                _.bind(this._onAsyncValidatorRejected, this, columnName, state)
+            );
+
+            return state.result || createValidationResult();
+        }
+
+        state.result = parseValidatorResult(returnValue);
+        state.deferred.resolve();
+
+        return state.result;
+    },
+
+    /**
+     * Event handler for when the promise returned by the asynchronous validator is resolved.
+     * @param {String} columnName - Column name
+     * @param {Object} state - State object of the asynchronous validation
+     * @param {*} result - Resolved value
+     * @private
+     */
+    _onAsyncValidatorResolved: function(columnName, state, result) {
+        this._finishAsyncValidation(columnName, state, parseValidatorResult(result));
+    },
+
+    /**
+     * Event handler for when the promise returned by the asynchronous validator is rejected.
+     * @param {String} columnName - Column name
+     * @param {Object} state - State object of the asynchronous validation
+     * @param {*} reason - Rejected reason
+     * @private
+     */
+    _onAsyncValidatorRejected: function(columnName, state, reason) {
+        var message = _.isString(reason) ? reason : tui.util.pick(reason, 'message');
+
+        this._finishAsyncValidation(columnName, state, createValidationResult(VALID_ERR_VALIDATOR, message));
+    },
+
+    /**
+     * Stores the result of the asynchronous validation and validates the cell again to apply the result.
+     * If the state is not the current one (the value has been changed), the result is ignored.
+     * @param {String} columnName - Column name
+     * @param {Object} state - State object of the asynchronous validation
+     * @param {{errorCode: String, message: String}} result - Validation result
+     * @private
+     */
+    _finishAsyncValidation: function(columnName, state, result) {
+        if (this.asyncValidationMap[columnName] !== state) {
+            return;
+        }
+        state.result = result;
+        this.validateCell(columnName, true);
+        state.deferred.resolve();
+    },
+
+    /**
+     * Removes the state of the asynchronous validation of the column.
+     * The pending validation is regarded as finished and its result will be ignored.
+     * @param {String} columnName - Column name
+     * @private
+     */
+    _clearAsyncValidation: function(columnName) {
+        var state = this.asyncValidationMap[columnName];
+
+        if (state) {
+            delete this.asyncValidationMap[columnName];
+            state.deferred.resolve();
+        }
+    },
+
+    /**
+     * Returns whether the asynchronous validation is pending.
+     * @param {String} [columnName] - Column name. If not specified, checks all columns in the row.
+     * @returns {Boolean}
+     */
+    isValidating: function(columnName) {
+        var states = columnName ? _.compact([this.asyncValidationMap[columnName]]) : this.asyncValidationMap;
+
+        return _.some(states, function(state) {
+            return !state.result;
+        });
+    },
+
+    /**
+     * Returns an array of promises of the pending asynchronous validations.
+     * The promises are resolved when the validations are finished regardless of the results.
+     * @returns {Array.<Object>} An array of jQuery promise
+     */
+    getPendingValidations: function() {
+        return _.chain(this.asyncValidationMap)
+            .filter(function(state) {
+                return !state.result;
+            })
+            .map(function(state) {
+                return state.deferred.promise();
+            })
+            .value();
+    },
+
+    /**
+     * Checks the unique rule and returns the error code.
+     * @param {String} columnName - Column name
+     * @param {*} value - Value of the cell
+     * @param {Object} validation - Validation options of the column
+     * @returns {String} Error code
+     * @private
+     */
+    _checkUnique: function(columnName, value, validation) {
+        var rowKey = this.get('rowKey');
+        var isDuplicated;
+
+        if (!validation.unique) {
+            return '';
+        }
+
+        isDuplicated = _.some(this.collection.getRowsByValue(columnName, value), function(row) {
+            return row.get('rowKey') !== rowKey;
+        });
+
+        return isDuplicated ? VALID_ERR_UNIQUE : '';
+    },
+
+    /**
+     * Validates the cells of the other rows which have the same value with the previous or the current value,
+     * if the column has the unique rule.
+     * @param {String} columnName - Column name
+     * @param {*} prevValue - Previous value
+     * @param {*} value - Current value
+     * @private
+     */
+    _validateDuplicatedCells: function(columnName, prevValue, value) {
+        var validation = this.columnModel.getColumnModel(columnName).validation;
+        var rows;
+
+        if (!validation || !validation.unique) {
+            return;
+        }
+
+        rows = this.collection.getRowsByValue(columnName, prevValue)
+            .concat(this.collection.getRowsByValue(columnName, value));
+
+        _.each(_.without(_.uniq(rows), this), function(row) {
+            row.validateCell(columnName, true);
+        });
     },
 
     /**
@@ -114,21 +473,37 @@ var Row = Model.extend(/**@lends module:model/data/row.prototype */{
      * @returns {String} - Error code
      */
     validateCell: function(columnName, isDataChanged) {
-        var errorCode;
+        var result;
 
         if (!isDataChanged && (columnName in this.validateMap)) {
-            return this.validateMap[columnName];
+            return this.validateMap[columnName].errorCode;
         }
 
-        errorCode = this._validateCellData(columnName);
-        if (errorCode) {
+        result = this._validateCellData(columnName);
+        if (result.errorCode) {
             this.addCellClassName(columnName, classNameConst.CELL_INVALID);
         } else {
             this.removeCellClassName(columnName, classNameConst.CELL_INVALID);
         }
-        this.validateMap[columnName] = errorCode;
+        if (this.isValidating(columnName)) {
+            this.addCellClassName(columnName, classNameConst.CELL_VALIDATING);
+        } else {
+            this.removeCellClassName(columnName, classNameConst.CELL_VALIDATING);
+        }
+        this.validateMap[columnName] = result;
+
+        return result.errorCode;
+    },
+
+    /**
+     * Returns the result of the last validation of the cell.
+     * @param {String} columnName - Column name
+     * @returns {?{errorCode: String, message: String}} - null if the cell is valid or not validated yet
+     */
+    getValidationError: function(columnName) {
+        var result = this.validateMap[columnName];
 
-        return errorCode;
+        return (result && result.errorCode) ? _.clone(result) : null;
     },
 
     /**
@@ -358,6 +733,24 @@ var Row = Model.extend(/**@lends module:model/data/row.prototype */{
         }
     },
 
+    /**
+     * Returns the sync state of the row.
+     * @returns {?{state: string, message: string}} - state: 'PENDING' | 'SAVED' | 'ERROR'
+     */
+    getSyncState: function() {
+        return this.extraDataManager.getSyncState();
+    },
+
+    /**
+     * Sets the sync state of the row.
+     * @param {string} state - 'PENDING' | 'SAVED' | 'ERROR' (If empty, the sync state is removed)
+     * @param {string} [message] - Message of the state
+     */
+    setSyncState: function(state, message) {
+        this.extraDataManager.setSyncState(state, message);
+        this._triggerExtraDataChangeEvent();
+    },
+
     /**
      * rowKey 와 columnName 에 해당하는 Cell 에 CSS className 을 설정한다.
      * @param {String} columnName 컬럼 이름
@@ -8,17 +8,183 @@ var _ = require('underscore');
 
 var Collection = require('../../base/collection');
 var Row = require('./row');
+var Filter = require('./filter');
+var History = require('./history');
+var groupRows = require('./groupRows');
+var treeRows = require('./treeRows');
+var serverSideRows = require('./serverSideRows');
+var GridEvent = require('../../common/gridEvent');
+var util = require('../../common/util');
+var classNameConst = require('../../common/classNameConst');
+var validationMessage = require('../../common/validationMessage');
+
+// Duration(ms) of the highlight of the cells changed by the applyTransaction()
+var FLASH_DURATION = 1000;
+var RowList;
+
+/**
+ * Returns whether the value is regarded as an empty value in sorting.
+ * @param {*} value - value
+ * @returns {boolean}
+ * @ignore
+ */
+function isEmptyValue(value) {
+    return _.isNull(value) || _.isUndefined(value) || value === '';
+}
+
+/**
+ * Compares two values of which at least one is empty.
+ * @param {boolean} isEmptyA - whether the first value is empty
+ * @param {boolean} isEmptyB - whether the second value is empty
+ * @param {boolean} isAscending - whether the order is ascending
+ * @param {string} [nullOrder] - 'first' or 'last'. If not specified, empty values are regarded as the least values.
+ * @returns {number}
+ * @ignore
+ */
+function compareEmptyValues(isEmptyA, isEmptyB, isAscending, nullOrder) {
+    var result = 0;
+
+    if (isEmptyA !== isEmptyB) {
+        result = isEmptyA ? -1 : 1;
+        if (nullOrder === 'last' || (!nullOrder && !isAscending)) {
+            result = -result;
+        }
+    }
+    return result;
+}
+
+/**
+ * Converts the value for comparing according to the sortingType.
+ * @param {*} value - value
+ * @param {string} [sortingType] - 'string', 'number', 'date' or 'locale'
+ * @returns {*}
+ * @ignore
+ */
+function toComparableValue(value, sortingType) {
+    var converted;
+
+    switch (sortingType) {
+        case 'string':
+        case 'locale':
+            converted = String(value);
+            break;
+        case 'number':
+            converted = util.toNumber(value);
+            break;
+        case 'date':
+            converted = util.toTimestamp(value);
+            break;
+        default:
+            converted = value;
+    }
+    return converted;
+}
+
+/**
+ * Compares two converted values. Locale strings are compared with localeCompare().
+ * @param {*} convertedA - the first value
+ * @param {*} convertedB - the second value
+ * @param {string} [sortingType] - 'string', 'number', 'date' or 'locale'
+ * @returns {number} -1, 0 or 1
+ * @ignore
+ */
+function compareConvertedValues(convertedA, convertedB, sortingType) {
+    var result = 0;
+
+    if (sortingType === 'locale') {
+        result = convertedA.localeCompare(convertedB);
+    } else if (convertedA < convertedB) {
+        result = -1;
+    } else if (convertedA > convertedB) {
+        result = 1;
+    }
+    return result;
+}
+
+/**
+ * Compares two non-empty values according to the sortingType.
+ * The values which can't be converted to numbers or dates are placed after the converted values
+ * regardless of the order, and compared with each other as strings.
+ * @param {*} valueA - the first value
+ * @param {*} valueB - the second value
+ * @param {string} [sortingType] - 'string', 'number', 'date' or 'locale'
+ * @param {boolean} isAscending - whether the order is ascending
+ * @returns {number} -1, 0 or 1
+ * @ignore
+ */
+function compareValues(valueA, valueB, sortingType, isAscending) {
+    var convertedA = toComparableValue(valueA, sortingType);
+    var convertedB = toComparableValue(valueB, sortingType);
+    var isNaNA = _.isNaN(convertedA);
+    var isNaNB = _.isNaN(convertedB);
+    var result;
+
+    if (isNaNA !== isNaNB) {
+        return isNaNA ? 1 : -1;
+    }
+    if (isNaNA) {
+        convertedA = String(valueA);
+        convertedB = String(valueB);
+    }
+    result = compareConvertedValues(convertedA, convertedB, sortingType);
+
+    return isAscending ? result : -result;
+}
+
+/**
+ * Adds the rowKey to the index of the values of a column. Empty values are not indexed.
+ * @param {Object.<string, Object.<string, boolean>>} valueIndex - Index of the values (K: value, V: map of rowKeys)
+ * @param {*} value - Value of the cell
+ * @param {(Number|String)} rowKey - rowKey
+ * @ignore
+ */
+function addToValueIndex(valueIndex, value, rowKey) {
+    var key = String(value);
+
+    if (!util.isBlank(value)) {
+        valueIndex[key] = valueIndex[key] || {};
+        valueIndex[key][rowKey] = true;
+    }
+}
+
+/**
+ * Removes the rowKey from the index of the values of a column.
+ * @param {Object.<string, Object.<string, boolean>>} valueIndex - Index of the values (K: value, V: map of rowKeys)
+ * @param {*} value - Value of the cell
+ * @param {(Number|String)} rowKey - rowKey
+ * @ignore
+ */
+function removeFromValueIndex(valueIndex, value, rowKey) {
+    var rowKeyMap = valueIndex[String(value)];
+
+    if (rowKeyMap) {
+        delete rowKeyMap[rowKey];
+    }
+}
+
+/**
+ * Returns a deep copy of the attributes of the row, which is recorded to the history.
+ * @param {module:model/data/row} row - Row model
+ * @returns {Object}
+ * @ignore
+ */
+function getRowSnapshot(row) {
+    return $.extend(true, {}, row.attributes);
+}
 
 /**
  * Raw 데이터 RowList 콜렉션. (DataSource)
  * Grid.setRowList 를 사용하여 콜렉션을 설정한다.
  * @module model/data/rowList
  * @extends module:base/collection
+ * @mixes module:model/data/groupRows
+ * @mixes module:model/data/treeRows
+ * @mixes module:model/data/serverSideRows
  * @param {Array} models - 콜랙션에 추가할 model 리스트
  * @param {Object} options - 생성자의 option 객체
  * @ignore
  */
-var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */{
+RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */{
     initialize: function(models, options) {
         Collection.prototype.initialize.apply(this, arguments);
         this.setOwnProperties({
@@ -32,6 +198,7 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
             sortOptions: {
                 columnName: 'rowKey',
                 isAscending: true,
+                sortKeys: [],
                 useClient: (_.isBoolean(options.useClientSort) ? options.useClientSort : true)
             },
 
@@ -40,15 +207,87 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
              * This state is not related to individual state of each rows.
              * @type {Boolean}
              */
-            isDisabled: false
+            isDisabled: false,
+
+            /**
+             * Filter model which holds the filter conditions of each column
+             * @type {module:model/data/filter}
+             */
+            filterModel: options.filterModel || new Filter(),
+
+            /**
+             * History model which records the changes of the data to undo/redo
+             * @type {module:model/data/history}
+             */
+            historyModel: options.historyModel || new History(),
+
+            /**
+             * The map of the rowKeys of the rows which are hidden by the filter
+             * @type {Object.<string, boolean>}
+             */
+            filteredOutRowKeyMap: {},
+
+            /**
+             * Cached list of the rows which are not hidden by the filter
+             * @type {?Array.<module:model/data/row>}
+             */
+            filteredRows: null,
+
+            /**
+             * Cached list of the rows which are not hidden (including the group rows)
+             * @type {?Array.<module:model/data/row>}
+             */
+            visibleRows: null,
+
+            /**
+             * Cached map of the indexes of the visible rows (K: rowKey, V: index)
+             * @type {?Object.<string, number>}
+             */
+            visibleIndexMap: null,
+
+            /**
+             * Indexes of the values of the columns looked up by getRowsByValue(), which are created lazily
+             * and updated by the 'add', 'remove', 'reset' and 'change:<columnName>' events
+             * (K: columnName, V: index of the values)
+             * @type {Object.<string, Object.<string, Object.<string, boolean>>>}
+             */
+            valueIndexMap: {},
+
+            /**
+             * Timers to remove the highlight of the flashing cells (K: rowKey + columnName, V: timeoutId)
+             * @type {Object.<string, number>}
+             */
+            flashTimerMap: {}
         });
         if (!this.sortOptions.useClient) {
             this.comparator = null;
         }
+
+        this._initializeServerSideRows();
+        this._initializeGroupRows();
+        this._initializeTreeRows(options.treeColumnOptions);
+
+        this.on('reset', this._onReset)
+            .on('add remove sort', this._resetVisibleRows)
+            .on('add', this._onAddForValueIndexes)
+            .on('remove', this._onRemoveForValueIndexes)
+            .on('reset', this._rebuildValueIndexes)
+            .listenTo(this.filterModel, 'change:conditionMap', this._onFilterConditionChange);
     },
 
     model: Row,
 
+    /**
+     * Event handler for the 'reset' event.
+     * Clears the history, because the rowKeys recorded in the history are no longer valid.
+     * @private
+     */
+    _onReset: function() {
+        this.treeLoadingMap = {};
+        this._applyFilter();
+        this.historyModel.clear();
+    },
+
     /**
      * Backbone 이 collection 생성 시 내부적으로 parse 를 호출하여 데이터를 포멧에 맞게 파싱한다.
      * @param {Array} data  원본 데이터
@@ -62,16 +301,22 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     /**
      * 데이터의 _extraData 를 분석하여, Model 에서 사용할 수 있도록 가공한다.
      * _extraData 필드에 rowSpanData 를 추가한다.
+     * 트리를 사용하는 경우 _children 배열의 행들을 부모 행 뒤에 펼쳐서 반환한다.
      * @param {Array} data  가공할 데이터
+     * @param {(Number|String)} [parentRowKey] 트리를 사용하는 경우 최상위 행들의 부모 행의 rowKey
      * @returns {Array} 가공된 데이터
      * @private
      */
-    _formatData: function(data) {
+    _formatData: function(data, parentRowKey) {
         var rowList = _.filter(data, _.isObject);
 
+        if (this.isTree()) {
+            return this._formatTreeData(rowList, tui.util.isExisty(parentRowKey) ? parentRowKey : null, []);
+        }
+
         _.each(rowList, function(row, i) {
             rowList[i] = this._baseFormat(rowList[i]);
-            if (this.isRowSpanEnable()) {
+            if (!this.isSortedByField()) {
                 this._setExtraRowSpanData(rowList, i);
             }
         }, this);
@@ -175,6 +420,325 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         return this.originalRowList;
     },
 
+    /**
+     * Appends the rows as the original data, like the rows loaded from the server.
+     * The rows are not regarded as created rows, and the change is not recorded in the history.
+     * @param {Array} rowList - Data of the rows
+     * @param {Object} [options] - Options of the append()
+     * @returns {Array.<module:model/data/row>} Row model list
+     */
+    appendOriginalRowList: function(rowList, options) {
+        var modelList;
+
+        this.historyModel.pauseWhile(function() {
+            modelList = this.append(rowList, options);
+        }, this);
+
+        if (modelList.length) {
+            this._insertOriginalRows(modelList);
+        }
+
+        return modelList;
+    },
+
+    /**
+     * Inserts the data of the appended rows into the original rows after the nearest previous original row
+     * in the current order, so that the order of the original rows is not regarded as changed.
+     * The appended rows are adjacent, so they are inserted at once (to the end in most cases),
+     * and only their data is added to the originalRowMap.
+     * @param {Array.<module:model/data/row>} modelList - Models of the appended rows in the current order
+     * @private
+     */
+    _insertOriginalRows: function(modelList) {
+        var originalRowList = this.originalRowList;
+        var rowDataList = _.invoke(modelList, 'toJSON');
+        var index = this.indexOf(modelList[0]) - 1;
+        var prevRow, at;
+
+        for (; index >= 0 && !prevRow; index -= 1) {
+            prevRow = this.originalRowMap[this.at(index).get('rowKey')];
+        }
+        if (prevRow === _.last(originalRowList)) {
+            at = originalRowList.length;
+        } else {
+            at = _.indexOf(originalRowList, prevRow) + 1;
+        }
+
+        originalRowList.splice.apply(originalRowList, [at, 0].concat(rowDataList));
+        _.extend(this.originalRowMap, _.indexBy(rowDataList, 'rowKey'));
+    },
+
+    /**
+     * Inserts the data of the row into the original rows after the nearest previous row in the current order,
+     * so that the order of the original rows is not regarded as changed.
+     * @param {Array.<Object>} originalRowList - Data of the original rows (The data is inserted to this array)
+     * @param {Object} rowData - Data of the row
+     * @private
+     */
+    _insertOriginalRow: function(originalRowList, rowData) {
+        var index = this.indexOfRowKey(rowData.rowKey) - 1;
+        var at = -1;
+
+        for (; index >= 0 && at < 0; index -= 1) {
+            at = _.findIndex(originalRowList, {rowKey: this.at(index).get('rowKey')});
+        }
+        originalRowList.splice(at + 1, 0, rowData);
+    },
+
+    /**
+     * Sets the current data of the rows as the original data, like setOriginalRowList() for the given rows only.
+     * (ex: The rows saved to the server are no longer regarded as modified)
+     * The rows which do not exist anymore (ex: deleted rows) are removed from the original data.
+     * @param {Array.<(number|string)>} rowKeys - Row keys
+     */
+    setOriginalRows: function(rowKeys) {
+        var rowMap = {};
+        var originalRowList;
+
+        _.each(rowKeys, function(rowKey) {
+            var row = this.get(rowKey);
+
+            rowMap[rowKey] = row ? row.toJSON() : null;
+        }, this);
+
+        originalRowList = _.map(this.originalRowList, function(row) {
+            return _.has(rowMap, row.rowKey) ? rowMap[row.rowKey] : row;
+        });
+        _.each(rowMap, function(row, rowKey) {
+            if (row && !_.has(this.originalRowMap, rowKey)) {
+                this._insertOriginalRow(originalRowList, row);
+            }
+        }, this);
+
+        this.originalRowList = _.compact(originalRowList);
+        this.originalRowMap = _.indexBy(this.originalRowList, 'rowKey');
+    },
+
+    /**
+     * Merges the data into the row without recording the change to the history.
+     * (ex: The values assigned by the server, like the keys of the created rows)
+     * The rowKey and the values of the unknown columns are ignored.
+     * @param {(number|string)} rowKey - Row key
+     * @param {Object} data - Data to merge
+     */
+    mergeRowData: function(rowKey, data) {
+        this.historyModel.pauseWhile(function() {
+            _.each(data, function(value, columnName) {
+                if (this._isDataColumn(columnName)) {
+                    this.setValue(rowKey, columnName, value);
+                }
+            }, this);
+        }, this);
+    },
+
+    /**
+     * Applies the changes of the rows pushed by the server, like the rows loaded from the server.
+     * The rows are identified by the keyColumnName (or the rowKey if the keyColumnName is not set).
+     * Only the changed rows are touched and the changes are not recorded in the history.
+     * The changed values become the original data, so the modifications of the other cells are kept.
+     * @param {{add: Array, update: Array, remove: Array}} transaction - Changes of the rows
+     *      The add and the update are the lists of the row data. (The added rows which already exist are updated)
+     *      The remove is the list of the keys or the row data.
+     * @param {object} [options] - Options
+     *      @param {Array.<(number|string)>} [options.lockedRowKeys] - Keys of the rows not to be changed
+     *      @param {boolean} [options.flash=false] - Whether to highlight the changed cells for a while
+     * @returns {{added: Array, updated: Array, removed: Array, skipped: Array}} rowKeys of the rows by the results
+     */
+    applyTransaction: function(transaction, options) {
+        var result = {
+            added: [],
+            updated: [],
+            removed: [],
+            skipped: []
+        };
+        var rowsToAdd = [];
+
+        options = _.extend({
+            lockedRowKeys: []
+        }, options);
+        transaction = transaction || {};
+
+        this.historyModel.pauseWhile(function() {
+            _.each(transaction.add, function(data) {
+                if (this.get(this._getTransactionRowKey(data))) {
+                    this._applyTransactionRow('_updateRowOf', data, options, result.updated, result);
+                } else {
+                    rowsToAdd.push(data);
+                }
+            }, this);
+            _.each(transaction.update, function(data) {
+                this._applyTransactionRow('_updateRowOf', data, options, result.updated, result);
+            }, this);
+            _.each(transaction.remove, function(data) {
+                this._applyTransactionRow('_removeRowOf', data, options, result.removed, result);
+            }, this);
+        }, this);
+
+        if (result.removed.length) {
+            this._removeOriginalRows(result.removed);
+        }
+        if (rowsToAdd.length) {
+            result.added = _.invoke(this.appendOriginalRowList(rowsToAdd), 'get', 'rowKey');
+        }
+
+        return result;
+    },
+
+    /**
+     * Returns the key of the row data of the transaction.
+     * @param {(object|number|string)} data - Row data or the key
+     * @returns {(number|string)}
+     * @private
+     */
+    _getTransactionRowKey: function(data) {
+        var keyColumnName = this.columnModel.get('keyColumnName');
+
+        if (!_.isObject(data)) {
+            return data;
+        }
+
+        return keyColumnName ? data[keyColumnName] : data.rowKey;
+    },
+
+    /**
+     * Applies the row data of the transaction with the method, unless the row is locked.
+     * @param {string} methodName - Name of the method to apply the row data
+     * @param {(object|number|string)} data - Row data or the key
+     * @param {object} options - Options of the applyTransaction()
+     * @param {Array} rowKeys - List to which the rowKey of the applied row is added
+     * @param {object} result - Result of the applyTransaction()
+     * @private
+     */
+    _applyTransactionRow: function(methodName, data, options, rowKeys, result) {
+        var row = this.get(this._getTransactionRowKey(data));
+        var rowKey;
+
+        if (!row) {
+            return;
+        }
+        rowKey = row.get('rowKey');
+        if (_.contains(_.map(options.lockedRowKeys, String), String(rowKey))) {
+            result.skipped.push(rowKey);
+        } else {
+            this[methodName](row, data, options);
+            rowKeys.push(rowKey);
+        }
+    },
+
+    /**
+     * Sets the changed values of the row data to the row and the original data.
+     * @param {module:model/data/row} row - Row model
+     * @param {object} data - Row data
+     * @param {object} options - Options of the applyTransaction()
+     * @private
+     */
+    _updateRowOf: function(row, data, options) {
+        var rowKey = row.get('rowKey');
+        var originalRow = this.originalRowMap[rowKey];
+
+        _.each(data, function(value, columnName) {
+            if (!this._isDataColumn(columnName) || util.isEqual(row.get(columnName), value)) {
+                return;
+            }
+            this.setValue(rowKey, columnName, value);
+            if (originalRow) {
+                originalRow[columnName] = value;
+            }
+            if (options.flash) {
+                this._flashCell(row, columnName);
+            }
+        }, this);
+    },
+
+    /**
+     * Returns whether the column holds the data of the rows. (Not the rowKey, the meta columns or unknown columns)
+     * @param {string} columnName - Column name
+     * @returns {boolean}
+     * @private
+     */
+    _isDataColumn: function(columnName) {
+        return columnName !== 'rowKey' && !util.isMetaColumn(columnName) &&
+            !!this.columnModel.getColumnModel(columnName);
+    },
+
+    /**
+     * Removes the row from the rows.
+     * The original data of the removed rows is removed at once by the applyTransaction().
+     * @param {module:model/data/row} row - Row model
+     * @private
+     */
+    _removeRowOf: function(row) {
+        this.removeRow(row.get('rowKey'));
+    },
+
+    /**
+     * Removes the data of the rows from the original data.
+     * @param {Array.<(number|string)>} rowKeys - Row keys
+     * @private
+     */
+    _removeOriginalRows: function(rowKeys) {
+        var rowKeyMap = _.object(rowKeys, rowKeys);
+
+        this.originalRowList = _.reject(this.originalRowList, function(row) {
+            return _.has(rowKeyMap, row.rowKey);
+        });
+        this.originalRowMap = _.omit(this.originalRowMap, rowKeys);
+    },
+
+    /**
+     * Highlights the cell for a while.
+     * @param {module:model/data/row} row - Row model
+     * @param {string} columnName - Column name
+     * @private
+     */
+    _flashCell: function(row, columnName) {
+        var timerKey = row.get('rowKey') + '-' + columnName;
+        var flashTimerMap = this.flashTimerMap;
+
+        clearTimeout(flashTimerMap[timerKey]);
+        row.addCellClassName(columnName, classNameConst.CELL_FLASH);
+        flashTimerMap[timerKey] = setTimeout(function() {
+            delete flashTimerMap[timerKey];
+            row.removeCellClassName(columnName, classNameConst.CELL_FLASH);
+        }, FLASH_DURATION);
+    },
+
+    /**
+     * Clears the timers of the flashing cells. (Called by the model manager when the grid is destroyed)
+     * @private
+     */
+    _destroy: function() {
+        _.each(this.flashTimerMap, function(timeoutId) {
+            clearTimeout(timeoutId);
+        });
+        this.flashTimerMap = {};
+    },
+
+    /**
+     * Returns the sync state of the row.
+     * @param {(number|string)} rowKey - Row key
+     * @returns {?{state: string, message: string}} - state: 'PENDING' | 'SAVED' | 'ERROR'
+     */
+    getSyncState: function(rowKey) {
+        var row = this.get(rowKey);
+
+        return row ? row.getSyncState() : null;
+    },
+
+    /**
+     * Sets the sync state of the row. The class name of the state is added to the cells of the row.
+     * @param {(number|string)} rowKey - Row key
+     * @param {string} state - 'PENDING' | 'SAVED' | 'ERROR' (If empty, the sync state is removed)
+     * @param {string} [message] - Message of the state (ex: error message from the server)
+     */
+    setSyncState: function(rowKey, state, message) {
+        var row = this.get(rowKey);
+
+        if (row) {
+            row.setSyncState(state, message);
+        }
+    },
+
     /**
      * 원본 데이터 리스트를 반환한다.
      * @param {boolean} [isClone=true]  데이터 복제 여부.
@@ -236,7 +800,225 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
      * @returns {boolean}    랜더링 시 rowSpan 을 해야하는지 여부
      */
     isRowSpanEnable: function() {
-        return !this.isSortedByField();
+        return !this.isServerSide() && !this.isSortedByField() && !this.isFiltered() &&
+            !this.isGrouped() && !this.isTree();
+    },
+
+    /**
+     * 필터 조건이 적용된 상태인지 여부를 반환한다.
+     * @returns {Boolean} 필터 조건이 있는지 여부
+     */
+    isFiltered: function() {
+        return this.filterModel.isActive();
+    },
+
+    /**
+     * 컬럼의 필터 조건을 설정한다. 조건에 맞지 않는 행은 collection 에서 제거되지 않고 화면에서만 숨겨진다.
+     * @param {string} columnName 컬럼명
+     * @param {(Object|function)} condition 필터 조건
+     */
+    filterByField: function(columnName, condition) {
+        this.filterModel.setCondition(columnName, condition);
+    },
+
+    /**
+     * 컬럼의 필터 조건을 제거한다. 컬럼명이 없으면 모든 필터 조건을 제거한다.
+     * @param {string} [columnName] 컬럼명
+     */
+    unfilterByField: function(columnName) {
+        this.filterModel.removeCondition(columnName);
+    },
+
+    /**
+     * filterModel 의 조건이 변경되었을 때 실행되는 핸들러
+     * @private
+     */
+    _onFilterConditionChange: function() {
+        this._applyFilter();
+
+        /**
+         * Occurs when the filter conditions are changed
+         * @api
+         * @event tui.Grid#filterChanged
+         * @type {Object}
+         * @property {Object.<string, Object>} conditionMap - Filter conditions mapped by column names
+         * @property {number} rowCount - The number of the rows which are not hidden by the filter
+         */
+        this.trigger('filterChanged', {
+            conditionMap: this.filterModel.getConditionMap(),
+            rowCount: this.getVisibleRowCount()
+        });
+    },
+
+    /**
+     * 현재 필터 조건으로 모든 행의 표시 여부를 다시 계산한다.
+     * 필터가 적용된 이후에 추가된 행은 다음 필터 변경 시점까지 항상 표시된다.
+     * @private
+     */
+    _applyFilter: function() {
+        var filterModel = this.filterModel;
+        var filteredOutRowKeyMap = {};
+
+        // In the server-side row model, filtering is delegated to the server.
+        if (filterModel.isActive() && !this.isServerSide()) {
+            this.each(function(row) {
+                if (!filterModel.isMatched(row)) {
+                    filteredOutRowKeyMap[row.get('rowKey')] = true;
+                }
+            });
+        }
+        this.filteredOutRowKeyMap = filteredOutRowKeyMap;
+        this._resetVisibleRows();
+    },
+
+    /**
+     * 캐싱된 화면 표시용 행 목록을 초기화한다.
+     * @private
+     */
+    _resetVisibleRows: function() {
+        this.filteredRows = null;
+        this.visibleRows = null;
+        this.visibleIndexMap = null;
+        this.treeChildRowKeysMap = null;
+    },
+
+    /**
+     * 주어진 행이 화면에 표시되는지 여부를 반환한다.
+     * @param {module:model/data/row} row 행 모델
+     * @returns {boolean} 표시 여부
+     * @private
+     */
+    _isVisibleRow: function(row) {
+        return !this.filteredOutRowKeyMap[row.get('rowKey')];
+    },
+
+    /**
+     * rowKey 에 해당하는 행이 존재하고 화면에 표시되는지 여부를 반환한다.
+     * 접힌 그룹이나 접힌 트리 행의 자식 행은 표시되지 않으며, 그룹 행은 데이터 행이 아니므로 false 를 반환한다.
+     * @param {(Number|String)} rowKey 데이터의 키값
+     * @returns {boolean} 표시 여부
+     */
+    isVisibleRowKey: function(rowKey) {
+        var row = this.get(rowKey);
+
+        if (!row || !this._isVisibleRow(row)) {
+            return false;
+        }
+
+        return !this._isRearranged() || this.indexOfVisibleRowKey(rowKey) !== -1;
+    },
+
+    /**
+     * 그룹화나 트리에 의해 화면에 표시되는 행의 순서가 콜렉션의 순서와 다른지 여부를 반환한다.
+     * @returns {boolean}
+     * @private
+     */
+    _isRearranged: function() {
+        return this.isGrouped() || this.isTree();
+    },
+
+    /**
+     * 숨겨진 행이 있는지 여부를 반환한다.
+     * @returns {boolean} 숨겨진 행이 있는지 여부
+     * @private
+     */
+    _hasHiddenRows: function() {
+        return !_.isEmpty(this.filteredOutRowKeyMap);
+    },
+
+    /**
+     * 필터에 의해 숨겨지지 않은 행 목록을 반환한다.
+     * getVisibleRows() 와 달리 그룹 행은 포함되지 않고, 접힌 그룹의 행은 포함된다.
+     * @returns {Array.<module:model/data/row>} 필터에 의해 숨겨지지 않은 행 목록
+     */
+    getFilteredRows: function() {
+        if (this.isServerSide()) {
+            return this._getLoadedServerSideRows();
+        }
+        if (!this.filteredRows) {
+            this.filteredRows = this._hasHiddenRows() ? this.filter(this._isVisibleRow, this) : this.models;
+        }
+        return this.filteredRows;
+    },
+
+    /**
+     * 화면에 표시되는(필터에 의해 숨겨지지 않은) 행 목록을 반환한다.
+     * 행이 그룹화된 경우 그룹 행이 포함되며, 접힌 그룹의 행은 포함되지 않는다.
+     * 트리를 사용하는 경우 행들은 부모 행 아래에 표시되며, 접힌 행의 자식 행은 포함되지 않는다.
+     * 화면과 관련된 모든 row index 는 이 목록의 index 를 기준으로 한다.
+     * @returns {Array.<module:model/data/row>} 표시되는 행 목록
+     */
+    getVisibleRows: function() {
+        if (this.isServerSide()) {
+            return this._getLoadedServerSideRows();
+        }
+        if (!this.visibleRows) {
+            this.visibleRows = this._createVisibleRows(this.getFilteredRows());
+        }
+        return this.visibleRows;
+    },
+
+    /**
+     * 필터에 의해 숨겨지지 않은 행 목록으로 화면에 표시되는 행 목록을 생성한다.
+     * @param {Array.<module:model/data/row>} rows 필터에 의해 숨겨지지 않은 행 목록
+     * @returns {Array.<module:model/data/row>} 표시되는 행 목록
+     * @private
+     */
+    _createVisibleRows: function(rows) {
+        if (this.isGrouped()) {
+            return this._createGroupedRows(rows);
+        }
+        if (this.isTree()) {
+            return this._createTreeRows(rows);
+        }
+        return rows;
+    },
+
+    /**
+     * 화면에 표시되는 행의 개수를 반환한다.
+     * @returns {number} 표시되는 행의 개수
+     */
+    getVisibleRowCount: function() {
+        if (this.isServerSide()) {
+            return this.serverSideOptions.totalCount;
+        }
+        return this.getVisibleRows().length;
+    },
+
+    /**
+     * 화면에 표시되는 행 목록에서 index 에 해당하는 행을 반환한다.
+     * @param {number} index 표시되는 행 목록에서의 index
+     * @returns {module:model/data/row} 행 모델
+     */
+    getVisibleRowAt: function(index) {
+        if (this.isServerSide()) {
+            return this._getServerSideRowAt(index);
+        }
+        return this.getVisibleRows()[index];
+    },
+
+    /**
+     * 화면에 표시되는 행 목록에서 rowKey 에 해당하는 행의 index 를 반환한다.
+     * @param {(Number|String)} rowKey 데이터의 키값
+     * @returns {number} 표시되는 행 목록에서의 index. 숨겨진 행이면 -1
+     */
+    indexOfVisibleRowKey: function(rowKey) {
+        var indexMap;
+
+        if (this.isServerSide()) {
+            return _.has(this.serverSideIndexMap, rowKey) ? this.serverSideIndexMap[rowKey] : -1;
+        }
+        if (!this._hasHiddenRows() && !this._isRearranged()) {
+            return this.indexOfRowKey(rowKey);
+        }
+        if (!this.visibleIndexMap) {
+            indexMap = {};
+            _.each(this.getVisibleRows(), function(row, index) {
+                indexMap[row.get('rowKey')] = index;
+            });
+            this.visibleIndexMap = indexMap;
+        }
+        return _.has(this.visibleIndexMap, rowKey) ? this.visibleIndexMap[rowKey] : -1;
     },
 
     /**
@@ -249,13 +1031,15 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
 
     /**
      * 정렬옵션 객체의 값을 변경하고, 변경된 값이 있을 경우 sortChanged 이벤트를 발생시킨다.
+     * isMultiple 이 true 이면 기존 정렬 키 목록에 컬럼을 추가(이미 있으면 정렬 방향만 변경)하고,
+     * 그렇지 않으면 주어진 컬럼 하나로 정렬 키 목록을 대체한다.
      * @param {string} columnName 정렬할 컬럼명
      * @param {boolean} isAscending 오름차순 여부
      * @param {boolean} isRequireFetch 서버 데이타의 갱신이 필요한지 여부
+     * @param {boolean} [isMultiple=false] 기존 정렬 키를 유지한 채 추가할지 여부
      */
-    setSortOptionValues: function(columnName, isAscending, isRequireFetch) {
-        var options = this.sortOptions,
-            isChanged = false;
+    setSortOptionValues: function(columnName, isAscending, isRequireFetch, isMultiple) {
+        var sortKeys, sortKey;
 
         if (_.isUndefined(columnName)) {
             columnName = 'rowKey';
@@ -264,16 +1048,70 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
             isAscending = true;
         }
 
-        if (options.columnName !== columnName || options.isAscending !== isAscending) {
-            isChanged = true;
+        if (columnName === 'rowKey') {
+            sortKeys = [];
+        } else if (isMultiple) {
+            sortKeys = _.map(this.sortOptions.sortKeys, _.clone);
+            sortKey = _.findWhere(sortKeys, {columnName: columnName});
+            if (sortKey) {
+                sortKey.isAscending = isAscending;
+            } else {
+                sortKeys.push({
+                    columnName: columnName,
+                    isAscending: isAscending
+                });
+            }
+        } else {
+            sortKeys = [{
+                columnName: columnName,
+                isAscending: isAscending
+            }];
         }
-        options.columnName = columnName;
-        options.isAscending = isAscending;
+        this.setSortKeys(sortKeys, isRequireFetch);
+    },
+
+    /**
+     * 정렬 키 목록을 한번에 변경하고, 변경된 값이 있을 경우 sortChanged 이벤트를 발생시킨다.
+     * sortOptions 의 columnName, isAscending 에는 첫번째(우선순위가 가장 높은) 정렬 키의 값이 설정된다.
+     * @param {Array.<{columnName: string, isAscending: boolean}>} sortKeys 우선순위 순으로 정렬된 정렬 키 목록
+     * @param {boolean} isRequireFetch 서버 데이타의 갱신이 필요한지 여부
+     */
+    setSortKeys: function(sortKeys, isRequireFetch) {
+        var options = this.sortOptions,
+            primaryKey, isChanged;
+
+        sortKeys = _.map(_.reject(sortKeys, {columnName: 'rowKey'}), function(sortKey) {
+            return {
+                columnName: sortKey.columnName,
+                isAscending: sortKey.isAscending !== false
+            };
+        });
+        primaryKey = sortKeys[0] || {
+            columnName: 'rowKey',
+            isAscending: true
+        };
+        isChanged = !_.isEqual(options.sortKeys, sortKeys) ||
+            options.columnName !== primaryKey.columnName || options.isAscending !== primaryKey.isAscending;
+
+        options.columnName = primaryKey.columnName;
+        options.isAscending = primaryKey.isAscending;
+        options.sortKeys = sortKeys;
 
         if (isChanged) {
+            /**
+             * Occurs when the sort options are changed
+             * @api
+             * @event tui.Grid#sortChanged
+             * @type {Object}
+             * @property {string} columnName - The name of the column with the highest priority
+             * @property {boolean} isAscending - Whether the column with the highest priority is in ascending order
+             * @property {Array.<{columnName: string, isAscending: boolean}>} sortKeys - Sort keys in order of priority
+             * @property {boolean} isRequireFetch - Whether the data should be requested to the server again
+             */
             this.trigger('sortChanged', {
-                columnName: columnName,
-                isAscending: isAscending,
+                columnName: options.columnName,
+                isAscending: options.isAscending,
+                sortKeys: _.map(sortKeys, _.clone),
                 isRequireFetch: isRequireFetch
             });
         }
@@ -282,15 +1120,36 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     /**
      * 주어진 컬럼명을 기준으로 오름/내림차순 정렬한다.
      * @param {string} columnName 정렬할 컬럼명
-     * @param {boolean} isAscending 오름차순 여부
+     * @param {boolean} [isAscending] 오름차순 여부. 값이 없으면 현재 정렬 방향의 반대로 설정한다.
+     * @param {boolean} [isMultiple=false] true 이면 기존 정렬 키 뒤에 다음 우선순위로 추가한다.
      */
-    sortByField: function(columnName, isAscending) {
+    sortByField: function(columnName, isAscending, isMultiple) {
         var options = this.sortOptions;
+        var sortKey;
 
-        if (_.isUndefined(isAscending)) {
-            isAscending = (options.columnName === columnName) ? !options.isAscending : true;
+        if (!_.isBoolean(isAscending)) {
+            sortKey = isMultiple ? _.findWhere(options.sortKeys, {columnName: columnName}) : null;
+            if (sortKey) {
+                isAscending = !sortKey.isAscending;
+            } else {
+                isAscending = (!isMultiple && options.columnName === columnName) ? !options.isAscending : true;
+            }
         }
-        this.setSortOptionValues(columnName, isAscending, !options.useClient);
+        this.setSortOptionValues(columnName, isAscending, !options.useClient, isMultiple);
+
+        if (options.useClient) {
+            this.sort();
+        }
+    },
+
+    /**
+     * 주어진 정렬 키 목록으로 한번에 정렬한다.
+     * @param {Array.<{columnName: string, isAscending: boolean}>} sortKeys 우선순위 순으로 정렬된 정렬 키 목록
+     */
+    sortByKeys: function(sortKeys) {
+        var options = this.sortOptions;
+
+        this.setSortKeys(sortKeys, !options.useClient);
 
         if (options.useClient) {
             this.sort();
@@ -347,34 +1206,57 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
 
     /**
      * Backbone 에서 sort() 실행시 내부적으로 사용되는 메소드.
+     * 정렬 키 목록의 우선순위대로 비교하며, 앞선 키의 값이 같을 때에만 다음 키로 비교한다.
      * @param {Row} a 비교할 앞의 모델
      * @param {Row} b 비교할 뒤의 모델
      * @returns {number} a가 b보다 작으면 -1, 같으면 0, 크면 1. 내림차순이면 반대.
      */
     comparator: function(a, b) {
-        var columnName = this.sortOptions.columnName;
-        var isAscending = this.sortOptions.isAscending;
+        var sortKeys = this.sortOptions.sortKeys;
+        var result = 0;
+        var i, len;
+
+        if (!sortKeys.length) {
+            return this._compareByColumn(a, b, 'rowKey', this.sortOptions.isAscending);
+        }
+        for (i = 0, len = sortKeys.length; i < len && !result; i += 1) {
+            result = this._compareByColumn(a, b, sortKeys[i].columnName, sortKeys[i].isAscending);
+        }
+        return result;
+    },
+
+    /**
+     * 주어진 컬럼의 값으로 두 모델을 비교한다.
+     * 빈 값(null, undefined, '')은 컬럼모델의 nullOrder 옵션에 따라 정렬 방향과 관계없이 처음 혹은 마지막에 위치하며,
+     * nullOrder 옵션이 없으면 가장 작은 값으로 취급한다.
+     * 빈 값이 아닌 경우 컬럼모델의 comparator 함수가 있으면 그 결과를, 없으면 sortingType 에 따라 비교한 결과를 사용한다.
+     * sortingType 에 따라 변환할 수 없는 값(number 컬럼의 문자 등)은 정렬 방향과 관계없이 변환된 값들의 뒤에 위치한다.
+     * @param {Row} a 비교할 앞의 모델
+     * @param {Row} b 비교할 뒤의 모델
+     * @param {string} columnName 비교할 컬럼명
+     * @param {boolean} isAscending 오름차순 여부
+     * @returns {number} a가 b보다 작으면 -1, 같으면 0, 크면 1. 내림차순이면 반대.
+     * @private
+     */
+    _compareByColumn: function(a, b, columnName, isAscending) {
+        var columnModel = this.columnModel.getColumnModel(columnName) || {};
         var valueA = a.get(columnName);
         var valueB = b.get(columnName);
+        var isEmptyA = isEmptyValue(valueA);
+        var isEmptyB = isEmptyValue(valueB);
+        var result;
 
-        var isEmptyA = _.isNull(valueA) || _.isUndefined(valueA) || valueA === '';
-        var isEmptyB = _.isNull(valueB) || _.isUndefined(valueB) || valueB === '';
-        var result = 0;
-
-        if (isEmptyA && !isEmptyB) {
-            result = -1;
-        } else if (!isEmptyA && isEmptyB) {
-            result = 1;
-        } else if (valueA < valueB) {
-            result = -1;
-        } else if (valueA > valueB) {
-            result = 1;
+        if (isEmptyA || isEmptyB) {
+            return compareEmptyValues(isEmptyA, isEmptyB, isAscending, columnModel.nullOrder);
         }
 
-        if (!isAscending) {
-            result = -result;
+        if (_.isFunction(columnModel.comparator)) {
+            result = columnModel.comparator(valueA, valueB, a.attributes, b.attributes);
+
+            return isAscending ? result : -result;
         }
-        return result;
+
+        return compareValues(valueA, valueB, columnModel.sortingType, isAscending);
     },
 
     /**
@@ -391,25 +1273,67 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
 
     /**
      * rowKey 에 해당하는 그리드 데이터를 삭제한다.
+     * 트리를 사용하는 경우 자손 행들도 함께 삭제되며, 한 번에 되돌릴 수 있다.
      * @param {(Number|String)} rowKey - 행 데이터의 고유 키
      * @param {object} options - 삭제 옵션
      * @param {boolean} options.removeOriginalData - 원본 데이터도 함께 삭제할 지 여부
      * @param {boolean} options.keepRowSpanData - rowSpan이 mainRow를 삭제하는 경우 데이터를 유지할지 여부
      */
     removeRow: function(rowKey, options) {
-        var row = this.get(rowKey),
-            rowSpanData, nextRow, removedData;
+        var row = this.get(rowKey);
+        var parentRowKey;
 
         if (!row) {
             return;
         }
 
+        if (this.isTree()) {
+            parentRowKey = this.getParentRowKey(rowKey);
+            this.historyModel.startTransaction();
+            _.each(this.getChildRowKeys(rowKey), function(childRowKey) {
+                this.removeRow(childRowKey, options);
+            }, this);
+            this._removeSingleRow(row, options);
+            this.historyModel.endTransaction();
+            this._syncCheckWithChildren(parentRowKey);
+        } else {
+            this._removeSingleRow(row, options);
+        }
+    },
+
+    /**
+     * rowKey 목록에 해당하는 그리드 데이터를 삭제한다. 한 번에 되돌릴 수 있다.
+     * @param {Array.<(Number|String)>} rowKeys - 행 데이터의 고유 키 목록
+     * @param {object} options - 삭제 옵션 (removeRow 의 옵션과 같다)
+     */
+    removeRows: function(rowKeys, options) {
+        this.historyModel.startTransaction();
+        _.each(rowKeys, function(rowKey) {
+            this.removeRow(rowKey, options);
+        }, this);
+        this.historyModel.endTransaction();
+    },
+
+    /**
+     * 주어진 행을 삭제한다.
+     * @param {module:model/data/row} row - 행 모델
+     * @param {object} options - 삭제 옵션 (removeRow 의 옵션과 같다)
+     * @private
+     */
+    _removeSingleRow: function(row, options) {
+        var rowSpanData, nextRow, removedData;
+
         if (options && options.keepRowSpanData) {
             removedData = _.clone(row.attributes);
         }
         rowSpanData = _.clone(row.getRowSpanData());
         nextRow = this.at(this.indexOf(row) + 1);
 
+        this.historyModel.record({
+            type: 'remove',
+            at: this.indexOf(row),
+            rows: [getRowSnapshot(row)]
+        });
         this.remove(row, {
             silent: true
         });
@@ -418,7 +1342,7 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         if (options && options.removeOriginalData) {
             this.setOriginalRowList();
         }
-        this.trigger('remove');
+        this.trigger('remove', [row], {});
     },
 
     /**
@@ -434,7 +1358,7 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         }
         _.each(rowSpanData, function(data, columnName) {
             var mainRowSpanData = {},
-                mainRow, startOffset, spanCount;
+                mainRow, startOffset, spanCount, prevValue;
 
             if (data.isMainRow) {
                 if (data.count === 1) {
@@ -448,9 +1372,11 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
                     mainRowSpanData.mainRowKey = mainRow.get('rowKey');
                     mainRowSpanData.isMainRow = true;
                 }
+                prevValue = mainRow.get(columnName);
                 mainRow.set(columnName, (removedData ? removedData[columnName] : ''), {
                     silent: true
                 });
+                this.updateValueIndex(mainRow, columnName, prevValue);
             } else {
                 mainRow = this.get(data.mainRowKey);
                 spanCount = mainRow.getRowSpanData(columnName).count - 1;
@@ -491,13 +1417,20 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
      * @param {Boolean} [options.extendPrevRowSpan] - If set to true and the previous row at target index
      *        has a rowspan data, the new row will extend the existing rowspan data.
      * @param {Boolean} [options.focus] - If set to true, move focus to the new row after appending
+     * @param {(Number|String)} [options.parentRowKey] - If the tree is used, the new rows are appended to the
+     *        children of the row. The parent row is expanded, and the 'at' option is ignored.
      * @returns {Array.<module:model/data/row>} Row model list
      */
     append: function(rowData, options) {
-        var modelList = this._createModelList(rowData),
-            addOptions;
+        var parentRow = this._getParentRowToAppend(options);
+        var modelList = this._createModelList(rowData, parentRow && parentRow.get('rowKey'));
+        var addOptions;
 
         options = _.extend({at: this.length}, options);
+        if (parentRow) {
+            options.at = this._getIndexToAppendChildren(parentRow);
+            this._prepareToAppendChildren(parentRow);
+        }
         addOptions = {
             at: options.at,
             add: true,
@@ -506,8 +1439,17 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
 
         this.add(modelList, addOptions);
         this._syncRowSpanDataForAppend(options.at, modelList.length, options.extendPrevRowSpan);
+        this.historyModel.record({
+            type: 'add',
+            at: options.at,
+            rows: _.map(modelList, getRowSnapshot)
+        });
         this.trigger('add', modelList, options);
 
+        if (parentRow) {
+            this._syncCheckWithChildren(parentRow.get('rowKey'));
+        }
+
         return modelList;
     },
 
@@ -525,6 +1467,123 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         return this.append(rowData, options);
     },
 
+    /**
+     * Returns whether the rows can be moved by the moveRows().
+     * The rows can't be moved while they are sorted by a column, grouped, hierarchical,
+     * loaded block by block from the server, or merged by the rowSpan.
+     * @returns {boolean}
+     */
+    isRowMovable: function() {
+        return !this.isSortedByField() && !this.isGrouped() && !this.isTree() && !this.isServerSide() &&
+            !this.some(function(row) {
+                return !!row.getRowSpanData();
+            });
+    },
+
+    /**
+     * Moves the rows to the position before the row at the target index.
+     * The rows are moved together in the current order, and the move can be undone.
+     * @param {Array.<(number|string)>} rowKeys - The rowKeys of the rows to move
+     * @param {number} targetIndex - The index of the row before which the rows are moved,
+     *     counted before the move. If it's the number of the rows, the rows are moved to the end.
+     * @returns {boolean} True if the rows are moved
+     */
+    moveRows: function(rowKeys, targetIndex) {
+        var rows = this._getRowsToMove(rowKeys);
+        var prevOrder = this.pluck('rowKey');
+        var eventData, order;
+
+        if (!rows.length || !this.isRowMovable()) {
+            return false;
+        }
+        targetIndex = Math.max(0, Math.min(targetIndex, this.length));
+
+        eventData = new GridEvent({
+            rowKeys: _.map(rows, function(row) {
+                return row.get('rowKey');
+            }),
+            targetIndex: targetIndex
+        });
+
+        /**
+         * Occurs before the rows are moved by dragging them or by the moveRows().
+         * Calling the stop() of the event data cancels the move.
+         * @api
+         * @event tui.Grid#beforeRowMove
+         * @type {module:common/gridEvent}
+         * @property {Array.<(number|string)>} rowKeys - The rowKeys of the rows to move
+         * @property {number} targetIndex - The index of the row before which the rows are moved
+         */
+        this.trigger('beforeRowMove', eventData);
+        if (eventData.isStopped()) {
+            return false;
+        }
+
+        order = this._getOrderAfterMove(rows, targetIndex);
+        if (_.isEqual(order, prevOrder)) {
+            return false;
+        }
+        this._setRowOrder(order);
+        this.historyModel.record({
+            type: 'move',
+            prevOrder: prevOrder,
+            order: order
+        });
+
+        return true;
+    },
+
+    /**
+     * Returns the rows of the rowKeys in the current order.
+     * @param {Array.<(number|string)>} rowKeys - rowKeys
+     * @returns {Array.<module:model/data/row>}
+     * @private
+     */
+    _getRowsToMove: function(rowKeys) {
+        var rows = _.compact(_.map(_.uniq(rowKeys), function(rowKey) {
+            return this.get(rowKey);
+        }, this));
+
+        return _.sortBy(rows, function(row) {
+            return this.indexOf(row);
+        }, this);
+    },
+
+    /**
+     * Returns the rowKeys of all rows in the order after the rows are moved.
+     * @param {Array.<module:model/data/row>} rows - The rows to move
+     * @param {number} targetIndex - The index of the row before which the rows are moved
+     * @returns {Array.<(number|string)>}
+     * @private
+     */
+    _getOrderAfterMove: function(rows, targetIndex) {
+        var movingMap = _.indexBy(rows, function(row) {
+            return row.get('rowKey');
+        });
+        var isMoving = function(row) {
+            return _.has(movingMap, row.get('rowKey'));
+        };
+        var before = _.reject(this.models.slice(0, targetIndex), isMoving);
+        var after = _.reject(this.models.slice(targetIndex), isMoving);
+
+        return _.map(before.concat(rows, after), function(row) {
+            return row.get('rowKey');
+        });
+    },
+
+    /**
+     * Rearranges the rows in the order of the rowKeys.
+     * The 'sort' event is triggered to render the rows in the new order.
+     * @param {Array.<(number|string)>} rowKeys - The rowKeys of all rows
+     * @private
+     */
+    _setRowOrder: function(rowKeys) {
+        this.models = _.map(rowKeys, function(rowKey) {
+            return this.get(rowKey);
+        }, this);
+        this.trigger('sort', this, {});
+    },
+
     /**
      * rowKey에 해당하는 행의 데이터를 리턴한다. isJsonString을 true로 설정하면 결과를 json객체로 변환하여 리턴한다.
      * @param {(Number|String)} rowKey  행 데이터의 고유 키
@@ -539,13 +1598,13 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     },
 
     /**
-     * 그리드 전체 데이터 중에서 index에 해당하는 순서의 데이터 객체를 리턴한다.
+     * 화면에 표시되는 데이터 중에서 index에 해당하는 순서의 데이터 객체를 리턴한다.
      * @param {Number} index 행의 인덱스
      * @param {Boolean} [isJsonString=false]  true 일 경우 JSON String 으로 반환한다.
      * @returns {Object} 행 데이터
      */
     getRowDataAt: function(index, isJsonString) {
-        var row = this.at(index),
+        var row = this.getVisibleRowAt(index),
             rowData = row ? row.toJSON() : null;
 
         return isJsonString ? JSON.stringify(row) : rowData;
@@ -580,16 +1639,45 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
      */
     setValue: function(rowKey, columnName, value, silent) {
         var row = this.get(rowKey);
+        var prevValue;
 
         if (row) {
+            prevValue = row.get(columnName);
             row.set(columnName, value, {
                 silent: silent
             });
+            this.updateValueIndex(row, columnName, prevValue);
+            this._recordValueChange(row, columnName, prevValue);
             return true;
         }
         return false;
     },
 
+    /**
+     * Records the change of the cell value to the history.
+     * The change is not recorded if the value is not changed (e.g. restored by the changeBeforeCallback)
+     * or the column is not a data column.
+     * @param {module:model/data/row} row - Row model
+     * @param {String} columnName - Column name
+     * @param {*} prevValue - The value before changed
+     * @private
+     */
+    _recordValueChange: function(row, columnName, prevValue) {
+        var value = row.get(columnName);
+
+        if (util.isMetaColumn(columnName) || !this.columnModel.getColumnModel(columnName) ||
+            util.isEqual(prevValue, value)) {
+            return;
+        }
+        this.historyModel.record({
+            type: 'set',
+            rowKey: row.get('rowKey'),
+            columnName: columnName,
+            prevValue: prevValue,
+            value: value
+        });
+    },
+
     /**
      * columnName에 해당하는 column data list를 리턴한다.
      * @param {String} columnName   컬럼명
@@ -613,7 +1701,8 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
             cellState = {
                 isDisabled: false,
                 isEditable: true
-            };
+            },
+            prevValue;
 
         obj[columnName] = columnValue;
         isCheckCellState = _.isUndefined(isCheckCellState) ? true : isCheckCellState;
@@ -623,9 +1712,11 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
                 cellState = row.getCellState(columnName);
             }
             if (!cellState.isDisabled && cellState.isEditable) {
+                prevValue = row.get(columnName);
                 row.set(obj, {
                     silent: silent
                 });
+                this.updateValueIndex(row, columnName, prevValue);
             }
         }, this);
     },
@@ -723,11 +1814,21 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     },
 
     /**
-     * 전체 행을 선택한다.
+     * 전체 행을 선택한다. 필터에 의해 숨겨진 행은 선택하지 않는다.
      * TODO: disableCheck 행 처리
      */
     checkAll: function() {
-        this.setColumnValues('_button', true);
+        if (this._hasHiddenRows()) {
+            _.each(this.getFilteredRows(), function(row) {
+                var cellState = row.getCellState('_button');
+
+                if (!cellState.isDisabled && cellState.isEditable) {
+                    row.set('_button', true);
+                }
+            });
+        } else {
+            this.setColumnValues('_button', true);
+        }
     },
 
     /**
@@ -740,9 +1841,10 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     /**
      * 주어진 데이터로 모델 목록을 생성하여 반환한다.
      * @param {object|array} rowData - 모델을 생성할 데이터. Array일 경우 여러개를 동시에 생성한다.
+     * @param {(Number|String)} [parentRowKey] - 트리를 사용하는 경우 부모 행의 rowKey
      * @returns {Row[]} 생성된 모델 목록
      */
-    _createModelList: function(rowData) {
+    _createModelList: function(rowData, parentRowKey) {
         var modelList = [],
             rowList;
 
@@ -750,7 +1852,7 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         if (!_.isArray(rowData)) {
             rowData = [rowData];
         }
-        rowList = this._formatData(rowData);
+        rowList = this._formatData(rowData, parentRowKey);
 
         _.each(rowList, function(row) {
             var model = new Row(row, {
@@ -813,13 +1915,15 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     _updateSubRowSpanData: function(mainRow, columnName, startOffset, spanCount) {
         var mainRowIdx = this.indexOf(mainRow),
             mainRowKey = mainRow.get('rowKey'),
-            row, offset;
+            row, offset, prevValue;
 
         for (offset = startOffset; offset < spanCount; offset += 1) {
             row = this.at(mainRowIdx + offset);
+            prevValue = row.get(columnName);
             row.set(columnName, mainRow.get(columnName), {
                 silent: true
             });
+            this.updateValueIndex(row, columnName, prevValue);
             row.setRowSpanData(columnName, {
                 count: -offset,
                 mainRowKey: mainRowKey,
@@ -854,7 +1958,9 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
      *      @param {boolean} [options.isRaw=false] true 로 설정된 경우 내부 연산용 데이터 제거 필터링을 거치지 않는다.
      *      @param {boolean} [options.isOnlyRowKeyList=false] true 로 설정된 경우 키값만 저장하여 리턴한다.
      *      @param {Array} [options.filteringColumnList]   행 데이터 중에서 데이터 변경으로 간주하지 않을 컬럼 이름을 배열로 설정한다.
-     * @returns {{createList: Array, updateList: Array, deleteList: Array}} options 조건에 해당하는 수정된 rowList 정보
+     * @returns {{createList: Array, updateList: Array, deleteList: Array, orderChangedList: Array}}
+     *      options 조건에 해당하는 수정된 rowList 정보. orderChangedList 에는 원본 행들 사이에서의 순서가 바뀐 행들이
+     *      현재 순서대로 담긴다.
      */
     getModifiedRowList: function(options) {
         var isRaw = options && options.isRaw,
@@ -866,9 +1972,13 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
             result = {
                 createList: [],
                 updateList: [],
-                deleteList: []
+                deleteList: [],
+                orderChangedList: []
             };
 
+        result.orderChangedList = this._getOrderChangedList(original, current, isOnlyChecked, function(row) {
+            return isOnlyRowKeyList ? row.rowKey : _.omit(row, filteringColumnList);
+        });
         original = _.indexBy(original, 'rowKey');
         current = _.indexBy(current, 'rowKey');
         filteringColumnList = _.union(filteringColumnList, this.columnModel.getIgnoredColumnNameList());
@@ -897,6 +2007,37 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         return result;
     },
 
+    /**
+     * 원본 행들 사이에서의 순서가 바뀐 행들을 현재 순서대로 반환한다.
+     * 추가/삭제된 행은 비교에서 제외하며, 컬럼으로 정렬된 상태나 서버사이드 행 모델에서는 순서 변경으로 간주하지 않는다.
+     * @param {Array} original - 원본 행 데이터 배열
+     * @param {Array} current - 현재 행 데이터 배열
+     * @param {boolean} isOnlyChecked - true 로 설정된 경우 checked 된 행만 반환한다.
+     * @param {function} iteratee - 반환할 항목을 만드는 함수
+     * @returns {Array}
+     * @private
+     */
+    _getOrderChangedList: function(original, current, isOnlyChecked, iteratee) {
+        var originalMap = _.indexBy(original, 'rowKey');
+        var currentMap = _.indexBy(current, 'rowKey');
+        var originalOrder, currentRows;
+
+        if (this.isSortedByField() || this.isServerSide()) {
+            return [];
+        }
+        originalOrder = _.filter(_.pluck(original, 'rowKey'), function(rowKey) {
+            return _.has(currentMap, rowKey);
+        });
+        currentRows = _.filter(current, function(row) {
+            return _.has(originalMap, row.rowKey);
+        });
+
+        return _.map(_.filter(currentRows, function(row, index) {
+            return row.rowKey !== originalOrder[index] &&
+                (!isOnlyChecked || this.get(row.rowKey).get('_button'));
+        }, this), iteratee);
+    },
+
     /**
      * rowList 를 설정한다. setRowList 와 다르게 setOriginalRowList 를 호출하여 원본데이터를 갱신하지 않는다.
      * @param {Array} rowList 설정할 데이터 배열 값
@@ -922,6 +2063,110 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         }
     },
 
+    /**
+     * Appends the imported rows except the invalid ones, as one transaction of the history.
+     * Each row is validated with the rules of the columns before being appended (asynchronous validators
+     * are not executed), and the rows which have any error are rejected.
+     * Unlike replaceRowList(), the original data is not changed in the replace mode, so the imported rows
+     * are regarded as created rows and the existing rows as deleted rows in getModifiedRowList().
+     * @param {Array.<Object>} rowDataList - Data of the rows to import
+     * @param {boolean} [isReplace=false] - If set to true, removes all existing rows before appending
+     * @returns {{importedCount: number, rejectedRows: Array.<{index: number, data: Object, errors: Array}>}}
+     */
+    importRowList: function(rowDataList, isReplace) {
+        var validationColumnNames = this._getValidationColumnNames();
+        var at, acceptedList, rejectedRows;
+
+        this.historyModel.startTransaction();
+        if (isReplace) {
+            this._removeAllRows();
+        }
+
+        at = this.length;
+        acceptedList = [];
+        rejectedRows = [];
+        // cloned not to add the meta data to the rejected data
+        _.each(this._createModelList(_.map(rowDataList, _.clone)), function(model, index) {
+            var errors = this._getImportErrors(model, validationColumnNames);
+
+            if (errors.length) {
+                rejectedRows.push({
+                    index: index,
+                    data: rowDataList[index],
+                    errors: errors
+                });
+            } else {
+                // added one by one to check the unique rule among the imported rows
+                this.add(model, {
+                    silent: true
+                });
+                this._addToValueIndexes([model]);
+                acceptedList.push(model);
+            }
+        }, this);
+
+        if (acceptedList.length) {
+            this.historyModel.record({
+                type: 'add',
+                at: at,
+                rows: _.map(acceptedList, getRowSnapshot)
+            });
+            this.trigger('add', acceptedList, {at: at});
+        }
+        this.historyModel.endTransaction();
+
+        return {
+            importedCount: acceptedList.length,
+            rejectedRows: rejectedRows
+        };
+    },
+
+    /**
+     * Returns the validation errors of the row to be imported.
+     * @param {module:model/data/row} row - Row model which is not added yet
+     * @param {Array.<String>} columnNames - Names of the columns to validate
+     * @returns {Array.<{columnName: String, errorCode: String, message: String}>}
+     * @private
+     */
+    _getImportErrors: function(row, columnNames) {
+        var errors = [];
+
+        _.each(columnNames, function(columnName) {
+            var result = row.checkSyncValidation(columnName);
+
+            if (result.errorCode) {
+                errors.push({
+                    columnName: columnName,
+                    errorCode: result.errorCode,
+                    message: validationMessage.getMessage(result, this.columnModel.getColumnModel(columnName))
+                });
+            }
+        }, this);
+
+        return errors;
+    },
+
+    /**
+     * Removes all rows recording them to the history.
+     * @private
+     */
+    _removeAllRows: function() {
+        var rows = this.models.slice();
+
+        if (!rows.length) {
+            return;
+        }
+        this.historyModel.record({
+            type: 'remove',
+            at: 0,
+            rows: _.map(rows, getRowSnapshot)
+        });
+        this.remove(rows, {
+            silent: true
+        });
+        this.trigger('remove', rows, {});
+    },
+
     /**
      * rowList 를 설정하고, setOriginalRowList 를 호출하여 원본데이터를 갱신한다.
      * @param {Array} rowList 설정할 데이터 배열 값
@@ -948,6 +2193,90 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         this.replaceRowList(originalRowList, true);
     },
 
+    /**
+     * Reverts the last transaction in the history.
+     * @returns {boolean} True if any transaction is reverted
+     */
+    undo: function() {
+        var actions = this.historyModel.undo();
+
+        if (actions) {
+            this._applyHistoryActions(actions.slice().reverse(), true);
+        }
+        return !!actions;
+    },
+
+    /**
+     * Applies the last reverted transaction again.
+     * @returns {boolean} True if any transaction is applied
+     */
+    redo: function() {
+        var actions = this.historyModel.redo();
+
+        if (actions) {
+            this._applyHistoryActions(actions, false);
+        }
+        return !!actions;
+    },
+
+    /**
+     * Applies the actions of the transaction without recording them to the history.
+     * @param {Array.<Object>} actions - Actions of the transaction
+     * @param {boolean} isUndo - If set to true, reverts the actions
+     * @private
+     */
+    _applyHistoryActions: function(actions, isUndo) {
+        this.historyModel.pauseWhile(function() {
+            _.each(actions, function(action) {
+                this._applyHistoryAction(action, isUndo);
+            }, this);
+        }, this);
+    },
+
+    /**
+     * Applies the action of the history.
+     * Reverting 'add' action and applying 'remove' action remove the rows, and vice versa.
+     * The 'move' action rearranges the rows in the order before or after the move.
+     * @param {Object} action - Action
+     * @param {boolean} isUndo - If set to true, reverts the action
+     * @private
+     */
+    _applyHistoryAction: function(action, isUndo) {
+        var isRemoving = (action.type === 'add') === isUndo;
+
+        if (action.type === 'set') {
+            this.setValue(action.rowKey, action.columnName, isUndo ? action.prevValue : action.value);
+        } else if (action.type === 'move') {
+            this._setRowOrder(isUndo ? action.prevOrder : action.order);
+        } else if (isRemoving) {
+            _.each(action.rows, function(rowData) {
+                this.removeRow(rowData.rowKey);
+            }, this);
+        } else {
+            this._restoreRows(action.rows, action.at);
+        }
+    },
+
+    /**
+     * Inserts the rows recorded in the history at the given index, keeping their rowKeys.
+     * @param {Array.<Object>} rows - Snapshots of the rows
+     * @param {number} at - The index at which the rows will be inserted
+     * @private
+     */
+    _restoreRows: function(rows, at) {
+        var modelList = _.map(rows, function(rowData) {
+            return new Row($.extend(true, {}, rowData), {
+                collection: this
+            });
+        }, this);
+
+        this.add(modelList, {
+            at: Math.min(at, this.length),
+            silent: true
+        });
+        this.trigger('add', modelList, {});
+    },
+
     /**
      * rowKey 와 columnName 에 해당하는 text 형태의 셀의 값을 삭제한다.
      * @param {(Number|String)} rowKey 행 데이터의 고유 키
@@ -973,22 +2302,25 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         var columnModels = this.columnModel.getVisibleColumnModelList();
         var rowIdxes = _.range(range.row[0], range.row[1] + 1);
         var columnIdxes = _.range(range.column[0], range.column[1] + 1);
-        var rowKeys, columnNames;
+        var rows, rowKeys, columnNames;
 
-        rowKeys = _.map(rowIdxes, function(idx) {
-            return this.at(idx).get('rowKey');
-        }, this);
+        rows = _.reject(_.map(rowIdxes, function(idx) {
+            return this.getVisibleRowAt(idx);
+        }, this), this.isGroupRow, this);
+        rowKeys = _.invoke(rows, 'get', 'rowKey');
 
         columnNames = _.map(columnIdxes, function(idx) {
             return columnModels[idx].columnName;
         });
 
+        this.historyModel.startTransaction();
         _.each(rowKeys, function(rowKey) {
             _.each(columnNames, function(columnName) {
                 this.del(rowKey, columnName, true);
                 this.get(rowKey).validateCell(columnName, true);
             }, this);
         }, this);
+        this.historyModel.endTransaction();
 
         this.trigger('delRange', rowKeys, columnNames);
     },
@@ -1002,9 +2334,11 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     paste: function(data, startIdx) {
         var endIdx = this._getEndIndexToPaste(data, startIdx);
 
+        this.historyModel.startTransaction();
         _.each(data, function(row, index) {
             this._setValueForPaste(row, startIdx.row + index, startIdx.column, endIdx.column);
         }, this);
+        this.historyModel.endTransaction();
 
         this.trigger('paste', {
             startIdx: startIdx,
@@ -1012,9 +2346,126 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         });
     },
 
+    /**
+     * Event handler for the 'add' event. Adds the rows to the indexes of the values.
+     * The 'add' event of Backbone has a row, and the one triggered by this collection has the list of the rows.
+     * @param {(module:model/data/row|Array.<module:model/data/row>)} rows - Added row or rows
+     * @private
+     */
+    _onAddForValueIndexes: function(rows) {
+        this._addToValueIndexes(_.isArray(rows) ? rows : [rows]);
+    },
+
+    /**
+     * Event handler for the 'remove' event. Removes the rows from the indexes of the values.
+     * @param {(module:model/data/row|Array.<module:model/data/row>)} rows - Removed row or rows
+     * @private
+     */
+    _onRemoveForValueIndexes: function(rows) {
+        this._removeFromValueIndexes(_.isArray(rows) ? rows : [rows]);
+    },
+
+    /**
+     * Event handler for the 'reset' event. Builds the indexes of the values again.
+     * @private
+     */
+    _rebuildValueIndexes: function() {
+        _.each(_.keys(this.valueIndexMap), function(columnName) {
+            this.valueIndexMap[columnName] = {};
+        }, this);
+        this._addToValueIndexes(this.models);
+    },
+
+    /**
+     * Adds the rows to the indexes of the values.
+     * Called directly by the methods which add the rows silently.
+     * @param {Array.<module:model/data/row>} rows - Rows
+     * @private
+     */
+    _addToValueIndexes: function(rows) {
+        _.each(this.valueIndexMap, function(valueIndex, columnName) {
+            _.each(rows, function(row) {
+                addToValueIndex(valueIndex, row.get(columnName), row.get('rowKey'));
+            });
+        });
+    },
+
+    /**
+     * Removes the rows from the indexes of the values.
+     * Called directly by the methods which remove the rows silently.
+     * @param {Array.<module:model/data/row>} rows - Rows
+     * @private
+     */
+    _removeFromValueIndexes: function(rows) {
+        _.each(this.valueIndexMap, function(valueIndex, columnName) {
+            _.each(rows, function(row) {
+                removeFromValueIndex(valueIndex, row.get(columnName), row.get('rowKey'));
+            });
+        });
+    },
+
+    /**
+     * Returns the index of the values of the column, creating it if not exists.
+     * The index is updated by the 'change:<columnName>' event after created.
+     * @param {String} columnName - Column name
+     * @returns {Object.<string, Object.<string, boolean>>} Index of the values (K: value, V: map of rowKeys)
+     * @private
+     */
+    _getValueIndex: function(columnName) {
+        if (!this.valueIndexMap[columnName]) {
+            this.valueIndexMap[columnName] = {};
+            this._addToValueIndexes(this.models);
+            this.on('change:' + columnName, function(row) {
+                this.updateValueIndex(row, columnName, row.previous(columnName));
+            });
+        }
+
+        return this.valueIndexMap[columnName];
+    },
+
+    /**
+     * Updates the index of the values of the column for the changed value of the row.
+     * It should be called after the value is changed silently, because the 'change:<columnName>' event
+     * doesn't occur.
+     * @param {module:model/data/row} row - Row model
+     * @param {String} columnName - Column name
+     * @param {*} prevValue - The value before changed
+     */
+    updateValueIndex: function(row, columnName, prevValue) {
+        var valueIndex = this.valueIndexMap[columnName];
+        var rowKey = row.get('rowKey');
+
+        if (valueIndex) {
+            removeFromValueIndex(valueIndex, prevValue, rowKey);
+            addToValueIndex(valueIndex, row.get(columnName), rowKey);
+        }
+    },
+
+    /**
+     * Returns the rows which have the value in the column, looking up the index of the values.
+     * Values are compared as strings, and empty values are not looked up.
+     * @param {String} columnName - Column name
+     * @param {*} value - Value
+     * @returns {Array.<module:model/data/row>}
+     */
+    getRowsByValue: function(columnName, value) {
+        var key = String(value);
+        var rowKeyMap = this._getValueIndex(columnName)[key];
+
+        return _.filter(_.map(_.keys(rowKeyMap), function(rowKey) {
+            return this.get(rowKey);
+        }, this), function(row) {
+            // the value might have been changed silently
+            return row && String(row.get(columnName)) === key;
+        });
+    },
+
     /**
      * Validates all data and returns the result.
      * Return value is an array which contains only rows which have invalid cell data.
+     * Columns which have isRequired, dataType: 'number' or validation options are validated.
+     * @param {Array.<(Number|String)>} [rowKeys] - rowKeys of the rows to validate.
+     *     If not specified, all rows are validated.
      * @returns {Array.<Object>} An array of error object
      * @example
         [
@@ -1027,7 +2478,7 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
                     },
                     {
                         columnName: 'c2',
-                        errorCode: 'REQUIRED'
+                        errorCode: 'MAX_LENGTH'
                     }
                 ]
             },
@@ -1036,31 +2487,29 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
                 errors: [
                     {
                         columnName: 'c2',
-                        errorCode: 'REQUIRED'
+                        errorCode: 'CUSTOM_ERROR',
+                        message: 'Custom error message'
                     }
                 ]
             }
         ]
      */
-    validate: function() {
+    validate: function(rowKeys) {
         var errorRows = [],
-            requiredColumnNames = _.chain(this.columnModel.getVisibleColumnModelList())
-                .filter(function(columnModel) {
-                    return columnModel.isRequired === true;
-                })
-                .pluck('columnName')
-                .value();
+            validationColumnNames = this._getValidationColumnNames();
 
-        this.each(function(row) {
+        _.each(this._getRowsByKeys(rowKeys), function(row) {
             var errorCells = [];
-            _.each(requiredColumnNames, function(columnName) {
-                var errorCode = row.validateCell(columnName);
-                if (errorCode) {
-                    errorCells.push({
-                        columnName: columnName,
-                        errorCode: errorCode
-                    });
+            _.each(validationColumnNames, function(columnName) {
+                var error;
+
+                if (!row.validateCell(columnName, true)) {
+                    return;
                 }
+                error = row.getValidationError(columnName);
+                errorCells.push(_.extend({
+                    columnName: columnName
+                }, error.message ? error : _.omit(error, 'message')));
             });
             if (errorCells.length) {
                 errorRows.push({
@@ -1072,6 +2521,105 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
         return errorRows;
     },
 
+    /**
+     * Returns the rows of the rowKeys, or all rows if the rowKeys are not specified.
+     * The rowKeys of the rows which don't exist are ignored.
+     * @param {Array.<(Number|String)>} [rowKeys] - rowKeys
+     * @returns {Array.<module:model/data/row>}
+     * @private
+     */
+    _getRowsByKeys: function(rowKeys) {
+        if (!rowKeys) {
+            return this.models;
+        }
+
+        return _.compact(_.map(rowKeys, function(rowKey) {
+            return this.get(rowKey);
+        }, this));
+    },
+
+    /**
+     * Returns the names of the visible columns which have any validation rule.
+     * @returns {Array.<String>}
+     * @private
+     */
+    _getValidationColumnNames: function() {
+        return _.chain(this.columnModel.getVisibleColumnModelList())
+            .filter(function(columnModel) {
+                return columnModel.isRequired === true || columnModel.dataType === 'number' ||
+                    !!columnModel.validation;
+            })
+            .pluck('columnName')
+            .value();
+    },
+
+    /**
+     * Validates all data including the asynchronous validators and returns a promise
+     * which is resolved with the result of validate() once all pending validations have finished.
+     * @returns {Object} jQuery promise
+     */
+    validateAsync: function() {
+        var deferred = new $.Deferred();
+        var self = this;
+
+        /**
+         * Resolves the deferred if no validation is pending, or waits for the pending validations.
+         */
+        function check() {
+            var errorRows = self.validate();
+            var pendings = _.flatten(self.invoke('getPendingValidations'));
+
+            if (pendings.length) {
+                $.when.apply($, pendings).then(check);
+            } else {
+                deferred.resolve(errorRows);
+            }
+        }
+        check();
+
+        return deferred.promise();
+    },
+
+    /**
+     * Returns an array of the cells which are currently marked as invalid, in the order of rows and columns.
+     * Cells are marked when the data is changed or validate() is called.
+     * @returns {Array.<{rowKey: (number|string), columnName: string, errorCode: string, message: string}>}
+     */
+    getInvalidCells: function() {
+        var columnModels = this.columnModel.getVisibleColumnModelList();
+        var invalidCells = [];
+
+        this.each(function(row) {
+            _.each(columnModels, function(columnModel) {
+                var columnName = columnModel.columnName;
+                var error = row.getValidationError(columnName);
+
+                if (error) {
+                    invalidCells.push({
+                        rowKey: row.get('rowKey'),
+                        columnName: columnName,
+                        errorCode: error.errorCode,
+                        message: validationMessage.getMessage(error, columnModel)
+                    });
+                }
+            });
+        });
+
+        return invalidCells;
+    },
+
+    /**
+     * Returns whether any asynchronous validation is pending.
+     * @param {Array.<(Number|String)>} [rowKeys] - rowKeys of the rows to check.
+     *     If not specified, all rows are checked.
+     * @returns {boolean}
+     */
+    isValidating: function(rowKeys) {
+        return _.some(this._getRowsByKeys(rowKeys), function(row) {
+            return row.isValidating();
+        });
+    },
+
     /**
      * 붙여넣기를 실행할 때 끝점이 될 셀의 인덱스를 반환한다.
      * @param  {Array[]} data - 붙여넣기할 데이터
@@ -1098,9 +2646,10 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
      * @param  {number} columnEndIdx - 열 종료 인덱스
      */
     _setValueForPaste: function(rowData, rowIdx, columnStartIdx, columnEndIdx) {
-        var row = this.at(rowIdx),
+        var row = this.getVisibleRowAt(rowIdx),
             columnModel = this.columnModel,
             attributes = {},
+            prevAttributes = {},
             columnIdx, columnName, cellState, rowSpanData;
 
         if (!row) {
@@ -1113,9 +2662,14 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
 
             if (cellState.isEditable && !cellState.isDisabled && (!rowSpanData || rowSpanData.count >= 0)) {
                 attributes[columnName] = rowData[columnIdx - columnStartIdx];
+                prevAttributes[columnName] = row.get(columnName);
             }
         }
         row.set(attributes);
+
+        _.each(prevAttributes, function(prevValue, name) {
+            this._recordValueChange(row, name, prevValue);
+        }, this);
     },
 
     /**
@@ -1131,14 +2685,14 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     },
 
     /**
-     * Returns the count of check-available rows and checked rows.
+     * Returns the count of check-available rows and checked rows among the rows not hidden by the filter.
      * @returns {{available: number, checked: number}}
      */
     getCheckedState: function() {
         var available = 0;
         var checked = 0;
 
-        this.forEach(function(row) {
+        _.each(this.getFilteredRows(), function(row) {
             var buttonState = row.getCellState('_button');
 
             if (!buttonState.isDisabled && buttonState.isEditable) {
@@ -1156,4 +2710,6 @@ var RowList = Collection.extend(/**@lends module:model/data/rowList.prototype */
     }
 });
 
+_.assign(RowList.prototype, groupRows, treeRows, serverSideRows);
+
 module.exports = RowList;
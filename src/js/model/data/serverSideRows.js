@@ -0,0 +1,366 @@
+/**
+ * @fileoverview Mixin of the row list which loads the rows from the server by blocks
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var Row = require('./row');
+var BlockCache = require('./blockCache');
+var classNameConst = require('../../common/classNameConst');
+
+var PLACEHOLDER_ROW_KEY_PREFIX = '_placeholder';
+
+/**
+ * Mixin of the row list which loads the rows from the server by blocks. (The server-side row model)
+ * @mixin
+ * @exports module:model/data/serverSideRows
+ * @ignore
+ */
+var serverSideRows = {
+    /**
+     * Initializes the states of the server-side row model.
+     * @private
+     */
+    _initializeServerSideRows: function() {
+        this.setOwnProperties({
+            /**
+             * Options of the server-side row model. If null, all rows are held in the collection.
+             * @type {?{blockSize: number, totalCount: number}}
+             */
+            serverSideOptions: null,
+
+            /**
+             * LRU cache of the blocks of rows used by the server-side row model
+             * @type {?module:model/data/blockCache}
+             */
+            blockCache: null,
+
+            /**
+             * Map of the indexes of the cached rows in the server-side row model (K: rowKey, V: index)
+             * @type {Object.<string, number>}
+             */
+            serverSideIndexMap: {},
+
+            /**
+             * Map of the placeholder rows which are shown until the block is loaded (K: rowKey, V: row)
+             * @type {Object.<string, module:model/data/row>}
+             */
+            placeholderRowMap: {}
+        });
+    },
+
+    /**
+     * Turns on the server-side row model.
+     * Only the total count of rows is known up front, and the rows are loaded from the server by blocks.
+     * The loaded blocks are kept in the LRU cache, so the rows of the least recently used blocks are
+     * removed from the collection. The blocks which have unsaved changes (modified or removed rows) are
+     * kept until the changes are saved, even if the number of blocks exceeds the maxBlockCount.
+     * Sorting and filtering are delegated to the server.
+     * @param {Object} options - Options
+     * @param {number} options.blockSize - The number of rows in a block
+     * @param {number} [options.maxBlockCount=10] - The maximum number of blocks to keep
+     */
+    useServerSideRows: function(options) {
+        this.serverSideOptions = {
+            blockSize: options.blockSize,
+            totalCount: 0
+        };
+        this.blockCache = new BlockCache(options.maxBlockCount, _.bind(this._isEvictableBlock, this));
+        this.sortOptions.useClient = false;
+        this.comparator = null;
+        this._resetVisibleRows();
+    },
+
+    /**
+     * Returns whether the server-side row model is used.
+     * @returns {boolean}
+     */
+    isServerSide: function() {
+        return !!this.serverSideOptions;
+    },
+
+    /**
+     * Removes all blocks and resets the total count of rows in the server-side row model.
+     * @param {number} totalCount - The total count of rows
+     * @param {Array} [rowList] - Data of the rows of the first block
+     * @param {number} [blockSize] - New number of rows in a block
+     */
+    resetServerSideRows: function(totalCount, rowList, blockSize) {
+        this.serverSideOptions.totalCount = totalCount;
+        this.serverSideOptions.blockSize = blockSize || this.serverSideOptions.blockSize;
+        this.blockCache.clear();
+        this.serverSideIndexMap = {};
+        this.placeholderRowMap = {};
+        this.originalRowList = [];
+        this.originalRowMap = {};
+        this.reset([], {
+            silent: true
+        });
+
+        if (rowList && totalCount) {
+            this._cacheBlock(this._createBlock(0, rowList));
+        }
+        this.trigger('reset', this, {});
+    },
+
+    /**
+     * Sets the rows of the block loaded from the server.
+     * The rows are ignored if the block has been removed from the cache while loading.
+     * @param {number} blockIndex - Block index
+     * @param {Array} rowList - Data of the rows
+     */
+    setBlockRows: function(blockIndex, rowList) {
+        var block = this.blockCache.peek(blockIndex);
+        var blockSize = this.serverSideOptions.blockSize;
+        var startIndex = blockIndex * blockSize;
+
+        if (!block || block.isLoaded) {
+            return;
+        }
+        this._cacheBlock(this._createBlock(blockIndex, rowList));
+
+        /**
+         * Occurs when the rows of a block are loaded in the server-side row model
+         * @event module:model/data/rowList#blockLoaded
+         * @param {number} startIndex - The index of the first row of the block
+         * @param {number} endIndex - The index of the last row of the block
+         * @ignore
+         */
+        this.trigger('blockLoaded', startIndex, startIndex + block.rows.length - 1);
+    },
+
+    /**
+     * Removes the block which is not loaded yet from the cache, when the rows of the block fail to be loaded.
+     * The block is requested again when its rows are needed.
+     * @param {number} blockIndex - Block index
+     */
+    discardBlock: function(blockIndex) {
+        var block = this.blockCache.peek(blockIndex);
+
+        if (block && !block.isLoaded) {
+            this.blockCache.remove(blockIndex);
+            this._removeBlock(block);
+        }
+    },
+
+    /**
+     * Prepares the rows in the range, so that the blocks which are not loaded yet are requested.
+     * The blocks in the range are marked as the most recently used ones, and kept in the cache
+     * even if the number of them exceeds the maxBlockCount.
+     * @param {number} startIndex - Start index
+     * @param {number} endIndex - End index
+     */
+    prepareRowsInRange: function(startIndex, endIndex) {
+        var blockSize = this.serverSideOptions.blockSize;
+        var lastIndex = Math.min(endIndex, this.serverSideOptions.totalCount - 1);
+        var firstBlockIndex = Math.floor(startIndex / blockSize);
+        var lastBlockIndex = Math.floor(lastIndex / blockSize);
+        var blockIndex;
+
+        if (startIndex < 0 || lastIndex < startIndex) {
+            return;
+        }
+        this.blockCache.reserve(lastBlockIndex - firstBlockIndex + 1);
+        for (blockIndex = firstBlockIndex; blockIndex <= lastBlockIndex; blockIndex += 1) {
+            this._getBlock(blockIndex);
+        }
+    },
+
+    /**
+     * Returns the row of the rowKey.
+     * The placeholder rows of the server-side row model and the group rows are included.
+     * @param {(Number|String)} rowKey - row key
+     * @returns {?module:model/data/row}
+     */
+    getRowOrPlaceholder: function(rowKey) {
+        return this.get(rowKey) || this.placeholderRowMap[rowKey] || this.groupRowMap[rowKey];
+    },
+
+    /**
+     * Returns whether the row is a placeholder row of the server-side row model.
+     * @param {module:model/data/row} row - row
+     * @returns {boolean}
+     */
+    isPlaceholderRow: function(row) {
+        return _.has(this.placeholderRowMap, row.get('rowKey'));
+    },
+
+    /**
+     * Returns the row at the index in the server-side row model.
+     * If the block of the row is not loaded yet, a placeholder row is returned.
+     * @param {number} index - Row index
+     * @returns {?module:model/data/row}
+     * @private
+     */
+    _getServerSideRowAt: function(index) {
+        var blockSize = this.serverSideOptions.blockSize;
+
+        if (index < 0 || index >= this.serverSideOptions.totalCount) {
+            return null;
+        }
+
+        return this._getBlock(Math.floor(index / blockSize)).rows[index % blockSize];
+    },
+
+    /**
+     * Returns the loaded rows in the server-side row model, ordered by index.
+     * @returns {Array.<module:model/data/row>}
+     * @private
+     */
+    _getLoadedServerSideRows: function() {
+        var rows = _.flatten(_.pluck(this.blockCache.getBlocks(), 'rows'), true);
+
+        return _.reject(rows, this.isPlaceholderRow, this);
+    },
+
+    /**
+     * Returns the cached block of the index.
+     * If the block is not cached, creates a block of placeholder rows and requests the rows of the block.
+     * @param {number} blockIndex - Block index
+     * @returns {Object}
+     * @private
+     */
+    _getBlock: function(blockIndex) {
+        var block = this.blockCache.get(blockIndex);
+
+        if (!block) {
+            block = this._createBlock(blockIndex);
+            this._cacheBlock(block);
+
+            /**
+             * Occurs when the rows of a block should be loaded from the server in the server-side row model
+             * @event module:model/data/rowList#blockRequired
+             * @param {number} blockIndex - Block index
+             * @ignore
+             */
+            this.trigger('blockRequired', blockIndex);
+        }
+
+        return block;
+    },
+
+    /**
+     * Creates a block of the index.
+     * If the data of the rows are not given, the block consists of placeholder rows.
+     * The missing rows of the data are also filled with the placeholder rows.
+     * @param {number} blockIndex - Block index
+     * @param {Array} [rowList] - Data of the rows
+     * @returns {{index: number, isLoaded: boolean, rows: Array.<module:model/data/row>}}
+     * @private
+     */
+    _createBlock: function(blockIndex, rowList) {
+        var blockSize = this.serverSideOptions.blockSize;
+        var startIndex = blockIndex * blockSize;
+        var rowCount = Math.min(blockSize, this.serverSideOptions.totalCount - startIndex);
+        var rows = rowList ? this._createModelList(_.first(rowList, rowCount)) : [];
+        var index;
+
+        for (index = startIndex + rows.length; index < startIndex + rowCount; index += 1) {
+            rows.push(this._createPlaceholderRow(index));
+        }
+
+        return {
+            index: blockIndex,
+            isLoaded: !!rowList,
+            rows: rows
+        };
+    },
+
+    /**
+     * Creates a placeholder row which is shown until the row is loaded.
+     * @param {number} index - Row index
+     * @returns {module:model/data/row}
+     * @private
+     */
+    _createPlaceholderRow: function(index) {
+        return new Row({
+            rowKey: PLACEHOLDER_ROW_KEY_PREFIX + index,
+            _button: false,
+            _extraData: {
+                rowState: 'DISABLED',
+                className: {
+                    row: [classNameConst.CELL_PLACEHOLDER]
+                }
+            }
+        }, {
+            collection: this,
+            parse: true
+        });
+    },
+
+    /**
+     * Puts the block into the cache and adds the loaded rows to the collection.
+     * The blocks evicted from the cache are removed.
+     * @param {Object} block - Block
+     * @private
+     */
+    _cacheBlock: function(block) {
+        var oldBlock = this.blockCache.peek(block.index);
+        var startIndex = block.index * this.serverSideOptions.blockSize;
+        var loadedRows = [];
+
+        if (oldBlock) {
+            this._removeBlock(oldBlock);
+        }
+        _.each(block.rows, function(row, offset) {
+            var rowKey = row.get('rowKey');
+
+            this.serverSideIndexMap[rowKey] = startIndex + offset;
+            if (String(rowKey).indexOf(PLACEHOLDER_ROW_KEY_PREFIX) === 0) {
+                this.placeholderRowMap[rowKey] = row;
+            } else {
+                loadedRows.push(row);
+            }
+        }, this);
+
+        if (loadedRows.length) {
+            this.add(loadedRows, {
+                silent: true
+            });
+            this._addToValueIndexes(loadedRows);
+            this.originalRowList = this.originalRowList.concat(_.invoke(loadedRows, 'toJSON'));
+            _.extend(this.originalRowMap, _.indexBy(_.last(this.originalRowList, loadedRows.length), 'rowKey'));
+        }
+        _.each(this.blockCache.set(block.index, block), this._removeBlock, this);
+    },
+
+    /**
+     * Returns whether the block can be evicted from the cache.
+     * The block which has the modified or removed rows is not evictable, not to discard the unsaved changes.
+     * @param {Object} block - Block
+     * @returns {boolean}
+     * @private
+     */
+    _isEvictableBlock: function(block) {
+        var ignoredColumnNames = _.union(Row.privateProperties, this.columnModel.getIgnoredColumnNameList());
+
+        return !_.some(block.rows, function(row) {
+            var rowKey = row.get('rowKey');
+            var originalRow = this.originalRowMap[rowKey];
+
+            return !!originalRow &&
+                (!this.get(rowKey) || this._isModifiedRow(row.toJSON(), originalRow, ignoredColumnNames));
+        }, this);
+    },
+
+    /**
+     * Removes the rows of the block from the collection and the maps.
+     * @param {Object} block - Block
+     * @private
+     */
+    _removeBlock: function(block) {
+        var rowKeys = _.invoke(block.rows, 'get', 'rowKey');
+
+        this.remove(_.reject(block.rows, this.isPlaceholderRow, this), {
+            silent: true
+        });
+        this._removeFromValueIndexes(block.rows);
+        this._removeOriginalRows(rowKeys);
+        this.serverSideIndexMap = _.omit(this.serverSideIndexMap, rowKeys);
+        this.placeholderRowMap = _.omit(this.placeholderRowMap, rowKeys);
+    }
+};
+
+module.exports = serverSideRows;
@@ -0,0 +1,532 @@
+/**
+ * @fileoverview Mixin of the row list which displays the rows as a tree
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var treeRows;
+
+/**
+ * Returns the options of the tree with the default values.
+ * @param {Object} [treeColumnOptions] - The treeColumnOptions of the grid
+ * @returns {?Object} - null if the tree is not used
+ * @ignore
+ */
+function createTreeOptions(treeColumnOptions) {
+    if (!treeColumnOptions || !treeColumnOptions.name) {
+        return null;
+    }
+
+    return _.extend({
+        useCascadingCheckbox: true,
+        isExpanded: false
+    }, treeColumnOptions);
+}
+
+/**
+ * Mixin of the row list which displays the rows as a tree.
+ * The rows are held in the depth-first order, and the relation of them is stored in the _extraData.tree.
+ * @mixin
+ * @exports module:model/data/treeRows
+ * @ignore
+ */
+treeRows = {
+    /**
+     * Initializes the states of the tree.
+     * @param {Object} [treeColumnOptions] - The treeColumnOptions of the grid
+     * @private
+     */
+    _initializeTreeRows: function(treeColumnOptions) {
+        this.setOwnProperties({
+            /**
+             * Options of the tree. If null, the rows are not hierarchical.
+             * @type {?{name: string, useCascadingCheckbox: boolean, isExpanded: boolean}}
+             */
+            treeOptions: createTreeOptions(treeColumnOptions),
+
+            /**
+             * Cached map of the rowKeys of the child rows (K: rowKey of the parent row, V: rowKeys of the children)
+             * @type {?Object.<string, Array.<(number|string)>>}
+             */
+            treeChildRowKeysMap: null,
+
+            /**
+             * Map of the rows whose children are being loaded (K: rowKey, V: true)
+             * @type {Object.<string, boolean>}
+             */
+            treeLoadingMap: {},
+
+            /**
+             * Whether the checked states of the tree rows are being synchronized with their parents or children
+             * @type {boolean}
+             */
+            isCascadingCheck: false
+        });
+
+        this.on('change', this._onChangeForTree);
+    },
+
+    /**
+     * Flattens the hierarchical data of the tree in the depth-first order.
+     * The rows in the '_children' array follow their parent row, and the relation is stored in the _extraData.tree.
+     * If the '_children' is true, the row has the children which are not loaded yet.
+     * @param {Array} rowList - Data of the rows
+     * @param {?(Number|String)} parentRowKey - rowKey of the parent row of the rows
+     * @param {Array} result - Array to which the formatted rows are pushed
+     * @returns {Array} Formatted rows
+     * @private
+     */
+    _formatTreeData: function(rowList, parentRowKey, result) {
+        _.each(_.filter(rowList, _.isObject), function(data) {
+            var children = data._children;
+            var row = this._baseFormat(_.omit(data, '_children'));
+            var hasLazyChildren = (children === true);
+            var treeData = _.extend({
+                parentRowKey: null,
+                isExpanded: this.treeOptions.isExpanded && !hasLazyChildren,
+                hasLazyChildren: hasLazyChildren
+            }, row._extraData.tree);
+
+            if (!_.isNull(parentRowKey)) {
+                treeData.parentRowKey = parentRowKey;
+            }
+            row._extraData.tree = treeData;
+            result.push(row);
+
+            if (_.isArray(children)) {
+                this._formatTreeData(children, row.rowKey, result);
+            }
+        }, this);
+
+        return result;
+    },
+
+    /**
+     * Returns whether the rows are displayed as a tree.
+     * @returns {boolean}
+     */
+    isTree: function() {
+        return !!this.treeOptions;
+    },
+
+    /**
+     * Returns the name of the column which shows the tree.
+     * @returns {?string} - null if the tree is not used
+     */
+    getTreeColumnName: function() {
+        return this.treeOptions ? this.treeOptions.name : null;
+    },
+
+    /**
+     * Returns the tree data stored in the _extraData of the row.
+     * @param {module:model/data/row} row - row
+     * @returns {{parentRowKey: ?(number|string), isExpanded: boolean, hasLazyChildren: boolean}}
+     * @private
+     */
+    _getTreeData: function(row) {
+        return row.get('_extraData').tree || {};
+    },
+
+    /**
+     * Returns the map of the rowKeys of the child rows. (K: rowKey of the parent row, V: rowKeys of the children)
+     * The rowKeys of the children are in the order of the collection.
+     * @returns {Object.<string, Array.<(number|string)>>}
+     * @private
+     */
+    _getTreeChildRowKeysMap: function() {
+        var childRowKeysMap;
+
+        if (!this.treeChildRowKeysMap) {
+            childRowKeysMap = {};
+            this.each(function(row) {
+                var parentRowKey = this._getTreeData(row).parentRowKey;
+
+                if (tui.util.isExisty(parentRowKey)) {
+                    childRowKeysMap[parentRowKey] = childRowKeysMap[parentRowKey] || [];
+                    childRowKeysMap[parentRowKey].push(row.get('rowKey'));
+                }
+            }, this);
+            this.treeChildRowKeysMap = childRowKeysMap;
+        }
+
+        return this.treeChildRowKeysMap;
+    },
+
+    /**
+     * Returns the rowKey of the parent row.
+     * @param {(number|string)} rowKey - rowKey
+     * @returns {?(number|string)} - null if the row is a root row or doesn't exist
+     */
+    getParentRowKey: function(rowKey) {
+        var row = this.get(rowKey);
+        var parentRowKey = row ? this._getTreeData(row).parentRowKey : null;
+
+        return tui.util.isExisty(parentRowKey) ? parentRowKey : null;
+    },
+
+    /**
+     * Returns the rowKeys of the child rows.
+     * @param {(number|string)} rowKey - rowKey
+     * @returns {Array.<(number|string)>}
+     */
+    getChildRowKeys: function(rowKey) {
+        var childRowKeys = this.isTree() ? this._getTreeChildRowKeysMap()[rowKey] : null;
+
+        return childRowKeys ? childRowKeys.slice() : [];
+    },
+
+    /**
+     * Returns the rowKeys of all descendant rows in the depth-first order.
+     * @param {(number|string)} rowKey - rowKey
+     * @returns {Array.<(number|string)>}
+     */
+    getDescendantRowKeys: function(rowKey) {
+        var result = [];
+
+        _.each(this.getChildRowKeys(rowKey), function(childRowKey) {
+            result.push(childRowKey);
+            result.push.apply(result, this.getDescendantRowKeys(childRowKey));
+        }, this);
+
+        return result;
+    },
+
+    /**
+     * Returns the depth of the row in the tree. (The depth of the root rows is 0)
+     * @param {(number|string)} rowKey - rowKey
+     * @returns {number}
+     */
+    getTreeDepth: function(rowKey) {
+        var depth = 0;
+        var parentRowKey = this.getParentRowKey(rowKey);
+
+        while (!_.isNull(parentRowKey)) {
+            depth += 1;
+            parentRowKey = this.getParentRowKey(parentRowKey);
+        }
+
+        return depth;
+    },
+
+    /**
+     * Returns the information of the row in the tree.
+     * @param {(number|string)} rowKey - rowKey
+     * @returns {?{depth: number, hasChildren: boolean, isExpanded: boolean, isLoading: boolean}}
+     *     - null if the tree is not used or the row doesn't exist
+     */
+    getTreeInfo: function(rowKey) {
+        var row = this.get(rowKey);
+
+        if (!this.isTree() || !row) {
+            return null;
+        }
+
+        return {
+            depth: this.getTreeDepth(rowKey),
+            hasChildren: this._hasTreeChildren(row),
+            isExpanded: !!this._getTreeData(row).isExpanded,
+            isLoading: !!this.treeLoadingMap[rowKey]
+        };
+    },
+
+    /**
+     * Returns whether the row has children, including the children which are not loaded yet.
+     * @param {module:model/data/row} row - row
+     * @returns {boolean}
+     * @private
+     */
+    _hasTreeChildren: function(row) {
+        return !!this._getTreeData(row).hasLazyChildren || _.has(this._getTreeChildRowKeysMap(), row.get('rowKey'));
+    },
+
+    /**
+     * Expands or collapses the children of the row.
+     * If the children of the row are not loaded yet, the 'childrenRequired' event occurs to load them.
+     * @param {(number|string)} rowKey - rowKey
+     * @param {boolean} isExpanded - Whether to expand the children
+     * @param {boolean} [isRecursive=false] - If set to true, the descendants are also expanded or collapsed
+     */
+    setTreeExpanded: function(rowKey, isExpanded, isRecursive) {
+        var rowKeys = [rowKey];
+
+        if (isRecursive) {
+            rowKeys = rowKeys.concat(this.getDescendantRowKeys(rowKey));
+        }
+        this._setTreeExpanded(rowKeys, isExpanded);
+    },
+
+    /**
+     * Expands the children of the row if they're collapsed, or collapses them if they're expanded.
+     * @param {(number|string)} rowKey - rowKey
+     */
+    toggleTree: function(rowKey) {
+        var row = this.get(rowKey);
+
+        if (row) {
+            this.setTreeExpanded(rowKey, !this._getTreeData(row).isExpanded);
+        }
+    },
+
+    /**
+     * Expands or collapses the children of all rows.
+     * The rows whose children are not loaded yet are not expanded.
+     * @param {boolean} isExpanded - Whether to expand the children
+     */
+    setAllTreeExpanded: function(isExpanded) {
+        var rowKeys = [];
+
+        this.each(function(row) {
+            if (!isExpanded || !this._getTreeData(row).hasLazyChildren) {
+                rowKeys.push(row.get('rowKey'));
+            }
+        }, this);
+        this._setTreeExpanded(rowKeys, isExpanded);
+    },
+
+    /**
+     * Expands or collapses the children of the rows, and triggers the 'expanded' or 'collapsed' event.
+     * @param {Array.<(number|string)>} rowKeys - rowKeys
+     * @param {boolean} isExpanded - Whether to expand the children
+     * @private
+     */
+    _setTreeExpanded: function(rowKeys, isExpanded) {
+        var changedRowKeys = [];
+
+        isExpanded = !!isExpanded;
+        _.each(rowKeys, function(rowKey) {
+            var row = this.get(rowKey);
+            var treeData;
+
+            if (!row || !this._hasTreeChildren(row)) {
+                return;
+            }
+            treeData = this._getTreeData(row);
+            if (treeData.isExpanded !== isExpanded) {
+                treeData.isExpanded = isExpanded;
+                changedRowKeys.push(row.get('rowKey'));
+            }
+            if (treeData.hasLazyChildren) {
+                this._setChildrenRequired(row.get('rowKey'), isExpanded);
+            }
+        }, this);
+
+        if (changedRowKeys.length) {
+            this._resetVisibleRows();
+
+            /**
+             * Occurs when the children of the rows are expanded
+             * @api
+             * @event tui.Grid#expanded
+             * @type {Object}
+             * @property {Array.<(number|string)>} rowKeys - rowKeys of the expanded rows
+             */
+            /**
+             * Occurs when the children of the rows are collapsed
+             * @api
+             * @event tui.Grid#collapsed
+             * @type {Object}
+             * @property {Array.<(number|string)>} rowKeys - rowKeys of the collapsed rows
+             */
+            this.trigger(isExpanded ? 'expanded' : 'collapsed', {
+                rowKeys: changedRowKeys
+            });
+        }
+    },
+
+    /**
+     * Triggers the 'childrenRequired' event to load the children of the row, if they're not being loaded.
+     * If the row is collapsed before the children are loaded (ex: the request is failed),
+     * the children are required again when the row is expanded.
+     * @param {(number|string)} rowKey - rowKey
+     * @param {boolean} isRequired - Whether the children are required
+     * @private
+     */
+    _setChildrenRequired: function(rowKey, isRequired) {
+        if (!isRequired) {
+            delete this.treeLoadingMap[rowKey];
+            return;
+        }
+        if (this.treeLoadingMap[rowKey]) {
+            return;
+        }
+        this.treeLoadingMap[rowKey] = true;
+
+        /**
+         * Occurs when the row whose children are not loaded yet is expanded.
+         * The children can be loaded by the appendRow() with the parentRowKey option.
+         * (The Net add-on loads them with the 'readChildren' API)
+         * @api
+         * @event tui.Grid#childrenRequired
+         * @type {Object}
+         * @property {(number|string)} rowKey - rowKey of the row
+         */
+        this.trigger('childrenRequired', {
+            rowKey: rowKey
+        });
+    },
+
+    /**
+     * Returns the list of the rows in the order of the tree.
+     * The rows follow their parent row, and the children of the collapsed rows are not included.
+     * @param {Array.<module:model/data/row>} rows - rows
+     * @returns {Array.<module:model/data/row>}
+     * @private
+     */
+    _createTreeRows: function(rows) {
+        var childRowsMap = {};
+        var rootRows = [];
+        var result = [];
+
+        _.each(rows, function(row) {
+            var parentRowKey = this._getTreeData(row).parentRowKey;
+
+            if (tui.util.isExisty(parentRowKey)) {
+                childRowsMap[parentRowKey] = childRowsMap[parentRowKey] || [];
+                childRowsMap[parentRowKey].push(row);
+            } else {
+                rootRows.push(row);
+            }
+        }, this);
+        this._appendTreeRows(result, rootRows, childRowsMap);
+
+        return result;
+    },
+
+    /**
+     * Appends the rows and the children of the expanded rows to the result recursively.
+     * @param {Array.<module:model/data/row>} result - Array to which the rows are appended
+     * @param {Array.<module:model/data/row>} rows - rows
+     * @param {Object.<string, Array.<module:model/data/row>>} childRowsMap - Child rows mapped by the parent rowKey
+     * @private
+     */
+    _appendTreeRows: function(result, rows, childRowsMap) {
+        _.each(rows, function(row) {
+            var childRows = childRowsMap[row.get('rowKey')];
+
+            result.push(row);
+            if (childRows && this._getTreeData(row).isExpanded) {
+                this._appendTreeRows(result, childRows, childRowsMap);
+            }
+        }, this);
+    },
+
+    /**
+     * Returns the parent row of the rows to be appended by the parentRowKey option.
+     * @param {Object} [options] - Options of the append()
+     * @returns {?module:model/data/row} - null if the tree is not used or the parent row doesn't exist
+     * @private
+     */
+    _getParentRowToAppend: function(options) {
+        var parentRowKey = options && options.parentRowKey;
+
+        if (!this.isTree() || !tui.util.isExisty(parentRowKey)) {
+            return null;
+        }
+
+        return this.get(parentRowKey) || null;
+    },
+
+    /**
+     * Returns the index next to the last descendant of the row, at which the child rows are inserted.
+     * @param {module:model/data/row} row - parent row
+     * @returns {number}
+     * @private
+     */
+    _getIndexToAppendChildren: function(row) {
+        var rowKeys = [row.get('rowKey')].concat(this.getDescendantRowKeys(row.get('rowKey')));
+
+        return _.max(_.map(rowKeys, this.indexOfRowKey, this)) + 1;
+    },
+
+    /**
+     * Marks the children of the row as loaded and expands the row, before the child rows are appended.
+     * @param {module:model/data/row} row - parent row
+     * @private
+     */
+    _prepareToAppendChildren: function(row) {
+        var treeData = this._getTreeData(row);
+
+        treeData.hasLazyChildren = false;
+        treeData.isExpanded = true;
+        delete this.treeLoadingMap[row.get('rowKey')];
+    },
+
+    /**
+     * Returns whether the checked states of the rows are synchronized with their parents and children.
+     * @returns {boolean}
+     * @private
+     */
+    _isCascadingCheckbox: function() {
+        return this.isTree() && !!this.treeOptions.useCascadingCheckbox &&
+            this.columnModel.get('selectType') === 'checkbox';
+    },
+
+    /**
+     * Event handler for the 'change' event of the rows.
+     * If the row is checked or unchecked, its descendants and ancestors are checked or unchecked together.
+     * @param {module:model/data/row} row - row
+     * @private
+     */
+    _onChangeForTree: function(row) {
+        var rowKey;
+
+        if (this.isCascadingCheck || !_.has(row.changed, '_button') || !this._isCascadingCheckbox()) {
+            return;
+        }
+        rowKey = row.get('rowKey');
+
+        this.isCascadingCheck = true;
+        _.each(this.getDescendantRowKeys(rowKey), function(descendantRowKey) {
+            var descendant = this.get(descendantRowKey);
+
+            if (!descendant.getRowState().isDisabledCheck) {
+                descendant.set('_button', row.get('_button'));
+            }
+        }, this);
+        this.isCascadingCheck = false;
+
+        this._syncCheckWithChildren(this.getParentRowKey(rowKey));
+    },
+
+    /**
+     * Checks the row if all of its children are checked, or unchecks it otherwise.
+     * The ancestors of the row are also synchronized in order.
+     * @param {?(number|string)} rowKey - rowKey
+     * @private
+     */
+    _syncCheckWithChildren: function(rowKey) {
+        var row = this.get(rowKey);
+
+        if (!this._isCascadingCheckbox()) {
+            return;
+        }
+
+        this.isCascadingCheck = true;
+        while (row) {
+            rowKey = row.get('rowKey');
+            if (this.getChildRowKeys(rowKey).length && !row.getRowState().isDisabledCheck) {
+                row.set('_button', this._isAllChildrenChecked(rowKey));
+            }
+            row = this.get(this.getParentRowKey(rowKey));
+        }
+        this.isCascadingCheck = false;
+    },
+
+    /**
+     * Returns whether all children of the row are checked.
+     * @param {(number|string)} rowKey - rowKey
+     * @returns {boolean}
+     * @private
+     */
+    _isAllChildrenChecked: function(rowKey) {
+        var childRowKeys = this.getChildRowKeys(rowKey);
+
+        return !!childRowKeys.length && _.every(childRowKeys, function(childRowKey) {
+            return !!this.get(childRowKey).get('_button');
+        }, this);
+    }
+};
+
+module.exports = treeRows;
@@ -29,6 +29,7 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
         this.domState = options.domState;
 
         this.listenTo(this.dataModel, 'reset', this._onResetData);
+        this.listenTo(this.dataModel, 'filterChanged groupChanged collapsed', this._onFilterChanged);
     },
 
     defaults: {
@@ -71,6 +72,19 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
         this.unselect(true);
     },
 
+    /**
+     * Event handler for 'filterChanged', 'groupChanged' and 'collapsed' event on the dataModel.
+     * Unselects the current row if it's hidden by the filter, in a collapsed group or under a collapsed row.
+     * @private
+     */
+    _onFilterChanged: function() {
+        var rowKey = this.get('rowKey');
+
+        if (!util.isBlank(rowKey) && !this.dataModel.isVisibleRowKey(rowKey)) {
+            this.unselect(true);
+        }
+    },
+
     /**
      * Saves previous data.
      * @private
@@ -203,6 +217,38 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
         return true;
     },
 
+    /**
+     * Focus to the next invalid cell from the current cell.
+     * If there is no invalid cell after the current cell, focus to the first invalid cell.
+     * Rows hidden by the filter are ignored.
+     * @returns {?Object} The invalid cell which is focused (null if no invalid cell exists)
+     */
+    focusNextInvalidCell: function() {
+        var dataModel = this.dataModel;
+        var columnModel = this.columnModel;
+        var currentRowIndex = this.has() ? dataModel.indexOfVisibleRowKey(this.get('rowKey')) : -1;
+        var currentColumnIndex = this.has() ? columnModel.indexOfColumnName(this.get('columnName'), true) : -1;
+        var invalidCells = _.filter(dataModel.getInvalidCells(), function(cell) {
+            return dataModel.isVisibleRowKey(cell.rowKey);
+        });
+        var target;
+
+        if (!invalidCells.length) {
+            return null;
+        }
+
+        target = _.find(invalidCells, function(cell) {
+            var rowIndex = dataModel.indexOfVisibleRowKey(cell.rowKey);
+
+            return rowIndex > currentRowIndex || (rowIndex === currentRowIndex &&
+                columnModel.indexOfColumnName(cell.columnName, true) > currentColumnIndex);
+        }) || invalidCells[0];
+
+        this.focus(target.rowKey, target.columnName, true);
+
+        return target;
+    },
+
     /**
      * Focus to the cell identified by given rowIndex and columnIndex.
      * @param {(Number|String)} rowIndex - rowIndex
@@ -211,7 +257,7 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
      * @returns {Boolean} true if success
      */
     focusAt: function(rowIndex, columnIndex, isScrollable) {
-        var row = this.dataModel.at(rowIndex);
+        var row = this.dataModel.getVisibleRowAt(rowIndex);
         var column = this.columnModel.at(columnIndex, true);
         var result = false;
 
@@ -254,7 +300,7 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
      * @returns {Boolean} true if success
      */
     focusInAt: function(rowIndex, columnIndex, isScrollable) {
-        var row = this.dataModel.at(rowIndex);
+        var row = this.dataModel.getVisibleRowAt(rowIndex);
         var column = this.columnModel.at(columnIndex, true);
         var result = false;
 
@@ -332,7 +378,7 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
         var columnName = isPrevious ? this.get('prevColumnName') : this.get('columnName');
 
         return {
-            row: this.dataModel.indexOfRowKey(rowKey),
+            row: this.dataModel.indexOfVisibleRowKey(rowKey),
             column: this.columnModel.indexOfColumnName(columnName, true)
         };
     },
@@ -434,7 +480,7 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
      * @private
      */
     _isValidCell: function(rowKey, columnName) {
-        var isValidRowKey = !util.isBlank(rowKey) && !!this.dataModel.get(rowKey);
+        var isValidRowKey = !util.isBlank(rowKey) && this.dataModel.isVisibleRowKey(rowKey);
         var isValidColumnName = !util.isBlank(columnName) && !!this.columnModel.getColumnModel(columnName);
 
         return isValidRowKey && isValidColumnName;
@@ -448,17 +494,18 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
      */
     _findRowKey: function(offset) {
         var dataModel = this.dataModel;
+        var direction = offset < 0 ? -1 : 1;
         var rowKey = null;
         var index, row;
 
         if (this.has(true)) {
             index = Math.max(
                 Math.min(
-                    dataModel.indexOfRowKey(this.get('rowKey')) + offset,
-                    this.dataModel.length - 1
+                    dataModel.indexOfVisibleRowKey(this.get('rowKey')) + offset,
+                    this.dataModel.getVisibleRowCount() - 1
                 ), 0
             );
-            row = dataModel.at(index);
+            row = this._findDataRow(index, direction) || this._findDataRow(index, -direction);
             if (row) {
                 rowKey = row.get('rowKey');
             }
@@ -466,6 +513,25 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
         return rowKey;
     },
 
+    /**
+     * 주어진 index 부터 direction 방향으로 그룹 행이 아닌 첫번째 행을 찾아 반환한다.
+     * @param {Number} index 시작 index
+     * @param {Number} direction 찾을 방향 (1: 아래, -1: 위)
+     * @returns {?module:model/data/row} 찾은 행
+     * @private
+     */
+    _findDataRow: function(index, direction) {
+        var dataModel = this.dataModel;
+        var row = dataModel.getVisibleRowAt(index);
+
+        while (row && dataModel.isGroupRow(row)) {
+            index += direction;
+            row = dataModel.getVisibleRowAt(index);
+        }
+
+        return row || null;
+    },
+
     /**
      * 현재 focus 된 column 기준으로 offset 만큼 이동한 columnName 을 반환한다.
      * @param {Number} offset   이동할 offset
@@ -505,7 +571,7 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
     nextRowIndex: function(offset) {
         var rowKey = this.nextRowKey(offset);
 
-        return this.dataModel.indexOfRowKey(rowKey);
+        return this.dataModel.indexOfVisibleRowKey(rowKey);
     },
 
     /**
@@ -516,7 +582,7 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
     prevRowIndex: function(offset) {
         var rowKey = this.prevRowKey(offset);
 
-        return this.dataModel.indexOfRowKey(rowKey);
+        return this.dataModel.indexOfVisibleRowKey(rowKey);
     },
 
     /**
@@ -626,7 +692,9 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
      * @returns {(string|number)} 첫번째 row 의 키값
      */
     firstRowKey: function() {
-        return this.dataModel.at(0).get('rowKey');
+        var row = this._findDataRow(0, 1);
+
+        return row ? row.get('rowKey') : null;
     },
 
     /**
@@ -634,7 +702,9 @@ var Focus = Model.extend(/**@lends module:model/focus.prototype */{
      * @returns {(string|number)} 마지막 row 의 키값
      */
     lastRowKey: function() {
-        return this.dataModel.at(this.dataModel.length - 1).get('rowKey');
+        var row = this._findDataRow(this.dataModel.getVisibleRowCount() - 1, -1);
+
+        return row ? row.get('rowKey') : null;
     },
 
     /**
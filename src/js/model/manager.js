@@ -8,6 +8,8 @@ var _ = require('underscore');
 
 var ColumnModelData = require('./data/columnModel');
 var RowListData = require('./data/rowList');
+var FilterModel = require('./data/filter');
+var HistoryModel = require('./data/history');
 var ToolbarModel = require('./toolbar');
 var DimensionModel = require('./dimension');
 var CoordRowModel = require('./coordRow');
@@ -53,6 +55,8 @@ var ModelManager = tui.util.defineClass(/**@lends module:modelManager.prototype
         this.gridId = options.gridId;
 
         this.columnModel = this._createColumnModel(options);
+        this.filterModel = new FilterModel();
+        this.historyModel = new HistoryModel();
         this.dataModel = this._createDataModel(options, domState);
         this.toolbarModel = this._createToolbarModel(options);
         this.dimensionModel = this._createDimensionModel(options, domState);
@@ -77,6 +81,8 @@ var ModelManager = tui.util.defineClass(/**@lends module:modelManager.prototype
     _createColumnModel: function(options) {
         return new ColumnModelData({
             hasNumberColumn: options.autoNumbering,
+            hasSyncStatusColumn: options.showSyncStatus,
+            hasDraggableColumn: options.useRowDrag,
             keyColumnName: options.keyColumnName,
             columnFixCount: options.columnFixCount,
             selectType: options.selectType,
@@ -97,7 +103,10 @@ var ModelManager = tui.util.defineClass(/**@lends module:modelManager.prototype
             gridId: this.gridId,
             domState: domState,
             columnModel: this.columnModel,
-            useClientSort: options.useClientSort
+            filterModel: this.filterModel,
+            historyModel: this.historyModel,
+            useClientSort: options.useClientSort,
+            treeColumnOptions: options.treeColumnOptions
         });
     },
 
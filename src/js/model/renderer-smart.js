@@ -62,7 +62,10 @@ var SmartRenderer = Renderer.extend(/**@lends module:model/renderer-smart.protot
         var bodyHeight = dimensionModel.get('bodyHeight');
         var bufferSize = parseInt(bodyHeight * BUFFER_RATIO, 10);
         var startIndex = Math.max(coordRowModel.indexOf(scrollTop - bufferSize), 0);
-        var endIndex = Math.min(coordRowModel.indexOf(scrollTop + bodyHeight + bufferSize), dataModel.length - 1);
+        var endIndex = Math.min(
+            coordRowModel.indexOf(scrollTop + bodyHeight + bufferSize),
+            dataModel.getVisibleRowCount() - 1
+        );
         var top = coordRowModel.getOffsetAt(startIndex);
         var bottom = coordRowModel.getOffsetAt(endIndex) +
             coordRowModel.getHeightAt(endIndex) + CELL_BORDER_WIDTH;
@@ -71,6 +74,9 @@ var SmartRenderer = Renderer.extend(/**@lends module:model/renderer-smart.protot
             startIndex += this._getStartRowSpanMinCount(startIndex);
             endIndex += this._getEndRowSpanMaxCount(endIndex);
         }
+        if (dataModel.isServerSide()) {
+            dataModel.prepareRowsInRange(startIndex, endIndex);
+        }
 
         this.set({
             top: top,
@@ -89,7 +95,7 @@ var SmartRenderer = Renderer.extend(/**@lends module:model/renderer-smart.protot
      * @private
      */
     _getStartRowSpanMinCount: function(startIndex) {
-        var firstRow = this.dataModel.at(startIndex),
+        var firstRow = this.dataModel.getVisibleRowAt(startIndex),
             result = 0,
             counts;
 
@@ -108,7 +114,7 @@ var SmartRenderer = Renderer.extend(/**@lends module:model/renderer-smart.protot
      * @private
      */
     _getEndRowSpanMaxCount: function(endIndex) {
-        var lastRow = this.dataModel.at(endIndex),
+        var lastRow = this.dataModel.getVisibleRowAt(endIndex),
             result = 0,
             counts;
 
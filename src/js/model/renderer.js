@@ -48,9 +48,12 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
         });
 
         this.listenTo(this.columnModel, 'columnModelChange change', this._onColumnModelChange)
-            .listenTo(this.dataModel, 'add remove sort reset delRange', this._onDataListChange)
+            .listenTo(this.dataModel,
+                'add remove sort reset delRange filterChanged groupChanged expanded collapsed',
+                this._onDataListChange)
             .listenTo(this.dataModel, 'add', this._onAddDataModel)
             .listenTo(this.dataModel, 'beforeReset', this._onBeforeResetData)
+            .listenTo(this.dataModel, 'blockLoaded', this._onBlockLoaded)
             .listenTo(this.focusModel, 'change:editingAddress', this._onEditingAddressChange)
             .listenTo(lside, 'valueChange', this._executeRelation)
             .listenTo(rside, 'valueChange', this._executeRelation)
@@ -90,7 +93,10 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
         emptyMessage: null,
 
         // constMap.renderState
-        state: renderStateMap.DONE
+        state: renderStateMap.DONE,
+
+        // whether the next page is being loaded by the Net addon (infinite mode)
+        isLoadingNextPage: false
     },
 
     /**
@@ -156,6 +162,21 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
         }
     },
 
+    /**
+     * Event handler for 'blockLoaded' event on dataModel (server-side row model).
+     * Refreshes the view models if the loaded rows are in the rendering range.
+     * @param {number} startIndex - The index of the first loaded row
+     * @param {number} endIndex - The index of the last loaded row
+     * @private
+     */
+    _onBlockLoaded: function(startIndex, endIndex) {
+        if (startIndex <= this.get('endIndex') && endIndex >= this.get('startIndex')) {
+            this.refresh({
+                dataListChanged: true
+            });
+        }
+    },
+
     /**
      * Event handler for 'change:editingAddress' event on focusModel
      * @param {module:model/focus} focusModel - focus model
@@ -282,13 +303,18 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
 
     /**
      * Event handler for 'add' event on dataModel.
-     * @param  {module:model/data/rowList} dataModel - data model
+     * The new row is focused by its index in the visible rows, which differs from the index of the data
+     * if the rows are filtered or displayed as a tree.
+     * @param  {Array.<module:model/data/row>} modelList - added rows
      * @param  {Object} options - options for appending. See {@link module:model/data/rowList#append}
      * @private
      */
-    _onAddDataModel: function(dataModel, options) {
-        if (options.focus) {
-            this.focusModel.focusAt(options.at, 0);
+    _onAddDataModel: function(modelList, options) {
+        var index;
+
+        if (options.focus && modelList.length) {
+            index = this.dataModel.indexOfVisibleRowKey(modelList[0].get('rowKey'));
+            this.focusModel.focusAt(index, 0);
         }
     },
 
@@ -308,7 +334,7 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
      * @private
      */
     _setRenderingRange: function(silent) {
-        var dataLength = this.dataModel.length;
+        var dataLength = this.dataModel.getVisibleRowCount();
 
         this.set({
             startIndex: dataLength ? 0 : -1,
@@ -340,6 +366,8 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
 
             if (columnName === '_number' && !_.isNumber(value)) {
                 value = rowNum;
+            } else if (columnName === '_syncStatus') {
+                value = tui.util.pick(rowDataModel.getSyncState(), 'state') || '';
             }
             viewData[columnName] = value;
         });
@@ -390,7 +418,7 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
 
         if (startIndex >= 0 && endIndex >= 0) {
             for (i = startIndex; i <= endIndex; i += 1) {
-                rowDataModel = this.dataModel.at(i);
+                rowDataModel = this.dataModel.getVisibleRowAt(i);
                 height = this.coordRowModel.getHeightAt(i);
 
                 lsideData.push(this._createViewDataFromDataModel(rowDataModel, columnNamesMap.lside, height, rowNum));
@@ -506,11 +534,11 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
     },
 
     /**
-     * Set state value based on the DataModel.length
+     * Set state value based on the count of visible rows in the DataModel
      * @private
      */
     _refreshState: function() {
-        if (this.dataModel.length) {
+        if (this.dataModel.getVisibleRowCount()) {
             this.set('state', renderStateMap.DONE);
         } else {
             this.set('state', renderStateMap.EMPTY);
@@ -586,10 +614,13 @@ var Renderer = Model.extend(/**@lends module:model/renderer.prototype */{
      * @private
      */
     _executeRelation: function(rowIndex) {
-        var row = this.dataModel.at(rowIndex);
+        var row = this.dataModel.getVisibleRowAt(rowIndex);
         var renderIdx = rowIndex - this.get('startIndex');
         var rowModel, relationResult;
 
+        if (this.dataModel.isGroupRow(row)) {
+            return;
+        }
         relationResult = row.executeRelationCallbacksAll();
 
         _.each(relationResult, function(changes, columnName) {
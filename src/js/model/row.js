@@ -8,6 +8,10 @@ var _ = require('underscore');
 
 var Model = require('../base/model');
 var util = require('../common/util');
+var classNameConst = require('../common/classNameConst');
+
+// Indent(px) of the label of the nested group rows
+var GROUP_INDENT_WIDTH = 16;
 
 /**
  * Row Model
@@ -21,7 +25,7 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
     initialize: function(attributes) {
         var rowKey = attributes && attributes.rowKey;
         var dataModel = this.collection.dataModel;
-        var rowData = dataModel.get(rowKey);
+        var rowData = dataModel.getRowOrPlaceholder(rowKey);
 
         this.dataModel = dataModel;
         this.columnModel = this.collection.columnModel;
@@ -86,6 +90,10 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
     _onDataModelDisabledChanged: function() {
         var columnNames = this._getColumnNameList();
 
+        if (this.dataModel.isGroupRow(this.rowData)) {
+            return;
+        }
+
         _.each(columnNames, function(columnName) {
             this.setCell(columnName, {
                 isDisabled: this.rowData.isDisabled(columnName),
@@ -96,6 +104,7 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
 
     /**
      * Sets the 'isDisabled', 'isEditable', 'className' property of each cell data.
+     * The value of the sync status column is also updated with the sync state of the row.
      * @private
      */
     _setRowExtraData: function() {
@@ -105,20 +114,35 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
 
         _.each(this._getColumnNameList(), function(columnName) {
             var cellData = this.get(columnName);
-            var cellState;
+            var cellState, param;
 
             if (!tui.util.isUndefined(cellData) && cellData.isMainRow) {
                 cellState = this.rowData.getCellState(columnName);
-
-                this.setCell(columnName, {
+                param = {
                     isDisabled: cellState.isDisabled,
                     isEditable: cellState.isEditable,
                     className: this._getClassNameString(columnName)
-                });
+                };
+                if (columnName === '_syncStatus') {
+                    _.assign(param, this._getSyncStatusAttrs(cellData.columnModel));
+                }
+                this.setCell(columnName, param);
             }
         }, this);
     },
 
+    /**
+     * Returns the value attributes of the sync status column.
+     * @param {Object} column - Column model object
+     * @returns {Object}
+     * @private
+     */
+    _getSyncStatusAttrs: function(column) {
+        var value = tui.util.pick(this.rowData.getSyncState(), 'state') || '';
+
+        return this._getValueAttrs(value, this.rowData, column, false);
+    },
+
     /**
      * Overrides Backbone.Model.parse
      * (this method is called before initialize method)
@@ -153,7 +177,7 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
             return data;
         }
 
-        row = dataModel.get(rowKey);
+        row = dataModel.getRowOrPlaceholder(rowKey);
         columnData = _.omit(data, 'rowKey', '_extraData', 'height', 'rowNum');
 
         _.each(columnData, function(value, columnName) {
@@ -180,7 +204,14 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
                 columnModel: column,
                 changed: [] //changed property names
             };
-            _.assign(data[columnName], this._getValueAttrs(value, row, column, isTextType));
+            if (dataModel.isGroupRow(row)) {
+                _.assign(data[columnName], this._getGroupCellAttrs(row, column, columnModel));
+            } else {
+                _.assign(data[columnName], this._getValueAttrs(value, row, column, isTextType));
+            }
+            if (columnName === dataModel.getTreeColumnName()) {
+                data[columnName].treeInfo = dataModel.getTreeInfo(rowKey);
+            }
         }, this);
 
         return data;
@@ -197,7 +228,7 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
         var classNames;
 
         if (!row) {
-            row = this.dataModel.get(this.get('rowKey'));
+            row = this.dataModel.getRowOrPlaceholder(this.get('rowKey'));
             if (!row) {
                 return '';
             }
@@ -205,6 +236,9 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
         if (!focusModel) {
             focusModel = this.focusModel;
         }
+        if (row.groupInfo) {
+            return classNameConst.CELL_GROUP_ROW;
+        }
         classNames = row.getClassNameList(columnName);
 
         return classNames.join(' ');
@@ -234,6 +268,59 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
         };
     },
 
+    /**
+     * Returns the attributes of the cell in the group row. The first data column shows the toggle button,
+     * the value and the number of the rows of the group, and the other columns show the summaries.
+     * @param {module:model/data/row} row - Group row
+     * @param {Object} column - Column model object
+     * @param {module:model/data/columnModel} columnModel - Column model
+     * @returns {Object}
+     * @private
+     */
+    _getGroupCellAttrs: function(row, column, columnModel) {
+        var groupInfo = row.groupInfo;
+        var labelColumn = columnModel.getVisibleColumnModelList()[0];
+        var content = '';
+
+        if (labelColumn && labelColumn.columnName === column.columnName) {
+            content = this._getGroupLabelHtml(groupInfo, columnModel);
+        } else if (_.has(groupInfo.summaries, column.columnName)) {
+            content = String(groupInfo.summaries[column.columnName]);
+        }
+
+        return {
+            isGroupRow: true,
+            isEditable: false,
+            isDisabled: false,
+            value: content,
+            formattedValue: content,
+            beforeContent: '',
+            afterContent: '',
+            convertedHTML: null
+        };
+    },
+
+    /**
+     * Returns the HTML string of the label of the group row.
+     * @param {Object} groupInfo - Information of the group (See the module:model/data/rowList#getGroupInfo)
+     * @param {module:model/data/columnModel} columnModel - Column model
+     * @returns {String}
+     * @private
+     */
+    _getGroupLabelHtml: function(groupInfo, columnModel) {
+        var title = tui.util.pick(columnModel.getColumnModel(groupInfo.columnName), 'title');
+        var value = tui.util.isExisty(groupInfo.value) ? String(groupInfo.value) : '';
+        var className = classNameConst.BTN_GROUP_TOGGLE;
+
+        if (!groupInfo.isExpanded) {
+            className += ' ' + classNameConst.BTN_GROUP_COLLAPSED;
+        }
+
+        return '<span class="' + className + '" ' +
+            'style="margin-left:' + (groupInfo.depth * GROUP_INDENT_WIDTH) + 'px"></span>' +
+            (title ? title + ': ' : '') + tui.util.encodeHTMLEntity(value) + ' (' + groupInfo.count + ')';
+    },
+
     /**
      * If the column has a 'formatter' function, exeucute it and returns the result.
      * @param {String} value - value to display
@@ -388,7 +475,7 @@ var Row = Model.extend(/**@lends module:model/row.prototype */{
                 silent: this._shouldSetSilently(data, isValueChanged)
             });
             if (isValueChanged) {
-                rowIndex = this.collection.dataModel.indexOfRowKey(rowKey);
+                rowIndex = this.collection.dataModel.indexOfVisibleRowKey(rowKey);
                 this.trigger('valueChange', rowIndex);
             }
         }
@@ -37,7 +37,8 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
             selectionType: typeConstMap.CELL
         });
 
-        this.listenTo(this.dataModel, 'add remove sort reset', this.end);
+        this.listenTo(this.dataModel, 'add remove sort reset filterChanged groupChanged expanded collapsed',
+            this.end);
         this.listenTo(this.dataModel, 'paste', this._onPasteData);
     },
 
@@ -153,7 +154,7 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
         if (this.selectionType === typeConstMap.ROW) {
             columnIndex = this.columnModel.getVisibleColumnModelList().length - 1;
         } else if (this.selectionType === typeConstMap.COLUMN) {
-            rowIndex = this.dataModel.length - 1;
+            rowIndex = this.dataModel.getVisibleRowCount() - 1;
         }
 
         inputRange.row[1] = rowIndex;
@@ -170,7 +171,7 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
         var minimumColumnRange = this._minimumColumnRange;
         var index = this.coordConverterModel.getIndexFromMousePosition(pageX, pageY);
         var range = {
-            row: [0, this.dataModel.length - 1],
+            row: [0, this.dataModel.getVisibleRowCount() - 1],
             column: []
         };
         var minMax;
@@ -259,7 +260,7 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
         if (this.isEnabled()) {
             this.focusModel.focusAt(0, columnIdx);
             this.start(0, columnIdx, typeConstMap.COLUMN);
-            this.update(this.dataModel.length - 1, columnIdx);
+            this.update(this.dataModel.getVisibleRowCount() - 1, columnIdx);
         }
     },
 
@@ -269,7 +270,10 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
     selectAll: function() {
         if (this.isEnabled()) {
             this.start(0, 0, typeConstMap.CELL);
-            this.update(this.dataModel.length - 1, this.columnModel.getVisibleColumnModelList().length - 1);
+            this.update(
+                this.dataModel.getVisibleRowCount() - 1,
+                this.columnModel.getVisibleColumnModelList().length - 1
+            );
         }
     },
 
@@ -324,13 +328,17 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
 
     /**
      * Returns the string value of all cells in the selection range as a single string.
+     * The group rows are not included.
      * @param {Boolean} useFormattedValue - Whether using rendered value or data value
      * @returns {String}
      */
     getValuesToString: function(useFormattedValue) {
         var range = this.get('range');
         var renderModel = this.renderModel;
-        var rowList = this.dataModel.slice(range.row[0], range.row[1] + 1);
+        var rowList = _.reject(
+            _.map(_.range(range.row[0], range.row[1] + 1), this.dataModel.getVisibleRowAt, this.dataModel),
+            this.dataModel.isGroupRow, this.dataModel
+        );
         var columnModelList = this.columnModel.getVisibleColumnModelList().slice(range.column[0], range.column[1] + 1);
         var columnNames = _.pluck(columnModelList, 'columnName');
         var rowValues = _.map(rowList, function(row) {
@@ -342,7 +350,7 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
             }).join('\t');
         });
 
-        if (this._isSingleCell(columnNames, rowList)) {
+        if (rowList.length && this._isSingleCell(columnNames, rowList)) {
             return rowValues[0];
         }
         return rowValues.join('\n');
@@ -474,7 +482,7 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
     _setRangeMinMax: function(rowRange, columnRange) {
         if (rowRange) {
             rowRange[0] = Math.max(0, rowRange[0]);
-            rowRange[1] = Math.min(this.dataModel.length - 1, rowRange[1]);
+            rowRange[1] = Math.min(this.dataModel.getVisibleRowCount() - 1, rowRange[1]);
         }
 
         if (columnRange) {
@@ -531,7 +539,7 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
 
         if (!rowSpanData.isMainRow) {
             spannedIndex = endIndex + rowSpanData.count;
-            tmpRowSpanData = dataModel.at(spannedIndex).getRowSpanData(columnName);
+            tmpRowSpanData = dataModel.getVisibleRowAt(spannedIndex).getRowSpanData(columnName);
             spannedIndex += tmpRowSpanData.count - 1;
             if (spannedIndex > endIndex) {
                 endIndexList.push(spannedIndex);
@@ -554,8 +562,8 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
         var dataModel = this.dataModel;
         var startIndexList = [spannedRange.row[0]];
         var endIndexList = [spannedRange.row[1]];
-        var startRow = dataModel.at(spannedRange.row[0]);
-        var endRow = dataModel.at(spannedRange.row[1]);
+        var startRow = dataModel.getVisibleRowAt(spannedRange.row[0]);
+        var endRow = dataModel.getVisibleRowAt(spannedRange.row[1]);
         var newSpannedRange = $.extend({}, spannedRange);
         var startRowSpanDataMap, endRowSpanDataMap, columnName, param;
 
@@ -563,8 +571,8 @@ var Selection = Model.extend(/**@lends module:model/selection.prototype */{
             return newSpannedRange;
         }
 
-        startRowSpanDataMap = dataModel.at(spannedRange.row[0]).getRowSpanData();
-        endRowSpanDataMap = dataModel.at(spannedRange.row[1]).getRowSpanData();
+        startRowSpanDataMap = dataModel.getVisibleRowAt(spannedRange.row[0]).getRowSpanData();
+        endRowSpanDataMap = dataModel.getVisibleRowAt(spannedRange.row[1]).getRowSpanData();
 
         //모든 열을 순회하며 각 열마다 설정된 rowSpan 정보에 따라 인덱스를 업데이트 한다.
         _.each(columnModelList, function(columnModel) {
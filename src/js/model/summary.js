@@ -7,6 +7,47 @@
 var Model = require('../base/model');
 var typeConst = require('../common/constMap').summaryType;
 
+var Summary;
+
+/**
+ * Calculate summaries of given array.
+ * Values which can not be converted to Number type will be considered as 0.
+ * @param {Array} values - An array of values (to be converted to Number type)
+ * @returns {Object}
+ * @ignore
+ */
+function calculate(values) {
+    var min = Number.MAX_VALUE;
+    var max = Number.MIN_VALUE;
+    var sum = 0;
+    var count = values.length;
+    var resultMap = {};
+    var i, value;
+
+    for (i = 0; i < count; i += 1) {
+        value = Number(values[i]);
+        if (isNaN(value)) {
+            value = 0;
+        }
+
+        sum += value;
+        if (min > value) {
+            min = value;
+        }
+        if (max < value) {
+            max = value;
+        }
+    }
+
+    resultMap[typeConst.SUM] = sum;
+    resultMap[typeConst.MIN] = min;
+    resultMap[typeConst.MAX] = max;
+    resultMap[typeConst.AVG] = count ? (sum / count) : 0;
+    resultMap[typeConst.CNT] = count;
+
+    return resultMap;
+}
+
 /**
  * Summary Model
  * @module model/summary
@@ -15,7 +56,7 @@ var typeConst = require('../common/constMap').summaryType;
  * @param {Object} options - options
  * @ignore
  */
-var Summary = Model.extend(/**@lends module:model/summary.prototype */{
+Summary = Model.extend(/**@lends module:model/summary.prototype */{
     initialize: function(attr, options) {
         this.dataModel = options.dataModel;
 
@@ -43,7 +84,7 @@ var Summary = Model.extend(/**@lends module:model/summary.prototype */{
          */
         this.columnSummaryMap = {};
 
-        this.listenTo(this.dataModel, 'add remove reset', this._resetSummaryMap);
+        this.listenTo(this.dataModel, 'add remove reset filterChanged', this._resetSummaryMap);
         this.listenTo(this.dataModel, 'change', this._onChangeData);
         this.listenTo(this.dataModel, 'delRange', this._onDeleteRangeData);
 
@@ -52,41 +93,12 @@ var Summary = Model.extend(/**@lends module:model/summary.prototype */{
 
     /**
      * Calculate summaries of given array.
-     * Values which can not be converted to Number type will be considered as 0.
      * @param {Array} values - An array of values (to be converted to Number type)
      * @returns {Object}
      * @private
      */
     _calculate: function(values) {
-        var min = Number.MAX_VALUE;
-        var max = Number.MIN_VALUE;
-        var sum = 0;
-        var count = values.length;
-        var resultMap = {};
-        var i, value;
-
-        for (i = 0; i < count; i += 1) {
-            value = Number(values[i]);
-            if (isNaN(value)) {
-                value = 0;
-            }
-
-            sum += value;
-            if (min > value) {
-                min = value;
-            }
-            if (max < value) {
-                max = value;
-            }
-        }
-
-        resultMap[typeConst.SUM] = sum;
-        resultMap[typeConst.MIN] = min;
-        resultMap[typeConst.MAX] = max;
-        resultMap[typeConst.AVG] = count ? (sum / count) : 0;
-        resultMap[typeConst.CNT] = count;
-
-        return resultMap;
+        return calculate(values);
     },
 
     /**
@@ -98,7 +110,8 @@ var Summary = Model.extend(/**@lends module:model/summary.prototype */{
     },
 
     /**
-     * Reset summary values of given columnName
+     * Reset summary values of given columnName.
+     * Rows hidden by the filter are not included.
      * @param {Array.<string>} columnNames - An array of column names
      * @private
      */
@@ -109,7 +122,7 @@ var Summary = Model.extend(/**@lends module:model/summary.prototype */{
             targetColumnNames = _.intersection(columnNames, this.autoColumnNames);
         }
         _.each(targetColumnNames, function(columnName) {
-            var values = this.dataModel.getColumnValues(columnName);
+            var values = _.invoke(this.dataModel.getFilteredRows(), 'get', columnName);
             var valueMap = this._calculate(values);
 
             this.columnSummaryMap[columnName] = valueMap;
@@ -154,6 +167,13 @@ var Summary = Model.extend(/**@lends module:model/summary.prototype */{
         value = tui.util.pick(valueMap, summaryType);
         return _.isUndefined(value) ? null : value;
     }
+}, {
+    /**
+     * Calculate summaries of given array. (Used to calculate the summaries of the groups of rows)
+     * @param {Array} values - An array of values
+     * @returns {Object}
+     */
+    calculate: calculate
 });
 
 module.exports = Summary;
@@ -4,6 +4,8 @@
  */
 'use strict';
 
+var _ = require('underscore');
+
 var Model = require('../base/model');
 var isOptionEnabled = require('../common/util').isOptionEnabled;
 
@@ -16,6 +18,14 @@ var isOptionEnabled = require('../common/util').isOptionEnabled;
 var Toolbar = Model.extend(/**@lends module:model/toolbar.prototype */{
     initialize: function(options) {
         this.options = options;
+
+        if (_.isObject(options)) {
+            this.set({
+                isExcelButtonVisible: !!options.excelButton,
+                isExcelAllButtonVisible: !!options.excelAllButton,
+                isColumnChooserButtonVisible: !!options.columnChooserButton
+            });
+        }
     },
 
     defaults: {
@@ -26,7 +36,11 @@ var Toolbar = Model.extend(/**@lends module:model/toolbar.prototype */{
 
         // excel button visibility
         isExcelButtonVisible: false,
-        isExcelAllButtonVisible: false
+        isExcelAllButtonVisible: false,
+
+        // column chooser button visibility and whether the column chooser layer is opened
+        isColumnChooserButtonVisible: false,
+        isColumnChooserOpened: false
     },
 
     /**
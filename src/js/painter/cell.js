@@ -98,6 +98,20 @@ var Cell = tui.util.defineClass(Painter, /**@lends module:painter/cell.prototype
      * @private
      */
     _getContentHtml: function(cellData) {
+        return this.contentTemplate({
+            content: this._getFullContent(cellData),
+            className: classNameConst.CELL_CONTENT,
+            style: this._getContentStyle(cellData)
+        });
+    },
+
+    /**
+     * Returns the HTML string of the value with the 'beforeContent' and 'afterContent'.
+     * @param {Object} cellData - cell data
+     * @returns {String}
+     * @private
+     */
+    _getFullContent: function(cellData) {
         var content = cellData.formattedValue;
         var beforeContent = cellData.beforeContent;
         var afterContent = cellData.afterContent;
@@ -119,11 +133,7 @@ var Cell = tui.util.defineClass(Painter, /**@lends module:painter/cell.prototype
             fullContent = beforeContent + content + afterContent;
         }
 
-        return this.contentTemplate({
-            content: fullContent,
-            className: classNameConst.CELL_CONTENT,
-            style: this._getContentStyle(cellData)
-        });
+        return fullContent;
     },
 
     /**
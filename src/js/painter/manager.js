@@ -8,6 +8,7 @@ var _ = require('underscore');
 
 var RowPainter = require('./row');
 var CellPainter = require('./cell');
+var TreeCellPainter = require('./treeCell');
 var DummyCellPainter = require('./dummyCell');
 var TextPainter = require('./input/text');
 var SelectPainter = require('./input/select');
@@ -28,6 +29,8 @@ var PainterManager = tui.util.defineClass(/**@lends module:painter/manager.proto
 
         this.inputPainters = this._createInputPainters(options.controller);
         this.cellPainters = this._createCellPainters(options.controller);
+        // The event handlers of the tree cells are attached by the cell painters of the same editType
+        this.treeCellPainters = this._createCellPaintersByEditType(TreeCellPainter, options.controller);
         this.rowPainter = this._createRowPainter();
     },
 
@@ -75,11 +78,26 @@ var PainterManager = tui.util.defineClass(/**@lends module:painter/manager.proto
      * @private
      */
     _createCellPainters: function(controller) {
+        var cellPainters = this._createCellPaintersByEditType(CellPainter, controller);
+
+        cellPainters.dummy = new DummyCellPainter({
+            controller: controller
+        });
+
+        return cellPainters;
+    },
+
+    /**
+     * Creates instances of the given cell painter class for the 'normal' type and each input type,
+     * and returns the object that stores them using 'editType' as keys.
+     * @param {function} Painter - Cell painter class (module:painter/cell or its subclass)
+     * @param {module:painter/controller} controller - painter controller
+     * @returns {Object} Key-value object
+     * @private
+     */
+    _createCellPaintersByEditType: function(Painter, controller) {
         var cellPainters = {
-            dummy: new DummyCellPainter({
-                controller: controller
-            }),
-            normal: new CellPainter({
+            normal: new Painter({
                 controller: controller,
                 isFixedRowHeight: this.isFixedRowHeight,
                 editType: 'normal'
@@ -87,7 +105,7 @@ var PainterManager = tui.util.defineClass(/**@lends module:painter/manager.proto
         };
 
         _.each(this.inputPainters, function(inputPainter, editType) {
-            cellPainters[editType] = new CellPainter({
+            cellPainters[editType] = new Painter({
                 editType: editType,
                 controller: controller,
                 isFixedRowHeight: this.isFixedRowHeight,
@@ -118,6 +136,15 @@ var PainterManager = tui.util.defineClass(/**@lends module:painter/manager.proto
         return this.cellPainters[editType];
     },
 
+    /**
+     * Returns an instance of cell painter for the tree column which has given editType
+     * @param {String} editType - Edit type
+     * @returns {module:painter/treeCell} - Tree cell painter instance
+     */
+    getTreeCellPainter: function(editType) {
+        return this.treeCellPainters[editType];
+    },
+
     /**
      * Returns all cell painters
      * @returns {Object} Object that has edit-type as a key and cell painter as a value
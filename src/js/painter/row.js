@@ -46,6 +46,7 @@ var RowPainter = tui.util.defineClass(Painter, /**@lends module:painter/row.prot
     /**
      * cellData 의 isEditable 프로퍼티에 따른 editType 을 반환한다.
      * editable 프로퍼티가 false 라면 normal type 으로 설정한다.
+     * 그룹 행의 셀은 항상 normal type 으로 설정한다.
      * @param {string} columnName 컬럼명
      * @param {Object} cellData 셀 데이터
      * @returns {string} cellFactory 에서 사용될 editType
@@ -54,9 +55,31 @@ var RowPainter = tui.util.defineClass(Painter, /**@lends module:painter/row.prot
     _getEditType: function(columnName, cellData) {
         var editType = tui.util.pick(cellData.columnModel, 'editOption', 'type');
 
+        if (cellData.isGroupRow) {
+            return 'normal';
+        }
+
         return editType || 'normal';
     },
 
+    /**
+     * Returns the cell painter for the given cell data.
+     * The cells of the tree column are painted by the tree cell painter.
+     * @param {string} columnName 컬럼명
+     * @param {Object} cellData 셀 데이터
+     * @returns {module:painter/cell} Cell painter
+     * @private
+     */
+    _getCellPainter: function(columnName, cellData) {
+        var editType = this._getEditType(columnName, cellData);
+
+        if (cellData.treeInfo) {
+            return this.painterManager.getTreeCellPainter(editType);
+        }
+
+        return this.painterManager.getCellPainter(editType);
+    },
+
     /**
      * Returns the HTML string of all cells in Dummy row.
      * @param {Number} rowNum - row number
@@ -86,13 +109,10 @@ var RowPainter = tui.util.defineClass(Painter, /**@lends module:painter/row.prot
         var html = '';
 
         _.each(columnNames, function(columnName) {
-            var cellData = model.get(columnName),
-                editType, cellPainter;
+            var cellData = model.get(columnName);
 
             if (cellData && cellData.isMainRow) {
-                editType = this._getEditType(columnName, cellData);
-                cellPainter = this.painterManager.getCellPainter(editType);
-                html += cellPainter.generateHtml(cellData);
+                html += this._getCellPainter(columnName, cellData).generateHtml(cellData);
             }
         }, this);
 
@@ -134,13 +154,11 @@ var RowPainter = tui.util.defineClass(Painter, /**@lends module:painter/row.prot
      */
     refresh: function(changed, $tr) {
         _.each(changed, function(cellData, columnName) {
-            var editType, cellPainter, $td;
+            var $td;
 
             if (columnName !== '_extraData') {
                 $td = $tr.find('td[' + attrNameConst.COLUMN_NAME + '="' + columnName + '"]');
-                editType = this._getEditType(columnName, cellData);
-                cellPainter = this.painterManager.getCellPainter(editType);
-                cellPainter.refresh(cellData, $td);
+                this._getCellPainter(columnName, cellData).refresh(cellData, $td);
             }
         }, this);
     }
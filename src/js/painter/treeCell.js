@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Painter class for the cells of the tree column
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var CellPainter = require('./cell');
+var classNameConst = require('../common/classNameConst');
+
+// Indent(px) of each depth of the tree
+var TREE_INDENT_WIDTH = 16;
+
+// Width(px) of the toggle button including its margin, to align the leaf rows with the parent rows
+var TREE_BUTTON_WIDTH = 14;
+
+/**
+ * Painter class for the cells of the tree column.
+ * The indentation by the depth of the row and the button to expand or collapse the children
+ * are rendered in front of the content of the cell.
+ * @module painter/treeCell
+ * @extends module:painter/cell
+ * @param {Object} options - options
+ * @ignore
+ */
+var TreeCell = tui.util.defineClass(CellPainter, /**@lends module:painter/treeCell.prototype */{
+    init: function() {
+        CellPainter.apply(this, arguments);
+    },
+
+    /**
+     * Returns the HTML string of the indentation and the toggle button of the tree.
+     * @param {{depth: number, hasChildren: boolean, isExpanded: boolean}} treeInfo - Tree information of the row
+     * @returns {String}
+     * @private
+     */
+    _getTreeHtml: function(treeInfo) {
+        var indent = treeInfo.depth * TREE_INDENT_WIDTH;
+        var buttonHtml = '';
+        var className;
+
+        if (treeInfo.hasChildren) {
+            className = classNameConst.BTN_TREE_TOGGLE;
+            if (!treeInfo.isExpanded) {
+                className += ' ' + classNameConst.BTN_TREE_COLLAPSED;
+            }
+            buttonHtml = '<span class="' + className + '"></span>';
+        } else {
+            indent += TREE_BUTTON_WIDTH;
+        }
+
+        return '<span class="' + classNameConst.TREE_EXTRA_CONTENT + '" style="padding-left:' + indent + 'px">' +
+            buttonHtml + '</span>';
+    },
+
+    /**
+     * Returns the HTML string of the tree and the value of the cell.
+     * @param {Object} cellData - cell data
+     * @returns {String}
+     * @private
+     * @override
+     */
+    _getFullContent: function(cellData) {
+        return this._getTreeHtml(cellData.treeInfo) + CellPainter.prototype._getFullContent.call(this, cellData);
+    }
+});
+
+module.exports = TreeCell;
@@ -0,0 +1,396 @@
+/**
+ * @fileoverview Pivot table which turns the rows of the grid into a cross-tab with the aggregated values
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var util = require('./common/util');
+var Summary = require('./model/summary');
+var typeConst = require('./common/constMap').summaryType;
+
+var COLUMN_NAME_PREFIX = 'pivot-';
+var MERGED_COLUMN_NAME_PREFIX = 'pivot-merge-';
+
+var PivotTable;
+
+/**
+ * Converts the field(s) to an array.
+ * @param {(string|Array)} [fields] - Field(s)
+ * @returns {Array}
+ * @ignore
+ */
+function toArray(fields) {
+    if (!fields) {
+        return [];
+    }
+    return _.isArray(fields) ? fields.slice() : [fields];
+}
+
+/**
+ * Returns the nodes of the distinct values of the fields in ascending order,
+ * nested in the order of the fields. Each node has the source rows which have the values of the node and its parents.
+ * @param {Array.<Object>} rowList - Source rows
+ * @param {Array.<string>} fields - Names of the fields
+ * @param {Object} [parentValueMap] - Values of the fields of the parent node
+ * @returns {Array.<{value: *, valueMap: Object, rowList: Array, children: Array}>}
+ * @ignore
+ */
+function createValueTree(rowList, fields, parentValueMap) {
+    var field = fields[0];
+    var values;
+
+    if (!field) {
+        return [];
+    }
+    values = _.sortBy(_.uniq(_.pluck(rowList, field)), _.identity);
+
+    return _.map(values, function(value) {
+        var valueMap = _.extend({}, parentValueMap);
+        var rows = _.filter(rowList, function(row) {
+            return row[field] === value;
+        });
+
+        valueMap[field] = value;
+
+        return {
+            value: value,
+            valueMap: valueMap,
+            rowList: rows,
+            children: createValueTree(rows, fields.slice(1), valueMap)
+        };
+    });
+}
+
+/**
+ * Returns the leaf nodes of the value tree in order.
+ * @param {Array.<Object>} nodes - Nodes created by createValueTree()
+ * @returns {Array.<Object>}
+ * @ignore
+ */
+function getLeafNodes(nodes) {
+    return _.flatten(_.map(nodes, function(node) {
+        return node.children.length ? getLeafNodes(node.children) : [node];
+    }), true);
+}
+
+/**
+ * Returns the aggregated value of the field of the rows.
+ * @param {Array.<Object>} rowList - Rows
+ * @param {{name: string, type: string}} valueField - Value field
+ * @returns {?number} Null if there is no row
+ * @ignore
+ */
+function aggregate(rowList, valueField) {
+    if (!rowList.length) {
+        return null;
+    }
+    return Summary.calculate(_.pluck(rowList, valueField.name))[valueField.type];
+}
+
+/**
+ * Pivot table which turns the rows of the grid into a cross-tab.
+ * The distinct values of the column fields become the columns with multi-level headers (columnMerge),
+ * the distinct values of the row fields become the rows, and the values of the value fields are aggregated
+ * in each cell. The columns and the rows before the pivot are kept to be restored by reset().
+ * @module pivotTable
+ * @param {Object} options - Options
+ * @param {module:model/data/rowList} options.dataModel - Data model
+ * @param {module:model/data/columnModel} options.columnModel - Column model
+ * @ignore
+ */
+PivotTable = tui.util.defineClass(/**@lends module:pivotTable.prototype */{
+    init: function(options) {
+        this.dataModel = options.dataModel;
+        this.columnModel = options.columnModel;
+
+        /**
+         * Columns and rows before the pivot
+         * @type {?{rowList: Array, columnModelList: Array, columnMerge: Array,
+         *     columnFixCount: number, keyColumnName: ?string}}
+         */
+        this.source = null;
+
+        /**
+         * Current options of the pivot
+         * @type {?{rowFields: Array.<string>, columnFields: Array.<string>,
+         *     valueFields: Array.<{name: string, type: string, title: ?string}>}}
+         */
+        this.options = null;
+    },
+
+    /**
+     * Returns whether the pivot is applied.
+     * @returns {boolean}
+     */
+    isApplied: function() {
+        return !!this.source;
+    },
+
+    /**
+     * Returns the current options of the pivot.
+     * @returns {?Object} Null if the pivot is not applied
+     */
+    getOptions: function() {
+        return this.options ? $.extend(true, {}, this.options) : null;
+    },
+
+    /**
+     * Pivots the rows with the options. If the pivot is already applied, the rows before the pivot are pivoted
+     * again with the new options.
+     * @param {Object} options - Options
+     * @param {(string|Array.<string>)} [options.rowFields] - Names of the fields to be the rows
+     * @param {(string|Array.<string>)} [options.columnFields] - Names of the fields to be the columns
+     * @param {(string|Object|Array)} options.valueFields - Fields to be aggregated.
+     *     Each field is a name or an object which has the name, the type of the aggregation and the title.
+     */
+    apply: function(options) {
+        var pivotData;
+
+        this.options = this._normalizeOptions(options);
+        if (!this.source) {
+            this.source = this._createSource();
+        }
+        pivotData = this._createPivotData(this.source.rowList, this.options);
+
+        this._resetDataState();
+        this.columnModel.set({
+            keyColumnName: null,
+            columnFixCount: this.options.rowFields.length,
+            columnMerge: pivotData.columnMerge,
+            columnModelList: pivotData.columnModelList
+        });
+        this.dataModel.setRowList(pivotData.rowList, true);
+    },
+
+    /**
+     * Restores the columns and the rows before the pivot.
+     */
+    reset: function() {
+        var source = this.source;
+
+        if (!source) {
+            return;
+        }
+        this.source = this.options = null;
+
+        this._resetDataState();
+        this.columnModel.set({
+            keyColumnName: source.keyColumnName,
+            columnFixCount: source.columnFixCount,
+            columnMerge: source.columnMerge,
+            columnModelList: source.columnModelList
+        });
+        this.dataModel.setRowList(source.rowList, true);
+    },
+
+    /**
+     * Validates the options and converts the fields to arrays.
+     * @param {Object} options - Options
+     * @returns {Object}
+     * @private
+     */
+    _normalizeOptions: function(options) {
+        var types = _.values(typeConst);
+        var valueFields;
+
+        options = options || {};
+        valueFields = _.map(toArray(options.valueFields), function(valueField) {
+            valueField = _.isString(valueField) ? {name: valueField} : _.clone(valueField);
+            valueField.type = valueField.type || typeConst.SUM;
+            if (!_.contains(types, valueField.type)) {
+                throw new Error('Invalid aggregation type: ' + valueField.type +
+                    '. The type should be one of ' + types.join(', '));
+            }
+
+            return valueField;
+        });
+
+        if (!valueFields.length) {
+            throw new Error('At least one value field is required for the pivot');
+        }
+
+        return {
+            rowFields: toArray(options.rowFields),
+            columnFields: toArray(options.columnFields),
+            valueFields: valueFields
+        };
+    },
+
+    /**
+     * Returns the columns and the rows before the pivot.
+     * @returns {Object}
+     * @private
+     */
+    _createSource: function() {
+        var columnModel = this.columnModel;
+
+        return {
+            rowList: this.dataModel.getRowList(),
+            columnModelList: $.extend(true, [], columnModel.get('dataColumnModelList')),
+            columnMerge: columnModel.get('columnMerge'),
+            columnFixCount: columnModel.get('columnFixCount'),
+            keyColumnName: columnModel.get('keyColumnName')
+        };
+    },
+
+    /**
+     * Removes the grouping, the filter and the sorting, which refer to the columns to be replaced.
+     * @private
+     */
+    _resetDataState: function() {
+        var dataModel = this.dataModel;
+
+        dataModel.ungroup();
+        dataModel.unfilterByField();
+        dataModel.sortByField('rowKey');
+    },
+
+    /**
+     * Returns the source column of the field.
+     * @param {string} name - Name of the field
+     * @returns {Object}
+     * @private
+     */
+    _getSourceColumn: function(name) {
+        return _.findWhere(this.source.columnModelList, {columnName: name}) || {
+            columnName: name
+        };
+    },
+
+    /**
+     * Returns the title of the column of the value field.
+     * @param {{name: string, type: string, title: ?string}} valueField - Value field
+     * @returns {string}
+     * @private
+     */
+    _getValueFieldTitle: function(valueField) {
+        var sourceColumn = this._getSourceColumn(valueField.name);
+
+        return valueField.title || ((sourceColumn.title || valueField.name) + ' (' + valueField.type + ')');
+    },
+
+    /**
+     * Creates the columns, the merged columns and the rows of the pivot.
+     * @param {Array.<Object>} rowList - Source rows
+     * @param {Object} options - Normalized options
+     * @returns {{columnModelList: Array, columnMerge: Array, rowList: Array}}
+     * @private
+     */
+    _createPivotData: function(rowList, options) {
+        var columnNodes = createValueTree(rowList, options.columnFields);
+        var columnMerge = [];
+        var valueColumns = this._createValueColumns(columnNodes, options.valueFields, columnMerge);
+        var rowNodes = options.rowFields.length ? getLeafNodes(createValueTree(rowList, options.rowFields)) : [{
+            valueMap: {},
+            rowList: rowList
+        }];
+
+        return {
+            columnModelList: this._createRowFieldColumns(options.rowFields).concat(_.pluck(valueColumns, 'column')),
+            columnMerge: columnMerge,
+            rowList: _.map(rowNodes, function(rowNode) {
+                var row = _.clone(rowNode.valueMap);
+
+                _.each(valueColumns, function(valueColumn) {
+                    var rows = _.where(rowNode.rowList, valueColumn.valueMap);
+
+                    row[valueColumn.column.columnName] = aggregate(rows, valueColumn.valueField);
+                });
+
+                return row;
+            })
+        };
+    },
+
+    /**
+     * Creates the columns of the row fields from the source columns, which are not editable.
+     * @param {Array.<string>} rowFields - Names of the row fields
+     * @returns {Array.<Object>}
+     * @private
+     */
+    _createRowFieldColumns: function(rowFields) {
+        return _.map(rowFields, function(name) {
+            var sourceColumn = this._getSourceColumn(name);
+
+            return _.extend({
+                columnName: name,
+                title: name
+            }, _.pick(sourceColumn, 'title', 'width', 'align', 'formatter'));
+        }, this);
+    },
+
+    /**
+     * Creates the columns of the aggregated values for each leaf node of the column fields,
+     * and adds the merged columns of the nodes to the columnMerge.
+     * @param {Array.<Object>} columnNodes - Nodes of the values of the column fields
+     * @param {Array.<Object>} valueFields - Value fields
+     * @param {Array.<Object>} columnMerge - Merged columns (The merged columns are added to this array)
+     * @returns {Array.<{column: Object, valueMap: Object, valueField: Object}>}
+     * @private
+     */
+    _createValueColumns: function(columnNodes, valueFields, columnMerge) {
+        var valueColumns = [];
+        var self = this;
+
+        function createColumns(nodes) { // eslint-disable-line require-jsdoc
+            return _.map(nodes, function(node) {
+                var title = tui.util.encodeHTMLEntity(util.toString(node.value));
+                var columnNames = node.children.length ? createColumns(node.children) :
+                    self._createLeafColumns(node.valueMap, valueFields, valueColumns);
+                var columnName;
+
+                if (columnNames.length === 1 && !node.children.length) {
+                    columnName = columnNames[0];
+                    _.last(valueColumns).column.title = title;
+                } else {
+                    columnName = MERGED_COLUMN_NAME_PREFIX + columnMerge.length;
+                    columnMerge.push({
+                        columnName: columnName,
+                        title: title,
+                        columnNameList: columnNames
+                    });
+                }
+
+                return columnName;
+            });
+        }
+
+        if (columnNodes.length) {
+            createColumns(columnNodes);
+        } else {
+            this._createLeafColumns({}, valueFields, valueColumns);
+        }
+
+        return valueColumns;
+    },
+
+    /**
+     * Creates a column for each value field, which aggregates the rows having the values of the column fields.
+     * @param {Object} valueMap - Values of the column fields
+     * @param {Array.<Object>} valueFields - Value fields
+     * @param {Array.<Object>} valueColumns - Columns of the values (The new columns are added to this array)
+     * @returns {Array.<string>} Names of the new columns
+     * @private
+     */
+    _createLeafColumns: function(valueMap, valueFields, valueColumns) {
+        return _.map(valueFields, function(valueField) {
+            var columnName = COLUMN_NAME_PREFIX + valueColumns.length;
+
+            valueColumns.push({
+                column: {
+                    columnName: columnName,
+                    title: this._getValueFieldTitle(valueField),
+                    align: 'right'
+                },
+                valueMap: valueMap,
+                valueField: valueField
+            });
+
+            return columnName;
+        }, this);
+    }
+});
+
+module.exports = PivotTable;
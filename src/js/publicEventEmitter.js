@@ -63,7 +63,8 @@ var PublicEventEmitter = tui.util.defineClass(/**@lends module:publicEventEmitte
             'response',
             'successResponse',
             'failResponse',
-            'errorResponse'
+            'errorResponse',
+            'invalidRequest'
         ]);
     },
 
@@ -80,7 +81,45 @@ var PublicEventEmitter = tui.util.defineClass(/**@lends module:publicEventEmitte
             'dblclickCell',
             'mouseoverCell',
             'mouseoutCell',
-            'rendered'
+            'rendered',
+            'dragStart',
+            'drop'
+        ]);
+    },
+
+    /**
+     * Listen to Data model
+     * @param  {module:model/data/rowList} dataModel - Data model
+     */
+    listenToDataModel: function(dataModel) {
+        this._listenForThrough(dataModel, [
+            'sortChanged',
+            'filterChanged',
+            'groupChanged',
+            'expanded',
+            'collapsed',
+            'childrenRequired',
+            'beforeRowMove'
+        ]);
+    },
+
+    /**
+     * Listen to Column model
+     * @param  {module:model/data/columnModel} columnModel - Column model
+     */
+    listenToColumnModel: function(columnModel) {
+        this._listenForThrough(columnModel, [
+            'columnMoved'
+        ]);
+    },
+
+    /**
+     * Listen to History model
+     * @param  {module:model/data/history} historyModel - History model
+     */
+    listenToHistoryModel: function(historyModel) {
+        this._listenForThrough(historyModel, [
+            'historyChanged'
         ]);
     },
 
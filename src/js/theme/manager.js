@@ -43,6 +43,9 @@ function buildCssString(options) {
             styleGen.cellRequired(cell.required),
             styleGen.cellDisabled(cell.disabled),
             styleGen.cellInvalid(cell.invalid),
+            styleGen.cellValidating(cell.validating),
+            styleGen.cellFlash(cell.flash),
+            styleGen.cellGroupRow(cell.groupRow),
             styleGen.cellCurrentRow(cell.currentRow),
             styleGen.cellSelectedHead(cell.selectedHead),
             styleGen.cellFocused(cell.focused)
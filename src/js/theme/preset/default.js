@@ -65,6 +65,15 @@ module.exports = {
         invalid: {
             background: '#ff8080'
         },
+        validating: {
+            background: '#fff5cc'
+        },
+        flash: {
+            background: '#ffe082'
+        },
+        groupRow: {
+            background: '#f4f4f4'
+        },
         evenRow: {},
         oddRow: {},
         currentRow: {}
@@ -262,6 +262,33 @@ module.exports = {
         return bgTextRuleString(classNameConst.CELL_INVALID, options);
     },
 
+    /**
+     * Generates a css string for cells which are being validated.
+     * @param {Object} options - options
+     * @returns {String}
+     */
+    cellValidating: function(options) {
+        return bgTextRuleString(classNameConst.CELL_VALIDATING, options);
+    },
+
+    /**
+     * Generates a css string for cells which are changed by the server. (See the tui.Grid#applyTransaction)
+     * @param {Object} options - options
+     * @returns {String}
+     */
+    cellFlash: function(options) {
+        return bgTextRuleString(classNameConst.CELL_FLASH, options);
+    },
+
+    /**
+     * Generates a css string for cells in the group rows. (See the tui.Grid#groupBy)
+     * @param {Object} options - options
+     * @returns {String}
+     */
+    cellGroupRow: function(options) {
+        return bgTextRuleString(classNameConst.CELL_GROUP_ROW, options);
+    },
+
     /**
      * Generates a css string for cells in a current row.
      * @param {Object} options - options
@@ -9,9 +9,87 @@ var _ = require('underscore');
 var View = require('../base/view');
 var util = require('../common/util');
 var classNameConst = require('../common/classNameConst');
+var csvParser = require('../common/csvParser');
 var constMap = require('../common/constMap');
 var keyCodeMap = constMap.keyCode;
 var selTypeConst = constMap.selectionType;
+var Clipboard;
+
+/**
+ * Returns the text of the table cell. Line breaks(<br>) are converted to '\n'.
+ * @param {HTMLElement} cell - Table cell element
+ * @returns {string}
+ * @ignore
+ */
+function getCellText(cell) {
+    var $cell = $(cell).clone();
+
+    $cell.find('br').replaceWith('\n');
+
+    return $.trim($cell.text().replace(/\u00a0/g, ' '));
+}
+
+/**
+ * Fills the area of the matrix with empty strings and puts the text at the top-left position.
+ * @param {Array.<Array.<string>>} matrix - Two-dimensional array
+ * @param {{row: Array.<number>, column: Array.<number>}} range - Range of the area
+ * @param {string} text - Text
+ * @ignore
+ */
+function fillArea(matrix, range, text) {
+    var rowIndex, columnIndex;
+
+    for (rowIndex = range.row[0]; rowIndex <= range.row[1]; rowIndex += 1) {
+        matrix[rowIndex] = matrix[rowIndex] || [];
+        for (columnIndex = range.column[0]; columnIndex <= range.column[1]; columnIndex += 1) {
+            matrix[rowIndex][columnIndex] = '';
+        }
+    }
+    matrix[range.row[0]][range.column[0]] = text;
+}
+
+/**
+ * Parses the first table in the HTML string into the two-dimensional array of the cell texts.
+ * The texts of the merged cells are placed at the top-left position and the other positions are filled with
+ * empty strings. The HTML is parsed in a separate document not to execute scripts or load resources.
+ * @param {string} html - HTML string
+ * @returns {?Array.<Array.<string>>} null if there is no table
+ * @ignore
+ */
+function parseHTMLTable(html) {
+    var doc = document.implementation.createHTMLDocument('');
+    var $table = $('<div>', doc).append($.parseHTML(html, doc)).find('table').first();
+    var result = [];
+
+    if (!$table.length) {
+        return null;
+    }
+
+    $table.find('tr').each(function(rowIndex) {
+        var columnIndex = 0;
+
+        result[rowIndex] = result[rowIndex] || [];
+        $(this).children('td, th').each(function() {
+            var rowspan = Number($(this).attr('rowspan')) || 1;
+            var colspan = Number($(this).attr('colspan')) || 1;
+            var text = getCellText(this);
+
+            while (!_.isUndefined(result[rowIndex][columnIndex])) {
+                columnIndex += 1;
+            }
+            fillArea(result, {
+                row: [rowIndex, rowIndex + rowspan - 1],
+                column: [columnIndex, columnIndex + colspan - 1]
+            }, text);
+        });
+    });
+
+    return _.map(result, function(cells) {
+        return _.map(cells, function(text) {
+            return text || '';
+        });
+    });
+}
 
 /**
  * Clipboard view class
@@ -20,7 +98,7 @@ var selTypeConst = constMap.selectionType;
  * @param {Object} options - Options
  * @ignore
  */
-var Clipboard = View.extend(/**@lends module:view/clipboard.prototype */{
+Clipboard = View.extend(/**@lends module:view/clipboard.prototype */{
     initialize: function(options) {
         this.setOwnProperties({
             dataModel: options.dataModel,
@@ -45,6 +123,7 @@ var Clipboard = View.extend(/**@lends module:view/clipboard.prototype */{
 
     events: {
         'keydown': '_onKeyDown',
+        'paste': '_onPaste',
         'blur': '_onBlur'
     },
 
@@ -151,7 +230,7 @@ var Clipboard = View.extend(/**@lends module:view/clipboard.prototype */{
         var focused = focusModel.which();
         var rowKey = focused.rowKey;
         var columnName = focused.columnName;
-        var rowIdx = this.dataModel.indexOfRowKey(rowKey);
+        var rowIdx = this.dataModel.indexOfVisibleRowKey(rowKey);
         var columnIdx = this.columnModel.indexOfColumnName(columnName, true);
         var isKeyIdentified = true;
         var keyCode = keyDownEvent.keyCode || keyDownEvent.which;
@@ -263,7 +342,7 @@ var Clipboard = View.extend(/**@lends module:view/clipboard.prototype */{
         }
         movedIdx = this.coordRowModel.indexOf(curOffset + distance);
 
-        return util.clamp(movedIdx, 0, this.dataModel.length - 1);
+        return util.clamp(movedIdx, 0, this.dataModel.getVisibleRowCount() - 1);
     },
 
     /**
@@ -367,6 +446,14 @@ var Clipboard = View.extend(/**@lends module:view/clipboard.prototype */{
             case keyCodeMap.CHAR_V:
                 this._pasteWhenKeyupCharV();
                 break;
+            case keyCodeMap.CHAR_Z:
+                keyDownEvent.preventDefault();
+                this.dataModel.undo();
+                break;
+            case keyCodeMap.CHAR_Y:
+                keyDownEvent.preventDefault();
+                this.dataModel.redo();
+                break;
             default:
                 break;
         }
@@ -405,38 +492,74 @@ var Clipboard = View.extend(/**@lends module:view/clipboard.prototype */{
      * @private
      */
     _pasteToGrid: function() {
+        this.$el.off('keyup');
+        this._paste(this._getProcessClipBoardData());
+    },
+
+    /**
+     * Pastes the data from the start index of the selection or the focused cell.
+     * @param {Array.<Array.<string>>} data - Data to paste
+     * @private
+     */
+    _paste: function(data) {
         var selectionModel = this.selectionModel;
-        var focusModel = this.focusModel;
-        var dataModel = this.dataModel;
-        var startIdx, data;
+        var startIdx;
 
+        if (!data.length) {
+            return;
+        }
         if (selectionModel.hasSelection()) {
             startIdx = selectionModel.getStartIndex();
         } else {
-            startIdx = focusModel.indexOf();
+            startIdx = this.focusModel.indexOf();
         }
-        data = this._getProcessClipBoardData();
 
-        this.$el.off('keyup');
-        dataModel.paste(data, startIdx);
+        this.dataModel.paste(data, startIdx);
     },
 
     /**
-     * process data for paste to grid
+     * Event handler for the paste event.
+     * If the browser supports the clipboardData of the event, the data is read from it instead of the value of
+     * the textarea, to use the HTML table. Otherwise, the value of the textarea is pasted on keyup.
+     * @param {jQuery.Event} event - paste event
      * @private
-     * @returns {Array.<Array.<string>>} result
      */
-    _getProcessClipBoardData: function() {
-        var text = this.$el.val();
-        var result = text.split('\n');
-        var i = 0;
-        var len = result.length;
+    _onPaste: function(event) {
+        var clipboardData = event.originalEvent && event.originalEvent.clipboardData;
 
-        for (; i < len; i += 1) {
-            result[i] = result[i].split('\t');
+        if (!clipboardData || !clipboardData.getData) {
+            return;
         }
+        event.preventDefault();
+        this.$el.off('keyup');
+        this.pasting = false;
 
-        return result;
+        this._paste(this._getDataFromClipboardData(clipboardData));
+    },
+
+    /**
+     * Returns the data from the clipboardData.
+     * The table in the 'text/html' is used first, which is put by the web pages and the spreadsheet applications.
+     * If there is no table, the 'text/plain' is parsed as TSV.
+     * @param {DataTransfer} clipboardData - clipboardData of the paste event
+     * @returns {Array.<Array.<string>>}
+     * @private
+     */
+    _getDataFromClipboardData: function(clipboardData) {
+        var html = clipboardData.getData('text/html');
+        var tableData = html ? parseHTMLTable(html) : null;
+
+        return tableData || csvParser.parse(clipboardData.getData('text/plain'), '\t');
+    },
+
+    /**
+     * process data for paste to grid.
+     * The text is parsed as TSV, which has the cells containing line breaks or tabs enclosed in double quotes.
+     * @private
+     * @returns {Array.<Array.<string>>} result
+     */
+    _getProcessClipBoardData: function() {
+        return csvParser.parse(this.$el.val(), '\t');
     },
 
     /**
@@ -454,7 +577,10 @@ var Clipboard = View.extend(/**@lends module:view/clipboard.prototype */{
                 this._updateSelectionByKeyIn(0, 0);
                 break;
             case keyCodeMap.END:
-                this._updateSelectionByKeyIn(this.dataModel.length - 1, columnModelList.length - 1);
+                this._updateSelectionByKeyIn(this.dataModel.getVisibleRowCount() - 1, columnModelList.length - 1);
+                break;
+            case keyCodeMap.CHAR_Z:
+                this.dataModel.redo();
                 break;
             default:
                 isKeyIdentified = false;
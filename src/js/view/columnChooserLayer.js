@@ -0,0 +1,448 @@
+/**
+ * @fileoverview Layer class that shows the list of the columns to show, hide and reorder them
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var View = require('../base/view');
+var classNameConst = require('../common/classNameConst');
+var constMap = require('../common/constMap');
+var keyCodeMap = constMap.keyCode;
+var ATTR_COLUMN_NAME = constMap.attrName.COLUMN_NAME;
+
+var MESSAGE_SEARCH = '컬럼 검색';
+
+var ColumnChooserLayer;
+
+/**
+ * Shows the item if its title contains the keyword or any of its descendants is shown.
+ * All descendants of the matched item are shown.
+ * @param {jQuery} $item - Item element (li)
+ * @param {string} keyword - Keyword in lower case
+ * @returns {boolean} Whether the item is shown
+ * @ignore
+ */
+function filterItem($item, keyword) {
+    var isMatched = $item.children('label').text().toLowerCase().indexOf(keyword) !== -1;
+    var hasShownChild = false;
+
+    $item.children('ul').children('li').each(function() {
+        hasShownChild = filterItem($(this), isMatched ? '' : keyword) || hasShownChild;
+    });
+    $item.toggle(isMatched || hasShownChild);
+
+    return isMatched || hasShownChild;
+}
+
+/**
+ * Layer class that shows the list of the columns grouped by the merged columns.
+ * The columns can be shown or hidden with the checkboxes, searched by the title and reordered by dragging.
+ * @module view/columnChooserLayer
+ * @extends module:base/view
+ * @param {Object} options - Options
+ * @ignore
+ */
+ColumnChooserLayer = View.extend(/**@lends module:view/columnChooserLayer.prototype */{
+    initialize: function(options) {
+        this.setOwnProperties({
+            toolbarModel: options.toolbarModel,
+            columnModel: options.columnModel,
+            dimensionModel: options.dimensionModel,
+            draggingColumnName: null
+        });
+
+        this.listenTo(this.toolbarModel, 'change:isColumnChooserOpened', this._onOpenedChange);
+        this.listenTo(this.columnModel, 'columnModelChange', this._onColumnModelChange);
+    },
+
+    className: classNameConst.LAYER_COLUMN_CHOOSER,
+
+    events: function() {
+        var hash = {};
+
+        hash['keyup input[name=keyword]'] = '_filterItems';
+        hash['change input[name=columnName]'] = '_onChangeCheckbox';
+        hash.keydown = '_onKeydown';
+        hash.mousedown = '_onMouseDown';
+        hash.dragstart = '_onDragStart';
+        hash.dragover = '_onDragOver';
+        hash.drop = '_onDrop';
+        hash.dragend = '_onDragEnd';
+
+        return hash;
+    },
+
+    /**
+     * Template for the whole layer
+     */
+    template: _.template(
+        '<div class="' + classNameConst.LAYER_COLUMN_CHOOSER_SEARCH + '">' +
+            '<input type="text" name="keyword" placeholder="' + MESSAGE_SEARCH + '">' +
+        '</div>' +
+        '<ul class="' + classNameConst.LAYER_COLUMN_CHOOSER_LIST + '"></ul>'
+    ),
+
+    /**
+     * Template for the item of a column or a merged column
+     */
+    itemTemplate: _.template(
+        '<li ' + ATTR_COLUMN_NAME + '="<%-columnName%>" draggable="true">' +
+            '<label>' +
+                '<input type="checkbox" name="columnName" value="<%-columnName%>"' +
+                    '<%if(checked){%> checked<%}%><%if(disabled){%> disabled<%}%>' +
+                    '<%if(indeterminate){%> data-indeterminate="true"<%}%>>' +
+                '<%=title%>' +
+            '</label>' +
+            '<%if(children){%><ul><%=children%></ul><%}%>' +
+        '</li>'
+    ),
+
+    /**
+     * Returns whether the column can't be hidden. The required columns and the key column can't be hidden.
+     * @param {Object} columnModel - Column model
+     * @returns {boolean}
+     * @private
+     */
+    _isLocked: function(columnModel) {
+        return !!columnModel.isRequired || columnModel.columnName === this.columnModel.get('keyColumnName');
+    },
+
+    /**
+     * Returns the column models of the unit columns of the column or the merged column.
+     * @param {string} columnName - Name of the column or the merged column
+     * @returns {Array.<Object>}
+     * @private
+     */
+    _getUnitColumnModels: function(columnName) {
+        return _.compact(_.map(this.columnModel.getUnitColumnNamesIfMerged(columnName), function(name) {
+            return this.columnModel.getColumnModel(name);
+        }, this));
+    },
+
+    /**
+     * Returns the tree of the data columns and the merged columns in order.
+     * @returns {Array.<{columnName: string, title: string, children: Array}>}
+     * @private
+     */
+    _getColumnNodes: function() {
+        var columnModel = this.columnModel;
+        var rootNodes = [];
+        var nodeMap = {};
+
+        _.each(columnModel.get('dataColumnModelList'), function(column) {
+            var siblingNodes = rootNodes;
+
+            _.each(columnModel.getColumnHierarchy(column), function(info) {
+                var node = nodeMap[info.columnName];
+
+                if (!node) {
+                    node = nodeMap[info.columnName] = {
+                        columnName: info.columnName,
+                        title: info.title || info.columnName,
+                        children: []
+                    };
+                    siblingNodes.push(node);
+                }
+                siblingNodes = node.children;
+            });
+        });
+
+        return rootNodes;
+    },
+
+    /**
+     * Returns the markup of the items of the nodes.
+     * The checkbox of a merged column is checked if any of its columns is visible.
+     * @param {Array.<Object>} nodes - Nodes returned by _getColumnNodes()
+     * @returns {string}
+     * @private
+     */
+    _getItemsMarkup: function(nodes) {
+        return _.map(nodes, function(node) {
+            var unitColumns = this._getUnitColumnModels(node.columnName);
+            var visibleColumns = _.reject(unitColumns, 'isHidden');
+
+            return this.itemTemplate({
+                columnName: node.columnName,
+                title: node.title,
+                checked: visibleColumns.length > 0,
+                disabled: visibleColumns.length > 0 && _.every(visibleColumns, this._isLocked, this),
+                indeterminate: visibleColumns.length > 0 && visibleColumns.length < unitColumns.length,
+                children: node.children.length ? this._getItemsMarkup(node.children) : ''
+            });
+        }, this).join('');
+    },
+
+    /**
+     * Renders the items and filters them with the keyword.
+     * @private
+     */
+    _renderItems: function() {
+        this.$el.find('.' + classNameConst.LAYER_COLUMN_CHOOSER_LIST)
+            .html(this._getItemsMarkup(this._getColumnNodes()));
+        this.$el.find('input[data-indeterminate]').prop('indeterminate', true);
+        this._filterItems();
+    },
+
+    /**
+     * Shows only the items whose title contains the keyword, and their ancestors.
+     * @private
+     */
+    _filterItems: function() {
+        var keyword = $.trim(this.$el.find('input[name=keyword]').val()).toLowerCase();
+
+        this.$el.find('.' + classNameConst.LAYER_COLUMN_CHOOSER_LIST).children('li').each(function() {
+            filterItem($(this), keyword);
+        });
+    },
+
+    /**
+     * Event handler for the change event on the checkboxes. Shows or hides the columns.
+     * The locked columns are not hidden, and the last visible column is not hidden.
+     * @param {jQuery.Event} event - change event
+     * @private
+     */
+    _onChangeCheckbox: function(event) {
+        var $input = $(event.target);
+        var isHidden = !$input.prop('checked');
+        var columns = this._getUnitColumnModels($input.val());
+        var visibleCount = this.columnModel.getVisibleColumnModelList().length;
+
+        if (isHidden) {
+            columns = _.reject(columns, this._isLocked, this);
+        }
+        if (isHidden && _.reject(columns, 'isHidden').length >= visibleCount) {
+            this._renderItems();
+            return;
+        }
+
+        this.columnModel.setHidden(_.pluck(columns, 'columnName'), isHidden);
+    },
+
+    /**
+     * Event handler for the keydown event. Closes the layer if the ESC key is pressed.
+     * @param {jQuery.Event} event - keydown event
+     * @private
+     */
+    _onKeydown: function(event) {
+        if (event.keyCode === keyCodeMap.ESC) {
+            this.toolbarModel.set('isColumnChooserOpened', false);
+        }
+    },
+
+    /**
+     * Event handler for the mousedown event.
+     * Stops the propagation not to let the grid handle the event, which prevents the drag and the focus.
+     * @param {jQuery.Event} event - mousedown event
+     * @private
+     */
+    _onMouseDown: function(event) {
+        event.stopPropagation();
+    },
+
+    /**
+     * Returns the name of the mousedown event on the document, namespaced by this instance.
+     * @returns {string}
+     * @private
+     */
+    _getDocumentEventName: function() {
+        return 'mousedown.columnChooserLayer' + this.cid;
+    },
+
+    /**
+     * Event handler for the mousedown event on the document.
+     * Closes the layer if the target is outside of the layer and the column chooser button.
+     * @param {jQuery.Event} event - mousedown event
+     * @private
+     */
+    _onDocumentMouseDown: function(event) {
+        if (!$.contains(this.el, event.target) &&
+            !$(event.target).closest('.' + classNameConst.BTN_COLUMN_CHOOSER).length) {
+            this.toolbarModel.set('isColumnChooserOpened', false);
+        }
+    },
+
+    /**
+     * Event handler for the dragstart event on the items. Starts to drag the column.
+     * @param {jQuery.Event} event - dragstart event
+     * @private
+     */
+    _onDragStart: function(event) {
+        var dataTransfer = event.originalEvent.dataTransfer;
+        var columnName = $(event.target).closest('li').attr(ATTR_COLUMN_NAME);
+
+        event.stopPropagation();
+        this.draggingColumnName = columnName;
+
+        // Firefox doesn't start dragging without the data
+        dataTransfer.setData('text', columnName);
+        dataTransfer.effectAllowed = 'move';
+    },
+
+    /**
+     * Event handler for the dragover event. Shows where the column is dropped.
+     * @param {jQuery.Event} event - dragover event
+     * @private
+     */
+    _onDragOver: function(event) {
+        var target = this._getDropTarget(event);
+
+        event.stopPropagation();
+        this._clearDropTarget();
+        if (target) {
+            event.preventDefault();
+            target.$item.addClass(target.isAfter ?
+                classNameConst.COLUMN_CHOOSER_DROP_AFTER : classNameConst.COLUMN_CHOOSER_DROP_BEFORE);
+        }
+    },
+
+    /**
+     * Event handler for the drop event. Moves the dragged column before or after the target column.
+     * @param {jQuery.Event} event - drop event
+     * @private
+     */
+    _onDrop: function(event) {
+        var target = this._getDropTarget(event);
+
+        event.stopPropagation();
+        event.preventDefault();
+        this._clearDropTarget();
+        if (target) {
+            this._moveColumn(this.draggingColumnName, target);
+        }
+    },
+
+    /**
+     * Event handler for the dragend event. Finishes dragging the column.
+     * @private
+     */
+    _onDragEnd: function() {
+        this.draggingColumnName = null;
+        this._clearDropTarget();
+    },
+
+    /**
+     * Returns the item on which the dragged column is dropped.
+     * The column can be dropped only on its siblings (the columns in the same merged column).
+     * @param {jQuery.Event} event - drag event
+     * @returns {?{$item: jQuery, columnName: string, isAfter: boolean}}
+     * @private
+     */
+    _getDropTarget: function(event) {
+        var $item = $(event.target).closest('li');
+        var columnName = $item.attr(ATTR_COLUMN_NAME);
+        var $draggingItem = $item.siblings('[' + ATTR_COLUMN_NAME + '="' + this.draggingColumnName + '"]');
+
+        if (!this.draggingColumnName || !columnName || !$draggingItem.length) {
+            return null;
+        }
+
+        return {
+            $item: $item,
+            columnName: columnName,
+            isAfter: event.pageY > $item.offset().top + ($item.children('label').outerHeight() / 2)
+        };
+    },
+
+    /**
+     * Removes the mark of the drop target.
+     * @private
+     */
+    _clearDropTarget: function() {
+        this.$el.find('li').removeClass(classNameConst.COLUMN_CHOOSER_DROP_BEFORE)
+            .removeClass(classNameConst.COLUMN_CHOOSER_DROP_AFTER);
+    },
+
+    /**
+     * Moves the column before or after the target column.
+     * @param {string} columnName - Name of the column or the merged column to move
+     * @param {{columnName: string, isAfter: boolean}} target - Drop target
+     * @private
+     */
+    _moveColumn: function(columnName, target) {
+        var columnModel = this.columnModel;
+        var getIndexes = function(name) {
+            return _.map(columnModel.getUnitColumnNamesIfMerged(name), function(unitName) {
+                return columnModel.indexOfColumnName(unitName);
+            });
+        };
+        var movingIndexes = getIndexes(columnName);
+        var targetIndexes = getIndexes(target.columnName);
+        var targetIndex = target.isAfter ? _.max(targetIndexes) + 1 : _.min(targetIndexes);
+
+        if (targetIndex > _.min(movingIndexes)) {
+            targetIndex -= movingIndexes.length;
+        }
+        columnModel.moveColumn(columnName, targetIndex);
+    },
+
+    /**
+     * Event handler for the 'columnModelChange' event on the column model
+     * @private
+     */
+    _onColumnModelChange: function() {
+        if (this.toolbarModel.get('isColumnChooserOpened')) {
+            this._renderItems();
+        }
+    },
+
+    /**
+     * Event handler for the 'change:isColumnChooserOpened' event on the toolbar model
+     * @param {Object} model - toolbar model
+     * @param {boolean} isOpened - Whether the layer is opened
+     * @private
+     */
+    _onOpenedChange: function(model, isOpened) {
+        if (isOpened) {
+            this._show();
+        } else {
+            this._hide();
+        }
+    },
+
+    /**
+     * Shows the layer under the toolbar
+     * @private
+     */
+    _show: function() {
+        this.$el.html(this.template());
+        this._renderItems();
+        this.$el.css('top', this.dimensionModel.get('toolbarHeight')).show();
+        this.$el.find('input[name=keyword]').focus();
+
+        $(document).off(this._getDocumentEventName())
+            .on(this._getDocumentEventName(), $.proxy(this._onDocumentMouseDown, this));
+    },
+
+    /**
+     * Hides the layer
+     * @private
+     */
+    _hide: function() {
+        this.draggingColumnName = null;
+        this.$el.empty().hide();
+        $(document).off(this._getDocumentEventName());
+    },
+
+    /**
+     * Render
+     * @returns {Object} this instance
+     */
+    render: function() {
+        this.$el.hide();
+
+        return this;
+    },
+
+    /**
+     * Destroy
+     */
+    destroy: function() {
+        $(document).off(this._getDocumentEventName());
+        View.prototype.destroy.call(this);
+    }
+});
+
+module.exports = ColumnChooserLayer;
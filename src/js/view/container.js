@@ -8,9 +8,27 @@ var _ = require('underscore');
 
 var View = require('../base/view');
 var GridEvent = require('../common/gridEvent');
+var RowDragger = require('./rowDragger');
 var attrNameConst = require('../common/constMap').attrName;
 var classNameConst = require('../common/classNameConst');
 
+var Container;
+
+/**
+ * Sets the data to the DataTransfer of the drag event, ignoring the error of the unsupported type. (ex: IE)
+ * @param {DataTransfer} dataTransfer - DataTransfer object
+ * @param {string} type - Type of the data
+ * @param {string} data - Data
+ * @ignore
+ */
+function setTransferData(dataTransfer, type, data) {
+    try {
+        dataTransfer.setData(type, data);
+    } catch (e) {
+        // unsupported type
+    }
+}
+
 /**
  * Container View
  * @module view/container
@@ -18,7 +36,7 @@ var classNameConst = require('../common/classNameConst');
  * @param {Object} options - Options
  * @ignore
  */
-var Container = View.extend(/**@lends module:view/container.prototype */{
+Container = View.extend(/**@lends module:view/container.prototype */{
     initialize: function(options) {
         View.prototype.initialize.call(this);
 
@@ -29,8 +47,24 @@ var Container = View.extend(/**@lends module:view/container.prototype */{
         this.dataModel = options.dataModel;
         this.viewFactory = options.viewFactory;
 
+        /**
+         * Dragger which moves the rows by the drag handle
+         * @type {module:view/rowDragger}
+         */
+        this.rowDragger = new RowDragger({
+            gridId: this.gridId,
+            dataModel: this.dataModel,
+            selectionModel: options.selectionModel,
+            coordConverterModel: options.coordConverterModel,
+            rowDragOptions: options.rowDragOptions
+        });
+        this.$rowDropIndicator = null;
+
         this._createChildViews();
 
+        this.listenTo(this.rowDragger, 'dragStart', _.bind(this.trigger, this, 'dragStart'))
+            .listenTo(this.rowDragger, 'drop', _.bind(this.trigger, this, 'drop'));
+
         this.listenTo(this.dimensionModel, 'setWidth', this._onSetWidth);
         $(window).on('resize.grid', $.proxy(this._onResizeWindow, this));
 
@@ -44,9 +78,15 @@ var Container = View.extend(/**@lends module:view/container.prototype */{
         'mouseover': '_onMouseOver',
         'mouseout': '_onMouseOut',
 
-        // for preventing drag
+        // for preventing drag (except for the drag handle of the rows)
         'selectstart': '_preventDrag',
-        'dragstart': '_preventDrag'
+        'dragstart': '_onDragStart',
+
+        // for dragging the rows
+        'dragover': '_onDragOver',
+        'dragleave': '_onDragLeave',
+        'drop': '_onDrop',
+        'dragend': '_onDragEnd'
     },
 
     /**
@@ -64,6 +104,9 @@ var Container = View.extend(/**@lends module:view/container.prototype */{
             factory.createStateLayer(),
             factory.createEditingLayer(),
             factory.createDatePickerLayer(),
+            factory.createFilterLayer(),
+            factory.createColumnChooserLayer(),
+            factory.createTooltipLayer(),
             factory.createClipboard()
         ]);
     },
@@ -293,7 +336,7 @@ var Container = View.extend(/**@lends module:view/container.prototype */{
         if (eventData.isStopped()) {
             return;
         }
-        if (!$target.is('input, a, button, select, textarea')) {
+        if (!$target.is('input, a, button, select, textarea, .' + classNameConst.BTN_ROW_DRAG)) {
             mouseEvent.preventDefault();
 
             // fix IE8 bug (cancelling event doesn't prevent focused element from losing foucs)
@@ -303,6 +346,178 @@ var Container = View.extend(/**@lends module:view/container.prototype */{
         }
     },
 
+    /**
+     * Event handler for 'dragstart' event.
+     * Starts to drag the rows if the target is the drag handle of the row, otherwise prevents the drag.
+     * @param {jQuery.Event} event - Drag event
+     * @returns {boolean} False if the drag is prevented
+     * @private
+     */
+    _onDragStart: function(event) {
+        var $target = $(event.target);
+
+        if (!$target.hasClass(classNameConst.BTN_ROW_DRAG)) {
+            return this._preventDrag();
+        }
+
+        return this._startRowDrag($target.closest('tr').attr(attrNameConst.ROW_KEY), event.originalEvent.dataTransfer);
+    },
+
+    /**
+     * Starts to drag the rows. The data of the rows is set to the DataTransfer as a JSON string
+     * ('text/plain' and 'application/json'), to be dropped to the DOM elements out of the grid.
+     * @param {(number|string)} rowKey - The rowKey of the row whose drag handle is dragged
+     * @param {DataTransfer} dataTransfer - DataTransfer object of the drag event
+     * @returns {boolean} False if the drag is canceled by the 'dragStart' event
+     * @private
+     */
+    _startRowDrag: function(rowKey, dataTransfer) {
+        var dragged = this.rowDragger.start(rowKey);
+        var json;
+
+        if (!dragged) {
+            return false;
+        }
+
+        json = JSON.stringify(dragged.rows);
+        setTransferData(dataTransfer, 'text/plain', json);
+        setTransferData(dataTransfer, 'application/json', json);
+        dataTransfer.effectAllowed = 'copyMove';
+        this._setRowDragImage(dataTransfer, rowKey, dragged.rowKeys.length);
+
+        return true;
+    },
+
+    /**
+     * Sets the ghost of the dragged row as the drag image. The ghost is a copy of the cells of both sides,
+     * with the number of the rows if several rows are dragged.
+     * @param {DataTransfer} dataTransfer - DataTransfer object of the drag event
+     * @param {(number|string)} rowKey - The rowKey of the row whose drag handle is dragged
+     * @param {number} rowCount - The number of the dragged rows
+     * @private
+     */
+    _setRowDragImage: function(dataTransfer, rowKey, rowCount) {
+        var $tr = $('<tr>');
+        var $ghost;
+
+        if (!dataTransfer.setDragImage) {
+            return;
+        }
+
+        this.$el.find('tr[' + attrNameConst.ROW_KEY + '="' + rowKey + '"]').each(function() {
+            $tr.append($(this).children().clone());
+        });
+        $ghost = $('<div>').addClass(classNameConst.ROW_DRAG_GHOST)
+            .width(this.$el.width())
+            .append($('<table>').append($tr))
+            .appendTo(this.$el);
+        if (rowCount > 1) {
+            $('<span>').addClass(classNameConst.ROW_DRAG_GHOST_COUNT)
+                .text(rowCount)
+                .appendTo($ghost);
+        }
+
+        dataTransfer.setDragImage($ghost[0], 0, 0);
+
+        // the drag image is captured when the drag starts
+        setTimeout(function() {
+            $ghost.remove();
+        });
+    },
+
+    /**
+     * Event handler for 'dragover' event.
+     * Shows the line where the rows are dropped, if the dragged rows can be dropped to the grid.
+     * @param {jQuery.Event} event - Drag event
+     * @private
+     */
+    _onDragOver: function(event) {
+        var rowDragger = this.rowDragger;
+
+        if (!this._isOnBody($(event.target)) || !rowDragger.isDroppable()) {
+            this._onDragLeave();
+            return;
+        }
+        if (!rowDragger.target) {
+            this.dimensionModel.refreshLayout();
+        }
+        event.preventDefault();
+        event.originalEvent.dataTransfer.dropEffect = rowDragger.getDropEffect();
+
+        this._showRowDropIndicator(rowDragger.updateTarget(event.pageX, event.pageY));
+    },
+
+    /**
+     * Returns whether the target element of the drag event is in the body of this grid.
+     * @param {jQuery} $target - Target element of the drag event
+     * @returns {boolean}
+     * @private
+     */
+    _isOnBody: function($target) {
+        var isInGrid = $target.closest('[' + attrNameConst.GRID_ID + ']').attr(attrNameConst.GRID_ID) ===
+            String(this.gridId);
+
+        return isInGrid && !!$target.closest('.' + classNameConst.BODY_AREA).length;
+    },
+
+    /**
+     * Event handler for 'dragleave' event
+     * @private
+     */
+    _onDragLeave: function() {
+        this.rowDragger.clearTarget();
+        this._hideRowDropIndicator();
+    },
+
+    /**
+     * Event handler for 'drop' event. Drops the dragged rows on the drop line.
+     * @param {jQuery.Event} event - Drag event
+     * @private
+     */
+    _onDrop: function(event) {
+        this._hideRowDropIndicator();
+        if (this.rowDragger.drop()) {
+            event.preventDefault();
+        }
+    },
+
+    /**
+     * Event handler for 'dragend' event. Finishes dragging the rows.
+     * @private
+     */
+    _onDragEnd: function() {
+        this.rowDragger.end();
+        this._hideRowDropIndicator();
+    },
+
+    /**
+     * Shows the line which indicates the position to drop the rows.
+     * @param {{index: number, top: number}} target - The boundary of the rows returned by
+     *     the coordConverterModel.getRowBoundaryFromMousePosition()
+     * @private
+     */
+    _showRowDropIndicator: function(target) {
+        var $bodyArea = this.$el.find('.' + classNameConst.BODY_AREA).first();
+
+        if (!this.$rowDropIndicator) {
+            this.$rowDropIndicator = $('<div>').addClass(classNameConst.ROW_DROP_INDICATOR).appendTo(this.$el);
+        }
+        this.$rowDropIndicator.css({
+            top: $bodyArea.offset().top - this.$el.offset().top + target.top
+        });
+    },
+
+    /**
+     * Removes the line which indicates the position to drop the rows.
+     * @private
+     */
+    _hideRowDropIndicator: function() {
+        if (this.$rowDropIndicator) {
+            this.$rowDropIndicator.remove();
+            this.$rowDropIndicator = null;
+        }
+    },
+
     /**
      * Render
      * @returns {module:view/container} this object
@@ -23,6 +23,9 @@ var SelectionLayerView = require('./selectionLayer');
 var EditingLayerView = require('./editingLayer');
 var DatePickeLayerView = require('./datePickerLayer');
 var FocusLayerView = require('./focusLayer');
+var FilterLayerView = require('./filterLayer');
+var ColumnChooserLayerView = require('./columnChooserLayer');
+var TooltipLayerView = require('./tooltipLayer');
 var isOptionEnabled = require('../common/util').isOptionEnabled;
 var frameConst = require('../common/constMap').frame;
 
@@ -44,6 +47,8 @@ var ViewFactory = tui.util.defineClass({
         this.singleClickEdit = options.singleClickEdit;
         this.resizeHandle = options.resizeHandle;
         this.copyOption = options.copyOption;
+        this.useColumnReorder = options.useColumnReorder;
+        this.rowDragOptions = options.rowDragOptions;
     },
 
     /**
@@ -58,7 +63,10 @@ var ViewFactory = tui.util.defineClass({
             dataModel: this.modelManager.dataModel,
             dimensionModel: this.modelManager.dimensionModel,
             focusModel: this.modelManager.focusModel,
+            selectionModel: this.modelManager.selectionModel,
+            coordConverterModel: this.modelManager.coordConverterModel,
             gridId: this.modelManager.gridId,
+            rowDragOptions: this.rowDragOptions,
             viewFactory: this
         });
     },
@@ -174,8 +182,10 @@ var ViewFactory = tui.util.defineClass({
             selectionModel: this.modelManager.selectionModel,
             dataModel: this.modelManager.dataModel,
             columnModel: this.modelManager.columnModel,
+            filterModel: this.modelManager.filterModel,
             coordRowModel: this.modelManager.coordRowModel,
             coordColumnModel: this.modelManager.coordColumnModel,
+            useColumnReorder: this.useColumnReorder,
             viewFactory: this
         });
     },
@@ -329,6 +339,50 @@ var ViewFactory = tui.util.defineClass({
         });
     },
 
+    /**
+     * Creates filter layer view and returns it.
+     * @returns {module:view/filterLayer}
+     */
+    createFilterLayer: function() {
+        return new FilterLayerView({
+            filterModel: this.modelManager.filterModel,
+            dataModel: this.modelManager.dataModel,
+            columnModel: this.modelManager.columnModel,
+            domState: this.domState
+        });
+    },
+
+    /**
+     * Creates column chooser layer view and returns it.
+     * @returns {?module:view/columnChooserLayer} - Null if the column chooser button is not used
+     */
+    createColumnChooserLayer: function() {
+        var toolbarModel = this.modelManager.toolbarModel;
+
+        if (!toolbarModel.isEnabled() || !toolbarModel.get('isColumnChooserButtonVisible')) {
+            return null;
+        }
+        return new ColumnChooserLayerView({
+            toolbarModel: toolbarModel,
+            columnModel: this.modelManager.columnModel,
+            dimensionModel: this.modelManager.dimensionModel
+        });
+    },
+
+    /**
+     * Creates tooltip layer view and returns it.
+     * @returns {module:view/tooltipLayer}
+     */
+    createTooltipLayer: function() {
+        return new TooltipLayerView({
+            dataModel: this.modelManager.dataModel,
+            columnModel: this.modelManager.columnModel,
+            focusModel: this.modelManager.focusModel,
+            renderModel: this.modelManager.renderModel,
+            domState: this.domState
+        });
+    },
+
     /**
      * Creates focus layer view and returns it.
      * @param  {String} whichSide - 'L'(left) or 'R'(right)
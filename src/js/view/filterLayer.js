@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Layer class that shows the filter form of a column
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+
+var View = require('../base/view');
+var classNameConst = require('../common/classNameConst');
+var keyCodeMap = require('../common/constMap').keyCode;
+
+var MESSAGE_CONTAINS = '포함';
+var MESSAGE_EQUALS = '일치';
+var MESSAGE_SELECT_ALL = '전체 선택';
+var MESSAGE_APPLY = '적용';
+var MESSAGE_CLEAR = '초기화';
+
+var FIELD_NAMES_MAP = {
+    text: ['operator', 'value'],
+    number: ['min', 'max'],
+    date: ['start', 'end']
+};
+
+/**
+ * Layer class that shows the filter form of a column.
+ * @module view/filterLayer
+ * @extends module:base/view
+ * @param {Object} options - Options
+ * @ignore
+ */
+var FilterLayer = View.extend(/**@lends module:view/filterLayer.prototype */{
+    initialize: function(options) {
+        this.setOwnProperties({
+            filterModel: options.filterModel,
+            dataModel: options.dataModel,
+            columnModel: options.columnModel,
+            domState: options.domState
+        });
+
+        this.listenTo(this.filterModel, 'change:editingColumnName', this._onEditingColumnNameChange);
+    },
+
+    className: classNameConst.LAYER_FILTER,
+
+    events: function() {
+        var hash = {};
+
+        hash['click .' + classNameConst.BTN_FILTER_APPLY] = '_onClickApply';
+        hash['click .' + classNameConst.BTN_FILTER_CLEAR] = '_onClickClear';
+        hash['change input[name=selectAll]'] = '_onChangeSelectAll';
+        hash.keydown = '_onKeydown';
+
+        return hash;
+    },
+
+    /**
+     * Template for the whole layer
+     */
+    template: _.template(
+        '<div class="' + classNameConst.LAYER_FILTER_FIELD + '"><%=field%></div>' +
+        '<div class="' + classNameConst.LAYER_FILTER_BUTTONS + '">' +
+            '<button type="button" class="' + classNameConst.BTN_FILTER_APPLY + '">' + MESSAGE_APPLY + '</button>' +
+            '<button type="button" class="' + classNameConst.BTN_FILTER_CLEAR + '">' + MESSAGE_CLEAR + '</button>' +
+        '</div>'
+    ),
+
+    /**
+     * Templates for the field of each filter type
+     */
+    fieldTemplates: {
+        text: _.template(
+            '<select name="operator">' +
+                '<option value="contains" <%if(operator !== "equals"){%>selected<%}%>>' +
+                    MESSAGE_CONTAINS +
+                '</option>' +
+                '<option value="equals" <%if(operator === "equals"){%>selected<%}%>>' +
+                    MESSAGE_EQUALS +
+                '</option>' +
+            '</select>' +
+            '<input type="text" name="value" value="<%-value%>">'
+        ),
+        number: _.template(
+            '<input type="text" name="min" value="<%-min%>"> ~ ' +
+            '<input type="text" name="max" value="<%-max%>">'
+        ),
+        date: _.template(
+            '<input type="text" name="start" value="<%-start%>"> ~ ' +
+            '<input type="text" name="end" value="<%-end%>">'
+        ),
+        select: _.template(
+            '<ul>' +
+                '<li><label><input type="checkbox" name="selectAll" <%if(isAllChecked){%>checked<%}%>>' +
+                    MESSAGE_SELECT_ALL +
+                '</label></li>' +
+                '<%_.each(list, function(item) {%>' +
+                    '<li><label><input type="checkbox" name="values" value="<%-item.value%>" ' +
+                        '<%if(item.checked){%>checked<%}%>><%-item.text%>' +
+                    '</label></li>' +
+                '<%});%>' +
+            '</ul>'
+        )
+    },
+
+    /**
+     * Returns the filter type of the column
+     * @param {string} columnName - column name
+     * @returns {string}
+     * @private
+     */
+    _getFilterType: function(columnName) {
+        return this.columnModel.getColumnModel(columnName).filter;
+    },
+
+    /**
+     * Returns the list of items for the select filter.
+     * If the column has the editOption.list, it is used. Otherwise the distinct values of the column are used.
+     * @param {string} columnName - column name
+     * @param {?Object} condition - current condition
+     * @returns {Array.<{text: string, value: string, checked: boolean}>}
+     * @private
+     */
+    _getSelectItems: function(columnName, condition) {
+        var editOptionList = tui.util.pick(this.columnModel.getColumnModel(columnName), 'editOption', 'list');
+        var checkedValues = condition ? _.map(condition.values, String) : null;
+        var items;
+
+        if (editOptionList) {
+            items = _.map(editOptionList, function(item) {
+                return {
+                    text: item.text,
+                    value: String(item.value)
+                };
+            });
+        } else {
+            items = _.map(_.uniq(_.map(this.dataModel.pluck(columnName), String)), function(value) {
+                return {
+                    text: value,
+                    value: value
+                };
+            });
+        }
+
+        return _.map(items, function(item) {
+            return _.extend(item, {
+                checked: !checkedValues || _.contains(checkedValues, item.value)
+            });
+        });
+    },
+
+    /**
+     * Returns the markup of the field for the column
+     * @param {string} columnName - column name
+     * @returns {string}
+     * @private
+     */
+    _getFieldMarkup: function(columnName) {
+        var type = this._getFilterType(columnName);
+        var condition = this.filterModel.getCondition(columnName);
+        var params;
+
+        if (condition && condition.type !== type) {
+            condition = null;
+        }
+        if (type === 'select') {
+            params = {
+                list: this._getSelectItems(columnName, condition)
+            };
+            params.isAllChecked = _.every(params.list, 'checked');
+        } else {
+            params = _.extend({
+                operator: '',
+                value: '',
+                min: '',
+                max: '',
+                start: '',
+                end: ''
+            }, _.omit(condition, 'type'));
+        }
+
+        return this.fieldTemplates[type](params);
+    },
+
+    /**
+     * Creates the condition object from the values of the form
+     * @returns {?Object} - condition (null if every field is empty)
+     * @private
+     */
+    _getConditionFromForm: function() {
+        var type = this._getFilterType(this.filterModel.get('editingColumnName'));
+        var $el = this.$el;
+        var condition = {type: type};
+
+        if (type === 'select') {
+            if (!$el.find('input[name=values]:not(:checked)').length) {
+                return null;
+            }
+            condition.values = $el.find('input[name=values]:checked').map(function() {
+                return this.value;
+            }).get();
+
+            return condition;
+        }
+
+        _.each(FIELD_NAMES_MAP[type], function(name) {
+            condition[name] = $.trim($el.find('[name=' + name + ']').val());
+        });
+
+        return _.some(_.omit(condition, 'type', 'operator')) ? condition : null;
+    },
+
+    /**
+     * Applies the condition of the form to the filter model and closes the layer
+     * @private
+     */
+    _apply: function() {
+        var columnName = this.filterModel.get('editingColumnName');
+        var condition = this._getConditionFromForm();
+
+        if (condition) {
+            this.filterModel.setCondition(columnName, condition);
+        } else {
+            this.filterModel.removeCondition(columnName);
+        }
+        this.filterModel.finishEditing();
+    },
+
+    /**
+     * Event handler for the click event on the apply button
+     * @private
+     */
+    _onClickApply: function() {
+        this._apply();
+    },
+
+    /**
+     * Event handler for the click event on the clear button
+     * @private
+     */
+    _onClickClear: function() {
+        this.filterModel.removeCondition(this.filterModel.get('editingColumnName'));
+        this.filterModel.finishEditing();
+    },
+
+    /**
+     * Event handler for the change event on the select-all checkbox
+     * @param {jQuery.Event} event - change event
+     * @private
+     */
+    _onChangeSelectAll: function(event) {
+        this.$el.find('input[name=values]').prop('checked', $(event.target).prop('checked'));
+    },
+
+    /**
+     * Event handler for the keydown event
+     * @param {jQuery.Event} event - keydown event
+     * @private
+     */
+    _onKeydown: function(event) {
+        if (event.keyCode === keyCodeMap.ENTER) {
+            this._apply();
+        } else if (event.keyCode === keyCodeMap.ESC) {
+            this.filterModel.finishEditing();
+        }
+    },
+
+    /**
+     * Returns the name of the mousedown event on the document, namespaced by this instance.
+     * (The handlers of the other grids should not be detached with the handler of this layer)
+     * @returns {string}
+     * @private
+     */
+    _getDocumentEventName: function() {
+        return 'mousedown.filterLayer' + this.cid;
+    },
+
+    /**
+     * Event handler for the mousedown event on the document.
+     * Closes the layer if the target is outside of the layer.
+     * @param {jQuery.Event} event - mousedown event
+     * @private
+     */
+    _onDocumentMouseDown: function(event) {
+        var $target = $(event.target);
+
+        if (!$.contains(this.el, event.target) && !$target.is('a.' + classNameConst.BTN_FILTER)) {
+            this.filterModel.finishEditing();
+        }
+    },
+
+    /**
+     * Event handler for the 'change:editingColumnName' event on the filter model
+     * @param {Object} model - filter model
+     * @param {?string} columnName - column name
+     * @private
+     */
+    _onEditingColumnNameChange: function(model, columnName) {
+        if (columnName) {
+            this._show(columnName);
+        } else {
+            this._hide();
+        }
+    },
+
+    /**
+     * Shows the layer under the header of the column
+     * @param {string} columnName - column name
+     * @private
+     */
+    _show: function(columnName) {
+        this.$el.html(this.template({
+            field: this._getFieldMarkup(columnName)
+        }));
+        this.$el.css(this._calculatePosition(columnName)).show();
+        this.$el.find('input[type=text]').first().focus();
+
+        $(document).off(this._getDocumentEventName())
+            .on(this._getDocumentEventName(), $.proxy(this._onDocumentMouseDown, this));
+    },
+
+    /**
+     * Hides the layer
+     * @private
+     */
+    _hide: function() {
+        this.$el.empty().hide();
+        $(document).off(this._getDocumentEventName());
+    },
+
+    /**
+     * Calculates the position of the layer not to lay beyond the boundary of the grid
+     * @param {string} columnName - column name
+     * @returns {{top: number, left: number}}
+     * @private
+     */
+    _calculatePosition: function(columnName) {
+        var wrapperOffset = this.domState.getOffset();
+        var $header = this.domState.getHeaderElement(columnName);
+        var headerOffset = $header.offset();
+        var left = headerOffset.left - wrapperOffset.left;
+        var maxLeft = this.domState.getWidth() - this.$el.outerWidth();
+
+        return {
+            top: headerOffset.top - wrapperOffset.top + $header.outerHeight(),
+            left: Math.max(0, Math.min(left, maxLeft))
+        };
+    },
+
+    /**
+     * Render
+     * @returns {Object} this instance
+     */
+    render: function() {
+        this.$el.hide();
+
+        return this;
+    },
+
+    /**
+     * Destroy
+     */
+    destroy: function() {
+        $(document).off(this._getDocumentEventName());
+        View.prototype.destroy.call(this);
+    }
+});
+
+module.exports = FilterLayer;
@@ -59,6 +59,8 @@ var Body = View.extend(/**@lends module:view/layout/body.prototype */{
         var hash = {};
         hash.scroll = '_onScroll';
         hash['mousedown .' + classNameConst.BODY_CONTAINER] = '_onMouseDown';
+        hash['mousedown .' + classNameConst.BTN_GROUP_TOGGLE] = '_onMouseDownGroupToggle';
+        hash['mousedown .' + classNameConst.BTN_TREE_TOGGLE] = '_onMouseDownTreeToggle';
 
         return hash;
     },
@@ -151,10 +153,10 @@ var Body = View.extend(/**@lends module:view/layout/body.prototype */{
         if (!$td.length) { // selection layer, focus layer
             indexData = this.coordConverterModel.getIndexFromMousePosition(event.pageX, event.pageY);
             columnName = this._getColumnNameByVisibleIndex(indexData.column);
-        } else if (rowKey && columnName) { // valid cell
+        } else if (this._isDataCell(rowKey, columnName)) { // valid cell
             indexData = {
                 column: columnModel.indexOfColumnName(columnName, true),
-                row: this.dataModel.indexOfRowKey(rowKey)
+                row: this.dataModel.indexOfVisibleRowKey(rowKey)
             };
             if (this.columnModel.get('selectType') === 'radio') {
                 this.dataModel.check(rowKey);
@@ -168,6 +170,43 @@ var Body = View.extend(/**@lends module:view/layout/body.prototype */{
         }
     },
 
+    /**
+     * Returns whether the cell is a cell of a data row. (Not a dummy cell or a cell of a group row)
+     * @param {String} rowKey - row key
+     * @param {String} columnName - column name
+     * @returns {Boolean}
+     * @private
+     */
+    _isDataCell: function(rowKey, columnName) {
+        var dataModel = this.dataModel;
+
+        return !!rowKey && !!columnName && !dataModel.isGroupRow(dataModel.getRowOrPlaceholder(rowKey));
+    },
+
+    /**
+     * Event handler for 'mousedown' event on the toggle button of the group row.
+     * Expands or collapses the group.
+     * @param {MouseEvent} event - Mouse event
+     * @private
+     */
+    _onMouseDownGroupToggle: function(event) {
+        var rowKey = $(event.target).closest('tr').attr(attrNameConst.ROW_KEY);
+
+        this.dataModel.toggleGroup(rowKey);
+    },
+
+    /**
+     * Event handler for 'mousedown' event on the toggle button of the tree.
+     * Expands or collapses the children of the row.
+     * @param {MouseEvent} event - Mouse event
+     * @private
+     */
+    _onMouseDownTreeToggle: function(event) {
+        var rowKey = $(event.target).closest('tr').attr(attrNameConst.ROW_KEY);
+
+        this.dataModel.toggleTree(rowKey);
+    },
+
     /**
      * Control selection action when started
      * @param {Object} inputData - Mouse position X
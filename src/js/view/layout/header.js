@@ -13,6 +13,7 @@ var classNameConst = require('../../common/classNameConst');
 var frameConst = constMap.frame;
 
 var DELAY_SYNC_CHECK = 10;
+var REORDER_DRAG_THRESHOLD = 5;
 var keyCodeMap = constMap.keyCode;
 var SEL_TYPE_COLUMN = constMap.selectionType.COLUMN;
 var ATTR_COLUMN_NAME = constMap.attrName.COLUMN_NAME;
@@ -39,16 +40,21 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
             focusModel: options.focusModel,
             columnModel: options.columnModel,
             dataModel: options.dataModel,
+            filterModel: options.filterModel,
             viewFactory: options.viewFactory,
             coordRowModel: options.coordRowModel,
-            whichSide: options.whichSide || frameConst.R
+            whichSide: options.whichSide || frameConst.R,
+            useColumnReorder: !!options.useColumnReorder,
+            reorderState: null,
+            $dropIndicator: null
         });
 
         this.listenTo(this.renderModel, 'change:scrollLeft', this._onScrollLeftChange)
             .listenTo(this.coordColumnModel, 'columnWidthChanged', this._onColumnWidthChanged)
             .listenTo(this.selectionModel, 'change:range', this._refreshSelectedHeaders)
             .listenTo(this.focusModel, 'change:columnName', this._refreshSelectedHeaders)
-            .listenTo(this.dataModel, 'sortChanged', this._updateBtnSortState);
+            .listenTo(this.dataModel, 'sortChanged', this._updateBtnSortState)
+            .listenTo(this.filterModel, 'change:conditionMap', this._updateBtnFilterState);
 
         if (this.whichSide === frameConst.L && this.columnModel.get('selectType') === 'checkbox') {
             this.listenTo(this.dataModel,
@@ -89,7 +95,7 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
                 'rowspan=<%=rowspan%> ' +
             '<%}%>' +
         '>' +
-        '<%=title%><%=btnSort%>' +
+        '<%=title%><%=buttons%>' +
         '</th>'
     ),
 
@@ -107,6 +113,16 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
      */
     markupBtnSort: '<a class="' + classNameConst.BTN_SORT + '"></a>',
 
+    /**
+     * HTML string for a filter button
+     */
+    markupBtnFilter: '<a class="' + classNameConst.BTN_FILTER + '"></a>',
+
+    /**
+     * 정렬 우선순위 뱃지 템플릿
+     */
+    templateSortPriority: _.template('<span class="<%=className%>"><%=priority%></span>'),
+
     /**
      * col group 마크업을 생성한다.
      * @returns {string} <colgroup>에 들어갈 html 마크업 스트링
@@ -203,22 +219,181 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
     _onMouseDown: function(event) {
         var columnName, columnNames;
 
-        if (!this.selectionModel.isEnabled() || $(event.target).is('a.' + classNameConst.BTN_SORT)) {
+        var $target = $(event.target);
+
+        if (!this.selectionModel.isEnabled() ||
+            $target.is('a.' + classNameConst.BTN_SORT + ', a.' + classNameConst.BTN_FILTER)) {
             return;
         }
 
-        columnName = $(event.target).closest('th').attr(ATTR_COLUMN_NAME);
+        columnName = $target.closest('th').attr(ATTR_COLUMN_NAME);
         if (!columnName) {
             return;
         }
 
         columnNames = this.columnModel.getUnitColumnNamesIfMerged(columnName);
+        if (this._hasMetaColumn(columnNames)) {
+            return;
+        }
 
-        if (!this._hasMetaColumn(columnNames)) {
+        if (this.useColumnReorder && !event.shiftKey) {
+            this._startColumnReorder(columnName, columnNames, event.pageX);
+        } else {
             this._controlStartAction(columnNames, event.pageX, event.pageY, event.shiftKey);
         }
     },
 
+    /**
+     * Selects the columns and starts to drag them to reorder.
+     * The columns are moved only if the mouse is moved more than the threshold.
+     * @param {string} columnName - Name of the column or the merged column
+     * @param {Array.<string>} columnNames - Names of the unit columns
+     * @param {number} pageX - Mouse position X
+     * @private
+     */
+    _startColumnReorder: function(columnName, columnNames, pageX) {
+        var columnModel = this.columnModel;
+
+        this._startColumnSelectionWithoutShiftKey(_.map(columnNames, function(name) {
+            return columnModel.indexOfColumnName(name, true);
+        }));
+        this.reorderState = {
+            columnName: columnName,
+            startX: pageX,
+            isDragging: false,
+            target: null
+        };
+
+        $(document)
+            .on('mousemove', $.proxy(this._onMouseMoveForReorder, this))
+            .on('mouseup', $.proxy(this._onMouseUpForReorder, this))
+            .on('selectstart', $.proxy(this._onSelectStart, this));
+    },
+
+    /**
+     * Mousemove event handler while dragging the columns to reorder
+     * @param {jQuery.Event} event - MouseMove event
+     * @private
+     */
+    _onMouseMoveForReorder: function(event) {
+        var reorderState = this.reorderState;
+
+        if (!reorderState.isDragging && Math.abs(event.pageX - reorderState.startX) < REORDER_DRAG_THRESHOLD) {
+            return;
+        }
+        reorderState.isDragging = true;
+        reorderState.target = this._getColumnDropTarget(event);
+        this._showDropIndicator(reorderState.target);
+    },
+
+    /**
+     * Mouseup event handler while dragging the columns to reorder.
+     * Moves the columns to the drop target.
+     * @private
+     */
+    _onMouseUpForReorder: function() {
+        var reorderState = this.reorderState;
+        var target = reorderState.target;
+        var columnModel = this.columnModel;
+        var columnNames, targetIndex;
+
+        this._detachReorderEvents();
+        if (!reorderState.isDragging || !target) {
+            return;
+        }
+
+        columnNames = columnModel.getUnitColumnNamesIfMerged(reorderState.columnName);
+        targetIndex = target.targetIndex;
+        if (targetIndex > columnModel.indexOfColumnName(columnNames[0])) {
+            targetIndex -= columnNames.length;
+        }
+        this.selectionModel.end();
+        columnModel.moveColumn(reorderState.columnName, targetIndex, target.isFixed);
+    },
+
+    /**
+     * Detaches the event handlers for reordering the columns and removes the drop indicator.
+     * @private
+     */
+    _detachReorderEvents: function() {
+        $(document)
+            .off('mousemove', this._onMouseMoveForReorder)
+            .off('mouseup', this._onMouseUpForReorder)
+            .off('selectstart', this._onSelectStart);
+
+        if (this.$dropIndicator) {
+            this.$dropIndicator.remove();
+            this.$dropIndicator = null;
+        }
+        this.reorderState = null;
+    },
+
+    /**
+     * Returns the drop target of the columns from the header under the mouse pointer.
+     * The headers of both sides (fixed and not fixed) of the grid can be the target.
+     * @param {jQuery.Event} event - Mouse event
+     * @returns {?{$th: jQuery, isRight: boolean, targetIndex: number, isFixed: boolean}}
+     *     The header, whether to drop on the right side of the header, the index of the data column
+     *     before which the columns are dropped, and whether the header is in the fixed area.
+     * @private
+     */
+    _getColumnDropTarget: function(event) {
+        var columnModel = this.columnModel;
+        var $th = $(event.target).closest('th');
+        var columnName = $th.attr(ATTR_COLUMN_NAME);
+        var container = this.$el.closest('.' + classNameConst.CONTAINER)[0];
+        var columnNames, indexes, isRight;
+
+        if (!columnName || !container || !$.contains(container, $th[0])) {
+            return null;
+        }
+        columnNames = columnModel.getUnitColumnNamesIfMerged(columnName);
+        if (this._hasMetaColumn(columnNames)) {
+            return null;
+        }
+
+        indexes = util.getMinMax(_.map(columnNames, function(name) {
+            return columnModel.indexOfColumnName(name);
+        }));
+        isRight = event.pageX > $th.offset().left + ($th.outerWidth() / 2);
+
+        return {
+            $th: $th,
+            isRight: isRight,
+            targetIndex: isRight ? indexes.max + 1 : indexes.min,
+            isFixed: indexes.min < columnModel.get('columnFixCount')
+        };
+    },
+
+    /**
+     * Shows the line which indicates the position to drop the columns.
+     * @param {?Object} target - Drop target returned by _getColumnDropTarget()
+     * @private
+     */
+    _showDropIndicator: function(target) {
+        var $container = this.$el.closest('.' + classNameConst.CONTAINER);
+        var containerOffset = $container.offset();
+        var $headArea, left;
+
+        if (!target) {
+            if (this.$dropIndicator) {
+                this.$dropIndicator.hide();
+            }
+            return;
+        }
+        if (!this.$dropIndicator) {
+            this.$dropIndicator = $('<div>').addClass(classNameConst.COLUMN_DROP_INDICATOR).appendTo($container);
+        }
+
+        $headArea = target.$th.closest('.' + classNameConst.HEAD_AREA);
+        left = target.$th.offset().left + (target.isRight ? target.$th.outerWidth() : 0);
+        this.$dropIndicator.css({
+            left: left - containerOffset.left,
+            top: $headArea.offset().top - containerOffset.top,
+            height: $headArea.outerHeight()
+        }).show();
+    },
+
     /**
      * Control selection action when started
      * @param {Array} columnNames - An array of column names
@@ -430,27 +605,56 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
                 this.dataModel.uncheckAll();
             }
         } else if ($target.is('a.' + classNameConst.BTN_SORT)) {
-            this.dataModel.sortByField(columnName);
+            this.dataModel.sortByField(columnName, null, clickEvent.shiftKey);
+        } else if ($target.is('a.' + classNameConst.BTN_FILTER)) {
+            this.filterModel.startEditing(columnName);
         }
     },
 
+    /**
+     * 필터 조건이 설정된 컬럼의 필터 버튼을 활성화 상태로 표시한다.
+     * @private
+     */
+    _updateBtnFilterState: function() {
+        var filterModel = this.filterModel;
+
+        this.$el.find('a.' + classNameConst.BTN_FILTER).each(function() {
+            var columnName = $(this).closest('th').attr(ATTR_COLUMN_NAME);
+
+            $(this).toggleClass(classNameConst.BTN_FILTER_ACTIVE, filterModel.hasCondition(columnName));
+        });
+    },
+
     /**
      * 정렬 버튼의 상태를 변경한다.
+     * 정렬 키가 둘 이상인 경우 각 정렬 버튼 옆에 우선순위를 표시한다.
      * @private
      * @param {object} sortOptions 정렬 옵션
      * @param {string} sortOptions.columnName 정렬할 컬럼명
      * @param {boolean} sortOptions.isAscending 오름차순 여부
+     * @param {Array} [sortOptions.sortKeys] 우선순위 순으로 정렬된 정렬 키 목록
      */
     _updateBtnSortState: function(sortOptions) {
-        if (this._$currentSortBtn) {
-            this._$currentSortBtn.removeClass(classNameConst.BTN_SORT_DOWN + ' ' + classNameConst.BTN_SORT_UP);
-        }
-        this._$currentSortBtn = this.$el.find(
-            'th[' + ATTR_COLUMN_NAME + '="' + sortOptions.columnName + '"] a.' + classNameConst.BTN_SORT
-        );
-        this._$currentSortBtn.addClass(sortOptions.isAscending ?
-            classNameConst.BTN_SORT_UP : classNameConst.BTN_SORT_DOWN
-        );
+        var sortKeys = sortOptions.sortKeys || [_.pick(sortOptions, 'columnName', 'isAscending')];
+        var hasPriority = sortKeys.length > 1;
+
+        this.$el.find('a.' + classNameConst.BTN_SORT)
+            .removeClass(classNameConst.BTN_SORT_DOWN + ' ' + classNameConst.BTN_SORT_UP);
+        this.$el.find('.' + classNameConst.BTN_SORT_PRIORITY).remove();
+
+        _.each(sortKeys, function(sortKey, index) {
+            var $btn = this.$el.find(
+                'th[' + ATTR_COLUMN_NAME + '="' + sortKey.columnName + '"] a.' + classNameConst.BTN_SORT
+            );
+
+            $btn.addClass(sortKey.isAscending ? classNameConst.BTN_SORT_UP : classNameConst.BTN_SORT_DOWN);
+            if (hasPriority) {
+                $btn.after(this.templateSortPriority({
+                    className: classNameConst.BTN_SORT_PRIORITY,
+                    priority: index + 1
+                }));
+            }
+        }, this);
     },
 
     /**
@@ -469,6 +673,8 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
 
         this._addChildren(this.viewFactory.createHeaderResizeHandler(this.whichSide));
         this.$el.append(this._renderChildren());
+        this._updateBtnSortState(this.dataModel.sortOptions);
+        this._updateBtnFilterState();
         return this;
     },
 
@@ -543,7 +749,7 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
                     colspan: colSpanList[j],
                     rowspan: rowSpan,
                     title: columnModel.title,
-                    btnSort: columnModel.isSortable ? this.markupBtnSort : ''
+                    buttons: this._getButtonsMarkup(columnModel)
                 }));
             }, this);
         }, this);
@@ -554,6 +760,25 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
         return headerMarkupList.join('');
     },
 
+    /**
+     * 헤더에 표시할 정렬/필터 버튼의 마크업을 생성한다.
+     * @param {Object} columnModel - column model
+     * @returns {string}
+     * @private
+     */
+    _getButtonsMarkup: function(columnModel) {
+        var markup = '';
+
+        if (columnModel.isSortable) {
+            markup += this.markupBtnSort;
+        }
+        if (columnModel.filter) {
+            markup += this.markupBtnFilter;
+        }
+
+        return markup;
+    },
+
     /**
      * column merge 가 설정되어 있을 때 헤더의 max row count 를 가져온다.
      * @param {Array} hierarchyList 헤더 마크업 생성시 사용될 계층구조 데이터
@@ -574,40 +799,11 @@ var Header = View.extend(/**@lends module:view/layout/header.prototype */{
      * @private
      */
     _getColumnHierarchyList: function() {
-        var columnModelList = this._getColumnData().modelList,
-            hierarchyList;
+        var columnModelList = this._getColumnData().modelList;
 
-        hierarchyList = _.map(columnModelList, function(columnModel) {
-            return this._getColumnHierarchy(columnModel).reverse();
+        return _.map(columnModelList, function(columnModel) {
+            return this.columnModel.getColumnHierarchy(columnModel);
         }, this);
-
-        return hierarchyList;
-    },
-
-    /**
-     * column merge 가 설정되어 있을 때 재귀적으로 돌면서 계층구조를 형성한다.
-     *
-     * @param {Object} columnModel 컬럼모델
-     * @param {Array} [resultList]  결과로 메모이제이션을 이용하기 위한 인자값
-     * @returns {Array} 계층구조 결과값
-     * @private
-     */
-    _getColumnHierarchy: function(columnModel, resultList) {
-        var columnMergeList = this.columnModel.get('columnMerge');
-        resultList = resultList || [];
-        /* istanbul ignore else */
-        if (columnModel) {
-            resultList.push(columnModel);
-            /* istanbul ignore else */
-            if (columnMergeList) {
-                _.each(columnMergeList, function(columnMerge) {
-                    if ($.inArray(columnModel.columnName, columnMerge.columnNameList) !== -1) {
-                        this._getColumnHierarchy(columnMerge, resultList);
-                    }
-                }, this);
-            }
-        }
-        return resultList;
     }
 });
 
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Dragger which moves the rows by the drag handle, within the grid or to another grid
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var _ = require('underscore');
+var Backbone = require('backbone');
+
+var GridEvent = require('../common/gridEvent');
+
+/**
+ * The rows being dragged by the drag handle.
+ * It's shared by all grids in the page, so that the rows can be dropped to another grid.
+ * @type {?{gridId: number, dataModel: module:model/data/rowList, rowKeys: Array, rows: Array.<Object>,
+ *     dropEffect: string}}
+ * @ignore
+ */
+var draggingRows = null;
+
+var RowDragger;
+
+/**
+ * Dragger which moves the rows by the drag handle.
+ * The rows dropped on the same grid are moved by the moveRows() of the data model ('beforeRowMove' event),
+ * and the rows dropped on another grid are appended to it. The DOM events are handled by the container view.
+ * @module view/rowDragger
+ * @param {Object} options - Options
+ * @param {number} options.gridId - Grid id
+ * @param {module:model/data/rowList} options.dataModel - Data model
+ * @param {module:model/selection} options.selectionModel - Selection model
+ * @param {module:model/coordConverter} options.coordConverterModel - Coordinate converter model
+ * @param {{dropEffect: string, acceptDrop: boolean}} [options.rowDragOptions] - Options of dragging the rows
+ * @ignore
+ */
+RowDragger = tui.util.defineClass(/**@lends module:view/rowDragger.prototype */{
+    init: function(options) {
+        this.gridId = options.gridId;
+        this.dataModel = options.dataModel;
+        this.selectionModel = options.selectionModel;
+        this.coordConverterModel = options.coordConverterModel;
+
+        /**
+         * Options of dragging the rows
+         * @type {{dropEffect: string, acceptDrop: boolean}}
+         */
+        this.rowDragOptions = _.extend({
+            dropEffect: 'move',
+            acceptDrop: false
+        }, options.rowDragOptions);
+
+        /**
+         * The boundary of the rows where the dragged rows are dropped
+         * @type {?{index: number, top: number}}
+         */
+        this.target = null;
+    },
+
+    /**
+     * Starts to drag the rows with the row whose drag handle is dragged.
+     * @param {(number|string)} rowKey - The rowKey of the row whose drag handle is dragged
+     * @returns {?{rowKeys: Array.<(number|string)>, rows: Array.<Object>}} The dragged rows.
+     *     Null if the drag is canceled by the 'dragStart' event.
+     */
+    start: function(rowKey) {
+        var rowKeys = this._getRowKeysToDrag(rowKey);
+        var rows = _.map(rowKeys, function(key) {
+            var row = this.dataModel.get(key);
+
+            return _.omit(row.toJSON(), row.getPrivateProperties());
+        }, this);
+        var eventData = new GridEvent({
+            rowKeys: rowKeys,
+            rows: rows
+        });
+
+        /**
+         * Occurs when the rows start to be dragged by the drag handle.
+         * Calling the stop() of the event data cancels the drag.
+         * @api
+         * @event tui.Grid#dragStart
+         * @type {module:common/gridEvent}
+         * @property {Array.<(number|string)>} rowKeys - The rowKeys of the dragged rows
+         * @property {Array.<Object>} rows - The data of the dragged rows
+         */
+        this.trigger('dragStart', eventData);
+        if (eventData.isStopped()) {
+            return null;
+        }
+
+        draggingRows = {
+            gridId: this.gridId,
+            dataModel: this.dataModel,
+            rowKeys: rowKeys,
+            rows: rows,
+            dropEffect: this.rowDragOptions.dropEffect === 'copy' ? 'copy' : 'move'
+        };
+
+        return _.pick(draggingRows, 'rowKeys', 'rows');
+    },
+
+    /**
+     * Returns the rowKeys of the rows to drag with the row.
+     * If the row is checked, all visible checked rows are dragged,
+     * and if the row is in the selection, all rows in the selection are dragged.
+     * @param {(number|string)} rowKey - The rowKey of the row whose drag handle is dragged
+     * @returns {Array.<(number|string)>}
+     * @private
+     */
+    _getRowKeysToDrag: function(rowKey) {
+        var dataModel = this.dataModel;
+        var row = dataModel.get(rowKey);
+        var rowIndex = dataModel.indexOfVisibleRowKey(rowKey);
+        var rowRange = this.selectionModel.hasSelection() ? this.selectionModel.get('range').row : null;
+
+        if (row.get('_button')) {
+            return _.filter(_.pluck(dataModel.getRowList(true), 'rowKey'), dataModel.isVisibleRowKey, dataModel);
+        }
+        if (rowRange && rowIndex >= rowRange[0] && rowIndex <= rowRange[1]) {
+            return _.map(_.range(rowRange[0], rowRange[1] + 1), function(index) {
+                return dataModel.getVisibleRowAt(index).get('rowKey');
+            });
+        }
+
+        return [row.get('rowKey')];
+    },
+
+    /**
+     * Returns whether the dragged rows can be dropped on the grid.
+     * The rows can be dropped on the grid whose rows are movable, and the rows dragged from
+     * another grid can be dropped only if the acceptDrop option is true.
+     * @returns {boolean}
+     */
+    isDroppable: function() {
+        return !!draggingRows && this.dataModel.isRowMovable() &&
+            (draggingRows.gridId === this.gridId || !!this.rowDragOptions.acceptDrop);
+    },
+
+    /**
+     * Returns the drop effect of the dragged rows.
+     * The rows dragged from another grid are copied if the dropEffect option of the grid is 'copy'.
+     * @returns {string} 'move' or 'copy'
+     */
+    getDropEffect: function() {
+        return draggingRows.gridId === this.gridId ? 'move' : draggingRows.dropEffect;
+    },
+
+    /**
+     * Updates the boundary of the rows where the dragged rows are dropped, by the mouse position.
+     * @param {number} pageX - Mouse position X
+     * @param {number} pageY - Mouse position Y
+     * @returns {{index: number, top: number}} The boundary of the rows
+     */
+    updateTarget: function(pageX, pageY) {
+        this.target = this.coordConverterModel.getRowBoundaryFromMousePosition(pageX, pageY);
+
+        return this.target;
+    },
+
+    /**
+     * Clears the boundary of the rows where the dragged rows are dropped.
+     */
+    clearTarget: function() {
+        this.target = null;
+    },
+
+    /**
+     * Drops the dragged rows on the boundary of the rows.
+     * @returns {boolean} False if there is no boundary to drop the rows
+     */
+    drop: function() {
+        var target = this.target;
+        var eventData;
+
+        this.target = null;
+        if (!target || !draggingRows) {
+            return false;
+        }
+
+        eventData = new GridEvent({
+            rowKeys: draggingRows.rowKeys,
+            rows: draggingRows.rows,
+            sourceGrid: tui.Grid.getInstanceById(draggingRows.gridId),
+            targetIndex: this._getRowIndexToDrop(target.index),
+            dropEffect: this.getDropEffect()
+        });
+
+        /**
+         * Occurs when the dragged rows are dropped on the grid.
+         * Calling the stop() of the event data cancels the drop.
+         * @api
+         * @event tui.Grid#drop
+         * @type {module:common/gridEvent}
+         * @property {Array.<(number|string)>} rowKeys - The rowKeys of the dragged rows in the source grid
+         * @property {Array.<Object>} rows - The data of the dragged rows
+         * @property {tui.Grid} sourceGrid - The grid from which the rows are dragged
+         * @property {number} targetIndex - The index of the row before which the rows are dropped
+         * @property {string} dropEffect - 'move' or 'copy'
+         */
+        this.trigger('drop', eventData);
+        if (!eventData.isStopped()) {
+            this._dropRows(eventData);
+        }
+
+        return true;
+    },
+
+    /**
+     * Moves the dropped rows, or appends them if they are dragged from another grid.
+     * @param {module:common/gridEvent} eventData - Event data of the 'drop' event
+     * @private
+     */
+    _dropRows: function(eventData) {
+        var rows;
+
+        if (draggingRows.gridId === this.gridId) {
+            this.dataModel.moveRows(eventData.rowKeys, eventData.targetIndex);
+            return;
+        }
+
+        rows = _.map(eventData.rows, function(row) {
+            return _.omit(row, 'rowKey');
+        });
+        this.dataModel.append(rows, {
+            at: eventData.targetIndex
+        });
+        if (eventData.dropEffect === 'move') {
+            draggingRows.dataModel.removeRows(eventData.rowKeys);
+        }
+    },
+
+    /**
+     * Converts the index of the visible row below the drop line to the index of the data model.
+     * @param {number} visibleIndex - The index of the visible row (or the number of the visible rows)
+     * @returns {number}
+     * @private
+     */
+    _getRowIndexToDrop: function(visibleIndex) {
+        var dataModel = this.dataModel;
+        var rowCount = dataModel.getVisibleRowCount();
+
+        if (visibleIndex < rowCount) {
+            return dataModel.indexOfRowKey(dataModel.getVisibleRowAt(visibleIndex).get('rowKey'));
+        }
+
+        return rowCount ? dataModel.indexOfRowKey(dataModel.getVisibleRowAt(rowCount - 1).get('rowKey')) + 1 : 0;
+    },
+
+    /**
+     * Finishes dragging the rows.
+     */
+    end: function() {
+        draggingRows = null;
+        this.target = null;
+    }
+});
+
+_.extend(RowDragger.prototype, Backbone.Events);
+
+module.exports = RowDragger;
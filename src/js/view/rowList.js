@@ -186,7 +186,7 @@ var RowList = View.extend(/**@lends module:view/rowList.prototype */{
      * @private
      */
     _filterRowByKey: function($rows, rowKey) {
-        var rowIndex = this.dataModel.indexOfRowKey(rowKey),
+        var rowIndex = this.dataModel.indexOfVisibleRowKey(rowKey),
             renderStartIndex = this.renderModel.get('startIndex');
 
         if (renderStartIndex > rowIndex) {
@@ -284,8 +284,11 @@ var RowList = View.extend(/**@lends module:view/rowList.prototype */{
     _onModelRestore: function(cellData) {
         var $td = this.dataModel.getElement(cellData.rowKey, cellData.columnName);
         var editType = this.columnModel.getEditType(cellData.columnName);
+        var painterManager = this.painterManager;
+        var cellPainter = cellData.treeInfo ?
+            painterManager.getTreeCellPainter(editType) : painterManager.getCellPainter(editType);
 
-        this.painterManager.getCellPainter(editType).refresh(cellData, $td);
+        cellPainter.refresh(cellData, $td);
         this.coordRowModel.syncWithDom();
     }
 }, {
@@ -13,6 +13,7 @@ var TABLE_BORDER_WIDTH = require('../common/constMap').dimension.TABLE_BORDER_WI
 
 var MESSAGE_LOADING = '요청을 처리 중입니다.';
 var MESSAGE_EMPTY = '데이터가 존재하지 않습니다.';
+var MESSAGE_LOADING_NEXT_PAGE = '데이터를 더 불러오는 중입니다.';
 
 /**
  * Layer class that represents the state of rendering phase.
@@ -27,7 +28,7 @@ var StateLayer = View.extend(/**@lends module:view/stateLayer.prototype */{
         this.renderModel = options.renderModel;
 
         this.listenTo(this.dimensionModel, 'change', this._refreshLayout);
-        this.listenTo(this.renderModel, 'change:state', this.render);
+        this.listenTo(this.renderModel, 'change:state change:isLoadingNextPage', this.render);
     },
 
     className: classNameConst.LAYER_STATE,
@@ -48,10 +49,14 @@ var StateLayer = View.extend(/**@lends module:view/stateLayer.prototype */{
     render: function() {
         var renderState = this.renderModel.get('state');
 
-        if (renderState === stateConst.DONE) {
-            this.$el.hide();
-        } else {
+        this.$el.removeClass(classNameConst.LAYER_STATE_ROW);
+
+        if (renderState !== stateConst.DONE) {
             this._showLayer(renderState);
+        } else if (this.renderModel.get('isLoadingNextPage')) {
+            this._showLoadingRow();
+        } else {
+            this.$el.hide();
         }
 
         return this;
@@ -72,6 +77,20 @@ var StateLayer = View.extend(/**@lends module:view/stateLayer.prototype */{
         this._refreshLayout();
     },
 
+    /**
+     * Shows the loading row at the bottom of the body while the next page is being loaded.
+     * @private
+     */
+    _showLoadingRow: function() {
+        var layerHtml = this.template({
+            text: MESSAGE_LOADING_NEXT_PAGE,
+            isLoading: false
+        });
+
+        this.$el.addClass(classNameConst.LAYER_STATE_ROW).html(layerHtml).show();
+        this._refreshLayout();
+    },
+
     /**
      * Returns the message based on the renderState value
      * @param  {string} renderState - Renderer.state value
@@ -99,10 +118,17 @@ var StateLayer = View.extend(/**@lends module:view/stateLayer.prototype */{
         var toolbarHeight = dimensionModel.get('toolbarHeight');
         var scrollXHeight = dimensionModel.getScrollXHeight();
         var scrollYWidth = dimensionModel.getScrollYWidth();
+        var top = headerHeight + toolbarHeight - TABLE_BORDER_WIDTH;
+        var height = bodyHeight - scrollXHeight - TABLE_BORDER_WIDTH;
+
+        if (this.$el.hasClass(classNameConst.LAYER_STATE_ROW)) {
+            top += height - dimensionModel.get('rowHeight');
+            height = dimensionModel.get('rowHeight');
+        }
 
         this.$el.css({
-            top: headerHeight + toolbarHeight - TABLE_BORDER_WIDTH,
-            height: bodyHeight - scrollXHeight - TABLE_BORDER_WIDTH,
+            top: top,
+            height: height,
             left: 0,
             right: scrollYWidth
         });
@@ -111,5 +137,6 @@ var StateLayer = View.extend(/**@lends module:view/stateLayer.prototype */{
 
 StateLayer.MESSAGE_LOADING = MESSAGE_LOADING;
 StateLayer.MESSAGE_EMPTY = MESSAGE_EMPTY;
+StateLayer.MESSAGE_LOADING_NEXT_PAGE = MESSAGE_LOADING_NEXT_PAGE;
 
 module.exports = StateLayer;
@@ -8,6 +8,7 @@ var _ = require('underscore');
 
 var View = require('../base/view');
 var classNameConst = require('../common/classNameConst');
+var util = require('../common/util');
 
 /**
  * Toolbar View
@@ -25,8 +26,8 @@ var Toolbar = View.extend(/**@lends module:view/toolbar.prototype */{
         });
 
         this.on('appended', this._onAppended);
-        this.listenTo(this.toolbarModel,
-            'change:isExcelButtonVisible change:isExcelAllButtonVisible', this.render);
+        this.listenTo(this.toolbarModel, 'change:isExcelButtonVisible change:isExcelAllButtonVisible ' +
+            'change:isColumnChooserButtonVisible', this.render);
     },
 
     className: classNameConst.TOOLBAR,
@@ -34,6 +35,7 @@ var Toolbar = View.extend(/**@lends module:view/toolbar.prototype */{
     events: function() {
         var hash = {};
         hash['click .' + classNameConst.BTN_EXCEL] = '_onClickExcel';
+        hash['click .' + classNameConst.BTN_COLUMN_CHOOSER] = '_onClickColumnChooser';
         return hash;
     },
 
@@ -43,6 +45,12 @@ var Toolbar = View.extend(/**@lends module:view/toolbar.prototype */{
         '</a>'
     ),
 
+    templateColumnChooserBtn: _.template(
+        '<a href="#" class="' + classNameConst.BTN_COLUMN_CHOOSER + ' ' + classNameConst.BTN_TEXT + '">' +
+        '<span><%=text%></span>' +
+        '</a>'
+    ),
+
     /**
      * Event handler for 'appended' event
      * @private
@@ -52,28 +60,47 @@ var Toolbar = View.extend(/**@lends module:view/toolbar.prototype */{
     },
 
     /**
-     * Click event handler for excel download buttons
+     * Click event handler for excel download buttons.
+     * If the Net addon has the download API, the file is downloaded from the server.
+     * Otherwise, the file is generated in the browser.
      * @param  {MouseEvent} mouseEvent - MouseEvent object
      * @private
      */
     _onClickExcel: function(mouseEvent) {
         var grid = tui.Grid.getInstanceById(this.gridId);
         var net = grid.getAddOn('Net');
-        var $target;
+        var $target = $(mouseEvent.target).closest('a');
+        var type;
 
         mouseEvent.preventDefault();
 
-        if (net) {
-            $target = $(mouseEvent.target).closest('a');
+        if ($target.hasClass(classNameConst.BTN_EXCEL_PAGE)) {
+            type = 'excel';
+        } else if ($target.hasClass(classNameConst.BTN_EXCEL_ALL)) {
+            type = 'excelAll';
+        } else {
+            return;
+        }
 
-            if ($target.hasClass(classNameConst.BTN_EXCEL_PAGE)) {
-                net.download('excel');
-            } else if ($target.hasClass(classNameConst.BTN_EXCEL_ALL)) {
-                net.download('excelAll');
-            }
+        if (net && tui.util.pick(net, 'api', 'download' + util.toUpperCaseFirstLetter(type))) {
+            net.download(type);
+        } else {
+            grid['export']('xls');
         }
     },
 
+    /**
+     * Click event handler for the column chooser button. Opens or closes the column chooser layer.
+     * @param  {MouseEvent} mouseEvent - MouseEvent object
+     * @private
+     */
+    _onClickColumnChooser: function(mouseEvent) {
+        var toolbarModel = this.toolbarModel;
+
+        mouseEvent.preventDefault();
+        toolbarModel.set('isColumnChooserOpened', !toolbarModel.get('isColumnChooserOpened'));
+    },
+
     /**
      * Render
      * @returns {module:view/toolbar} this object
@@ -94,6 +121,11 @@ var Toolbar = View.extend(/**@lends module:view/toolbar.prototype */{
                 text: '전체 엑셀 다운로드'
             }));
         }
+        if (toolbarModel.get('isColumnChooserButtonVisible')) {
+            $inner.append(this.templateColumnChooserBtn({
+                text: '컬럼 설정'
+            }));
+        }
         this.$el.empty().append($inner);
 
         return this;
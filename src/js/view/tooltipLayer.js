@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Layer class that shows the validation message of the invalid cell
+ * @author NHN Ent. FE Development Team
+ */
+'use strict';
+
+var View = require('../base/view');
+var classNameConst = require('../common/classNameConst');
+var attrNameConst = require('../common/constMap').attrName;
+var validationMessage = require('../common/validationMessage');
+
+/**
+ * Layer class that shows the validation message of the invalid cell.
+ * The message of the hovered cell is shown first, and then the message of the focused cell.
+ * @module view/tooltipLayer
+ * @extends module:base/view
+ * @param {Object} options - Options
+ * @ignore
+ */
+var TooltipLayer = View.extend(/**@lends module:view/tooltipLayer.prototype */{
+    initialize: function(options) {
+        this.setOwnProperties({
+            dataModel: options.dataModel,
+            columnModel: options.columnModel,
+            focusModel: options.focusModel,
+            renderModel: options.renderModel,
+            domState: options.domState,
+            hoveredCell: null
+        });
+
+        this.listenTo(this.focusModel, 'focus blur', this._refresh);
+        this.listenTo(this.dataModel, 'extraDataChanged', this._refresh);
+        this.listenTo(this.renderModel, 'change:scrollTop change:scrollLeft', this._refresh);
+    },
+
+    className: classNameConst.LAYER_TOOLTIP,
+
+    /**
+     * Returns the address of the cell whose message should be shown
+     * @returns {?{rowKey: (Number|String), columnName: String}}
+     * @private
+     */
+    _getTargetCell: function() {
+        var focusModel = this.focusModel;
+
+        if (this.hoveredCell) {
+            return this.hoveredCell;
+        }
+        if (focusModel.has(true)) {
+            return {
+                rowKey: focusModel.get('rowKey'),
+                columnName: focusModel.get('columnName')
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Returns the validation error of the cell
+     * @param {?{rowKey: (Number|String), columnName: String}} cell - Address of the cell
+     * @returns {?{errorCode: String, message: String}}
+     * @private
+     */
+    _getValidationError: function(cell) {
+        var row = cell && this.dataModel.get(cell.rowKey);
+
+        return row ? row.getValidationError(cell.columnName) : null;
+    },
+
+    /**
+     * Shows the message of the target cell if it is invalid. Otherwise hides the layer.
+     * @private
+     */
+    _refresh: function() {
+        var cell = this._getTargetCell();
+        var error = this._getValidationError(cell);
+        var $cell = error ? this.domState.getElement(cell.rowKey, cell.columnName) : null;
+        var message;
+
+        if (!$cell || !$cell.length) {
+            this.$el.hide();
+            return;
+        }
+
+        message = validationMessage.getMessage(error, this.columnModel.getColumnModel(cell.columnName));
+        this.$el.text(message).show();
+        this.$el.css(this._calculatePosition($cell));
+    },
+
+    /**
+     * Calculates the position of the layer to be placed under the cell
+     * @param {jQuery} $cell - Cell element
+     * @returns {{top: number, left: number}}
+     * @private
+     */
+    _calculatePosition: function($cell) {
+        var wrapperOffset = this.domState.getOffset();
+        var cellOffset = $cell.offset();
+        var left = cellOffset.left - wrapperOffset.left;
+        var maxLeft = this.domState.getWidth() - this.$el.outerWidth();
+
+        return {
+            top: cellOffset.top - wrapperOffset.top + $cell.outerHeight(),
+            left: Math.max(0, Math.min(left, maxLeft))
+        };
+    },
+
+    /**
+     * Event handler for the mouseover event on the cells
+     * @param {jQuery.Event} event - mouseover event
+     * @private
+     */
+    _onMouseOverCell: function(event) {
+        var $td = $(event.currentTarget);
+        var rowKey = $td.closest('tr').attr(attrNameConst.ROW_KEY);
+        var columnName = $td.attr(attrNameConst.COLUMN_NAME);
+
+        if (rowKey && columnName) {
+            this.hoveredCell = {
+                rowKey: rowKey,
+                columnName: columnName
+            };
+        } else {
+            this.hoveredCell = null;
+        }
+        this._refresh();
+    },
+
+    /**
+     * Event handler for the mouseout event on the cells
+     * @private
+     */
+    _onMouseOutCell: function() {
+        this.hoveredCell = null;
+        this._refresh();
+    },
+
+    /**
+     * Render
+     * @returns {Object} this instance
+     */
+    render: function() {
+        this.domState.$el
+            .off('mouseover', 'td', this._onMouseOverCell)
+            .off('mouseout', 'td', this._onMouseOutCell)
+            .on('mouseover', 'td', $.proxy(this._onMouseOverCell, this))
+            .on('mouseout', 'td', $.proxy(this._onMouseOutCell, this));
+        this.$el.hide();
+
+        return this;
+    },
+
+    /**
+     * Destroy
+     */
+    destroy: function() {
+        this.domState.$el
+            .off('mouseover', 'td', this._onMouseOverCell)
+            .off('mouseout', 'td', this._onMouseOutCell);
+        View.prototype.destroy.call(this);
+    }
+});
+
+module.exports = TooltipLayer;
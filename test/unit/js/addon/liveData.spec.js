@@ -0,0 +1,102 @@
+'use strict';
+
+var LiveData = require('addon/liveData');
+
+describe('addon/liveData', function() {
+    var source, grid;
+
+    beforeEach(function() {
+        source = {
+            addEventListener: jasmine.createSpy('addEventListener'),
+            removeEventListener: jasmine.createSpy('removeEventListener')
+        };
+        grid = {
+            applyTransaction: jasmine.createSpy('applyTransaction')
+        };
+    });
+
+    it('applies the transaction parsed from the data of the message', function() {
+        var liveData = new LiveData({
+            grid: grid,
+            source: source,
+            flash: true
+        });
+        var transaction = {
+            update: [{id: 1, price: 10}]
+        };
+
+        expect(source.addEventListener).toHaveBeenCalledWith('message', liveData.listener);
+
+        liveData.listener({
+            data: JSON.stringify(transaction)
+        });
+        expect(grid.applyTransaction).toHaveBeenCalledWith(transaction, {
+            flash: true
+        });
+    });
+
+    it('converts the message with the parse option', function() {
+        var liveData = new LiveData({
+            grid: grid,
+            source: source,
+            eventName: 'rows',
+            parse: function(event) {
+                return {
+                    remove: [event.data]
+                };
+            }
+        });
+
+        liveData.listener({
+            data: 3
+        });
+        expect(grid.applyTransaction).toHaveBeenCalledWith({
+            remove: [3]
+        }, {
+            flash: false
+        });
+    });
+
+    it('ignores the message which is not a valid JSON', function() {
+        var liveData = new LiveData({
+            grid: grid,
+            source: source
+        });
+
+        expect(function() {
+            liveData.listener({
+                data: '{invalid'
+            });
+        }).not.toThrow();
+        expect(grid.applyTransaction).not.toHaveBeenCalled();
+    });
+
+    it('removes the listener from the source when disconnected', function() {
+        var liveData = new LiveData({
+            grid: grid,
+            source: source
+        });
+
+        liveData.disconnect();
+        liveData.disconnect();
+
+        expect(source.removeEventListener.calls.count()).toBe(1);
+        expect(source.removeEventListener).toHaveBeenCalledWith('message', liveData.listener);
+    });
+
+    it('is disconnected when the grid is destroyed', function() {
+        var realGrid = new tui.Grid({
+            el: $('<div>'),
+            columnModelList: [{columnName: 'c1'}]
+        });
+        var liveData;
+
+        realGrid.use('LiveData', {
+            source: source
+        });
+        liveData = realGrid.getAddOn('LiveData');
+        realGrid.destroy();
+
+        expect(source.removeEventListener).toHaveBeenCalledWith('message', liveData.listener);
+    });
+});
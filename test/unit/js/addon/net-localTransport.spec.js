@@ -0,0 +1,141 @@
+'use strict';
+
+var LocalTransport = require('addon/net-localTransport');
+
+describe('addon/net-localTransport', function() {
+    var transport;
+
+    /**
+     * Sends the request and returns the response
+     * @param {string} requestType - Request type
+     * @param {object|string} data - Request data
+     * @returns {object}
+     */
+    function send(requestType, data) {
+        var response;
+
+        transport.send({
+            requestType: requestType,
+            data: data
+        }).then(function(responseData) {
+            response = responseData;
+        });
+
+        return response;
+    }
+
+    beforeEach(function() {
+        transport = new LocalTransport([
+            {id: 1, name: 'b', price: 10},
+            {id: 2, name: 'a', price: 20},
+            {id: 3, name: 'c', price: 10}
+        ]);
+    });
+
+    describe('readData', function() {
+        it('responds the rows of the page with the total count', function() {
+            expect(send('readData', {
+                page: 2,
+                perPage: 2
+            })).toEqual({
+                result: true,
+                data: {
+                    contents: [{id: 3, name: 'c', price: 10}],
+                    pagination: {
+                        page: 2,
+                        totalCount: 3
+                    }
+                }
+            });
+        });
+
+        it('sorts the rows by the sortColumn and the sortAscending', function() {
+            var response = send('readData', {
+                sortColumn: 'name',
+                sortAscending: 'false'
+            });
+
+            expect(_.pluck(response.data.contents, 'name')).toEqual(['c', 'b', 'a']);
+        });
+
+        it('sorts the rows by the sortColumns in JSON', function() {
+            var response = send('readData', {
+                sortColumns: JSON.stringify([
+                    {columnName: 'price', isAscending: true},
+                    {columnName: 'name', isAscending: false}
+                ])
+            });
+
+            expect(_.pluck(response.data.contents, 'id')).toEqual([3, 1, 2]);
+        });
+    });
+
+    describe('modifyData', function() {
+        it('applies the created, updated and deleted rows, and responds the saved rows', function() {
+            var response = send('modifyData', {
+                createList: JSON.stringify([{rowKey: 10, name: 'd', _extraData: {}}]),
+                updateList: JSON.stringify([{rowKey: 0, id: 1, name: 'x'}]),
+                deleteList: JSON.stringify([{rowKey: 1, id: 2}])
+            });
+
+            expect(response.data).toEqual({
+                rows: [
+                    {rowKey: 10, id: 4, name: 'd'},
+                    {rowKey: 0, id: 1, name: 'x', price: 10}
+                ],
+                errors: []
+            });
+            expect(_.pluck(transport.getRows(), 'name')).toEqual(['x', 'c', 'd']);
+        });
+
+        it('rejects the rows of the duplicated keys or the unknown keys', function() {
+            var response = send('modifyData', JSON.stringify({
+                createList: [{rowKey: 10, id: 1}],
+                deleteList: [{rowKey: 11, id: 9}]
+            }));
+
+            expect(response.data.errors).toEqual([
+                {rowKey: 10, message: 'Duplicated key: 1'},
+                {rowKey: 11, message: 'Not found: 9'}
+            ]);
+            expect(transport.getRows().length).toBe(3);
+        });
+
+        it('applies the row of the per-row request', function() {
+            send('deleteData', {
+                rowKey: 0,
+                id: 1
+            });
+
+            expect(_.pluck(transport.getRows(), 'id')).toEqual([2, 3]);
+        });
+    });
+
+    it('responds after the delay and can be aborted', function() {
+        var done = jasmine.createSpy('done');
+        var fail = jasmine.createSpy('fail');
+        var promise;
+
+        jasmine.clock().install();
+        transport = new LocalTransport([], {
+            delay: 100
+        });
+        transport.send({
+            requestType: 'readData'
+        }).then(done);
+        promise = transport.send({
+            requestType: 'readData'
+        });
+        promise.then(done, fail);
+        promise.abort();
+        jasmine.clock().tick(100);
+        jasmine.clock().uninstall();
+
+        expect(done.calls.count()).toBe(1);
+        expect(fail).toHaveBeenCalled();
+    });
+
+    it('responds the failure for the unknown request type', function() {
+        expect(send('downloadExcel', {}).result).toBe(false);
+    });
+});
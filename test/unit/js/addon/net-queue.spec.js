@@ -0,0 +1,77 @@
+'use strict';
+
+var RequestQueue = require('addon/net-queue');
+
+describe('addon/net-queue', function() {
+    var queue, sent;
+
+    /**
+     * Creates the send function which records the callback to complete the request
+     * @param {string} name - Request name
+     * @returns {function}
+     */
+    function createSend(name) {
+        return function(complete) {
+            var request = {
+                name: name,
+                complete: complete,
+                abort: jasmine.createSpy('abort')
+            };
+
+            sent.push(request);
+
+            return request;
+        };
+    }
+
+    beforeEach(function() {
+        queue = new RequestQueue();
+        sent = [];
+    });
+
+    it('sends the requests of a lane one by one in order', function() {
+        queue.add('write', createSend('a'));
+        queue.add('write', createSend('b'));
+        expect(_.pluck(sent, 'name')).toEqual(['a']);
+
+        sent[0].complete();
+        expect(_.pluck(sent, 'name')).toEqual(['a', 'b']);
+
+        sent[1].complete();
+        expect(queue.isBusy('write')).toBe(false);
+    });
+
+    it('processes each lane independently', function() {
+        queue.add('write', createSend('a'));
+        queue.add('read', createSend('b'));
+
+        expect(_.pluck(sent, 'name')).toEqual(['a', 'b']);
+        expect(queue.isBusy('read')).toBe(true);
+    });
+
+    it('aborts the running request and removes the pending requests of the lane', function() {
+        queue.add('read', createSend('a'));
+        queue.add('read', createSend('b'));
+        queue.add('write', createSend('c'));
+        queue.abort('read');
+
+        expect(sent[0].abort).toHaveBeenCalled();
+        expect(queue.isBusy('read')).toBe(false);
+        expect(queue.isBusy('write')).toBe(true);
+
+        sent[0].complete();
+        queue.add('read', createSend('d'));
+        expect(_.pluck(sent, 'name')).toEqual(['a', 'c', 'd']);
+    });
+
+    it('sends the next request if the request is completed synchronously', function() {
+        queue.add('write', function(complete) {
+            complete();
+
+            return {abort: _.noop};
+        });
+        queue.add('write', createSend('a'));
+
+        expect(_.pluck(sent, 'name')).toEqual(['a']);
+    });
+});
@@ -3,6 +3,7 @@
 var Model = require('base/model');
 var formUtil = require('common/formUtil');
 var renderStateMap = require('common/constMap').renderState;
+var classNameConst = require('common/classNameConst');
 
 describe('addon.net', function() {
     var columnModelList = [{
@@ -243,28 +244,25 @@ describe('addon.net', function() {
         expect(beforeRequesteData).toEqual(afterRequesteData);
     });
 
-    describe('lock', function() {
-        it('set isLocked to true', function() {
-            createNet();
-            net._lock();
-            expect(net.isLocked).toBe(true);
-        });
-
+    describe('_startLoading', function() {
         it('set renderState to LOADING if time elapsed is more than 200ms', function() {
             createNet();
 
-            net._lock();
+            net._startLoading();
             jasmine.clock().tick(200);
             expect(net.renderModel.get('state')).toBe(renderStateMap.LOADING);
         });
     });
 
-    describe('unlock', function() {
-        it('isLocked 를 false로 설정한다.', function() {
+    describe('_stopLoading', function() {
+        it('로딩 상태 표시를 위한 timer 를 제거한다.', function() {
             createNet();
-            net._lock();
-            net._unlock();
-            expect(net.isLocked).toBe(false);
+            net.renderModel.set('state', renderStateMap.DONE);
+            net._startLoading();
+            net._stopLoading();
+            jasmine.clock().tick(200);
+            expect(net.timeoutIdForDelay).toBe(null);
+            expect(net.renderModel.get('state')).toBe(renderStateMap.DONE);
         });
     });
 
@@ -483,6 +481,52 @@ describe('addon.net', function() {
             });
             expect(net.dataModel.setOriginalRowList).toHaveBeenCalled();
         });
+
+        it('does not call ajax and triggers invalidRequest if the rows to send have invalid data', function() {
+            var invalidRequest = jasmine.createSpy('invalidRequest');
+
+            window.alert = jasmine.createSpy('alert');
+            grid.on('invalidRequest', invalidRequest);
+            spyOn(net.dataModel, 'validate').and.returnValue([{rowKey: 4}]);
+            net.request('modifyData');
+
+            expect(net._ajax).not.toHaveBeenCalled();
+            expect(invalidRequest.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining({
+                requestType: 'modifyData',
+                errorRows: [{rowKey: 4}],
+                isValidating: false
+            }));
+            expect(window.alert).not.toHaveBeenCalled();
+        });
+
+        it('does not call ajax and triggers invalidRequest if any validation of the rows is pending', function() {
+            var invalidRequest = jasmine.createSpy('invalidRequest');
+
+            grid.on('invalidRequest', invalidRequest);
+            spyOn(net.dataModel, 'isValidating').and.returnValue(true);
+            net.request('modifyData');
+
+            expect(net._ajax).not.toHaveBeenCalled();
+            expect(invalidRequest.calls.argsFor(0)[0].isValidating).toBe(true);
+        });
+
+        it('validates only the rows to send', function() {
+            spyOn(net.dataModel, 'validate').and.callThrough();
+            net.request('createData', {
+                isOnlyChecked: false
+            });
+
+            expect(net.dataModel.validate).toHaveBeenCalledWith([4]);
+            expect(net._ajax).toHaveBeenCalled();
+        });
+
+        it('does not validate data for deleteData', function() {
+            spyOn(net.dataModel, 'validate').and.returnValue([{rowKey: 0}]);
+            net.request('deleteData');
+
+            expect(net.dataModel.validate).not.toHaveBeenCalled();
+            expect(net._ajax).toHaveBeenCalled();
+        });
     });
 
     describe('request', function() {
@@ -579,11 +623,24 @@ describe('addon.net', function() {
     });
 
     describe('_onComplete', function() {
-        it('unlock 을 호출하는지 확인한다.', function() {
+        it('readData 요청이 없으면 _stopLoading 을 호출한다.', function() {
             createNet();
-            net._unlock = jasmine.createSpy('unlock');
+            net._stopLoading = jasmine.createSpy('stopLoading');
+            net._onComplete();
+            expect(net._stopLoading).toHaveBeenCalled();
+        });
+
+        it('readData 요청이 진행중이면 _stopLoading 을 호출하지 않는다.', function() {
+            createNet({
+                initialRequest: false,
+                api: {
+                    readData: '/api/read'
+                }
+            });
+            net._stopLoading = jasmine.createSpy('stopLoading');
+            net.readData(1);
             net._onComplete();
-            expect(net._unlock).toHaveBeenCalled();
+            expect(net._stopLoading).not.toHaveBeenCalled();
         });
     });
 
@@ -663,6 +720,78 @@ describe('addon.net', function() {
         });
     });
 
+    describe('_changeSortOptions', function() {
+        beforeEach(function() {
+            createNet();
+        });
+
+        it('sets the primary sort key and the full list of sort keys', function() {
+            var data = {};
+            var sortKeys = [
+                {columnName: 'c1', isAscending: true},
+                {columnName: 'c2', isAscending: false}
+            ];
+
+            net._changeSortOptions(data, {
+                columnName: 'c1',
+                isAscending: true,
+                sortKeys: sortKeys
+            });
+
+            expect(data.sortColumn).toBe('c1');
+            expect(data.sortAscending).toBe(true);
+            expect(JSON.parse(data.sortColumns)).toEqual(sortKeys);
+        });
+
+        it('removes the sort parameters if sorted by rowKey', function() {
+            var data = {
+                sortColumn: 'c1',
+                sortAscending: true,
+                sortColumns: '[]'
+            };
+
+            net._changeSortOptions(data, {
+                columnName: 'rowKey',
+                isAscending: true,
+                sortKeys: []
+            });
+
+            expect(data.sortColumn).toBeUndefined();
+            expect(data.sortAscending).toBeUndefined();
+            expect(data.sortColumns).toBeUndefined();
+        });
+    });
+
+    describe('_restoreSortOptions', function() {
+        beforeEach(function() {
+            createNet();
+        });
+
+        it('restores all sort keys from the sortColumns parameter', function() {
+            net._restoreSortOptions({
+                sortColumn: 'c1',
+                sortAscending: false,
+                sortColumns: '[{"columnName":"c1","isAscending":false},{"columnName":"c2","isAscending":true}]'
+            });
+
+            expect(net.dataModel.sortOptions.sortKeys).toEqual([
+                {columnName: 'c1', isAscending: false},
+                {columnName: 'c2', isAscending: true}
+            ]);
+        });
+
+        it('uses sortColumn and sortAscending if sortColumns is not exist', function() {
+            net._restoreSortOptions({
+                sortColumn: 'c1',
+                sortAscending: false
+            });
+
+            expect(net.dataModel.sortOptions.sortKeys).toEqual([
+                {columnName: 'c1', isAscending: false}
+            ]);
+        });
+    });
+
     describe('_onPageBeforeMove', function() {
         var customEvent;
 
@@ -687,6 +816,966 @@ describe('addon.net', function() {
         });
     });
 
+    describe('infinite mode', function() {
+        var renderModel;
+
+        beforeEach(function() {
+            createNet({
+                mode: 'infinite',
+                initialRequest: false,
+                perPage: 2,
+                api: {
+                    readData: '/readData'
+                }
+            });
+            renderModel = net.renderModel;
+            net.requestedFormData = {a: 1};
+            renderModel.set({
+                maxScrollTop: 1000,
+                scrollTop: 0
+            });
+            spyOn(net, '_ajax');
+        });
+
+        it('does not use the pagination', function() {
+            expect(net.pagination).toBe(null);
+        });
+
+        it('requests the next page with the last requested data if scrolled near the bottom', function() {
+            renderModel.set('scrollTop', 950);
+
+            expect(net._ajax).toHaveBeenCalledWith(jasmine.objectContaining({
+                requestType: 'readData',
+                url: '/readData',
+                data: {
+                    a: 1,
+                    page: 2,
+                    perPage: 2
+                }
+            }));
+            expect(renderModel.get('isLoadingNextPage')).toBe(true);
+        });
+
+        it('does not request the next page while reading or after all rows are loaded', function() {
+            renderModel.set('isLoadingNextPage', true);
+            renderModel.set('scrollTop', 950);
+            renderModel.set('isLoadingNextPage', false);
+            spyOn(net, '_isReading').and.returnValue(true);
+            renderModel.set('scrollTop', 960);
+            net._isReading.and.returnValue(false);
+            net.isAllLoaded = true;
+            renderModel.set('scrollTop', 1000);
+
+            expect(net._ajax).not.toHaveBeenCalled();
+        });
+
+        it('appends the rows of the next page and checks again after the request is completed', function() {
+            var dataModel = net.dataModel;
+
+            renderModel.set('scrollTop', 950);
+            net._ajax.calls.argsFor(0)[0].success({
+                contents: [{c1: 'a'}, {c1: 'b'}],
+                pagination: {
+                    totalCount: 10
+                }
+            });
+
+            expect(dataModel.pluck('c1')).toEqual(['a', 'b']);
+            expect(dataModel.getModifiedRowList().createList.length).toBe(0);
+            expect(net.curPage).toBe(2);
+
+            net._onComplete();
+            expect(net._ajax.calls.count()).toBe(2);
+            expect(net._ajax.calls.argsFor(1)[0].data.page).toBe(3);
+        });
+
+        it('stops requesting if the number of loaded rows reaches the totalCount', function() {
+            net.curPage = 2;
+            renderModel.set('isLoadingNextPage', true);
+            net._onReadNextPageSuccess(3, {
+                contents: [{c1: 'a'}, {c1: 'b'}],
+                pagination: {
+                    totalCount: 6
+                }
+            });
+            net._onComplete();
+
+            expect(net.isAllLoaded).toBe(true);
+            expect(net._ajax).not.toHaveBeenCalled();
+            expect(renderModel.get('isLoadingNextPage')).toBe(false);
+        });
+
+        it('resets the loaded state when the first page is read again', function() {
+            net.isAllLoaded = true;
+            net.totalCount = 6;
+            net.curPage = 1;
+            net._onReadSuccess(net.dataModel, {
+                contents: [{c1: 'a'}, {c1: 'b'}]
+            });
+
+            expect(net.isAllLoaded).toBe(false);
+            expect(net.totalCount).toBe(null);
+        });
+
+        it('delegates sorting to the server and reads the rows again from the first page', function() {
+            net.curPage = 3;
+            net.dataModel.sortByField('c1', false);
+
+            expect(net.dataModel.sortOptions.useClient).toBe(false);
+            expect(net._ajax).toHaveBeenCalledWith(jasmine.objectContaining({
+                requestType: 'readData',
+                data: jasmine.objectContaining({
+                    a: 1,
+                    page: 1,
+                    sortColumn: 'c1',
+                    sortAscending: false
+                })
+            }));
+        });
+    });
+
+    describe('serverSide mode', function() {
+        var dataModel;
+
+        beforeEach(function() {
+            createNet({
+                mode: 'serverSide',
+                initialRequest: false,
+                perPage: 10,
+                maxBlockCount: 3,
+                api: {
+                    readData: '/readData'
+                }
+            });
+            dataModel = net.dataModel;
+            spyOn(net, '_ajax');
+        });
+
+        it('turns on the server-side row model of the dataModel', function() {
+            expect(net.pagination).toBe(null);
+            expect(dataModel.isServerSide()).toBe(true);
+            expect(dataModel.blockCache.maxBlockCount).toBe(3);
+        });
+
+        it('resets the rows with the total count of the response of the first block', function() {
+            net._readDataAt(1, false);
+            net._ajax.calls.argsFor(0)[0].success({
+                contents: [{c1: 'a'}, {c1: 'b'}],
+                pagination: {
+                    totalCount: 100
+                }
+            });
+
+            expect(dataModel.getVisibleRowCount()).toBe(100);
+            expect(dataModel.getVisibleRowAt(1).get('c1')).toBe('b');
+        });
+
+        it('requests the required block with the last requested data', function() {
+            var options;
+
+            net.requestedFormData = {a: 1};
+            net._readBlock(2);
+            options = net._ajax.calls.argsFor(0)[0];
+
+            expect(options.data).toEqual({
+                a: 1,
+                page: 3,
+                perPage: 10
+            });
+            expect(options.isAbortingReads).toBeFalsy();
+
+            spyOn(dataModel, 'setBlockRows');
+            options.success({contents: [{c1: 'a'}]});
+            expect(dataModel.setBlockRows).toHaveBeenCalledWith(2, [{c1: 'a'}]);
+
+            net.requestedFormData = {a: 2};
+            options.success({contents: [{c1: 'a'}]});
+            expect(dataModel.setBlockRows.calls.count()).toBe(1);
+        });
+
+        it('discards the block to request it again if the request for the block fails', function() {
+            function findBlockRequest() {
+                return _.find(_.pluck(net._ajax.calls.allArgs(), 0), function(options) {
+                    return options.data.page === 10;
+                });
+            }
+
+            net.requestedFormData = {};
+            dataModel.resetServerSideRows(100, [], 10);
+            dataModel.prepareRowsInRange(90, 90);
+
+            findBlockRequest().error({status: 500}, 'error');
+            expect(dataModel.blockCache.has(9)).toBe(false);
+
+            net._ajax.calls.reset();
+            dataModel.prepareRowsInRange(90, 90);
+            expect(findBlockRequest()).toBeDefined();
+        });
+
+        it('calls the error callback of the request if the result is false or the request fails', function() {
+            var error = jasmine.createSpy('error');
+            var options = {
+                requestType: 'readData',
+                error: error
+            };
+
+            net._onSuccess(null, options, {result: false}, 'success');
+            net._onError(null, options, {status: 500}, 'error');
+
+            expect(error.calls.count()).toBe(2);
+        });
+
+        it('reads the first page again with the filter conditions', function() {
+            spyOn(net, '_readDataAt');
+            net.requestedFormData = {};
+            dataModel.filterByField('c1', {
+                type: 'text',
+                value: 'a'
+            });
+
+            expect(JSON.parse(net.requestedFormData.filterConditions)).toEqual({
+                c1: {
+                    type: 'text',
+                    value: 'a'
+                }
+            });
+            expect(net._readDataAt).toHaveBeenCalledWith(1, true);
+        });
+    });
+
+    describe('contentType: application/json', function() {
+        beforeEach(function() {
+            createNet({
+                contentType: 'application/json',
+                initialRequest: false,
+                enableAjaxHistory: false,
+                api: {
+                    readData: '/items',
+                    createData: '/items',
+                    updateData: '/items/:rowKey',
+                    deleteData: '/items/:rowKey'
+                },
+                methods: {
+                    createData: 'PUT'
+                }
+            });
+        });
+
+        it('maps the request types to the REST methods', function() {
+            expect(net.readDataMethod).toBe('GET');
+            expect(net.methods.createData).toBe('PUT');
+            expect(net.methods.updateData).toBe('PUT');
+            expect(net.methods.deleteData).toBe('DELETE');
+        });
+
+        it('builds the parameters of the reads without the form and the router', function() {
+            spyOn(formUtil, 'getFormData').and.callThrough();
+            spyOn(formUtil, 'setFormData').and.callThrough();
+            grid.destroy();
+            grid = new tui.Grid({
+                el: $grid,
+                columnModelList: columnModelList
+            });
+            createNet({
+                contentType: 'application/json',
+                initialRequest: false,
+                enableAjaxHistory: true,
+                api: {
+                    readData: '/items'
+                }
+            });
+
+            net.readData(1, {
+                keyword: 'a'
+            });
+            net._readDataAt(2, false);
+
+            expect(net.router).toBeNull();
+            expect(formUtil.getFormData).not.toHaveBeenCalled();
+            expect(formUtil.setFormData).not.toHaveBeenCalled();
+            expect(jasmine.Ajax.requests.mostRecent().url).toBe('/items?keyword=a&page=2&perPage=500');
+        });
+
+        it('sends the data as a JSON body', function() {
+            var request;
+
+            net._ajax({
+                url: '/items',
+                type: 'POST',
+                data: {
+                    createList: [{c1: 'a'}]
+                }
+            });
+            request = jasmine.Ajax.requests.mostRecent();
+
+            expect(request.requestHeaders['Content-Type']).toContain('application/json');
+            expect(JSON.parse(request.params)).toEqual({
+                createList: [{c1: 'a'}]
+            });
+        });
+
+        it('sends the data as a query string for GET and replaces the parameters of the URL', function() {
+            var request;
+
+            net._ajax({
+                url: '/groups/:groupId/items',
+                type: 'GET',
+                data: {
+                    groupId: 'a b',
+                    page: 1
+                }
+            });
+            request = jasmine.Ajax.requests.mostRecent();
+
+            expect(request.url).toBe('/groups/a%20b/items?page=1');
+        });
+
+        it('does not stringify the modified rows', function() {
+            grid.setRowList(rowList);
+            grid.appendRow({c1: 'new'});
+
+            expect(net._getDataParam('createData', {isOnlyChecked: false}).data.createList).toEqual([
+                jasmine.objectContaining({c1: 'new'})
+            ]);
+        });
+
+        it('sends a request for each row if the URL has parameters', function() {
+            var requests;
+
+            grid.setRowList(rowList);
+            grid.setValue(1, 'c1', 'x');
+            grid.setValue(2, 'c1', 'y');
+            net.request('updateData', {
+                isOnlyChecked: false
+            });
+            requests = jasmine.Ajax.requests;
+
+            expect(requests.count()).toBe(1);
+            expect(requests.at(0).url).toBe('/items/1');
+            expect(requests.at(0).method).toBe('PUT');
+            expect(JSON.parse(requests.at(0).params).c1).toBe('x');
+
+            requests.at(0).respondWith({
+                status: 200,
+                responseText: '{"result": true}'
+            });
+            expect(requests.count()).toBe(2);
+            expect(requests.at(1).url).toBe('/items/2');
+        });
+
+        it('converts the response with the parseResponse option', function() {
+            var callback = jasmine.createSpy('callback');
+
+            net.parseResponse = function(responseData) {
+                return {
+                    result: !responseData.error,
+                    data: {
+                        contents: responseData.items
+                    }
+                };
+            };
+            net._onSuccess(callback, {requestType: 'readData'}, {items: [{c1: 'a'}]}, 200);
+
+            expect(callback.calls.argsFor(0)[0]).toEqual({contents: [{c1: 'a'}]});
+        });
+    });
+
+    describe('request lifecycle', function() {
+        var responseText = JSON.stringify({
+            result: true,
+            data: {
+                contents: [{c1: 'a'}]
+            }
+        });
+
+        function createNetWith(options) {
+            createNet(_.extend({
+                initialRequest: false,
+                enableAjaxHistory: false,
+                api: {
+                    readData: '/api/read',
+                    updateData: '/api/update'
+                }
+            }, options));
+        }
+
+        it('sends the headers of the options, which are evaluated for each request', function() {
+            var token = 'first';
+
+            createNetWith({
+                headers: function(requestType) {
+                    return {
+                        Authorization: 'Bearer ' + token,
+                        'X-Request-Type': requestType
+                    };
+                }
+            });
+            net.readData(1);
+            token = 'second';
+            net.readData(2);
+
+            expect(jasmine.Ajax.requests.at(0).requestHeaders.Authorization).toBe('Bearer first');
+            expect(jasmine.Ajax.requests.at(1).requestHeaders.Authorization).toBe('Bearer second');
+            expect(jasmine.Ajax.requests.at(1).requestHeaders['X-Request-Type']).toBe('readData');
+        });
+
+        it('calls the beforeSend option and cancels the request if it returns false', function() {
+            var beforeSend = jasmine.createSpy('beforeSend').and.returnValue(false);
+
+            createNetWith({
+                beforeSend: beforeSend
+            });
+            spyOn(net, '_onError');
+            net._ajax({
+                requestType: 'updateData',
+                url: '/api/update'
+            });
+
+            expect(beforeSend).toHaveBeenCalledWith(jasmine.any(Object), jasmine.objectContaining({
+                requestType: 'updateData'
+            }));
+            expect(jasmine.Ajax.requests.count()).toBe(0);
+            expect(net._onError).not.toHaveBeenCalled();
+            expect(net.requestQueue.isBusy('write')).toBe(false);
+        });
+
+        it('aborts the in-flight readData when a newer readData is requested', function() {
+            createNetWith();
+            net.readData(1);
+            net.readData(2);
+
+            expect(jasmine.Ajax.requests.at(0).statusText).toBe('abort');
+
+            jasmine.Ajax.requests.at(1).respondWith({
+                status: 200,
+                responseText: responseText
+            });
+            expect(net.dataModel.pluck('c1')).toEqual(['a']);
+            expect(net.curPage).toBe(2);
+        });
+
+        it('sends the requests other than readData one by one in order', function() {
+            createNetWith();
+            net._ajax({
+                requestType: 'updateData',
+                url: '/api/update/1'
+            });
+            net._ajax({
+                requestType: 'updateData',
+                url: '/api/update/2'
+            });
+            net.readData(1);
+
+            expect(jasmine.Ajax.requests.count()).toBe(2);
+            expect(jasmine.Ajax.requests.at(1).url).toContain('/api/read');
+
+            jasmine.Ajax.requests.at(0).respondWith({
+                status: 200,
+                responseText: '{"result": true}'
+            });
+            expect(jasmine.Ajax.requests.count()).toBe(3);
+            expect(jasmine.Ajax.requests.mostRecent().url).toBe('/api/update/2');
+        });
+
+        it('sends the next request even if the callback of the response throws an error', function() {
+            createNetWith();
+            net.on('successResponse', function() {
+                throw new Error('callback error');
+            });
+            net._ajax({
+                requestType: 'updateData',
+                url: '/api/update/1'
+            });
+            net._ajax({
+                requestType: 'updateData',
+                url: '/api/update/2'
+            });
+
+            expect(function() {
+                jasmine.Ajax.requests.at(0).respondWith({
+                    status: 200,
+                    responseText: '{"result": true}'
+                });
+            }).toThrowError('callback error');
+            expect(jasmine.Ajax.requests.count()).toBe(2);
+            expect(jasmine.Ajax.requests.mostRecent().url).toBe('/api/update/2');
+        });
+
+        it('sends the next request even if the callback of the error throws an error', function() {
+            createNetWith();
+            net.on('errorResponse', function() {
+                throw new Error('callback error');
+            });
+            net._ajax({
+                requestType: 'updateData',
+                url: '/api/update/1'
+            });
+            net._ajax({
+                requestType: 'updateData',
+                url: '/api/update/2'
+            });
+
+            expect(function() {
+                jasmine.Ajax.requests.at(0).respondWith({
+                    status: 404
+                });
+            }).toThrowError('callback error');
+            expect(jasmine.Ajax.requests.count()).toBe(2);
+            expect(jasmine.Ajax.requests.mostRecent().url).toBe('/api/update/2');
+        });
+
+        it('retries the failed request with the backoff before the errorResponse', function() {
+            var errorResponse = jasmine.createSpy('errorResponse');
+
+            createNetWith({
+                retry: {
+                    count: 2,
+                    delay: 100
+                }
+            });
+            net.on('errorResponse', errorResponse);
+            net.readData(1);
+
+            jasmine.Ajax.requests.mostRecent().respondWith({status: 500});
+            jasmine.clock().tick(99);
+            expect(jasmine.Ajax.requests.count()).toBe(1);
+            jasmine.clock().tick(1);
+            expect(jasmine.Ajax.requests.count()).toBe(2);
+
+            jasmine.Ajax.requests.mostRecent().respondWith({status: 503});
+            jasmine.clock().tick(199);
+            expect(jasmine.Ajax.requests.count()).toBe(2);
+            jasmine.clock().tick(1);
+            expect(jasmine.Ajax.requests.count()).toBe(3);
+            expect(errorResponse).not.toHaveBeenCalled();
+
+            jasmine.Ajax.requests.mostRecent().respondWith({status: 500});
+            expect(errorResponse).toHaveBeenCalled();
+            expect(net.requestQueue.isBusy('read')).toBe(false);
+        });
+
+        it('does not retry the client errors', function() {
+            var errorResponse = jasmine.createSpy('errorResponse');
+
+            createNetWith({
+                retry: {
+                    count: 2
+                }
+            });
+            net.on('errorResponse', errorResponse);
+            net.readData(1);
+            jasmine.Ajax.requests.mostRecent().respondWith({status: 404});
+            jasmine.clock().tick(10000);
+
+            expect(jasmine.Ajax.requests.count()).toBe(1);
+            expect(errorResponse).toHaveBeenCalled();
+        });
+
+        it('refreshes the authentication and sends the request again once if the status is 401', function() {
+            var token = 'expired';
+            var refreshAuth = jasmine.createSpy('refreshAuth').and.callFake(function() {
+                token = 'refreshed';
+
+                return new $.Deferred().resolve();
+            });
+            var errorResponse = jasmine.createSpy('errorResponse');
+
+            createNetWith({
+                headers: function() {
+                    return {
+                        Authorization: token
+                    };
+                },
+                refreshAuth: refreshAuth
+            });
+            net.on('errorResponse', errorResponse);
+            net.readData(1);
+            jasmine.Ajax.requests.mostRecent().respondWith({status: 401});
+
+            expect(refreshAuth).toHaveBeenCalled();
+            expect(jasmine.Ajax.requests.count()).toBe(2);
+            expect(jasmine.Ajax.requests.mostRecent().requestHeaders.Authorization).toBe('refreshed');
+
+            jasmine.Ajax.requests.mostRecent().respondWith({status: 401});
+            expect(refreshAuth.calls.count()).toBe(1);
+            expect(errorResponse).toHaveBeenCalled();
+        });
+    });
+
+    describe('sync states of the rows', function() {
+        var newRowKey;
+
+        function respond(responseData) {
+            jasmine.Ajax.requests.mostRecent().respondWith({
+                status: 200,
+                responseText: JSON.stringify(responseData)
+            });
+        }
+
+        beforeEach(function() {
+            grid.destroy();
+            grid = new tui.Grid({
+                el: $('#grid'),
+                columnModelList: columnModelList,
+                showSyncStatus: true
+            });
+            createNet({
+                initialRequest: false,
+                enableAjaxHistory: false,
+                api: {
+                    modifyData: '/api/modify'
+                }
+            });
+            grid.setRowList(_.map(rowList, function(row) {
+                return _.pick(row, 'c1');
+            }));
+            grid.setValue(0, 'c1', 'x');
+            grid.setValue(1, 'c1', 'y');
+            grid.appendRow({c1: 'new'});
+            newRowKey = grid.getRowAt(4).rowKey;
+            net.request('modifyData', {
+                isOnlyChecked: false
+            });
+        });
+
+        it('marks the sent rows as PENDING', function() {
+            expect(grid.getSyncState(0).state).toBe('PENDING');
+            expect(grid.getSyncState(newRowKey).state).toBe('PENDING');
+            expect(grid.getSyncState(2)).toBe(null);
+        });
+
+        it('merges the data of the saved rows and marks the rejected rows with the messages', function() {
+            var modifiedList;
+
+            respond({
+                result: true,
+                data: {
+                    rows: [{
+                        rowKey: newRowKey,
+                        c1: 'new-101'
+                    }],
+                    errors: [{
+                        rowKey: 1,
+                        message: 'Duplicated'
+                    }]
+                }
+            });
+            modifiedList = grid.getModifiedRowList({
+                isOnlyRowKeyList: true
+            });
+
+            expect(grid.getSyncState(0).state).toBe('SAVED');
+            expect(grid.getSyncState(newRowKey).state).toBe('SAVED');
+            expect(grid.getSyncState(1)).toEqual({
+                state: 'ERROR',
+                message: 'Duplicated'
+            });
+            expect(grid.getValue(newRowKey, 'c1')).toBe('new-101');
+            expect(modifiedList.createList).toEqual([]);
+            expect(modifiedList.updateList).toEqual([1]);
+        });
+
+        it('marks all sent rows as ERROR if the result is false or the request is failed', function() {
+            respond({
+                result: false,
+                message: 'Failed'
+            });
+            expect(grid.getSyncState(0)).toEqual({
+                state: 'ERROR',
+                message: 'Failed'
+            });
+            expect(grid.getModifiedRowList().updateList.length).toBe(2);
+
+            net.request('modifyData', {
+                isOnlyChecked: false
+            });
+            jasmine.Ajax.requests.mostRecent().respondWith({
+                status: 500,
+                statusText: 'Internal Server Error'
+            });
+            expect(grid.getSyncState(newRowKey).state).toBe('ERROR');
+        });
+
+        it('shows the icon of the sync state in the sync status column', function() {
+            var $cell;
+
+            respond({
+                result: true
+            });
+            $cell = grid.getElement(0, '_syncStatus');
+
+            expect($cell.hasClass(classNameConst.CELL_SYNC_SAVED)).toBe(true);
+            expect($cell.find('.' + classNameConst.ICO_SYNC).length).toBe(1);
+        });
+
+        describe('does not leave the rows PENDING', function() {
+            beforeEach(function() {
+                respond({
+                    result: true
+                });
+                grid.setValue(2, 'c1', 'z');
+            });
+
+            it('if the request is stopped by the beforeRequest event', function() {
+                net.on('beforeRequest', function(ev) {
+                    ev.stop();
+                });
+                net.request('modifyData', {
+                    isOnlyChecked: false
+                });
+
+                expect(grid.getSyncState(2)).toBe(null);
+            });
+
+            it('if the request has no URL', function() {
+                net.request('modifyData', {
+                    url: '',
+                    isOnlyChecked: false
+                });
+
+                expect(jasmine.Ajax.requests.count()).toBe(1);
+                expect(grid.getSyncState(2)).toBe(null);
+            });
+
+            it('if the request is canceled by the beforeSend option', function() {
+                net.beforeSend = function() {
+                    return false;
+                };
+                net.request('modifyData', {
+                    isOnlyChecked: false
+                });
+
+                expect(jasmine.Ajax.requests.count()).toBe(1);
+                expect(grid.getSyncState(2)).toBe(null);
+                expect(net.requestQueue.isBusy('write')).toBe(false);
+            });
+        });
+    });
+
+    describe('transport', function() {
+        var transport, deferred;
+
+        beforeEach(function() {
+            transport = {
+                send: jasmine.createSpy('send').and.callFake(function() {
+                    deferred = new $.Deferred();
+
+                    return _.extend(deferred.promise(), {
+                        abort: jasmine.createSpy('abort')
+                    });
+                })
+            };
+        });
+
+        it('sends the requests by the transport of the options, even if the URL is not specified', function() {
+            createNet({
+                initialRequest: false,
+                enableAjaxHistory: false,
+                transport: transport,
+                headers: {
+                    'X-Token': 'abc'
+                }
+            });
+            net.readData(1);
+
+            expect(jasmine.Ajax.requests.count()).toBe(0);
+            expect(transport.send).toHaveBeenCalledWith(jasmine.objectContaining({
+                requestType: 'readData',
+                headers: {
+                    'X-Token': 'abc'
+                }
+            }));
+
+            deferred.resolve({
+                result: true,
+                data: {
+                    contents: [{c1: 'a'}]
+                }
+            });
+            expect(grid.getValue(0, 'c1')).toBe('a');
+        });
+
+        it('handles the error object which is rejected without the status text', function() {
+            createNet({
+                initialRequest: false,
+                enableAjaxHistory: false,
+                transport: transport,
+                retry: {
+                    count: 1,
+                    delay: 100
+                }
+            });
+            spyOn(net, '_onError');
+            net.readData(1);
+            deferred.reject({
+                status: 503
+            });
+            jasmine.clock().tick(100);
+
+            expect(transport.send.calls.count()).toBe(2);
+
+            deferred.reject({
+                status: 503,
+                message: 'Unavailable'
+            });
+            expect(net._onError.calls.mostRecent().args.slice(2)).toEqual([{
+                status: 503,
+                message: 'Unavailable'
+            }, 'error', 'Unavailable']);
+        });
+
+        it('aborts the request of the transport', function() {
+            var promise;
+
+            createNet({
+                initialRequest: false,
+                enableAjaxHistory: false,
+                transport: transport
+            });
+            net.readData(1);
+            promise = transport.send.calls.mostRecent().returnValue;
+            net.readData(2);
+
+            expect(promise.abort).toHaveBeenCalled();
+            expect(transport.send.calls.count()).toBe(2);
+        });
+
+        it('loads the children of the row when the row is expanded', function() {
+            grid.destroy();
+            grid = new tui.Grid({
+                el: $('#grid'),
+                columnModelList: columnModelList,
+                treeColumnOptions: {
+                    name: 'c1'
+                }
+            });
+            grid.setRowList([{c1: 'a', _children: true}]);
+            createNet({
+                initialRequest: false,
+                enableAjaxHistory: false,
+                transport: transport,
+                api: {
+                    readChildren: '/api/children'
+                }
+            });
+            grid.expand(0);
+
+            expect(transport.send).toHaveBeenCalledWith(jasmine.objectContaining({
+                requestType: 'readChildren',
+                url: '/api/children'
+            }));
+
+            deferred.resolve({
+                result: true,
+                data: {
+                    contents: [{c1: 'a-1'}]
+                }
+            });
+            expect(grid.getChildRowKeys(0)).toEqual([1]);
+            expect(grid.getRowCount()).toBe(2);
+        });
+
+        describe('readChildren', function() {
+            beforeEach(function() {
+                grid.destroy();
+                grid = new tui.Grid({
+                    el: $('#grid'),
+                    columnModelList: columnModelList,
+                    treeColumnOptions: {
+                        name: 'c1'
+                    }
+                });
+                grid.setRowList([{c1: 'a', _children: true}]);
+                createNet({
+                    initialRequest: false,
+                    enableAjaxHistory: false,
+                    transport: transport,
+                    api: {
+                        readData: '/api/read',
+                        readChildren: '/api/children'
+                    }
+                });
+            });
+
+            it('is aborted by the readData request', function() {
+                var promise;
+
+                grid.expand(0);
+                promise = transport.send.calls.mostRecent().returnValue;
+                net.readData(1);
+
+                expect(promise.abort).toHaveBeenCalled();
+            });
+
+            it('ignores the response if the data is read again in the meantime', function() {
+                var childrenDeferred;
+
+                grid.expand(0);
+                childrenDeferred = deferred;
+                net.readData(1);
+                deferred.resolve({
+                    result: true,
+                    data: {
+                        contents: [{c1: 'b', _children: true}]
+                    }
+                });
+                childrenDeferred.resolve({
+                    result: true,
+                    data: {
+                        contents: [{c1: 'b-1'}]
+                    }
+                });
+
+                expect(grid.getRowCount()).toBe(1);
+                expect(grid.getChildRowKeys(0)).toEqual([]);
+            });
+
+            it('clears the loading state and collapses the row if the request is failed', function() {
+                var dataModel = grid.modelManager.dataModel;
+
+                grid.expand(0);
+                expect(dataModel.getTreeInfo(0).isLoading).toBe(true);
+
+                deferred.reject({
+                    status: 500
+                });
+                expect(dataModel.getTreeInfo(0)).toEqual(jasmine.objectContaining({
+                    isLoading: false,
+                    isExpanded: false
+                }));
+
+                grid.expand(0);
+                expect(transport.send.calls.count()).toBe(2);
+            });
+        });
+
+        it('saves the modified rows with the LocalTransport', function() {
+            var localTransport = new tui.Grid.LocalTransport([
+                {id: 1, c1: 'a'},
+                {id: 2, c1: 'b'}
+            ]);
+
+            grid.destroy();
+            grid = new tui.Grid({
+                el: $('#grid'),
+                columnModelList: [{columnName: 'id'}, {columnName: 'c1'}]
+            });
+            createNet({
+                enableAjaxHistory: false,
+                transport: localTransport
+            });
+            grid.setValue(grid.getRowAt(0).rowKey, 'c1', 'x');
+            grid.appendRow({c1: 'new'});
+            net.request('modifyData', {
+                isOnlyChecked: false
+            });
+
+            expect(grid.isChanged()).toBe(false);
+            expect(grid.getRowAt(2).id).toBe(3);
+            expect(_.pluck(localTransport.getRows(), 'c1')).toEqual(['x', 'b', 'new']);
+        });
+    });
+
     describe('AddOn.Net.Router', function() {
         it('read시 쿼리스트링을 잘 파싱해서 폼 설정 후 readData를 호출하는지 확인한다.', function() {
             createNet();
@@ -0,0 +1,45 @@
+'use strict';
+
+var csvParser = require('common/csvParser');
+
+describe('common/csvParser', function() {
+    describe('parse()', function() {
+        it('splits the text into rows and fields', function() {
+            expect(csvParser.parse('a,b\r\nc,d\ne,f')).toEqual([
+                ['a', 'b'],
+                ['c', 'd'],
+                ['e', 'f']
+            ]);
+        });
+
+        it('ignores the line break at the end of the text', function() {
+            expect(csvParser.parse('a,b\r\n')).toEqual([['a', 'b']]);
+            expect(csvParser.parse('')).toEqual([]);
+        });
+
+        it('keeps the empty fields', function() {
+            expect(csvParser.parse(',a,\n\n')).toEqual([
+                ['', 'a', ''],
+                ['']
+            ]);
+        });
+
+        it('parses the quoted fields which contain delimiters, line breaks and escaped quotes', function() {
+            expect(csvParser.parse('"a,b","c\r\nd","say ""hi"""\n1,2,3')).toEqual([
+                ['a,b', 'c\nd', 'say "hi"'],
+                ['1', '2', '3']
+            ]);
+        });
+
+        it('reads the unclosed quoted field until the end of the text', function() {
+            expect(csvParser.parse('a,"b\nc')).toEqual([['a', 'b\nc']]);
+        });
+
+        it('uses the given delimiter', function() {
+            expect(csvParser.parse('a\tb,c\n"d\te"\tf', '\t')).toEqual([
+                ['a', 'b,c'],
+                ['d\te', 'f']
+            ]);
+        });
+    });
+});
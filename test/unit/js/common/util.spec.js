@@ -299,4 +299,47 @@ describe('core.util', function() {
             expect(util.enableDeprecatedOptions(options)).toEqual(expected);
         });
     });
+
+    describe('toNumber()', function() {
+        it('returns the number as it is', function() {
+            expect(util.toNumber(10)).toBe(10);
+        });
+
+        it('converts a string ignoring thousands separators', function() {
+            expect(util.toNumber('1,000')).toBe(1000);
+            expect(util.toNumber(' -1.5 ')).toBe(-1.5);
+        });
+
+        it('returns NaN for the value which can\'t be converted', function() {
+            expect(util.toNumber('abc')).toEqual(NaN);
+            expect(util.toNumber('')).toEqual(NaN);
+            expect(util.toNumber(null)).toEqual(NaN);
+        });
+    });
+
+    describe('toTimestamp()', function() {
+        var expected = new Date(2016, 2, 7).getTime();
+
+        it('converts date strings with various separators', function() {
+            expect(util.toTimestamp('2016-03-07')).toBe(expected);
+            expect(util.toTimestamp('2016.03.07')).toBe(expected);
+            expect(util.toTimestamp('2016/3/7')).toBe(expected);
+            expect(util.toTimestamp('2016. 03. 07.')).toBe(expected);
+            expect(util.toTimestamp('2016년 3월 7일')).toBe(expected);
+        });
+
+        it('converts date strings with time', function() {
+            expect(util.toTimestamp('2016-03-07 12:30')).toBe(new Date(2016, 2, 7, 12, 30).getTime());
+            expect(util.toTimestamp('2016-03-07T12:30:10')).toBe(new Date(2016, 2, 7, 12, 30, 10).getTime());
+        });
+
+        it('converts date objects', function() {
+            expect(util.toTimestamp(new Date(2016, 2, 7))).toBe(expected);
+        });
+
+        it('returns NaN for the value which can\'t be converted', function() {
+            expect(util.toTimestamp('abc')).toEqual(NaN);
+            expect(util.toTimestamp(null)).toEqual(NaN);
+        });
+    });
 });
@@ -0,0 +1,80 @@
+'use strict';
+
+var validationMessage = require('common/validationMessage');
+
+describe('common/validationMessage', function() {
+    afterEach(function() {
+        validationMessage.setMessages();
+    });
+
+    describe('getMessage()', function() {
+        it('returns the default message of the error code', function() {
+            expect(validationMessage.getMessage({errorCode: 'REQUIRED'})).toBe('필수 입력 항목입니다.');
+        });
+
+        it('replaces the placeholders with the validation options of the column', function() {
+            var columnModel = {
+                validation: {
+                    min: 1,
+                    max: 10
+                }
+            };
+
+            expect(validationMessage.getMessage({errorCode: 'MIN'}, columnModel)).toBe('1 이상의 값을 입력해 주세요.');
+        });
+
+        it('returns the message of the error first', function() {
+            var columnModel = {
+                validation: {
+                    messages: {
+                        VALIDATOR: 'column message'
+                    }
+                }
+            };
+            var error = {
+                errorCode: 'VALIDATOR',
+                message: 'error message'
+            };
+
+            expect(validationMessage.getMessage(error, columnModel)).toBe('error message');
+        });
+
+        it('returns the message of the column if the error does not have the message', function() {
+            var columnModel = {
+                validation: {
+                    messages: {
+                        REQUIRED: 'column message'
+                    }
+                }
+            };
+
+            expect(validationMessage.getMessage({errorCode: 'REQUIRED'}, columnModel)).toBe('column message');
+        });
+
+        it('returns the error code if no message exists', function() {
+            expect(validationMessage.getMessage({errorCode: 'CUSTOM'})).toBe('CUSTOM');
+        });
+    });
+
+    describe('setMessages()', function() {
+        it('overrides the messages of the error codes', function() {
+            validationMessage.setMessages({
+                REQUIRED: 'Required',
+                CUSTOM: 'Custom'
+            });
+
+            expect(validationMessage.getMessage({errorCode: 'REQUIRED'})).toBe('Required');
+            expect(validationMessage.getMessage({errorCode: 'CUSTOM'})).toBe('Custom');
+            expect(validationMessage.getMessage({errorCode: 'UNIQUE'})).toBe('중복된 값입니다.');
+        });
+
+        it('restores the default messages if the argument is not specified', function() {
+            validationMessage.setMessages({
+                REQUIRED: 'Required'
+            });
+            validationMessage.setMessages();
+
+            expect(validationMessage.getMessage({errorCode: 'REQUIRED'})).toBe('필수 입력 항목입니다.');
+        });
+    });
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+var xlsxReader = require('common/xlsxReader');
+
+/**
+ * Creates a zip archive whose entries are not compressed.
+ * @param {Object.<string, string>} files - Contents mapped by the file names
+ * @param {number} [method=0] - Compression method written in the headers
+ * @returns {ArrayBuffer}
+ */
+function createZip(files, method) {
+    var localParts = [];
+    var centralParts = [];
+    var offset = 0;
+    var centralSize = 0;
+    var buffer, bytes, view, position;
+
+    /**
+     * Converts the string to UTF-8 bytes
+     * @param {string} str - string
+     * @returns {Array.<number>}
+     */
+    function toBytes(str) {
+        return _.map(unescape(encodeURIComponent(str)), function(ch) {
+            return ch.charCodeAt(0);
+        });
+    }
+
+    /**
+     * Creates the header bytes
+     * @param {Array.<Array.<number>>} fields - pairs of [value, size]
+     * @returns {Array.<number>}
+     */
+    function toHeader(fields) {
+        return _.flatten(_.map(fields, function(field) {
+            return _.map(_.range(field[1]), function(index) {
+                return (field[0] >>> (index * 8)) & 0xff; // eslint-disable-line no-bitwise
+            });
+        }));
+    }
+
+    _.each(files, function(content, name) {
+        var nameBytes = toBytes(name);
+        var data = toBytes(content);
+        var local = toHeader([[0x04034b50, 4], [20, 2], [0, 2], [method || 0, 2], [0, 4], [0, 4],
+            [data.length, 4], [data.length, 4], [nameBytes.length, 2], [0, 2]]).concat(nameBytes, data);
+        var central = toHeader([[0x02014b50, 4], [20, 2], [20, 2], [0, 2], [method || 0, 2], [0, 4], [0, 4],
+            [data.length, 4], [data.length, 4], [nameBytes.length, 2], [0, 2], [0, 2], [0, 2], [0, 2], [0, 4],
+            [offset, 4]]).concat(nameBytes);
+
+        localParts.push(local);
+        centralParts.push(central);
+        offset += local.length;
+        centralSize += central.length;
+    });
+
+    bytes = _.flatten(localParts).concat(_.flatten(centralParts), toHeader([[0x06054b50, 4], [0, 2], [0, 2],
+        [centralParts.length, 2], [centralParts.length, 2], [centralSize, 4], [offset, 4], [0, 2]]));
+    buffer = new window.ArrayBuffer(bytes.length);
+    view = new window.Uint8Array(buffer);
+    for (position = 0; position < bytes.length; position += 1) {
+        view[position] = bytes[position];
+    }
+
+    return buffer;
+}
+
+describe('common/xlsxReader', function() {
+    describe('isZip()', function() {
+        it('returns true if the data starts with the signature of the zip', function() {
+            expect(xlsxReader.isZip(createZip({a: 'b'}))).toBe(true);
+            expect(xlsxReader.isZip(new window.Uint8Array([60, 63]).buffer)).toBe(false);
+        });
+    });
+
+    describe('readXLSX()', function() {
+        var files;
+
+        beforeEach(function() {
+            files = {
+                'xl/workbook.xml': '<workbook xmlns:r="r"><sheets>' +
+                    '<sheet name="Data" r:id="rId2"/><sheet name="Other" r:id="rId1"/></sheets></workbook>',
+                'xl/_rels/workbook.xml.rels': '<Relationships>' +
+                    '<Relationship Id="rId1" Target="worksheets/sheet1.xml"/>' +
+                    '<Relationship Id="rId2" Target="worksheets/sheet2.xml"/></Relationships>',
+                'xl/sharedStrings.xml': '<sst><si><t>Name</t></si><si><t>Price</t></si>' +
+                    '<si><r><t>App</t></r><r><t>le</t></r><rPh><t>x</t></rPh></si></sst>',
+                'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="1"><c r="A1"><v>0</v></c></row>' +
+                    '</sheetData></worksheet>',
+                'xl/worksheets/sheet2.xml': '<worksheet><sheetData>' +
+                    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+                    '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="C3" t="b"><v>1</v></c></row>' +
+                    '<row r="4"><c r="A4" t="inlineStr"><is><t>한글</t></is></c><c r="B4"><v>1.5</v></c></row>' +
+                    '</sheetData></worksheet>'
+            };
+        });
+
+        it('reads the values of the first worksheet', function() {
+            var result;
+
+            xlsxReader.readXLSX(createZip(files)).done(function(rows) {
+                result = rows;
+            });
+
+            expect(result).toEqual([
+                ['Name', 'Price'],
+                [],
+                ['Apple', '', true],
+                ['한글', 1.5]
+            ]);
+        });
+
+        it('reads the sheet1.xml if the workbook does not exist', function() {
+            var result;
+
+            delete files['xl/workbook.xml'];
+            xlsxReader.readXLSX(createZip(files)).done(function(rows) {
+                result = rows;
+            });
+
+            expect(result).toEqual([[0]]);
+        });
+
+        it('rejects if the data is not a zip archive', function() {
+            var error;
+
+            xlsxReader.readXLSX(new window.Uint8Array(30).buffer).fail(function(err) {
+                error = err;
+            });
+
+            expect(error instanceof Error).toBe(true);
+        });
+
+        it('rejects the compressed entries if the browser does not support DecompressionStream', function() {
+            var original = window.DecompressionStream;
+            var error;
+
+            window.DecompressionStream = null;
+            xlsxReader.readXLSX(createZip(files, 8)).fail(function(err) {
+                error = err;
+            });
+            window.DecompressionStream = original;
+
+            expect(error instanceof Error).toBe(true);
+        });
+    });
+
+    describe('parseSpreadsheetML()', function() {
+        it('reads the values of the first worksheet', function() {
+            var xml = '<?xml version="1.0"?><Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" ' +
+                'xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet"><Worksheet ss:Name="Sheet1"><Table>' +
+                '<Row><Cell ss:Index="1" ss:MergeAcross="1"><Data ss:Type="String">A</Data></Cell>' +
+                    '<Cell ss:Index="3"><Data ss:Type="String">B</Data></Cell></Row>' +
+                '<Row><Cell><Data ss:Type="String">x</Data></Cell><Cell><Data ss:Type="Number">10</Data></Cell>' +
+                    '<Cell><Data ss:Type="String">1&#10;2</Data></Cell></Row>' +
+                '</Table></Worksheet></Workbook>';
+
+            expect(xlsxReader.parseSpreadsheetML(xml)).toEqual([
+                ['A', '', 'B'],
+                ['x', 10, '1\n2']
+            ]);
+        });
+    });
+});
@@ -0,0 +1,19 @@
+'use strict';
+
+var ComponentHolder = require('componentHolder');
+
+describe('componentHolder', function() {
+    it('does not share the options with other instances', function() {
+        var holder = new ComponentHolder({
+            pagination: {
+                itemPerPage: 10
+            }
+        });
+        var otherHolder = new ComponentHolder({});
+
+        expect(holder.getOptions('pagination')).toEqual({
+            itemPerPage: 10
+        });
+        expect(otherHolder.getOptions('pagination')).toBeNull();
+    });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+var Exporter = require('exporter');
+
+describe('exporter', function() {
+    var columnModel, dataModel, exporter;
+
+    beforeEach(function() {
+        columnModel = new ColumnModelData({
+            selectType: 'checkbox',
+            columnModelList: [
+                {
+                    columnName: 'c1',
+                    title: 'C1'
+                },
+                {
+                    columnName: 'c2',
+                    title: 'C2',
+                    editOption: {
+                        type: 'select',
+                        list: [
+                            {text: 'One', value: 1},
+                            {text: 'Two', value: 2}
+                        ]
+                    }
+                },
+                {
+                    columnName: 'c3',
+                    title: 'C3',
+                    formatter: function(value) {
+                        return '<b>' + value + '</b>';
+                    }
+                },
+                {
+                    columnName: 'c4',
+                    title: 'C4',
+                    isHidden: true
+                }
+            ]
+        });
+        dataModel = new RowListData([], {
+            columnModel: columnModel
+        });
+        dataModel.setRowList([
+            {c1: 'a', c2: 1, c3: 10, c4: 'x'},
+            {c1: 'b,"c"', c2: 2, c3: 20, c4: 'y'}
+        ]);
+        exporter = new Exporter({
+            dataModel: dataModel,
+            columnModel: columnModel
+        });
+        spyOn(exporter, '_download');
+    });
+
+    it('throws an error if the format is invalid', function() {
+        expect(function() {
+            exporter.exportData('pdf');
+        }).toThrow();
+    });
+
+    describe('csv', function() {
+        it('exports the formatted values of the visible columns', function() {
+            var content = exporter.exportData('csv');
+
+            expect(content).toBe(
+                'C1,C2,C3\r\n' +
+                'a,One,10\r\n' +
+                '"b,""c""",Two,20'
+            );
+            expect(exporter._download).toHaveBeenCalledWith(content, 'grid.csv', jasmine.any(String));
+        });
+
+        it('exports the raw values of all columns', function() {
+            var content = exporter.exportData('csv', {
+                onlyVisibleColumns: false,
+                useFormattedValue: false,
+                fileName: 'data'
+            });
+
+            expect(content.split('\r\n')[1]).toBe('a,1,10,x');
+            expect(exporter._download).toHaveBeenCalledWith(content, 'data.csv', jasmine.any(String));
+        });
+
+        it('exports only checked rows if onlyCheckedRows is true', function() {
+            var content;
+
+            dataModel.check(1);
+            content = exporter.exportData('csv', {
+                onlyCheckedRows: true
+            });
+
+            expect(content.split('\r\n').length).toBe(2);
+            expect(content.split('\r\n')[1]).toBe('"b,""c""",Two,20');
+        });
+
+        it('exports only the rows which are not filtered out', function() {
+            dataModel.filterByField('c1', {
+                type: 'text',
+                operator: 'equals',
+                value: 'a'
+            });
+
+            expect(exporter.exportData('csv').split('\r\n').length).toBe(2);
+        });
+
+        it('writes the merged header in the first cell of the merged area', function() {
+            columnModel.set('columnMerge', [{
+                columnName: 'm1',
+                title: 'M1',
+                columnNameList: ['c1', 'c2']
+            }]);
+
+            expect(exporter.exportData('csv').split('\r\n').slice(0, 2)).toEqual([
+                'M1,,C3',
+                'C1,C2,'
+            ]);
+        });
+    });
+
+    describe('xls', function() {
+        it('exports the SpreadsheetML document', function() {
+            var content = exporter.exportData('xls');
+
+            expect(content).toContain('<Workbook');
+            expect(content).toContain('<Data ss:Type="String">One</Data>');
+            expect(content).toContain('<Data ss:Type="String">b,&quot;c&quot;</Data>');
+            expect(exporter._download).toHaveBeenCalledWith(content, 'grid.xls', jasmine.any(String));
+        });
+
+        it('exports the numbers as Number type if the raw values are used', function() {
+            var content = exporter.exportData('xls', {
+                useFormattedValue: false
+            });
+
+            expect(content).toContain('<Data ss:Type="Number">10</Data>');
+        });
+
+        it('exports the merged header cells with MergeAcross and MergeDown', function() {
+            var content;
+
+            columnModel.set('columnMerge', [{
+                columnName: 'm1',
+                title: 'M1',
+                columnNameList: ['c1', 'c2']
+            }]);
+            content = exporter.exportData('xls');
+
+            expect(content).toContain('<Cell ss:Index="1" ss:StyleID="header" ss:MergeAcross="1">');
+            expect(content).toContain('<Cell ss:Index="3" ss:StyleID="header" ss:MergeDown="1">');
+            expect(content).toContain('<Cell ss:Index="2" ss:StyleID="header"><Data ss:Type="String">C2');
+        });
+    });
+});
@@ -1,5 +1,8 @@
 'use strict';
 
+var Exporter = require('exporter');
+var classNameConst = require('common/classNameConst');
+
 describe('grid', function() {
     function createGrid(columnNames, options) {
         var columnModelList = [];
@@ -91,6 +94,484 @@ describe('grid', function() {
         });
     });
 
+    describe('filter', function() {
+        var grid;
+
+        beforeEach(function() {
+            grid = createGrid(['c1']);
+            grid.setRowList([
+                {c1: 'a'}, {c1: 'b'}, {c1: 'ab'}
+            ]);
+        });
+
+        it('filter() hides unmatched rows and getRowCount() returns the count of visible rows', function() {
+            grid.filter('c1', {
+                type: 'text',
+                value: 'a'
+            });
+
+            expect(grid.getRowCount()).toBe(2);
+            expect(grid.getIndexOfRow(2)).toBe(1);
+            expect(grid.getFilterCondition('c1')).toEqual({
+                type: 'text',
+                value: 'a'
+            });
+        });
+
+        it('unfilter() shows all rows again', function() {
+            grid.filter('c1', {
+                type: 'text',
+                value: 'a'
+            });
+            grid.unfilter();
+
+            expect(grid.getRowCount()).toBe(3);
+            expect(grid.getFilterCondition()).toEqual({});
+        });
+    });
+
+    describe('validation messages', function() {
+        var grid;
+
+        beforeEach(function() {
+            grid = createGrid(['c1']);
+            grid.modelManager.columnModel.getColumnModel('c1').isRequired = true;
+            grid.setRowList([
+                {c1: 'a'}, {c1: ''}
+            ]);
+            grid.validate();
+        });
+
+        afterEach(function() {
+            tui.Grid.setValidationMessages();
+        });
+
+        it('getInvalidCells() returns the invalid cells with the messages', function() {
+            expect(grid.getInvalidCells()).toEqual([{
+                rowKey: 1,
+                columnName: 'c1',
+                errorCode: 'REQUIRED',
+                message: '필수 입력 항목입니다.'
+            }]);
+        });
+
+        it('tui.Grid.setValidationMessages() changes the messages', function() {
+            tui.Grid.setValidationMessages({
+                REQUIRED: 'Required'
+            });
+
+            expect(grid.getInvalidCells()[0].message).toBe('Required');
+        });
+    });
+
+    describe('history', function() {
+        var grid;
+
+        beforeEach(function() {
+            grid = createGrid(['c1']);
+            grid.setRowList([
+                {c1: 'a'}, {c1: 'b'}
+            ]);
+        });
+
+        it('undo() and redo() revert and apply the changes again', function() {
+            grid.setValue(0, 'c1', 'x');
+
+            expect(grid.undo()).toBe(true);
+            expect(grid.getValue(0, 'c1')).toBe('a');
+            expect(grid.redo()).toBe(true);
+            expect(grid.getValue(0, 'c1')).toBe('x');
+        });
+
+        it('removeCheckedRows() is reverted at once', function() {
+            grid.checkAll();
+            grid.removeCheckedRows();
+            grid.undo();
+
+            expect(grid.getRowCount()).toBe(2);
+        });
+
+        it('clearHistory() removes all changes and triggers historyChanged event', function() {
+            var callback = jasmine.createSpy('callback');
+
+            grid.setValue(0, 'c1', 'x');
+            grid.on('historyChanged', callback);
+            grid.clearHistory();
+
+            expect(grid.undo()).toBe(false);
+            expect(callback).toHaveBeenCalledWith({
+                undoCount: 0,
+                redoCount: 0
+            });
+        });
+    });
+
+    describe('applyTransaction', function() {
+        var grid;
+
+        beforeEach(function() {
+            grid = createGrid(['id', 'c1'], {
+                keyColumnName: 'id'
+            });
+            grid.setRowList([
+                {id: 1, c1: 'a'}, {id: 2, c1: 'b'}
+            ]);
+        });
+
+        it('applies the changes of the rows identified by the keyColumnName', function() {
+            grid.applyTransaction({
+                add: [{id: 3, c1: 'c'}],
+                update: [{id: 1, c1: 'x'}],
+                remove: [2]
+            });
+
+            expect(grid.getColumnValues('c1')).toEqual(['x', 'c']);
+            expect(grid.isChanged()).toBe(false);
+        });
+
+        it('does not change the row being edited', function() {
+            var result;
+
+            grid.modelManager.focusModel.set('editingAddress', {
+                rowKey: 1,
+                columnName: 'c1'
+            }, {
+                silent: true
+            });
+            result = grid.applyTransaction({
+                update: [{id: 1, c1: 'x'}, {id: 2, c1: 'y'}]
+            });
+
+            expect(result.skipped).toEqual([1]);
+            expect(grid.getColumnValues('c1')).toEqual(['a', 'y']);
+        });
+    });
+
+    describe('groupBy', function() {
+        var grid;
+
+        beforeEach(function() {
+            grid = createGrid(['c1', 'c2']);
+            grid.setRowList([
+                {c1: 'a', c2: 1}, {c1: 'b', c2: 2}, {c1: 'a', c2: 3}
+            ]);
+            grid.groupBy('c1', {
+                summary: {
+                    c2: 'sum'
+                }
+            });
+        });
+
+        it('renders the group rows with the value, the number of the rows and the summaries', function() {
+            var renderModel = grid.modelManager.renderModel;
+            var groupRowKey = grid.modelManager.dataModel.getVisibleRowAt(0).get('rowKey');
+            var labelCell = renderModel.getCellData(groupRowKey, 'c1');
+
+            expect(grid.getRowCount()).toBe(5);
+            expect(labelCell.isGroupRow).toBe(true);
+            expect(labelCell.isEditable).toBe(false);
+            expect(labelCell.formattedValue).toContain('a (2)');
+            expect(renderModel.getCellData(groupRowKey, 'c2').formattedValue).toBe('4');
+            expect(grid.getRowList().length).toBe(3);
+        });
+
+        it('collapses the group by clicking the toggle button', function() {
+            var groupRowKey = grid.modelManager.dataModel.getVisibleRowAt(0).get('rowKey');
+
+            grid.$el.find('.' + classNameConst.BTN_GROUP_TOGGLE).eq(0).trigger('mousedown');
+
+            expect(grid.getGroupInfo(groupRowKey).isExpanded).toBe(false);
+            expect(grid.getRowCount()).toBe(3);
+
+            grid.expandGroup();
+            expect(grid.getRowCount()).toBe(5);
+
+            grid.ungroup();
+            expect(grid.getRowCount()).toBe(3);
+        });
+    });
+
+    describe('tree', function() {
+        var grid;
+
+        beforeEach(function() {
+            grid = createGrid(['c1'], {
+                treeColumnOptions: {
+                    name: 'c1'
+                }
+            });
+            grid.setRowList([
+                {c1: 'a', _children: [{c1: 'a-1'}, {c1: 'a-2'}]},
+                {c1: 'b'}
+            ]);
+        });
+
+        it('renders the tree information of the rows in the tree column', function() {
+            var renderModel = grid.modelManager.renderModel;
+
+            expect(renderModel.getCellData(0, 'c1').treeInfo).toEqual(jasmine.objectContaining({
+                depth: 0,
+                hasChildren: true
+            }));
+        });
+
+        it('expands the row by clicking the toggle button', function() {
+            grid.$el.find('.' + classNameConst.BTN_TREE_TOGGLE).eq(0).trigger('mousedown');
+
+            expect(grid.getRowCount()).toBe(4);
+            expect(grid.getParentRowKey(1)).toBe(0);
+            expect(grid.getDepth(2)).toBe(1);
+
+            grid.collapse(0);
+            expect(grid.getRowCount()).toBe(2);
+
+            grid.expandAll();
+            expect(grid.getRowCount()).toBe(4);
+        });
+    });
+
+    describe('pivot', function() {
+        var grid;
+
+        beforeEach(function() {
+            grid = createGrid(['region', 'year', 'amount']);
+            grid.setRowList([
+                {region: 'east', year: 2016, amount: 10},
+                {region: 'west', year: 2017, amount: 20}
+            ]);
+            grid.pivot({
+                rowFields: 'region',
+                columnFields: 'year',
+                valueFields: 'amount'
+            });
+        });
+
+        it('renders the headers of the values of the column fields', function() {
+            var $headers = grid.$el.find('th');
+
+            expect($headers.filter('[data-column-name="pivot-0"]').text()).toBe('2016');
+            expect(grid.getRowCount()).toBe(2);
+            expect(grid.getPivotOptions().rowFields).toEqual(['region']);
+        });
+
+        it('unpivot() restores the columns and the rows', function() {
+            grid.unpivot();
+
+            expect(grid.getRowCount()).toBe(2);
+            expect(grid.getColumnValues('amount')).toEqual([10, 20]);
+            expect(grid.getPivotOptions()).toBeNull();
+        });
+    });
+
+    describe('moveColumn', function() {
+        it('moves the column and triggers the columnMoved event', function() {
+            var grid = createGrid(['c1', 'c2', 'c3']);
+            var callback = jasmine.createSpy('callback');
+
+            grid.on('columnMoved', callback);
+            grid.moveColumn('c3', 0);
+
+            expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({
+                columnName: 'c3',
+                columnNames: ['c3', 'c1', 'c2']
+            }));
+            expect(grid.$el.find('th[data-column-name]').last().attr('data-column-name')).toBe('c2');
+        });
+    });
+
+    describe('moveRows', function() {
+        it('shows the drag handles and moves the rows if the useRowDrag option is true', function() {
+            var grid = createGrid(['c1'], {
+                useRowDrag: true
+            });
+            var callback = jasmine.createSpy('callback');
+
+            grid.setRowList([{c1: 'a'}, {c1: 'b'}, {c1: 'c'}]);
+            grid.on('beforeRowMove', callback);
+
+            expect(grid.getElement(0, '_draggable').find('.tui-grid-btn-row-drag').length).toBe(1);
+            expect(grid.moveRows([0], 3)).toBe(true);
+            expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({
+                rowKeys: [0],
+                targetIndex: 3
+            }));
+            expect(_.pluck(grid.getRowList(), 'c1')).toEqual(['b', 'c', 'a']);
+            expect(grid.getModifiedRowList({
+                isOnlyRowKeyList: true
+            }).orderChangedList).toEqual([1, 2, 0]);
+        });
+    });
+
+    describe('drag and drop rows', function() {
+        var sourceGrid, targetGrid, dataTransfer;
+
+        function dragRow(rowKey) {
+            var handle = sourceGrid.getElement(rowKey, '_draggable').find('.tui-grid-btn-row-drag')[0];
+
+            return sourceGrid.container._onDragStart({
+                target: handle,
+                originalEvent: {
+                    dataTransfer: dataTransfer
+                }
+            });
+        }
+
+        function dropRow(grid, rowIndex) {
+            var event = {
+                target: grid.getElement(0, 'c1')[0],
+                originalEvent: {
+                    dataTransfer: dataTransfer
+                },
+                preventDefault: jasmine.createSpy('preventDefault')
+            };
+
+            spyOn(grid.modelManager.coordConverterModel, 'getRowBoundaryFromMousePosition').and.returnValue({
+                index: rowIndex,
+                top: 0
+            });
+            grid.container._onDragOver(event);
+            grid.container._onDrop(event);
+            sourceGrid.container._onDragEnd();
+
+            return event;
+        }
+
+        beforeEach(function() {
+            sourceGrid = createGrid(['c1'], {
+                useRowDrag: true
+            });
+            targetGrid = createGrid(['c1'], {
+                useRowDrag: true,
+                rowDragOptions: {
+                    acceptDrop: true
+                }
+            });
+            sourceGrid.setRowList([{c1: 'a'}, {c1: 'b'}]);
+            targetGrid.setRowList([{c1: 'x'}, {c1: 'y'}]);
+            dataTransfer = jasmine.createSpyObj('dataTransfer', ['setData']);
+        });
+
+        afterEach(function() {
+            sourceGrid.destroy();
+            targetGrid.destroy();
+        });
+
+        it('sets the data of the dragged rows to the dataTransfer as a JSON string', function() {
+            var callback = jasmine.createSpy('callback');
+
+            sourceGrid.on('dragStart', callback);
+            expect(dragRow(1)).toBe(true);
+
+            expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({
+                rowKeys: [1],
+                rows: [{rowKey: 1, c1: 'b'}]
+            }));
+            expect(dataTransfer.setData).toHaveBeenCalledWith('text/plain', '[{"c1":"b","rowKey":1}]');
+            expect(dataTransfer.setData).toHaveBeenCalledWith('application/json', '[{"c1":"b","rowKey":1}]');
+            sourceGrid.container._onDragEnd();
+        });
+
+        it('prevents the drag if the target is not the drag handle', function() {
+            var event = {
+                target: sourceGrid.getElement(0, 'c1')[0]
+            };
+
+            expect(sourceGrid.container._onDragStart(event)).toBe(false);
+        });
+
+        it('moves the rows dropped on the same grid', function() {
+            dragRow(0);
+            dropRow(sourceGrid, 2);
+
+            expect(_.pluck(sourceGrid.getRowList(), 'c1')).toEqual(['b', 'a']);
+        });
+
+        it('moves the rows dropped on another grid which accepts the drop', function() {
+            var callback = jasmine.createSpy('callback');
+
+            targetGrid.on('drop', callback);
+            dragRow(0);
+            expect(dropRow(targetGrid, 1).preventDefault).toHaveBeenCalled();
+
+            expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({
+                rowKeys: [0],
+                sourceGrid: sourceGrid,
+                targetIndex: 1,
+                dropEffect: 'move'
+            }));
+            expect(_.pluck(targetGrid.getRowList(), 'c1')).toEqual(['x', 'a', 'y']);
+            expect(_.pluck(sourceGrid.getRowList(), 'c1')).toEqual(['b']);
+        });
+
+        it('copies the rows if the dropEffect option of the source grid is copy', function() {
+            sourceGrid.container.rowDragger.rowDragOptions.dropEffect = 'copy';
+            dragRow(0);
+            dropRow(targetGrid, 2);
+
+            expect(_.pluck(targetGrid.getRowList(), 'c1')).toEqual(['x', 'y', 'a']);
+            expect(_.pluck(sourceGrid.getRowList(), 'c1')).toEqual(['a', 'b']);
+        });
+
+        it('does not accept the rows dragged from another grid if the acceptDrop option is false', function() {
+            targetGrid.container.rowDragger.rowDragOptions.acceptDrop = false;
+            dragRow(0);
+
+            expect(dropRow(targetGrid, 0).preventDefault).not.toHaveBeenCalled();
+            expect(targetGrid.getRowCount()).toBe(2);
+        });
+
+        it('does not drop the rows if the drop event is stopped', function() {
+            targetGrid.on('drop', function(ev) {
+                ev.stop();
+            });
+            dragRow(0);
+            dropRow(targetGrid, 0);
+
+            expect(targetGrid.getRowCount()).toBe(2);
+            expect(sourceGrid.getRowCount()).toBe(2);
+        });
+    });
+
+    describe('export', function() {
+        it('exports the data of the grid', function() {
+            var grid = createGrid(null, {
+                columnModelList: [
+                    {columnName: 'c1', title: 'C1'},
+                    {columnName: 'c2', title: 'C2'}
+                ]
+            });
+
+            spyOn(Exporter.prototype, '_download');
+            grid.setRowList([
+                {c1: 'a', c2: 'b'}
+            ]);
+
+            expect(grid['export']('csv')).toBe('C1,C2\r\na,b');
+            expect(Exporter.prototype._download).toHaveBeenCalled();
+        });
+    });
+
+    describe('importData', function() {
+        it('imports the data and resolves the report', function() {
+            var grid = createGrid(null, {
+                columnModelList: [
+                    {columnName: 'c1', title: 'C1', isRequired: true},
+                    {columnName: 'c2', title: 'C2'}
+                ]
+            });
+            var report;
+
+            grid.importData('C1,C2\na,b\n,c', {format: 'csv'}).then(function(result) {
+                report = result;
+            });
+
+            expect(grid.getRowList()).toEqual([jasmine.objectContaining({c1: 'a', c2: 'b'})]);
+            expect(grid.getModifiedRowList().createList.length).toBe(1);
+            expect(report.importedCount).toBe(1);
+            expect(report.rejectedRows[0].index).toBe(1);
+        });
+    });
+
     describe('setFooterColumnContent', function() {
         it('should call columnModel.setFooterContent', function() {
             var grid = createGrid(null, {
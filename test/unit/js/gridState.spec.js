@@ -0,0 +1,236 @@
+'use strict';
+
+describe('gridState', function() {
+    var STORAGE_KEY = 'grid-state-spec';
+    var grids;
+
+    function createGrid(options) {
+        var grid = new tui.Grid(_.extend({
+            el: $('<div>'),
+            width: 500,
+            bodyHeight: 100,
+            columnModelList: [
+                {columnName: 'c1', width: 100},
+                {columnName: 'c2', width: 100, isSortable: true},
+                {columnName: 'c3', width: 100}
+            ]
+        }, options));
+
+        grids.push(grid);
+
+        return grid;
+    }
+
+    function createRows(count) {
+        return _.map(_.range(count), function(index) {
+            return {
+                c1: 'a' + index,
+                c2: count - index,
+                c3: 'c'
+            };
+        });
+    }
+
+    beforeEach(function() {
+        grids = [];
+        localStorage.removeItem(STORAGE_KEY);
+    });
+
+    afterEach(function() {
+        _.invoke(grids, 'destroy');
+        localStorage.removeItem(STORAGE_KEY);
+    });
+
+    describe('getState()', function() {
+        it('returns the columns, the columnFixCount, the sort keys, the page and the scroll position', function() {
+            var grid = createGrid();
+
+            grid.setRowList(createRows(5));
+            grid.moveColumn('c3', 0);
+            grid.hideColumn('c1');
+            grid.setColumnFixCount(1);
+            grid.sort('c2', false);
+
+            expect(grid.getState()).toEqual({
+                columns: [
+                    {columnName: 'c3', width: jasmine.any(Number), isHidden: false},
+                    {columnName: 'c1', width: null, isHidden: true},
+                    {columnName: 'c2', width: jasmine.any(Number), isHidden: false}
+                ],
+                columnFixCount: 1,
+                sortKeys: [{columnName: 'c2', isAscending: false}],
+                page: null,
+                scrollTop: 0,
+                scrollLeft: 0
+            });
+        });
+    });
+
+    describe('setState()', function() {
+        it('restores the state returned by getState()', function() {
+            var source = createGrid();
+            var target = createGrid();
+            var state;
+
+            source.setRowList(createRows(10));
+            target.setRowList(createRows(10));
+            source.moveColumn('c1', 2);
+            source.hideColumn('c3');
+            source.modelManager.coordColumnModel.setColumnWidth(1, 150);
+            source.sort('c2', true);
+            source.modelManager.renderModel.set('scrollTop', 20);
+            state = JSON.parse(JSON.stringify(source.getState()));
+
+            target.setState(state);
+
+            expect(target.getState()).toEqual(state);
+            expect(_.pluck(target.getRowList(), 'c1')[0]).toBe('a9');
+        });
+
+        it('does not change the values which are not in the state', function() {
+            var grid = createGrid({
+                columnFixCount: 1
+            });
+
+            grid.sort('c2', false);
+            grid.setState({
+                columns: [{columnName: 'c2'}]
+            });
+
+            expect(_.pluck(grid.getState().columns, 'columnName')).toEqual(['c2', 'c1', 'c3']);
+            expect(grid.getState().columnFixCount).toBe(1);
+            expect(grid.getSortKeys()).toEqual([{columnName: 'c2', isAscending: false}]);
+        });
+
+        describe('page', function() {
+            var grid;
+
+            function respond(page) {
+                jasmine.Ajax.requests.mostRecent().respondWith({
+                    status: 200,
+                    responseText: JSON.stringify({
+                        result: true,
+                        data: {
+                            contents: createRows(10),
+                            pagination: {
+                                page: page,
+                                totalCount: 100
+                            }
+                        }
+                    })
+                });
+            }
+
+            function useNet() {
+                grid.use('Net', {
+                    perPage: 10,
+                    enableAjaxHistory: false,
+                    api: {
+                        readData: '/api/read'
+                    }
+                });
+            }
+
+            beforeEach(function() {
+                jasmine.Ajax.install();
+            });
+
+            afterEach(function() {
+                jasmine.Ajax.uninstall();
+            });
+
+            it('requests the rows of the restored page when the Net addon is used', function() {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                    page: 3
+                }));
+                grid = createGrid({
+                    pagination: {},
+                    stateStorageKey: STORAGE_KEY
+                });
+                expect(grid.getState().page).toBe(3);
+
+                useNet();
+                expect(jasmine.Ajax.requests.mostRecent().params).toContain('page=3');
+
+                respond(3);
+                expect(grid.getPagination().getCurrentPage()).toBe(3);
+                expect(grid.getState().page).toBe(3);
+            });
+
+            it('requests the rows of the page if the Net addon is already used', function() {
+                grid = createGrid({
+                    pagination: {}
+                });
+                useNet();
+                respond(1);
+                grid.setState({
+                    page: 2
+                });
+                expect(jasmine.Ajax.requests.mostRecent().params).toContain('page=2');
+
+                respond(2);
+                expect(grid.getPagination().getCurrentPage()).toBe(2);
+            });
+        });
+    });
+
+    describe('stateStorageKey option', function() {
+        beforeEach(function() {
+            jasmine.clock().install();
+        });
+
+        afterEach(function() {
+            jasmine.clock().uninstall();
+        });
+
+        it('saves the state to the localStorage when the state is changed', function() {
+            var grid = createGrid({
+                stateStorageKey: STORAGE_KEY
+            });
+
+            grid.hideColumn('c2');
+            grid.sort('c1', false);
+            expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+
+            jasmine.clock().tick(100);
+            expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual(grid.getState());
+        });
+
+        it('restores the state saved in the localStorage when the grid is created', function() {
+            var grid = createGrid({
+                stateStorageKey: STORAGE_KEY
+            });
+            var newGrid;
+
+            grid.setRowList(createRows(10));
+            grid.moveColumn('c3', 0);
+            grid.sort('c2', true);
+            grid.modelManager.renderModel.set('scrollTop', 30);
+            grid.destroy();
+            grids = _.without(grids, grid);
+
+            newGrid = createGrid({
+                stateStorageKey: STORAGE_KEY
+            });
+            expect(_.pluck(newGrid.getState().columns, 'columnName')).toEqual(['c3', 'c1', 'c2']);
+            expect(newGrid.getSortKeys()).toEqual([{columnName: 'c2', isAscending: true}]);
+            expect(newGrid.getState().scrollTop).toBe(30);
+            expect(newGrid.modelManager.renderModel.get('scrollTop')).toBe(0);
+
+            newGrid.setRowList(createRows(10));
+            expect(newGrid.modelManager.renderModel.get('scrollTop')).toBe(30);
+            expect(newGrid.getRowAt(0).c1).toBe('a9');
+        });
+
+        it('ignores the invalid state in the localStorage', function() {
+            var grid;
+
+            localStorage.setItem(STORAGE_KEY, '{invalid');
+            grid = createGrid({
+                stateStorageKey: STORAGE_KEY
+            });
+
+            expect(_.pluck(grid.getState().columns, 'columnName')).toEqual(['c1', 'c2', 'c3']);
+        });
+    });
+});
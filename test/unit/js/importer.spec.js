@@ -0,0 +1,188 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+var Importer = require('importer');
+
+describe('importer', function() {
+    var columnModel, dataModel, importer;
+
+    /**
+     * Imports the source and returns the result synchronously
+     * @param {*} source - source
+     * @param {Object} [options] - options
+     * @returns {{report: Object, error: Error}}
+     */
+    function importSync(source, options) {
+        var result = {};
+
+        importer.importData(source, options).then(function(report) {
+            result.report = report;
+        }, function(error) {
+            result.error = error;
+        });
+
+        return result;
+    }
+
+    beforeEach(function() {
+        columnModel = new ColumnModelData({
+            columnModelList: [
+                {
+                    columnName: 'name',
+                    title: 'Name',
+                    isRequired: true
+                },
+                {
+                    columnName: 'price',
+                    title: 'Price',
+                    dataType: 'number'
+                },
+                {
+                    columnName: 'type',
+                    title: 'Type',
+                    editOption: {
+                        type: 'select',
+                        list: [
+                            {text: 'Fruit', value: 1},
+                            {text: 'Vegetable', value: 2}
+                        ]
+                    }
+                }
+            ]
+        });
+        dataModel = new RowListData([], {
+            columnModel: columnModel
+        });
+        dataModel.setRowList([
+            {name: 'Apple', price: 1000, type: 1}
+        ]);
+        importer = new Importer({
+            dataModel: dataModel,
+            columnModel: columnModel
+        });
+    });
+
+    it('imports the CSV text mapping the headers to the titles or the names of the columns', function() {
+        var result = importSync('\uFEFFName,price,Unknown,Type\r\nBanana,"2,000",x,Fruit\r\nCarrot,500,y,2\r\n', {
+            format: 'csv'
+        });
+
+        expect(result.report.importedCount).toBe(1);
+        expect(result.report.rejectedRows[0].data).toEqual({name: 'Banana', price: '2,000', type: 1});
+        expect(dataModel.at(1).toJSON()).toEqual(jasmine.objectContaining({
+            name: 'Carrot',
+            price: 500,
+            type: 2
+        }));
+    });
+
+    it('infers the format from the content', function() {
+        importSync('Name\tPrice\nBanana\t2000');
+        importSync('[{"Name": "Carrot", "price": 500}]');
+        importSync('[["Name", "Price"], ["Melon", 3000]]');
+
+        expect(dataModel.pluck('name')).toEqual(['Apple', 'Banana', 'Carrot', 'Melon']);
+        expect(dataModel.pluck('price')).toEqual([1000, 2000, 500, 3000]);
+    });
+
+    it('imports the SpreadsheetML generated by the exporter', function() {
+        var xml = '<?xml version="1.0"?><Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" ' +
+            'xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet"><Worksheet ss:Name="Sheet1"><Table>' +
+            '<Row><Cell ss:Index="1"><Data ss:Type="String">Name</Data></Cell>' +
+                '<Cell ss:Index="2"><Data ss:Type="String">Price</Data></Cell></Row>' +
+            '<Row><Cell><Data ss:Type="String">Banana</Data></Cell><Cell><Data ss:Type="Number">2000</Data></Cell>' +
+            '</Row></Table></Worksheet></Workbook>';
+
+        importSync(xml, {format: 'xlsx'});
+
+        expect(dataModel.at(1).get('name')).toBe('Banana');
+        expect(dataModel.at(1).get('price')).toBe(2000);
+    });
+
+    it('uses the columnMapping instead of the titles', function() {
+        importSync('Product,Cost,Name\nBanana,2000,x', {
+            columnMapping: {
+                Product: 'name',
+                Cost: 'price'
+            }
+        });
+
+        expect(dataModel.at(1).get('name')).toBe('Banana');
+        expect(dataModel.at(1).get('price')).toBe(2000);
+    });
+
+    it('ignores the values of the headers mapped to unknown columns', function() {
+        var result = importSync('Product,Cost,Memo\nBanana,2000,x', {
+            columnMapping: {
+                Product: 'name',
+                Cost: 'price',
+                Memo: 'unknown'
+            }
+        });
+
+        expect(result.report.importedCount).toBe(1);
+        expect(dataModel.at(1).get('price')).toBe(2000);
+        expect(dataModel.at(1).has('unknown')).toBe(false);
+    });
+
+    it('maps the values to the visible columns in order if hasHeader is false', function() {
+        importSync('Banana,2000,Vegetable', {
+            hasHeader: false
+        });
+
+        expect(dataModel.at(1).get('name')).toBe('Banana');
+        expect(dataModel.at(1).get('type')).toBe(2);
+    });
+
+    it('applies the converter of the options before the validation', function() {
+        var converter = jasmine.createSpy('converter').and.callFake(function(value, columnName) {
+            return columnName === 'price' ? Number(value.replace(/,/g, '')) : value;
+        });
+
+        importSync('Name,Price\nBanana,"2,000"', {
+            converter: converter
+        });
+
+        expect(converter).toHaveBeenCalledWith('Banana', 'name', jasmine.any(Object));
+        expect(dataModel.at(1).get('price')).toBe(2000);
+    });
+
+    it('removes the existing rows in the replace mode', function() {
+        importSync('Name,Price\nBanana,2000', {
+            mode: 'replace'
+        });
+
+        expect(dataModel.pluck('name')).toEqual(['Banana']);
+    });
+
+    it('ignores the empty lines', function() {
+        var result = importSync('Name,Price\n\nBanana,2000\n,\n');
+
+        expect(result.report.importedCount).toBe(1);
+        expect(result.report.rejectedRows.length).toBe(0);
+    });
+
+    it('rejects the promise if the source cannot be parsed', function() {
+        expect(importSync('[{', {format: 'json'}).error).toBeDefined();
+        expect(importSync('a', {format: 'pdf'}).error instanceof Error).toBe(true);
+        expect(importSync(10).error instanceof Error).toBe(true);
+    });
+
+    it('reads the content of the ArrayBuffer', function() {
+        var text = 'Name,Price\n한글,2000';
+        var bytes = _.map(unescape(encodeURIComponent(text)), function(ch) {
+            return ch.charCodeAt(0);
+        });
+
+        importSync(new window.Uint8Array(bytes).buffer);
+
+        expect(dataModel.at(1).get('name')).toBe('한글');
+    });
+
+    it('infers the format from the extension of the file name', function() {
+        expect(importer._getFormatFromName({name: 'data.TXT'})).toBe('tsv');
+        expect(importer._getFormatFromName({name: 'data.xls'})).toBe('xlsx');
+        expect(importer._getFormatFromName('data.csv')).toBe(null);
+    });
+});
@@ -285,6 +285,62 @@ describe('CoordColumn', function() {
         });
     });
 
+    describe('when the column is moved', function() {
+        it('keeps the widths of the columns in the new order', function() {
+            var columnAttrs = {
+                columnModelList: [
+                    {columnName: 'c1', width: 50},
+                    {columnName: 'c2', width: 50},
+                    {columnName: 'c3', width: 50}
+                ],
+                hasNumberColumn: false
+            };
+            var dimensionAttrs = {
+                width: 154,
+                minimumColumnWidth: 10
+            };
+            var coordColumn = createCoordColumn(columnAttrs, dimensionAttrs);
+
+            coordColumn.setColumnWidth(0, 60);
+            coordColumn.columnModel.moveColumn('c1', 2);
+
+            expect(coordColumn.get('columnWidthList')).toEqual([50, 50, 60]);
+            expect(coordColumn.get('originalWidthList')).toEqual([50, 50, 50]);
+        });
+    });
+
+    describe('setColumnWidthMap()', function() {
+        it('sets the widths of the columns mapped by the column names', function() {
+            var columnAttrs = {
+                columnModelList: [
+                    {columnName: 'c1', width: 50},
+                    {columnName: 'c2', width: 50, isFixedWidth: true},
+                    {columnName: 'c3', width: 50}
+                ],
+                hasNumberColumn: false
+            };
+            var dimensionAttrs = {
+                width: 154,
+                minimumColumnWidth: 20
+            };
+            var coordColumn = createCoordColumn(columnAttrs, dimensionAttrs);
+
+            coordColumn.setColumnWidthMap({
+                c1: 60,
+                c2: 80,
+                c3: 70,
+                none: 30
+            });
+
+            expect(coordColumn.get('columnWidthList')).toEqual([60, 50, 70]);
+            expect(coordColumn.getColumnWidthMap()).toEqual({
+                c1: 60,
+                c2: 50,
+                c3: 70
+            });
+        });
+    });
+
     describe('getColumnWidthList()', function() {
         it('ColumnFixCount 를 기반으로 Left side 와 Right Side 를 잘 반환하는지 확인한다.', function() {
             var columnAttrs = {
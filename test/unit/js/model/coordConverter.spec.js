@@ -80,6 +80,40 @@ describe('CoordConverter', function() {
         });
     });
 
+    describe('getRowBoundaryFromMousePosition()', function() {
+        it('Returns the boundary of the rows nearest to the mouse position', function() {
+            var converter = create([{}, {}, {}]);
+
+            expect(converter.getRowBoundaryFromMousePosition(10, 0)).toEqual({
+                index: 0,
+                top: 0
+            });
+            expect(converter.getRowBoundaryFromMousePosition(10, 40)).toEqual({
+                index: 1,
+                top: 30 + CELL_BORDER_WIDTH
+            });
+            expect(converter.getRowBoundaryFromMousePosition(10, 52)).toEqual({
+                index: 2,
+                top: (30 + CELL_BORDER_WIDTH) * 2
+            });
+            expect(converter.getRowBoundaryFromMousePosition(10, 200)).toEqual({
+                index: 3,
+                top: ((30 + CELL_BORDER_WIDTH) * 2) + 30
+            });
+        });
+
+        it('Returns the top position of the boundary excluding the scroll position', function() {
+            var converter = create([{}, {}, {}]);
+
+            converter.renderModel.set('scrollTop', 20);
+
+            expect(converter.getRowBoundaryFromMousePosition(10, 40)).toEqual({
+                index: 2,
+                top: ((30 + CELL_BORDER_WIDTH) * 2) - 20
+            });
+        });
+    });
+
     describe('getCellPosition()', function() {
         it('Returns position (bounding rect) of given cell', function() {
             var converter = create([{}, {}, {}]);
@@ -132,4 +132,28 @@ describe('CoordRow', function() {
             expect(coordRow.getHeightAt(1)).toBeUndefined();
         });
     });
+
+    describe('indexOf()', function() {
+        it('returns the index of the row which contains the position', function() {
+            var coordRow = create(true);
+
+            coordRow.dataModel.setRowList([{}, {}, {}]);
+
+            expect(coordRow.indexOf(0)).toBe(0);
+            expect(coordRow.indexOf(ROW_DEF_HEIGHT + CELL_BORDER_WIDTH)).toBe(1);
+            expect(coordRow.indexOf(1000)).toBe(2);
+        });
+    });
+
+    it('uses the default height for all rows of the server-side row model', function() {
+        var coordRow = create(true);
+
+        coordRow.dataModel.useServerSideRows({
+            blockSize: 10
+        });
+        coordRow.dataModel.resetServerSideRows(1000);
+
+        expect(coordRow.rowHeights.length).toBe(1000);
+        expect(coordRow.getHeightAt(999)).toBe(ROW_DEF_HEIGHT);
+    });
 });
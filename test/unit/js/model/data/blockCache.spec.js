@@ -0,0 +1,74 @@
+'use strict';
+
+var BlockCache = require('model/data/blockCache');
+
+describe('model/data/blockCache', function() {
+    var cache;
+
+    beforeEach(function() {
+        cache = new BlockCache(2);
+    });
+
+    it('returns the block of the index', function() {
+        cache.set(0, 'a');
+
+        expect(cache.has(0)).toBe(true);
+        expect(cache.get(0)).toBe('a');
+        expect(cache.get(1)).toBeNull();
+    });
+
+    it('evicts the least recently used block if the number of blocks exceeds the maxBlockCount', function() {
+        var evictedBlocks;
+
+        cache.set(0, 'a');
+        cache.set(1, 'b');
+        cache.get(0);
+        evictedBlocks = cache.set(2, 'c');
+
+        expect(evictedBlocks).toEqual(['b']);
+        expect(cache.has(1)).toBe(false);
+        expect(cache.getBlocks()).toEqual(['a', 'c']);
+    });
+
+    it('does not change the order of the use by peek()', function() {
+        cache.set(0, 'a');
+        cache.set(1, 'b');
+        cache.peek(0);
+
+        expect(cache.set(2, 'c')).toEqual(['a']);
+    });
+
+    it('keeps the reserved number of blocks even if it exceeds the maxBlockCount', function() {
+        cache.reserve(3);
+        cache.set(0, 'a');
+        cache.set(1, 'b');
+
+        expect(cache.set(2, 'c')).toEqual([]);
+
+        cache.reserve(0);
+        expect(cache.set(3, 'd')).toEqual(['a', 'b']);
+    });
+
+    it('does not evict the blocks which are not evictable', function() {
+        cache = new BlockCache(2, function(block) {
+            return block !== 'a';
+        });
+        cache.set(0, 'a');
+        cache.set(1, 'b');
+
+        expect(cache.set(2, 'c')).toEqual(['b']);
+        expect(cache.set(3, 'd')).toEqual(['c']);
+        expect(cache.getBlocks()).toEqual(['a', 'd']);
+    });
+
+    it('removes the blocks', function() {
+        cache.set(0, 'a');
+        cache.set(1, 'b');
+
+        expect(cache.remove(0)).toBe('a');
+        expect(cache.getBlocks()).toEqual(['b']);
+
+        cache.clear();
+        expect(cache.getBlocks()).toEqual([]);
+    });
+});
@@ -665,7 +665,42 @@ describe('data.columnModel', function() {
             it('_button, _checkbox 가 생성 되었는지 확인한다.', function() {
                 var columnModelList = columnModelInstance.get('metaColumnModelList'),
                     length = columnModelList.length;
-                expect(length).toBe(2);
+                expect(length).toBe(4);
+                expect(_.pluck(columnModelList, 'columnName')).toEqual([
+                    '_draggable', '_button', '_number', '_syncStatus'
+                ]);
+            });
+
+            it('hasDraggableColumn 이 true 일 때만 _draggable 컬럼이 보인다.', function() {
+                var draggableColumn = columnModelInstance.getColumnModel('_draggable');
+
+                expect(draggableColumn.isHidden).toBe(true);
+                expect(draggableColumn.formatter()).toContain('btn-row-drag');
+
+                columnModelInstance = new ColumnModelData({
+                    hasDraggableColumn: true,
+                    columnModelList: sampleColumnModelList
+                });
+                expect(columnModelInstance.getColumnModel('_draggable').isHidden).toBe(false);
+                expect(columnModelInstance.getVisibleColumnModelList(null, true)[0].columnName).toBe('_draggable');
+            });
+
+            it('hasSyncStatusColumn 이 true 일 때만 _syncStatus 컬럼이 보인다.', function() {
+                var syncStatusColumn = columnModelInstance.getColumnModel('_syncStatus');
+
+                expect(syncStatusColumn.isHidden).toBe(true);
+                expect(syncStatusColumn.formatter('ERROR', {
+                    _extraData: {
+                        syncMessage: '<Duplicated>'
+                    }
+                })).toContain('title="&lt;Duplicated&gt;"');
+                expect(syncStatusColumn.formatter('')).toBe('');
+
+                columnModelInstance = new ColumnModelData({
+                    hasSyncStatusColumn: true,
+                    columnModelList: sampleColumnModelList
+                });
+                expect(columnModelInstance.getColumnModel('_syncStatus').isHidden).toBe(false);
             });
         });
 
@@ -742,6 +777,162 @@ describe('data.columnModel', function() {
         });
     });
 
+    describe('getColumnHierarchy()', function() {
+        it('returns the merged column infos and the column model from the outermost one', function() {
+            var columnMergeList = [
+                {
+                    columnName: 'merge1',
+                    columnNameList: ['c1', 'c2']
+                },
+                {
+                    columnName: 'merge2',
+                    columnNameList: ['merge1', 'c3']
+                }
+            ];
+            var column = {columnName: 'c1'};
+
+            columnModelInstance.set('columnMerge', columnMergeList);
+
+            expect(columnModelInstance.getColumnHierarchy(column)).toEqual([
+                columnMergeList[1],
+                columnMergeList[0],
+                column
+            ]);
+            expect(columnModelInstance.getColumnHierarchy({columnName: 'c4'})).toEqual([{columnName: 'c4'}]);
+        });
+    });
+
+    describe('moveColumn()', function() {
+        /**
+         * Returns the names of the data columns
+         * @returns {Array.<string>}
+         */
+        function getColumnNames() {
+            return _.pluck(columnModelInstance.get('dataColumnModelList'), 'columnName');
+        }
+
+        beforeEach(function() {
+            columnModelInstance.set({
+                columnFixCount: 1,
+                columnMerge: [
+                    {columnName: 'm1', columnNameList: ['c2', 'c3']}
+                ],
+                columnModelList: [
+                    {columnName: 'c1'},
+                    {columnName: 'c2'},
+                    {columnName: 'c3'},
+                    {columnName: 'c4'},
+                    {columnName: 'c5'}
+                ]
+            });
+        });
+
+        it('moves the column to the index and triggers the columnMoved event', function() {
+            var spy = jasmine.createSpy('columnMoved');
+
+            columnModelInstance.on('columnMoved', spy);
+
+            expect(columnModelInstance.moveColumn('c5', 3)).toBe(true);
+            expect(getColumnNames()).toEqual(['c1', 'c2', 'c3', 'c5', 'c4']);
+            expect(spy).toHaveBeenCalledWith({
+                columnName: 'c5',
+                targetIndex: 3,
+                columnNames: ['c1', 'c2', 'c3', 'c5', 'c4'],
+                columnFixCount: 1
+            });
+        });
+
+        it('moves the columns of the merged column together, not to be placed in the middle of them', function() {
+            columnModelInstance.moveColumn('m1', 2);
+            expect(getColumnNames()).toEqual(['c1', 'c4', 'c2', 'c3', 'c5']);
+
+            columnModelInstance.moveColumn('c5', 3);
+            expect(getColumnNames()).toEqual(['c1', 'c4', 'c5', 'c2', 'c3']);
+        });
+
+        it('moves the column only within its parent merged column', function() {
+            columnModelInstance.moveColumn('c3', 0);
+
+            expect(getColumnNames()).toEqual(['c1', 'c3', 'c2', 'c4', 'c5']);
+        });
+
+        it('adjusts the columnFixCount if the column is moved across the boundary of the fixed columns', function() {
+            columnModelInstance.moveColumn('c5', 0);
+            expect(getColumnNames()).toEqual(['c5', 'c1', 'c2', 'c3', 'c4']);
+            expect(columnModelInstance.get('columnFixCount')).toBe(2);
+
+            columnModelInstance.moveColumn('c1', 4);
+            expect(getColumnNames()).toEqual(['c5', 'c2', 'c3', 'c4', 'c1']);
+            expect(columnModelInstance.get('columnFixCount')).toBe(1);
+        });
+
+        it('places the column on the boundary by isFixed, or keeps its side if isFixed is not specified', function() {
+            columnModelInstance.moveColumn('c4', 1, true);
+            expect(getColumnNames()).toEqual(['c1', 'c4', 'c2', 'c3', 'c5']);
+            expect(columnModelInstance.get('columnFixCount')).toBe(2);
+
+            expect(columnModelInstance.moveColumn('c4', 1, false)).toBe(true);
+            expect(columnModelInstance.get('columnFixCount')).toBe(1);
+
+            expect(columnModelInstance.moveColumn('c4', 1)).toBe(false);
+        });
+
+        it('returns false if the column is not moved', function() {
+            expect(columnModelInstance.moveColumn('c1', 0)).toBe(false);
+            expect(columnModelInstance.moveColumn('_number', 2)).toBe(false);
+            expect(columnModelInstance.moveColumn('none', 2)).toBe(false);
+        });
+    });
+
+    describe('setColumnState()', function() {
+        beforeEach(function() {
+            columnModelInstance.set({
+                columnFixCount: 0,
+                columnMerge: [
+                    {columnName: 'm1', columnNameList: ['c2', 'c3']}
+                ],
+                columnModelList: [
+                    {columnName: 'c1'},
+                    {columnName: 'c2'},
+                    {columnName: 'c3'},
+                    {columnName: 'c4', isHidden: true}
+                ]
+            });
+        });
+
+        it('sets the order, the hidden flags and the columnFixCount at once', function() {
+            var callback = jasmine.createSpy('callback');
+
+            columnModelInstance.on('columnModelChange', callback);
+            columnModelInstance.setColumnState([
+                {columnName: 'c4', isHidden: false},
+                {columnName: 'none'},
+                {columnName: 'c2', isHidden: true},
+                {columnName: 'c3'}
+            ], 1);
+
+            expect(_.pluck(columnModelInstance.get('dataColumnModelList'), 'columnName')).toEqual([
+                'c4', 'c2', 'c3', 'c1'
+            ]);
+            expect(_.pluck(columnModelInstance.getVisibleColumnModelList(), 'columnName')).toEqual(['c4', 'c3', 'c1']);
+            expect(columnModelInstance.get('columnFixCount')).toBe(1);
+            expect(callback.calls.count()).toBe(1);
+        });
+
+        it('keeps the current order if the order splits the columns of a merged column', function() {
+            columnModelInstance.setColumnState([
+                {columnName: 'c2'},
+                {columnName: 'c1'},
+                {columnName: 'c3'}
+            ]);
+
+            expect(_.pluck(columnModelInstance.get('dataColumnModelList'), 'columnName')).toEqual([
+                'c1', 'c2', 'c3', 'c4'
+            ]);
+            expect(columnModelInstance.get('columnFixCount')).toBe(0);
+        });
+    });
+
     describe('columFixCount', function() {
         beforeEach(function() {
             sampleColumnModelList = [
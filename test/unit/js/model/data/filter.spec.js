@@ -0,0 +1,154 @@
+'use strict';
+
+var Filter = require('model/data/filter');
+var Row = require('model/data/row');
+
+describe('model/data/filter', function() {
+    var filter;
+
+    function createRow(attributes) {
+        return new Row(attributes, {
+            collection: {
+                columnModel: null
+            }
+        });
+    }
+
+    beforeEach(function() {
+        filter = new Filter();
+    });
+
+    describe('setCondition()', function() {
+        it('sets the condition of the column and triggers change:conditionMap event', function() {
+            var spy = jasmine.createSpy('change');
+
+            filter.on('change:conditionMap', spy);
+            filter.setCondition('c1', {
+                type: 'text',
+                value: 'a'
+            });
+
+            expect(filter.getCondition('c1')).toEqual({
+                type: 'text',
+                value: 'a'
+            });
+            expect(filter.hasCondition('c1')).toBe(true);
+            expect(filter.isActive()).toBe(true);
+            expect(spy).toHaveBeenCalled();
+        });
+
+        it('converts the function to the custom condition', function() {
+            var isMatched = function() {};
+
+            filter.setCondition('c1', isMatched);
+
+            expect(filter.getCondition('c1')).toEqual({
+                type: 'custom',
+                isMatched: isMatched
+            });
+        });
+
+        it('throws an error if the type of the condition is invalid', function() {
+            expect(function() {
+                filter.setCondition('c1', {type: 'unknown'});
+            }).toThrow();
+            expect(function() {
+                filter.setCondition('c1', {type: 'custom'});
+            }).toThrow();
+        });
+    });
+
+    describe('removeCondition()', function() {
+        beforeEach(function() {
+            filter.setCondition('c1', {type: 'text', value: 'a'});
+            filter.setCondition('c2', {type: 'text', value: 'b'});
+        });
+
+        it('removes the condition of the column', function() {
+            filter.removeCondition('c1');
+
+            expect(filter.hasCondition('c1')).toBe(false);
+            expect(filter.hasCondition('c2')).toBe(true);
+        });
+
+        it('removes all conditions if the column name is not specified', function() {
+            filter.removeCondition();
+
+            expect(filter.isActive()).toBe(false);
+        });
+
+        it('does not trigger change event if nothing is removed', function() {
+            var spy = jasmine.createSpy('change');
+
+            filter.on('change:conditionMap', spy);
+            filter.removeCondition('c3');
+
+            expect(spy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('isMatched()', function() {
+        it('text: contains (case-insensitive) or equals', function() {
+            var row = createRow({c1: 'Hello World'});
+
+            filter.setCondition('c1', {type: 'text', value: 'world'});
+            expect(filter.isMatched(row)).toBe(true);
+
+            filter.setCondition('c1', {type: 'text', value: 'world', operator: 'equals'});
+            expect(filter.isMatched(row)).toBe(false);
+
+            filter.setCondition('c1', {type: 'text', value: 'Hello World', operator: 'equals'});
+            expect(filter.isMatched(row)).toBe(true);
+        });
+
+        it('number: inclusive range, ignoring empty boundaries', function() {
+            filter.setCondition('c1', {type: 'number', min: '1,000', max: ''});
+
+            expect(filter.isMatched(createRow({c1: 1000}))).toBe(true);
+            expect(filter.isMatched(createRow({c1: '999'}))).toBe(false);
+            expect(filter.isMatched(createRow({c1: null}))).toBe(false);
+        });
+
+        it('date: inclusive range', function() {
+            filter.setCondition('c1', {type: 'date', start: '2016-01-01', end: '2016-12-31'});
+
+            expect(filter.isMatched(createRow({c1: '2016.03.07'}))).toBe(true);
+            expect(filter.isMatched(createRow({c1: '2017-01-01'}))).toBe(false);
+        });
+
+        it('select: one of the values', function() {
+            filter.setCondition('c1', {type: 'select', values: ['1', '2']});
+
+            expect(filter.isMatched(createRow({c1: 2}))).toBe(true);
+            expect(filter.isMatched(createRow({c1: 3}))).toBe(false);
+        });
+
+        it('custom: result of the function', function() {
+            filter.setCondition('c1', function(value, rowData) {
+                return value > rowData.c2;
+            });
+
+            expect(filter.isMatched(createRow({c1: 2, c2: 1}))).toBe(true);
+            expect(filter.isMatched(createRow({c1: 1, c2: 2}))).toBe(false);
+        });
+
+        it('every condition should be matched', function() {
+            var row = createRow({c1: 'a', c2: 1});
+
+            filter.setCondition('c1', {type: 'text', value: 'a'});
+            filter.setCondition('c2', {type: 'number', min: 2});
+
+            expect(filter.isMatched(row)).toBe(false);
+        });
+    });
+
+    describe('startEditing() / finishEditing()', function() {
+        it('sets and clears editingColumnName', function() {
+            filter.startEditing('c1');
+            expect(filter.get('editingColumnName')).toBe('c1');
+
+            filter.finishEditing();
+            expect(filter.get('editingColumnName')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+var History = require('model/data/history');
+
+describe('model/data/history', function() {
+    var history;
+
+    beforeEach(function() {
+        history = new History();
+    });
+
+    describe('record()', function() {
+        it('pushes the action as a transaction if no transaction is in progress', function() {
+            history.record({type: 'set'});
+            history.record({type: 'add'});
+
+            expect(history.undo()).toEqual([{type: 'add'}]);
+            expect(history.undo()).toEqual([{type: 'set'}]);
+            expect(history.undo()).toBeNull();
+        });
+
+        it('does not record the action while paused', function() {
+            history.pauseWhile(function() {
+                history.record({type: 'set'});
+            });
+
+            expect(history.canUndo()).toBe(false);
+        });
+
+        it('resumes the recording even if the paused function throws an error', function() {
+            expect(function() {
+                history.pauseWhile(function() {
+                    throw new Error('error');
+                });
+            }).toThrow();
+            history.record({type: 'set'});
+
+            expect(history.canUndo()).toBe(true);
+        });
+
+        it('clears the redo stack', function() {
+            history.record({type: 'set'});
+            history.undo();
+            history.record({type: 'add'});
+
+            expect(history.canRedo()).toBe(false);
+        });
+
+        it('removes the oldest transaction if the size exceeds the maxSize', function() {
+            history = new History(null, {maxSize: 2});
+            history.record({type: 'set', value: 1});
+            history.record({type: 'set', value: 2});
+            history.record({type: 'set', value: 3});
+
+            expect(history.undo()[0].value).toBe(3);
+            expect(history.undo()[0].value).toBe(2);
+            expect(history.undo()).toBeNull();
+        });
+    });
+
+    describe('startTransaction() / endTransaction()', function() {
+        it('groups the actions into one transaction', function() {
+            history.startTransaction();
+            history.record({type: 'set', value: 1});
+            history.startTransaction();
+            history.record({type: 'set', value: 2});
+            history.endTransaction();
+            expect(history.canUndo()).toBe(false);
+            history.endTransaction();
+
+            expect(history.undo()).toEqual([
+                {type: 'set', value: 1},
+                {type: 'set', value: 2}
+            ]);
+        });
+
+        it('does not push the empty transaction', function() {
+            history.startTransaction();
+            history.endTransaction();
+
+            expect(history.canUndo()).toBe(false);
+        });
+    });
+
+    describe('undo() / redo()', function() {
+        it('moves the transaction between the undo stack and the redo stack', function() {
+            history.record({type: 'set'});
+
+            expect(history.undo()).toEqual([{type: 'set'}]);
+            expect(history.canUndo()).toBe(false);
+            expect(history.canRedo()).toBe(true);
+
+            expect(history.redo()).toEqual([{type: 'set'}]);
+            expect(history.canUndo()).toBe(true);
+            expect(history.canRedo()).toBe(false);
+            expect(history.redo()).toBeNull();
+        });
+    });
+
+    describe('historyChanged event', function() {
+        var callback;
+
+        beforeEach(function() {
+            callback = jasmine.createSpy('callback');
+            history.on('historyChanged', callback);
+        });
+
+        it('is triggered with the count of each stack', function() {
+            history.record({type: 'set'});
+            expect(callback).toHaveBeenCalledWith({
+                undoCount: 1,
+                redoCount: 0
+            });
+
+            history.undo();
+            expect(callback).toHaveBeenCalledWith({
+                undoCount: 0,
+                redoCount: 1
+            });
+        });
+
+        it('is triggered by clear() only if the history is not empty', function() {
+            history.clear();
+            expect(callback).not.toHaveBeenCalled();
+
+            history.record({type: 'set'});
+            history.clear();
+            expect(callback.calls.count()).toBe(2);
+            expect(history.canUndo()).toBe(false);
+        });
+    });
+});
@@ -156,6 +156,326 @@ describe('RowData', function() {
         });
     });
 
+    describe('validateCell - when dataType is number', function() {
+        var rowList;
+
+        function create(isRequired, dataList) {
+            var columnModel = new ColumnModel({
+                columnModelList: [
+                    {
+                        columnName: 'c1',
+                        dataType: 'number',
+                        isRequired: isRequired
+                    }
+                ]
+            });
+            rowList = new RowListData(null, {
+                columnModel: columnModel
+            });
+            rowList.setRowList(_.map(dataList, function(value) {
+                return {c1: value};
+            }));
+
+            return rowList.map(function(row) {
+                return row.validateCell('c1', true);
+            });
+        }
+
+        it('returns TYPE_NUMBER if the value is not a number', function() {
+            expect(create(false, [1, '1', 'a'])).toEqual(['', 'TYPE_NUMBER', 'TYPE_NUMBER']);
+        });
+
+        it('does not check the type of empty values', function() {
+            expect(create(false, ['', null])).toEqual(['', '']);
+            expect(create(true, ['', null])).toEqual(['REQUIRED', 'REQUIRED']);
+        });
+    });
+
+    describe('validateCell - with validation options', function() {
+        var rowList;
+
+        function create(validation, dataList) {
+            var columnModel = new ColumnModel({
+                columnModelList: [
+                    {
+                        columnName: 'c1',
+                        validation: validation
+                    }
+                ]
+            });
+            rowList = new RowListData(null, {
+                columnModel: columnModel
+            });
+            rowList.setRowList(_.map(dataList, function(value) {
+                return {c1: value};
+            }));
+
+            return rowList.map(function(row) {
+                return row.validateCell('c1', true);
+            });
+        }
+
+        it('min/max', function() {
+            expect(create({min: 1, max: 10}, [0, 1, '10', 11, 'a'])).toEqual([
+                'MIN', '', '', 'MAX', 'TYPE_NUMBER'
+            ]);
+        });
+
+        it('minLength/maxLength', function() {
+            expect(create({minLength: 2, maxLength: 3}, ['a', 'ab', 'abcd'])).toEqual([
+                'MIN_LENGTH', '', 'MAX_LENGTH'
+            ]);
+        });
+
+        it('regExp', function() {
+            expect(create({regExp: /^[a-z]+$/g}, ['abc', 'ab1', 'def'])).toEqual(['', 'REGEXP', '']);
+            expect(create({regExp: '^\\d+$'}, ['12', 'a'])).toEqual(['', 'REGEXP']);
+        });
+
+        it('unique', function() {
+            expect(create({unique: true}, ['a', 'b', 'a'])).toEqual(['UNIQUE', '', 'UNIQUE']);
+        });
+
+        it('rules are not applied to empty values', function() {
+            expect(create({min: 1, minLength: 2, unique: true}, ['', null, ''])).toEqual(['', '', '']);
+        });
+
+        it('validates other cells which have the same value again if the unique cell is changed', function() {
+            create({unique: true}, ['a', 'b', 'a']);
+            rowList.setValue(2, 'c1', 'c');
+
+            expect(rowList.get(0).getValidationError('c1')).toBeNull();
+            expect(rowList.get(0).getClassNameList('c1')).not.toContain(classNameConst.CELL_INVALID);
+
+            rowList.setValue(2, 'c1', 'b');
+
+            expect(rowList.get(1).getValidationError('c1').errorCode).toBe('UNIQUE');
+        });
+
+        it('checks the unique rule with the index of the values kept up to date', function() {
+            create({unique: true}, ['a', 'b', 'c']);
+            spyOn(rowList, 'each').and.callThrough();
+            spyOn(rowList, 'some').and.callThrough();
+
+            rowList.setValue(2, 'c1', 'a');
+            expect(rowList.get(0).getValidationError('c1').errorCode).toBe('UNIQUE');
+
+            rowList.removeRow(2);
+            expect(rowList.get(0).validateCell('c1', true)).toBe('');
+
+            rowList.append({c1: 'b'});
+            expect(rowList.get(1).validateCell('c1', true)).toBe('UNIQUE');
+
+            rowList.setValue(1, 'c1', 'x', true);
+            expect(rowList.getRowsByValue('c1', 'x')).toEqual([rowList.get(1)]);
+            expect(rowList.getRowsByValue('c1', 'b').length).toBe(1);
+
+            expect(rowList.each).not.toHaveBeenCalled();
+            expect(rowList.some).not.toHaveBeenCalled();
+        });
+
+        it('updates the index of the values by the events of the rows', function() {
+            var rows;
+
+            create({unique: true}, ['a', 'b']);
+            rowList.getRowsByValue('c1', 'a');
+            rows = rowList.models.slice();
+
+            rowList.get(1).set('c1', 'a');
+            expect(rowList.getRowsByValue('c1', 'a')).toEqual(rows);
+
+            rowList.remove(rows[0]);
+            rowList.add({rowKey: 5, c1: 'a'});
+            expect(rowList.getRowsByValue('c1', 'a')).toEqual([rows[1], rowList.last()]);
+            expect(rowList.valueIndexMap.c1.a[rows[0].get('rowKey')]).toBeUndefined();
+        });
+
+        it('rebuilds the index of the values when the rows are reset', function() {
+            create({unique: true}, ['a', 'b']);
+            rowList.setRowList([{c1: 'b'}, {c1: 'b'}]);
+
+            expect(rowList.getRowsByValue('c1', 'a')).toEqual([]);
+            expect(rowList.validate().length).toBe(2);
+        });
+
+        describe('validator', function() {
+            it('receives the value and the row data', function() {
+                var validator = jasmine.createSpy('validator');
+
+                create({validator: validator}, ['a']);
+
+                expect(validator).toHaveBeenCalledWith('a', jasmine.objectContaining({c1: 'a'}));
+            });
+
+            it('returns VALIDATOR if the validator returns false', function() {
+                expect(create({
+                    validator: function(value) {
+                        return value !== 'b';
+                    }
+                }, ['a', 'b'])).toEqual(['', 'VALIDATOR']);
+            });
+
+            it('returns the error code and the message which the validator returns', function() {
+                create({
+                    validator: function(value) {
+                        if (value === 'a') {
+                            return 'CUSTOM';
+                        }
+                        return {
+                            errorCode: 'CUSTOM_MESSAGE',
+                            message: 'error message'
+                        };
+                    }
+                }, ['a', 'b']);
+
+                expect(rowList.get(0).getValidationError('c1')).toEqual({
+                    errorCode: 'CUSTOM',
+                    message: ''
+                });
+                expect(rowList.get(1).getValidationError('c1')).toEqual({
+                    errorCode: 'CUSTOM_MESSAGE',
+                    message: 'error message'
+                });
+            });
+        });
+    });
+
+    describe('validateCell - with asyncValidator', function() {
+        var row, deferred, asyncValidator;
+
+        beforeEach(function() {
+            var columnModel = new ColumnModel({
+                columnModelList: [
+                    {
+                        columnName: 'c1',
+                        validation: {
+                            maxLength: 3,
+                            asyncValidator: function() {
+                                return asyncValidator.apply(null, arguments);
+                            }
+                        }
+                    }
+                ]
+            });
+            var rowList = new RowListData(null, {
+                columnModel: columnModel
+            });
+
+            asyncValidator = jasmine.createSpy('asyncValidator').and.callFake(function() {
+                deferred = new $.Deferred();
+                return deferred.promise();
+            });
+            row = rowList.append({c1: 'a'})[0];
+        });
+
+        it('sets the validating state while the validator is pending', function() {
+            expect(row.validateCell('c1', true)).toBe('');
+            expect(asyncValidator).toHaveBeenCalledWith('a', jasmine.objectContaining({c1: 'a'}));
+            expect(row.isValidating('c1')).toBe(true);
+            expect(row.isValidating()).toBe(true);
+            expect(row.getClassNameList('c1')).toContain(classNameConst.CELL_VALIDATING);
+            expect(row.getPendingValidations().length).toBe(1);
+        });
+
+        it('applies the resolved result', function() {
+            row.validateCell('c1', true);
+            deferred.resolve({
+                errorCode: 'NOT_EXIST',
+                message: 'not exist'
+            });
+
+            expect(row.isValidating('c1')).toBe(false);
+            expect(row.getValidationError('c1')).toEqual({
+                errorCode: 'NOT_EXIST',
+                message: 'not exist'
+            });
+            expect(row.getClassNameList('c1')).toContain(classNameConst.CELL_INVALID);
+            expect(row.getClassNameList('c1')).not.toContain(classNameConst.CELL_VALIDATING);
+        });
+
+        it('regards the rejection as VALIDATOR error', function() {
+            row.validateCell('c1', true);
+            deferred.reject('network error');
+
+            expect(row.getValidationError('c1')).toEqual({
+                errorCode: 'VALIDATOR',
+                message: 'network error'
+            });
+        });
+
+        it('does not execute the validator again if the value is not changed', function() {
+            row.validateCell('c1', true);
+            deferred.resolve(true);
+            row.validateCell('c1', true);
+
+            expect(asyncValidator.calls.count()).toBe(1);
+        });
+
+        it('ignores the result of the previous value', function() {
+            var prevDeferred;
+
+            row.validateCell('c1', true);
+            prevDeferred = deferred;
+            row.set('c1', 'b');
+            prevDeferred.resolve(false);
+
+            expect(row.getValidationError('c1')).toBeNull();
+            expect(row.isValidating('c1')).toBe(true);
+        });
+
+        it('does not execute the validator if the other rules are not passed', function() {
+            row.set('c1', 'abcd');
+
+            expect(asyncValidator).not.toHaveBeenCalled();
+            expect(row.validateCell('c1')).toBe('MAX_LENGTH');
+        });
+    });
+
+    describe('checkSyncValidation()', function() {
+        var row, asyncValidator;
+
+        beforeEach(function() {
+            var columnModel = new ColumnModel({
+                columnModelList: [
+                    {
+                        columnName: 'c1',
+                        isRequired: true,
+                        validation: {
+                            maxLength: 3,
+                            asyncValidator: function() {
+                                return asyncValidator.apply(null, arguments);
+                            }
+                        }
+                    }
+                ]
+            });
+            var rowList = new RowListData(null, {
+                columnModel: columnModel
+            });
+
+            asyncValidator = jasmine.createSpy('asyncValidator');
+            row = rowList.append({c1: 'abcd'})[0];
+        });
+
+        it('returns the result of the rules except the asyncValidator', function() {
+            expect(row.checkSyncValidation('c1').errorCode).toBe('MAX_LENGTH');
+
+            row.set('c1', '', {silent: true});
+            expect(row.checkSyncValidation('c1').errorCode).toBe('REQUIRED');
+
+            row.set('c1', 'a', {silent: true});
+            expect(row.checkSyncValidation('c1').errorCode).toBe('');
+            expect(asyncValidator).not.toHaveBeenCalled();
+        });
+
+        it('does not mark the cell as invalid', function() {
+            row.checkSyncValidation('c1');
+
+            expect(row.getValidationError('c1')).toBeNull();
+            expect(row.getClassNameList('c1')).not.toContain(classNameConst.CELL_INVALID);
+        });
+    });
+
     describe('setRowState(), getRowState()', function() {
         var row;
 
@@ -257,7 +577,8 @@ describe('RowData', function() {
                 parse: true,
                 collection: {
                     columnModel: columnModel,
-                    syncRowSpannedData: function() {}
+                    syncRowSpannedData: function() {},
+                    updateValueIndex: function() {}
                 }
             });
         });
@@ -316,7 +637,8 @@ describe('RowData', function() {
                 parse: true,
                 collection: {
                     columnModel: columnModel,
-                    syncRowSpannedData: function() {}
+                    syncRowSpannedData: function() {},
+                    updateValueIndex: function() {}
                 }
             });
         });
@@ -0,0 +1,148 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+
+describe('data.rowList - filter', function() {
+    var dataModel;
+
+    beforeEach(function() {
+        var columnModel = new ColumnModelData({
+            columnModelList: [
+                {
+                    columnName: 'c1',
+                    editOption: {
+                        type: 'text'
+                    }
+                },
+                {
+                    columnName: 'c2',
+                    editOption: {
+                        type: 'text'
+                    }
+                }
+            ]
+        });
+
+        dataModel = new RowListData([], {
+            columnModel: columnModel
+        });
+        dataModel.setRowList([
+            {c1: 'a', c2: 1},
+            {c1: 'b', c2: 2},
+            {c1: 'a', c2: 3},
+            {c1: 'c', c2: 4}
+        ]);
+    });
+
+    describe('filterByField()', function() {
+        it('hides unmatched rows without removing them from the collection', function() {
+            dataModel.filterByField('c1', {
+                type: 'text',
+                value: 'a'
+            });
+
+            expect(dataModel.length).toBe(4);
+            expect(dataModel.isFiltered()).toBe(true);
+            expect(dataModel.getVisibleRowCount()).toBe(2);
+            expect(_.invoke(dataModel.getVisibleRows(), 'get', 'rowKey')).toEqual([0, 2]);
+            expect(dataModel.getVisibleRowAt(1).get('rowKey')).toBe(2);
+            expect(dataModel.isVisibleRowKey(1)).toBe(false);
+            expect(dataModel.indexOfVisibleRowKey(2)).toBe(1);
+            expect(dataModel.indexOfVisibleRowKey(1)).toBe(-1);
+        });
+
+        it('triggers filterChanged event with conditionMap and rowCount', function() {
+            var spy = jasmine.createSpy('filterChanged');
+
+            dataModel.on('filterChanged', spy);
+            dataModel.filterByField('c2', {
+                type: 'number',
+                min: 3
+            });
+
+            expect(spy).toHaveBeenCalledWith({
+                conditionMap: {
+                    c2: {
+                        type: 'number',
+                        min: 3
+                    }
+                },
+                rowCount: 2
+            });
+        });
+
+        it('keeps the filter after the data is reset', function() {
+            dataModel.filterByField('c1', {
+                type: 'text',
+                value: 'a'
+            });
+            dataModel.setRowList([
+                {c1: 'a'},
+                {c1: 'b'}
+            ]);
+
+            expect(dataModel.getVisibleRowCount()).toBe(1);
+        });
+
+        it('disables rowSpan while filtered', function() {
+            dataModel.filterByField('c1', {
+                type: 'text',
+                value: 'a'
+            });
+
+            expect(dataModel.isRowSpanEnable()).toBe(false);
+        });
+    });
+
+    describe('unfilterByField()', function() {
+        it('shows all rows again', function() {
+            dataModel.filterByField('c1', {
+                type: 'text',
+                value: 'a'
+            });
+            dataModel.filterByField('c2', {
+                type: 'number',
+                max: 1
+            });
+            expect(dataModel.getVisibleRowCount()).toBe(1);
+
+            dataModel.unfilterByField('c2');
+            expect(dataModel.getVisibleRowCount()).toBe(2);
+
+            dataModel.unfilterByField();
+            expect(dataModel.isFiltered()).toBe(false);
+            expect(dataModel.getVisibleRowCount()).toBe(4);
+        });
+    });
+
+    describe('with active filter', function() {
+        beforeEach(function() {
+            dataModel.filterByField('c1', {
+                type: 'select',
+                values: ['a']
+            });
+        });
+
+        it('checkAll() checks only visible rows', function() {
+            dataModel.checkAll();
+
+            expect(dataModel.get(0).get('_button')).toBe(true);
+            expect(dataModel.get(1).get('_button')).toBe(false);
+            expect(dataModel.getCheckedState()).toEqual({
+                available: 2,
+                checked: 2
+            });
+        });
+
+        it('getRowDataAt() uses the index of visible rows', function() {
+            expect(dataModel.getRowDataAt(1).rowKey).toBe(2);
+        });
+
+        it('getModifiedRowList() includes hidden rows', function() {
+            dataModel.setValue(1, 'c2', 10);
+
+            expect(dataModel.getModifiedRowList().updateList.length).toBe(1);
+        });
+    });
+});
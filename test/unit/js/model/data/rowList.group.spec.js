@@ -0,0 +1,174 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+
+describe('data.rowList - group', function() {
+    var dataModel;
+
+    /**
+     * Returns the rowKeys of the visible rows
+     * @returns {Array}
+     */
+    function getVisibleRowKeys() {
+        return _.invoke(dataModel.getVisibleRows(), 'get', 'rowKey');
+    }
+
+    beforeEach(function() {
+        var columnModel = new ColumnModelData({
+            columnModelList: [
+                {
+                    columnName: 'c1',
+                    editOption: {
+                        type: 'text'
+                    }
+                },
+                {
+                    columnName: 'c2',
+                    editOption: {
+                        type: 'text'
+                    }
+                },
+                {
+                    columnName: 'c3'
+                }
+            ]
+        });
+
+        dataModel = new RowListData([], {
+            columnModel: columnModel
+        });
+        dataModel.setRowList([
+            {c1: 'a', c2: 'x', c3: 1},
+            {c1: 'b', c2: 'x', c3: 2},
+            {c1: 'a', c2: 'y', c3: 3},
+            {c1: 'a', c2: 'x', c3: 4}
+        ]);
+    });
+
+    describe('groupBy()', function() {
+        it('inserts a group row above the rows of each group in the order of their first rows', function() {
+            var rows;
+
+            dataModel.groupBy('c1', {
+                summary: {
+                    c3: 'sum'
+                }
+            });
+            rows = dataModel.getVisibleRows();
+
+            expect(dataModel.isGrouped()).toBe(true);
+            expect(dataModel.length).toBe(4);
+            expect(rows.length).toBe(6);
+            expect(dataModel.isGroupRow(rows[0])).toBe(true);
+            expect(_.invoke(rows.slice(1, 4), 'get', 'rowKey')).toEqual([0, 2, 3]);
+            expect(dataModel.isGroupRow(rows[4])).toBe(true);
+            expect(rows[5].get('rowKey')).toBe(1);
+            expect(dataModel.getGroupInfo(rows[0].get('rowKey'))).toEqual({
+                columnName: 'c1',
+                value: 'a',
+                count: 3,
+                depth: 0,
+                isExpanded: true,
+                summaries: {
+                    c3: 8
+                }
+            });
+        });
+
+        it('nests the groups in the order of the columns', function() {
+            var rows;
+
+            dataModel.groupBy(['c1', 'c2']);
+            rows = dataModel.getVisibleRows();
+
+            expect(rows.length).toBe(9);
+            expect(dataModel.getGroupInfo(rows[1].get('rowKey'))).toEqual(jasmine.objectContaining({
+                columnName: 'c2',
+                value: 'x',
+                count: 2,
+                depth: 1
+            }));
+            expect(_.invoke(rows.slice(2, 4), 'get', 'rowKey')).toEqual([0, 3]);
+        });
+
+        it('keeps the group rows out of the data and the focusable rows', function() {
+            var groupRowKey;
+
+            dataModel.groupBy('c1');
+            groupRowKey = dataModel.getVisibleRowAt(0).get('rowKey');
+
+            expect(dataModel.get(groupRowKey)).toBeUndefined();
+            expect(dataModel.isVisibleRowKey(groupRowKey)).toBe(false);
+            expect(dataModel.getRowOrPlaceholder(groupRowKey)).toBe(dataModel.getVisibleRowAt(0));
+            expect(dataModel.getFilteredRows().length).toBe(4);
+            expect(dataModel.indexOfVisibleRowKey(1)).toBe(5);
+            expect(dataModel.isRowSpanEnable()).toBe(false);
+        });
+
+        it('triggers the groupChanged event', function() {
+            var spy = jasmine.createSpy('groupChanged');
+
+            dataModel.on('groupChanged', spy);
+            dataModel.groupBy(['c1']);
+            dataModel.ungroup();
+
+            expect(spy.calls.argsFor(0)).toEqual([{
+                columnNames: ['c1']
+            }]);
+            expect(spy.calls.argsFor(1)).toEqual([{
+                columnNames: []
+            }]);
+            expect(getVisibleRowKeys()).toEqual([0, 1, 2, 3]);
+        });
+
+        it('groups the rows which are not hidden by the filter', function() {
+            dataModel.groupBy('c1');
+            dataModel.filterByField('c2', {
+                type: 'text',
+                value: 'x'
+            });
+
+            expect(getVisibleRowKeys().length).toBe(5);
+            expect(dataModel.getGroupInfo(getVisibleRowKeys()[0]).count).toBe(2);
+        });
+
+        it('regroups the rows if the value of the grouping column is changed', function() {
+            dataModel.groupBy('c1');
+            dataModel.setValue(1, 'c1', 'a');
+
+            expect(getVisibleRowKeys().length).toBe(5);
+        });
+    });
+
+    describe('setGroupExpanded()', function() {
+        it('hides the rows of the collapsed group and keeps its state while regrouping', function() {
+            var groupRowKey;
+
+            dataModel.groupBy('c1');
+            groupRowKey = dataModel.getVisibleRowAt(0).get('rowKey');
+            dataModel.setGroupExpanded(groupRowKey, false);
+
+            expect(getVisibleRowKeys()).toEqual([groupRowKey, jasmine.any(String), 1]);
+            expect(dataModel.isVisibleRowKey(0)).toBe(false);
+            expect(dataModel.indexOfVisibleRowKey(0)).toBe(-1);
+
+            dataModel.sortByField('c1', false);
+            expect(getVisibleRowKeys()[2]).toBe(groupRowKey);
+            expect(dataModel.getGroupInfo(groupRowKey).isExpanded).toBe(false);
+
+            dataModel.toggleGroup(groupRowKey);
+            expect(dataModel.isVisibleRowKey(0)).toBe(true);
+        });
+
+        it('expands or collapses all groups', function() {
+            dataModel.groupBy('c1', {
+                isCollapsed: true
+            });
+            expect(dataModel.getVisibleRowCount()).toBe(2);
+
+            dataModel.setAllGroupsExpanded(true);
+            expect(dataModel.getVisibleRowCount()).toBe(6);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+
+describe('rowList - history', function() {
+    var rowList;
+
+    beforeEach(function() {
+        var columnModel = new ColumnModelData({
+            columnModelList: [
+                {
+                    columnName: 'c1',
+                    editOption: {
+                        type: 'text'
+                    }
+                }, {
+                    columnName: 'c2',
+                    editOption: {
+                        type: 'text'
+                    }
+                }
+            ]
+        });
+
+        rowList = new RowListData([], {
+            columnModel: columnModel
+        });
+        rowList.setRowList([
+            {c1: '0-1', c2: '0-2'},
+            {c1: '1-1', c2: '1-2'}
+        ]);
+    });
+
+    describe('setValue()', function() {
+        it('can be undone and redone', function() {
+            rowList.setValue(0, 'c1', 'a');
+            rowList.setValue(0, 'c1', 'b');
+
+            expect(rowList.undo()).toBe(true);
+            expect(rowList.getValue(0, 'c1')).toBe('a');
+            expect(rowList.undo()).toBe(true);
+            expect(rowList.getValue(0, 'c1')).toBe('0-1');
+            expect(rowList.undo()).toBe(false);
+
+            expect(rowList.redo()).toBe(true);
+            expect(rowList.getValue(0, 'c1')).toBe('a');
+        });
+
+        it('does not record if the value is not changed', function() {
+            rowList.setValue(0, 'c1', '0-1');
+
+            expect(rowList.historyModel.canUndo()).toBe(false);
+        });
+
+        it('does not record the changes of meta columns', function() {
+            rowList.check(0);
+
+            expect(rowList.historyModel.canUndo()).toBe(false);
+        });
+    });
+
+    it('undo of paste() reverts all changed cells and appended rows at once', function() {
+        rowList.paste([
+            ['a', 'b'],
+            ['c', 'd'],
+            ['e', 'f']
+        ], {
+            row: 0,
+            column: 0
+        });
+        expect(rowList.length).toBe(3);
+
+        rowList.undo();
+        expect(rowList.length).toBe(2);
+        expect(rowList.getRowData(0)).toEqual(jasmine.objectContaining({c1: '0-1', c2: '0-2'}));
+        expect(rowList.getRowData(1)).toEqual(jasmine.objectContaining({c1: '1-1', c2: '1-2'}));
+
+        rowList.redo();
+        expect(rowList.length).toBe(3);
+        expect(rowList.getValue(2, 'c2')).toBe('f');
+    });
+
+    it('undo of delRange() restores all deleted cells at once', function() {
+        rowList.delRange({
+            row: [0, 1],
+            column: [0, 1]
+        });
+        rowList.undo();
+
+        expect(rowList.getValue(0, 'c1')).toBe('0-1');
+        expect(rowList.getValue(1, 'c2')).toBe('1-2');
+        expect(rowList.historyModel.canUndo()).toBe(false);
+    });
+
+    it('undo of append() removes the rows, and redo restores them with the same rowKeys', function() {
+        rowList.append([{c1: 'a'}, {c1: 'b'}], {at: 1});
+        rowList.setValue(3, 'c2', 'x');
+
+        rowList.undo();
+        rowList.undo();
+        expect(rowList.length).toBe(2);
+
+        rowList.redo();
+        rowList.redo();
+        expect(rowList.pluck('rowKey')).toEqual([0, 2, 3, 1]);
+        expect(rowList.getValue(3, 'c2')).toBe('x');
+    });
+
+    it('undo of removeRow() restores the row at the same index', function() {
+        rowList.setValue(0, 'c1', 'a');
+        rowList.removeRow(0);
+
+        rowList.undo();
+        expect(rowList.at(0).get('rowKey')).toBe(0);
+        expect(rowList.getValue(0, 'c1')).toBe('a');
+
+        rowList.undo();
+        expect(rowList.getValue(0, 'c1')).toBe('0-1');
+
+        rowList.redo();
+        rowList.redo();
+        expect(rowList.get(0)).toBeUndefined();
+    });
+
+    it('undo of removeRows() restores all removed rows at once', function() {
+        rowList.removeRows([0, 1]);
+        expect(rowList.length).toBe(0);
+
+        rowList.undo();
+        expect(rowList.pluck('rowKey')).toEqual([0, 1]);
+    });
+
+    it('clears the history when the data is reset', function() {
+        rowList.setValue(0, 'c1', 'a');
+        rowList.setRowList([{c1: 'a'}]);
+
+        expect(rowList.historyModel.canUndo()).toBe(false);
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+
+describe('rowList - importRowList()', function() {
+    var rowList;
+
+    beforeEach(function() {
+        var columnModel = new ColumnModelData({
+            columnModelList: [
+                {
+                    columnName: 'c1',
+                    isRequired: true,
+                    validation: {
+                        unique: true
+                    }
+                }, {
+                    columnName: 'c2',
+                    dataType: 'number',
+                    validation: {
+                        max: 10
+                    }
+                }
+            ]
+        });
+
+        rowList = new RowListData([], {
+            columnModel: columnModel
+        });
+        rowList.setRowList([
+            {c1: 'a', c2: 1}
+        ]);
+    });
+
+    it('appends the valid rows and returns the rejected rows with the errors', function() {
+        var report = rowList.importRowList([
+            {c1: 'b', c2: 2},
+            {c1: '', c2: 3},
+            {c1: 'c', c2: 20}
+        ]);
+
+        expect(rowList.pluck('c1')).toEqual(['a', 'b']);
+        expect(report.importedCount).toBe(1);
+        expect(report.rejectedRows.length).toBe(2);
+        expect(report.rejectedRows[0].index).toBe(1);
+        expect(report.rejectedRows[0].data).toEqual({c1: '', c2: 3});
+        expect(report.rejectedRows[0].errors).toEqual([{
+            columnName: 'c1',
+            errorCode: 'REQUIRED',
+            message: jasmine.any(String)
+        }]);
+        expect(report.rejectedRows[1].errors[0].errorCode).toBe('MAX');
+    });
+
+    it('rejects the duplicated values of the unique column among the existing and the imported rows', function() {
+        var report = rowList.importRowList([
+            {c1: 'a', c2: 1},
+            {c1: 'b', c2: 1},
+            {c1: 'b', c2: 1}
+        ]);
+
+        expect(_.pluck(report.rejectedRows, 'index')).toEqual([0, 2]);
+        expect(report.rejectedRows[0].errors[0].errorCode).toBe('UNIQUE');
+    });
+
+    it('does not mark the rejected values as invalid in the existing rows', function() {
+        rowList.importRowList([{c1: 'a', c2: 1}]);
+
+        expect(rowList.getInvalidCells()).toEqual([]);
+    });
+
+    it('regards the imported rows as created rows', function() {
+        var modifiedRowList;
+
+        rowList.importRowList([{c1: 'b', c2: 2}]);
+        modifiedRowList = rowList.getModifiedRowList();
+
+        expect(modifiedRowList.createList.length).toBe(1);
+        expect(modifiedRowList.createList[0].c1).toBe('b');
+        expect(modifiedRowList.deleteList.length).toBe(0);
+    });
+
+    it('removes the existing rows first in the replace mode', function() {
+        var modifiedRowList;
+
+        rowList.importRowList([{c1: 'a', c2: 2}], true);
+        modifiedRowList = rowList.getModifiedRowList();
+
+        expect(rowList.pluck('c1')).toEqual(['a']);
+        expect(modifiedRowList.createList.length).toBe(1);
+        expect(modifiedRowList.deleteList.length).toBe(1);
+    });
+
+    it('triggers the add event with the imported rows', function() {
+        var listener = jasmine.createSpy('listener');
+
+        rowList.on('add', listener);
+        rowList.importRowList([{c1: 'b', c2: 2}, {c1: 'c', c2: 3}]);
+
+        expect(listener.calls.count()).toBe(1);
+        expect(listener.calls.argsFor(0)[0].length).toBe(2);
+    });
+
+    it('records the import as one transaction of the history', function() {
+        rowList.importRowList([{c1: 'b', c2: 2}], true);
+        rowList.undo();
+
+        expect(rowList.pluck('c1')).toEqual(['a']);
+        expect(rowList.getModifiedRowList().createList.length).toBe(0);
+
+        rowList.redo();
+        expect(rowList.pluck('c1')).toEqual(['b']);
+    });
+});
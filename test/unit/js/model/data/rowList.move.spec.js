@@ -0,0 +1,133 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+
+describe('data.rowList - move', function() {
+    var dataModel;
+
+    function getRowKeys() {
+        return dataModel.pluck('rowKey');
+    }
+
+    beforeEach(function() {
+        var columnModel = new ColumnModelData({
+            selectType: 'checkbox',
+            columnModelList: [
+                {columnName: 'c1'},
+                {columnName: 'c2'}
+            ]
+        });
+
+        dataModel = new RowListData([], {
+            columnModel: columnModel
+        });
+        dataModel.setRowList([
+            {c1: 'a', c2: 1},
+            {c1: 'b', c2: 2},
+            {c1: 'c', c2: 3},
+            {c1: 'd', c2: 4}
+        ]);
+    });
+
+    describe('moveRows()', function() {
+        it('moves the rows before the row at the target index in the current order', function() {
+            var sortSpy = jasmine.createSpy('sort');
+
+            dataModel.on('sort', sortSpy);
+
+            expect(dataModel.moveRows([2, 0], 4)).toBe(true);
+            expect(getRowKeys()).toEqual([1, 3, 0, 2]);
+            expect(sortSpy).toHaveBeenCalled();
+
+            dataModel.moveRows([2], 0);
+            expect(getRowKeys()).toEqual([2, 1, 3, 0]);
+            expect(_.invoke(dataModel.getVisibleRows(), 'get', 'rowKey')).toEqual([2, 1, 3, 0]);
+        });
+
+        it('returns false if the order is not changed', function() {
+            expect(dataModel.moveRows([1], 1)).toBe(false);
+            expect(dataModel.moveRows([1], 2)).toBe(false);
+            expect(dataModel.moveRows([10], 0)).toBe(false);
+            expect(dataModel.historyModel.canUndo()).toBe(false);
+        });
+
+        it('triggers the beforeRowMove event which can cancel the move', function() {
+            var spy = jasmine.createSpy('beforeRowMove').and.callFake(function(ev) {
+                ev.stop();
+            });
+
+            dataModel.on('beforeRowMove', spy);
+
+            expect(dataModel.moveRows([3, 1], 0)).toBe(false);
+            expect(spy.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining({
+                rowKeys: [1, 3],
+                targetIndex: 0
+            }));
+            expect(getRowKeys()).toEqual([0, 1, 2, 3]);
+        });
+
+        it('does not move the rows while they are sorted by a column', function() {
+            dataModel.sortByField('c1', false);
+
+            expect(dataModel.isRowMovable()).toBe(false);
+            expect(dataModel.moveRows([0], 0)).toBe(false);
+        });
+
+        it('can be undone and redone', function() {
+            dataModel.moveRows([0], 3);
+            dataModel.undo();
+            expect(getRowKeys()).toEqual([0, 1, 2, 3]);
+
+            dataModel.redo();
+            expect(getRowKeys()).toEqual([1, 2, 0, 3]);
+        });
+    });
+
+    describe('getModifiedRowList()', function() {
+        it('returns the rows whose order among the original rows is changed as the orderChangedList', function() {
+            dataModel.moveRows([3], 1);
+
+            expect(dataModel.isChanged()).toBe(true);
+            expect(dataModel.getModifiedRowList({
+                isOnlyRowKeyList: true
+            }).orderChangedList).toEqual([3, 1, 2]);
+            expect(dataModel.getModifiedRowList().orderChangedList[0]).toEqual(jasmine.objectContaining({
+                rowKey: 3,
+                c1: 'd'
+            }));
+        });
+
+        it('does not regard the created or deleted rows as the order changed', function() {
+            dataModel.append({c1: 'e'}, {at: 1});
+            dataModel.removeRow(2);
+
+            expect(dataModel.getModifiedRowList().orderChangedList).toEqual([]);
+        });
+
+        it('returns only the checked rows if the isOnlyChecked option is true', function() {
+            dataModel.moveRows([0], 4);
+            dataModel.check(1);
+
+            expect(dataModel.getModifiedRowList({
+                isOnlyRowKeyList: true,
+                isOnlyChecked: true
+            }).orderChangedList).toEqual([1]);
+        });
+
+        it('keeps the order of the created rows set as the original rows', function() {
+            dataModel.append({c1: 'e'}, {at: 1});
+            dataModel.setOriginalRows([4]);
+
+            expect(_.pluck(dataModel.getOriginalRowList(), 'rowKey')).toEqual([0, 4, 1, 2, 3]);
+            expect(dataModel.isChanged()).toBe(false);
+        });
+
+        it('returns an empty orderChangedList after the current rows are set as the original rows', function() {
+            dataModel.moveRows([0], 4);
+            dataModel.setOriginalRowList();
+
+            expect(dataModel.getModifiedRowList().orderChangedList).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+
+describe('rowList - server-side row model', function() {
+    var rowList, blockRequired;
+
+    /**
+     * Creates the data of the rows
+     * @param {number} start - The first value
+     * @param {number} count - The number of rows
+     * @returns {Array}
+     */
+    function createRows(start, count) {
+        return _.map(_.range(start, start + count), function(value) {
+            return {c1: value};
+        });
+    }
+
+    beforeEach(function() {
+        rowList = new RowListData([], {
+            columnModel: new ColumnModelData({
+                columnModelList: [{columnName: 'c1'}]
+            })
+        });
+        rowList.useServerSideRows({
+            blockSize: 10,
+            maxBlockCount: 2
+        });
+        blockRequired = jasmine.createSpy('blockRequired');
+        rowList.on('blockRequired', blockRequired);
+        rowList.resetServerSideRows(35, createRows(0, 10));
+    });
+
+    it('uses the total count as the number of visible rows', function() {
+        expect(rowList.getVisibleRowCount()).toBe(35);
+        expect(rowList.length).toBe(10);
+        expect(rowList.isServerSide()).toBe(true);
+        expect(rowList.sortOptions.useClient).toBe(false);
+    });
+
+    it('returns the loaded rows and their indexes', function() {
+        var row = rowList.getVisibleRowAt(3);
+
+        expect(row.get('c1')).toBe(3);
+        expect(rowList.indexOfVisibleRowKey(row.get('rowKey'))).toBe(3);
+        expect(rowList.getVisibleRows().length).toBe(10);
+    });
+
+    it('returns the placeholder rows and requests the block if the rows are not loaded', function() {
+        var row = rowList.getVisibleRowAt(32);
+
+        expect(rowList.isPlaceholderRow(row)).toBe(true);
+        expect(row.getRowState().isDisabled).toBe(true);
+        expect(rowList.getRowOrPlaceholder(row.get('rowKey'))).toBe(row);
+        expect(rowList.indexOfVisibleRowKey(row.get('rowKey'))).toBe(32);
+        expect(blockRequired).toHaveBeenCalledWith(3);
+        expect(rowList.getVisibleRowAt(35)).toBeNull();
+    });
+
+    it('requests the blocks in the range only once', function() {
+        rowList.prepareRowsInRange(5, 25);
+        rowList.prepareRowsInRange(15, 25);
+
+        expect(blockRequired.calls.allArgs()).toEqual([[1], [2]]);
+    });
+
+    it('replaces the placeholder rows with the loaded rows', function() {
+        var blockLoaded = jasmine.createSpy('blockLoaded');
+
+        rowList.on('blockLoaded', blockLoaded);
+        rowList.prepareRowsInRange(30, 34);
+        rowList.setBlockRows(3, createRows(30, 5));
+
+        expect(rowList.getVisibleRowAt(32).get('c1')).toBe(32);
+        expect(rowList.getModifiedRowList().createList.length).toBe(0);
+        expect(blockLoaded).toHaveBeenCalledWith(30, 34);
+    });
+
+    it('removes the rows of the least recently used blocks', function() {
+        var rowKey = rowList.getVisibleRowAt(0).get('rowKey');
+
+        rowList.prepareRowsInRange(10, 10);
+        rowList.setBlockRows(1, createRows(10, 10));
+        rowList.prepareRowsInRange(20, 20);
+        rowList.setBlockRows(2, createRows(20, 10));
+
+        expect(rowList.get(rowKey)).toBeUndefined();
+        expect(rowList.indexOfVisibleRowKey(rowKey)).toBe(-1);
+        expect(rowList.getOriginalRow(rowKey)).toBeUndefined();
+        expect(rowList.length).toBe(20);
+        expect(rowList.getModifiedRowList().deleteList.length).toBe(0);
+    });
+
+    it('keeps the blocks which have the modified or removed rows until the changes are saved', function() {
+        var modifiedRowKey = rowList.getVisibleRowAt(0).get('rowKey');
+        var removedRowKey;
+
+        rowList.setValue(modifiedRowKey, 'c1', 'modified');
+        rowList.prepareRowsInRange(10, 10);
+        rowList.setBlockRows(1, createRows(10, 10));
+        removedRowKey = rowList.getVisibleRowAt(10).get('rowKey');
+        rowList.removeRow(removedRowKey);
+        rowList.prepareRowsInRange(20, 20);
+        rowList.setBlockRows(2, createRows(20, 10));
+
+        expect(rowList.blockCache.has(0)).toBe(true);
+        expect(rowList.blockCache.has(1)).toBe(true);
+        expect(rowList.getModifiedRowList({
+            isOnlyRowKeyList: true
+        })).toEqual(jasmine.objectContaining({
+            updateList: [modifiedRowKey],
+            deleteList: [removedRowKey]
+        }));
+
+        rowList.setOriginalRows([modifiedRowKey, removedRowKey]);
+        rowList.prepareRowsInRange(30, 30);
+        rowList.setBlockRows(3, createRows(30, 5));
+
+        expect(rowList.blockCache.has(0)).toBe(false);
+        expect(rowList.blockCache.has(1)).toBe(false);
+        expect(rowList.get(modifiedRowKey)).toBeUndefined();
+    });
+
+    it('ignores the rows of the block which is removed while loading', function() {
+        rowList.prepareRowsInRange(20, 20);
+        rowList.resetServerSideRows(35, createRows(0, 10));
+        rowList.setBlockRows(2, createRows(20, 10));
+
+        expect(rowList.length).toBe(10);
+    });
+
+    it('discards the block which is not loaded to request it again', function() {
+        rowList.prepareRowsInRange(20, 20);
+        rowList.discardBlock(2);
+        rowList.discardBlock(0);
+
+        expect(rowList.blockCache.has(2)).toBe(false);
+        expect(rowList.length).toBe(10);
+
+        rowList.prepareRowsInRange(20, 20);
+        expect(blockRequired.calls.allArgs()).toEqual([[2], [2]]);
+    });
+
+    it('does not filter the rows by itself', function() {
+        rowList.filterByField('c1', {
+            type: 'number',
+            min: 5
+        });
+
+        expect(rowList.getVisibleRowCount()).toBe(35);
+        expect(rowList.getVisibleRowAt(0).get('c1')).toBe(0);
+    });
+});
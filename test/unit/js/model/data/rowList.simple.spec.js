@@ -364,6 +364,132 @@ describe('Data.RowList - simple', function() {
             expect(rowList.at(0).getClassNameList('c2')).toContain(classNameConst.CELL_INVALID);
             expect(rowList.at(2).getClassNameList('c1')).toContain(classNameConst.CELL_INVALID);
         });
+
+        it('Validates the columns which have validation options even if they are not required', function() {
+            columnModel.getColumnModel('c1').isRequired = false;
+            columnModel.getColumnModel('c2').isRequired = false;
+            columnModel.getColumnModel('c2').validation = {
+                validator: function(value) {
+                    return value === '1-2' ? {
+                        errorCode: 'CUSTOM',
+                        message: 'message'
+                    } : true;
+                }
+            };
+
+            expect(rowList.validate()).toEqual([{
+                rowKey: 1,
+                errors: [{
+                    columnName: 'c2',
+                    errorCode: 'CUSTOM',
+                    message: 'message'
+                }]
+            }]);
+        });
+    });
+
+    describe('validateAsync()', function() {
+        var deferreds;
+
+        beforeEach(function() {
+            deferreds = [];
+            columnModel.getColumnModel('c1').validation = {
+                asyncValidator: function(value) {
+                    var deferred = new $.Deferred();
+
+                    deferreds.push(deferred);
+                    deferred.value = value;
+
+                    return deferred.promise();
+                }
+            };
+        });
+
+        afterEach(function() {
+            delete columnModel.getColumnModel('c1').validation;
+        });
+
+        it('resolves with the result of validate() once all pending validations have finished', function() {
+            var callback = jasmine.createSpy('callback');
+
+            rowList.validateAsync().done(callback);
+            expect(rowList.isValidating()).toBe(true);
+            expect(deferreds.length).toBe(2);
+
+            deferreds[0].resolve(true);
+            expect(callback).not.toHaveBeenCalled();
+
+            deferreds[1].resolve('NOT_EXIST');
+            expect(rowList.isValidating()).toBe(false);
+            expect(callback).toHaveBeenCalledWith([{
+                rowKey: 1,
+                errors: [{
+                    columnName: 'c1',
+                    errorCode: 'NOT_EXIST'
+                }]
+            }]);
+        });
+    });
+
+    describe('getInvalidCells()', function() {
+        afterEach(function() {
+            delete columnModel.getColumnModel('c1').validation;
+            delete columnModel.getColumnModel('c2').validation;
+        });
+
+        it('returns the invalid cells with the messages in the order of rows and columns', function() {
+            columnModel.getColumnModel('c1').validation = {
+                maxLength: 2
+            };
+            columnModel.getColumnModel('c2').validation = {
+                validator: function(value) {
+                    return value === '0-2' ? {
+                        errorCode: 'CUSTOM',
+                        message: 'message'
+                    } : true;
+                }
+            };
+            rowList.validate();
+
+            expect(rowList.getInvalidCells()).toEqual([
+                {
+                    rowKey: 0,
+                    columnName: 'c1',
+                    errorCode: 'MAX_LENGTH',
+                    message: '2자 이하로 입력해 주세요.'
+                },
+                {
+                    rowKey: 0,
+                    columnName: 'c2',
+                    errorCode: 'CUSTOM',
+                    message: 'message'
+                },
+                {
+                    rowKey: 1,
+                    columnName: 'c1',
+                    errorCode: 'MAX_LENGTH',
+                    message: '2자 이하로 입력해 주세요.'
+                }
+            ]);
+        });
+
+        it('uses the messages of the column model if exist', function() {
+            columnModel.getColumnModel('c1').validation = {
+                maxLength: 2,
+                messages: {
+                    MAX_LENGTH: 'max: {maxLength}'
+                }
+            };
+            rowList.validate();
+
+            expect(rowList.getInvalidCells()[0].message).toBe('max: 2');
+        });
+
+        it('returns an empty array if all cells are valid', function() {
+            rowList.validate();
+
+            expect(rowList.getInvalidCells()).toEqual([]);
+        });
     });
 
     describe('getCheckedState()', function() {
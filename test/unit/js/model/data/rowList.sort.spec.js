@@ -82,10 +82,55 @@ describe('data.rowList', function() {
             expect(spyHandler).toHaveBeenCalledWith({
                 columnName: 'c1',
                 isAscending: false,
+                sortKeys: [{
+                    columnName: 'c1',
+                    isAscending: false
+                }],
                 isRequireFetch: true
             });
         });
 
+        it('if isMultiple is true, adds the column to the end of sortKeys.', function() {
+            dataModel.setSortOptionValues('c1', false);
+            dataModel.setSortOptionValues('c2', true, false, true);
+
+            expect(options.columnName).toBe('c1');
+            expect(options.isAscending).toBe(false);
+            expect(options.sortKeys).toEqual([
+                {columnName: 'c1', isAscending: false},
+                {columnName: 'c2', isAscending: true}
+            ]);
+        });
+
+        it('if isMultiple is true and the column is already in sortKeys, changes only its order.', function() {
+            dataModel.setSortOptionValues('c1', true);
+            dataModel.setSortOptionValues('c2', true, false, true);
+            dataModel.setSortOptionValues('c1', false, false, true);
+
+            expect(options.sortKeys).toEqual([
+                {columnName: 'c1', isAscending: false},
+                {columnName: 'c2', isAscending: true}
+            ]);
+        });
+
+        it('if isMultiple is not true, replaces all sortKeys with the column.', function() {
+            dataModel.setSortOptionValues('c1', true);
+            dataModel.setSortOptionValues('c2', true, false, true);
+            dataModel.setSortOptionValues('c2', false);
+
+            expect(options.sortKeys).toEqual([
+                {columnName: 'c2', isAscending: false}
+            ]);
+        });
+
+        it('sorting by rowKey clears sortKeys.', function() {
+            dataModel.setSortOptionValues('c1', true);
+            dataModel.setSortOptionValues('rowKey');
+
+            expect(options.sortKeys).toEqual([]);
+            expect(dataModel.isSortedByField()).toBe(false);
+        });
+
         it('변경된 값이 없으면 sortChanged 이벤트를 발생시키지 않는다.', function() {
             dataModel.on('sortChanged', spyHandler);
 
@@ -152,6 +197,27 @@ describe('data.rowList', function() {
             expect(dataModel.at(2).get('rowKey')).toBe(2);
         });
 
+        it('sorts by the next sort key when the values of the previous key are the same.', function() {
+            dataModel.setValue(1, 'c1', 'a');
+            dataModel.sortByField('c1', true);
+            dataModel.sortByField('c2', false, true);
+
+            expect(dataModel.at(0).get('rowKey')).toBe(2);
+            expect(dataModel.at(1).get('rowKey')).toBe(1);
+            expect(dataModel.at(2).get('rowKey')).toBe(0);
+        });
+
+        it('if isMultiple is true and isAscending is not specified, toggles the order of the column only.', function() {
+            dataModel.sortByField('c1', true);
+            dataModel.sortByField('c2', true, true);
+            dataModel.sortByField('c2', null, true);
+
+            expect(dataModel.sortOptions.sortKeys).toEqual([
+                {columnName: 'c1', isAscending: true},
+                {columnName: 'c2', isAscending: false}
+            ]);
+        });
+
         it('sortOptions.useClient 값이 false 이면 sort를 실행하지 않는다', function() {
             spyOn(dataModel, 'sort');
             dataModel.sortOptions.useClient = false;
@@ -160,5 +226,109 @@ describe('data.rowList', function() {
             expect(dataModel.sort).not.toHaveBeenCalled();
         });
 
+        it('sortByKeys() sorts by the sort keys at once.', function() {
+            var callback = jasmine.createSpy('callback');
+
+            dataModel.on('sortChanged', callback);
+            dataModel.setValue(1, 'c1', 'a');
+            dataModel.sortByKeys([
+                {columnName: 'c1', isAscending: true},
+                {columnName: 'c2', isAscending: false}
+            ]);
+
+            expect(dataModel.pluck('rowKey')).toEqual([2, 1, 0]);
+            expect(callback.calls.count()).toBe(1);
+        });
+    });
+
+    describe('comparator', function() {
+        function setColumn(extraOptions) {
+            columnModel.set('columnModelList', [_.extend({
+                columnName: 'c1'
+            }, extraOptions)]);
+        }
+
+        function setValues(values) {
+            dataModel.setRowList(_.map(values, function(value) {
+                return {c1: value};
+            }));
+        }
+
+        function getSortedValues() {
+            return dataModel.pluck('c1');
+        }
+
+        it('compares numeric strings as numbers if sortingType is number', function() {
+            setColumn({sortingType: 'number'});
+            setValues(['100', '9', '1,000', '-1']);
+            dataModel.sortByField('c1', true);
+
+            expect(getSortedValues()).toEqual(['-1', '9', '100', '1,000']);
+        });
+
+        it('places non-numeric values after the numbers in both orders if sortingType is number', function() {
+            setColumn({sortingType: 'number'});
+            setValues(['b', '10', 'a', '9', 'N/A', '-1']);
+
+            dataModel.sortByField('c1', true);
+            expect(getSortedValues()).toEqual(['-1', '9', '10', 'N/A', 'a', 'b']);
+
+            dataModel.sortByField('c1', false);
+            expect(getSortedValues()).toEqual(['10', '9', '-1', 'b', 'a', 'N/A']);
+        });
+
+        it('compares date strings as dates if sortingType is date', function() {
+            setColumn({sortingType: 'date'});
+            setValues(['2016.03.07', '2015-12-25', '2016/3/10', '2016년 1월 2일']);
+            dataModel.sortByField('c1', false);
+
+            expect(getSortedValues()).toEqual(['2016/3/10', '2016.03.07', '2016년 1월 2일', '2015-12-25']);
+        });
+
+        it('compares strings with localeCompare if sortingType is locale', function() {
+            setColumn({sortingType: 'locale'});
+            setValues(['다', '가', '나']);
+            dataModel.sortByField('c1', true);
+
+            expect(getSortedValues()).toEqual(['가', '나', '다']);
+        });
+
+        it('uses the comparator of the column model if exists', function() {
+            var comparator = jasmine.createSpy('comparator').and.callFake(function(a, b) {
+                return a.length - b.length;
+            });
+
+            setColumn({comparator: comparator});
+            setValues(['ccc', 'a', 'bb']);
+            dataModel.sortByField('c1', true);
+
+            expect(getSortedValues()).toEqual(['a', 'bb', 'ccc']);
+            expect(comparator.calls.argsFor(0)[2].c1).toEqual(jasmine.any(String));
+        });
+
+        it('places empty values at the end regardless of the order if nullOrder is last', function() {
+            setColumn({
+                sortingType: 'number',
+                nullOrder: 'last'
+            });
+            setValues([2, null, 1]);
+
+            dataModel.sortByField('c1', true);
+            expect(getSortedValues()).toEqual([1, 2, null]);
+
+            dataModel.sortByField('c1', false);
+            expect(getSortedValues()).toEqual([2, 1, null]);
+        });
+
+        it('places empty values at the start regardless of the order if nullOrder is first', function() {
+            setColumn({
+                sortingType: 'number',
+                nullOrder: 'first'
+            });
+            setValues([2, '', 1]);
+
+            dataModel.sortByField('c1', false);
+            expect(getSortedValues()).toEqual(['', 2, 1]);
+        });
     });
 });
@@ -2,6 +2,7 @@
 
 var ColumnModelData = require('model/data/columnModel');
 var RowListData = require('model/data/rowList');
+var classNameConst = require('common/classNameConst');
 
 describe('data.rowList', function() {
     var columnModelList = [
@@ -1088,6 +1089,183 @@ describe('data.rowList', function() {
                     expect(dataModelInstance.getOriginal(0, 'none')).toBe(expectResultList[0]['none']);
                 });
             });
+
+            describe('appendOriginalRowList()', function() {
+                it('appends the rows as the original data, not as the created rows', function() {
+                    var length = dataModelInstance.length;
+                    var modelList = dataModelInstance.appendOriginalRowList([{none: 'a'}, {none: 'b'}]);
+                    var rowKey = modelList[0].get('rowKey');
+
+                    expect(dataModelInstance.length).toBe(length + 2);
+                    expect(dataModelInstance.getOriginal(rowKey, 'none')).toBe('a');
+                    expect(dataModelInstance.getModifiedRowList().createList.length).toBe(0);
+                    expect(dataModelInstance.historyModel.canUndo()).toBe(false);
+                });
+
+                it('inserts the original data after the nearest previous original row', function() {
+                    var createdRowKey = dataModelInstance.append({none: 'new'}, {at: 1})[0].get('rowKey');
+                    var rowKeys = _.invoke(dataModelInstance.appendOriginalRowList([{none: 'a'}, {none: 'b'}], {
+                        at: 2
+                    }), 'get', 'rowKey');
+                    var tailRowKey = dataModelInstance.appendOriginalRowList([{none: 'c'}])[0].get('rowKey');
+                    var originalRowKeys = _.pluck(dataModelInstance.getOriginalRowList(), 'rowKey');
+                    var modifiedList = dataModelInstance.getModifiedRowList({
+                        isOnlyRowKeyList: true
+                    });
+
+                    expect(originalRowKeys.slice(0, 4)).toEqual([0, rowKeys[0], rowKeys[1], 1]);
+                    expect(_.last(originalRowKeys)).toBe(tailRowKey);
+                    expect(dataModelInstance.getOriginal(tailRowKey, 'none')).toBe('c');
+                    expect(modifiedList.createList).toEqual([createdRowKey]);
+                    expect(modifiedList.orderChangedList).toEqual([]);
+                });
+            });
+
+            describe('setOriginalRows()', function() {
+                it('sets the current data of the rows as the original data', function() {
+                    var rowKey = dataModelInstance.append({none: 'new'})[0].get('rowKey');
+                    var modifiedList;
+
+                    dataModelInstance.setValue(0, 'none', 'changed');
+                    dataModelInstance.setValue(1, 'none', 'changed');
+                    dataModelInstance.removeRow(2);
+                    dataModelInstance.setOriginalRows([0, rowKey, 2]);
+                    modifiedList = dataModelInstance.getModifiedRowList({
+                        isOnlyRowKeyList: true
+                    });
+
+                    expect(modifiedList.createList).toEqual([]);
+                    expect(modifiedList.updateList).toEqual([1]);
+                    expect(modifiedList.deleteList).toEqual([]);
+                    expect(dataModelInstance.getOriginal(0, 'none')).toBe('changed');
+                    expect(dataModelInstance.getOriginal(rowKey, 'none')).toBe('new');
+                    expect(_.pluck(dataModelInstance.getOriginalRowList(), 'rowKey').slice(0, 3)).toEqual([0, 1, 3]);
+                });
+            });
+
+            describe('mergeRowData()', function() {
+                it('merges the data of the known columns into the row without recording the history', function() {
+                    dataModelInstance.mergeRowData(0, {
+                        rowKey: 100,
+                        none: 'server',
+                        unknown: 'x'
+                    });
+
+                    expect(dataModelInstance.get(0).get('none')).toBe('server');
+                    expect(dataModelInstance.get(0).has('unknown')).toBe(false);
+                    expect(dataModelInstance.get(100)).toBeFalsy();
+                    expect(dataModelInstance.historyModel.canUndo()).toBe(false);
+                });
+            });
+
+            describe('setSyncState()', function() {
+                it('sets the sync state and adds the class name of the state to the cells', function() {
+                    dataModelInstance.setSyncState(0, 'ERROR', 'Duplicated');
+
+                    expect(dataModelInstance.getSyncState(0)).toEqual({
+                        state: 'ERROR',
+                        message: 'Duplicated'
+                    });
+                    expect(dataModelInstance.get(0).getClassNameList('none')).toContain(classNameConst.CELL_SYNC_ERROR);
+
+                    dataModelInstance.setSyncState(0, '');
+                    expect(dataModelInstance.getSyncState(0)).toBe(null);
+                    expect(dataModelInstance.get(0).getClassNameList('none'))
+                        .not.toContain(classNameConst.CELL_SYNC_ERROR);
+                });
+            });
+
+            describe('applyTransaction()', function() {
+                it('applies the changes of the rows as the original data without recording the history', function() {
+                    var length = dataModelInstance.length;
+                    var result;
+
+                    dataModelInstance.setValue(1, 'keyColumn', 'modified');
+                    result = dataModelInstance.applyTransaction({
+                        add: [{none: 'added'}],
+                        update: [{rowKey: 1, none: 'pushed'}, {rowKey: 99, none: 'x'}],
+                        remove: [2]
+                    });
+
+                    expect(result.updated).toEqual([1]);
+                    expect(result.removed).toEqual([2]);
+                    expect(result.added.length).toBe(1);
+                    expect(dataModelInstance.length).toBe(length);
+                    expect(dataModelInstance.get(1).get('none')).toBe('pushed');
+                    expect(dataModelInstance.getModifiedRowList({
+                        isOnlyRowKeyList: true
+                    })).toEqual({
+                        createList: [],
+                        updateList: [1],
+                        deleteList: [],
+                        orderChangedList: []
+                    });
+                    expect(dataModelInstance.getOriginal(1, 'keyColumn')).not.toBe('modified');
+                    expect(dataModelInstance.historyModel.canUndo()).toBe(true);
+
+                    dataModelInstance.undo();
+                    expect(dataModelInstance.historyModel.canUndo()).toBe(false);
+                    expect(dataModelInstance.get(1).get('none')).toBe('pushed');
+                });
+
+                it('skips the locked rows', function() {
+                    var before = dataModelInstance.get(0).get('none');
+                    var result = dataModelInstance.applyTransaction({
+                        update: [{rowKey: 0, none: 'pushed'}],
+                        remove: [{rowKey: 0}]
+                    }, {
+                        lockedRowKeys: ['0']
+                    });
+
+                    expect(result.skipped).toEqual([0, 0]);
+                    expect(dataModelInstance.get(0).get('none')).toBe(before);
+                });
+
+                it('removes the original data of the removed rows at once', function() {
+                    spyOn(dataModelInstance, '_removeOriginalRows').and.callThrough();
+                    dataModelInstance.applyTransaction({
+                        remove: [1, {rowKey: 2}]
+                    });
+
+                    expect(dataModelInstance._removeOriginalRows.calls.count()).toBe(1);
+                    expect(dataModelInstance.getOriginalRow(1)).toBeUndefined();
+                    expect(dataModelInstance.getOriginalRow(2)).toBeUndefined();
+                    expect(_.pluck(dataModelInstance.getOriginalRowList(), 'rowKey')).not.toContain(2);
+                    expect(dataModelInstance.getModifiedRowList().deleteList).toEqual([]);
+                });
+
+                it('highlights the changed cells for a while if the flash option is true', function() {
+                    jasmine.clock().install();
+                    dataModelInstance.applyTransaction({
+                        update: [{rowKey: 0, none: 'pushed'}]
+                    }, {
+                        flash: true
+                    });
+
+                    expect(dataModelInstance.get(0).getClassNameList('none')).toContain(classNameConst.CELL_FLASH);
+                    jasmine.clock().tick(1000);
+                    expect(dataModelInstance.get(0).getClassNameList('none'))
+                        .not.toContain(classNameConst.CELL_FLASH);
+                    jasmine.clock().uninstall();
+                });
+
+                it('clears the timers of the flashing cells when destroyed', function() {
+                    var row = dataModelInstance.get(0);
+
+                    jasmine.clock().install();
+                    dataModelInstance.applyTransaction({
+                        update: [{rowKey: 0, none: 'pushed'}]
+                    }, {
+                        flash: true
+                    });
+                    spyOn(row, 'removeCellClassName');
+                    dataModelInstance._destroy();
+                    jasmine.clock().tick(1000);
+
+                    expect(row.removeCellClassName).not.toHaveBeenCalled();
+                    jasmine.clock().uninstall();
+                });
+            });
         });
 
         describe('indexOfRowKey()', function() {
@@ -1537,7 +1715,8 @@ describe('data.rowList', function() {
                         deleteList: [
                             {none: 'none3', text: 'text3', hidden: 'hidden3', rowKey: 2},
                             {none: 'none4', text: 'text4', hidden: 'hidden4', rowKey: 3}
-                        ]
+                        ],
+                        orderChangedList: []
                     });
                 });
 
@@ -1553,7 +1732,8 @@ describe('data.rowList', function() {
                         deleteList: [
                             {none: 'none3', text: 'text3', hidden: 'hidden3', rowKey: 2},
                             {none: 'none4', text: 'text4', hidden: 'hidden4', rowKey: 3}
-                        ]
+                        ],
+                        orderChangedList: []
                     });
                 });
 
@@ -1592,7 +1772,8 @@ describe('data.rowList', function() {
                     expect(modifiedList).toEqual({
                         createList: [],
                         updateList: [],
-                        deleteList: []
+                        deleteList: [],
+                        orderChangedList: []
                     });
                 });
 
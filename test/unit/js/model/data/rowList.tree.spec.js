@@ -0,0 +1,266 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+
+describe('data.rowList - tree', function() {
+    var dataModel;
+
+    /**
+     * Returns the rowKeys of the visible rows
+     * @returns {Array}
+     */
+    function getVisibleRowKeys() {
+        return _.invoke(dataModel.getVisibleRows(), 'get', 'rowKey');
+    }
+
+    /**
+     * Creates the data model using the tree column
+     * @param {Object} [treeColumnOptions] - options of the tree column
+     */
+    function createDataModel(treeColumnOptions) {
+        var columnModel = new ColumnModelData({
+            selectType: 'checkbox',
+            columnModelList: [
+                {
+                    columnName: 'c1',
+                    editOption: {
+                        type: 'text'
+                    }
+                },
+                {
+                    columnName: 'c2'
+                }
+            ]
+        });
+
+        dataModel = new RowListData([], {
+            columnModel: columnModel,
+            treeColumnOptions: _.extend({
+                name: 'c1'
+            }, treeColumnOptions)
+        });
+        dataModel.setRowList([
+            {
+                c1: 'a',
+                _children: [
+                    {
+                        c1: 'a-1',
+                        _children: [
+                            {c1: 'a-1-1'}
+                        ]
+                    },
+                    {c1: 'a-2'}
+                ]
+            },
+            {
+                c1: 'b'
+            }
+        ]);
+    }
+
+    describe('setRowList()', function() {
+        beforeEach(function() {
+            createDataModel();
+        });
+
+        it('places the children after their parent and keeps the relation', function() {
+            expect(dataModel.isTree()).toBe(true);
+            expect(dataModel.pluck('c1')).toEqual(['a', 'a-1', 'a-1-1', 'a-2', 'b']);
+            expect(dataModel.getParentRowKey(1)).toBe(0);
+            expect(dataModel.getParentRowKey(0)).toBeNull();
+            expect(dataModel.getChildRowKeys(0)).toEqual([1, 3]);
+            expect(dataModel.getDescendantRowKeys(0)).toEqual([1, 2, 3]);
+            expect(dataModel.getTreeDepth(2)).toBe(2);
+            expect(dataModel.get(0).get('_children')).toBeUndefined();
+        });
+
+        it('returns the tree information of the row', function() {
+            expect(dataModel.getTreeInfo(1)).toEqual({
+                depth: 1,
+                hasChildren: true,
+                isExpanded: false,
+                isLoading: false
+            });
+            expect(dataModel.getTreeInfo(4).hasChildren).toBe(false);
+        });
+
+        it('does not use the tree if the name of the tree column is not given', function() {
+            dataModel = new RowListData([], {
+                columnModel: new ColumnModelData(),
+                treeColumnOptions: {}
+            });
+
+            expect(dataModel.isTree()).toBe(false);
+        });
+    });
+
+    describe('setTreeExpanded()', function() {
+        beforeEach(function() {
+            createDataModel();
+        });
+
+        it('shows only the root rows and the children of the expanded rows', function() {
+            expect(getVisibleRowKeys()).toEqual([0, 4]);
+            expect(dataModel.isVisibleRowKey(1)).toBe(false);
+
+            dataModel.setTreeExpanded(0, true);
+            expect(getVisibleRowKeys()).toEqual([0, 1, 3, 4]);
+            expect(dataModel.indexOfVisibleRowKey(3)).toBe(2);
+        });
+
+        it('expands the descendants together if isRecursive is true', function() {
+            dataModel.setTreeExpanded(0, true, true);
+            expect(getVisibleRowKeys()).toEqual([0, 1, 2, 3, 4]);
+
+            dataModel.toggleTree(0);
+            expect(getVisibleRowKeys()).toEqual([0, 4]);
+            expect(dataModel.getTreeInfo(1).isExpanded).toBe(true);
+        });
+
+        it('expands or collapses all rows', function() {
+            dataModel.setAllTreeExpanded(true);
+            expect(dataModel.getVisibleRowCount()).toBe(5);
+
+            dataModel.setAllTreeExpanded(false);
+            expect(dataModel.getVisibleRowCount()).toBe(2);
+        });
+
+        it('triggers the expanded and collapsed events', function() {
+            var expandedSpy = jasmine.createSpy('expanded');
+            var collapsedSpy = jasmine.createSpy('collapsed');
+
+            dataModel.on('expanded', expandedSpy);
+            dataModel.on('collapsed', collapsedSpy);
+            dataModel.setTreeExpanded(0, true);
+            dataModel.setTreeExpanded(0, false);
+
+            expect(expandedSpy).toHaveBeenCalledWith({
+                rowKeys: [0]
+            });
+            expect(collapsedSpy).toHaveBeenCalledWith({
+                rowKeys: [0]
+            });
+        });
+
+        it('sorts the siblings keeping the hierarchy', function() {
+            dataModel.setAllTreeExpanded(true);
+            dataModel.sortByField('c1', false);
+
+            expect(getVisibleRowKeys()).toEqual([4, 0, 3, 1, 2]);
+        });
+
+        it('expands all rows initially if the isExpanded option is true', function() {
+            createDataModel({
+                isExpanded: true
+            });
+
+            expect(dataModel.getVisibleRowCount()).toBe(5);
+        });
+    });
+
+    describe('append()', function() {
+        beforeEach(function() {
+            createDataModel();
+        });
+
+        it('appends the rows as the last children of the parent row and expands it', function() {
+            dataModel.append({c1: 'a-3'}, {
+                parentRowKey: 0
+            });
+
+            expect(dataModel.pluck('c1')).toEqual(['a', 'a-1', 'a-1-1', 'a-2', 'a-3', 'b']);
+            expect(dataModel.getChildRowKeys(0)).toEqual([1, 3, 5]);
+            expect(dataModel.getTreeInfo(0).isExpanded).toBe(true);
+        });
+    });
+
+    describe('removeRow()', function() {
+        beforeEach(function() {
+            createDataModel();
+        });
+
+        it('removes the descendants together and restores them at once by undo', function() {
+            dataModel.removeRow(1);
+
+            expect(dataModel.pluck('c1')).toEqual(['a', 'a-2', 'b']);
+            expect(dataModel.getChildRowKeys(0)).toEqual([3]);
+
+            dataModel.undo();
+            expect(dataModel.pluck('c1')).toEqual(['a', 'a-1', 'a-1-1', 'a-2', 'b']);
+            expect(dataModel.getDescendantRowKeys(0)).toEqual([1, 2, 3]);
+        });
+    });
+
+    describe('cascading checkbox', function() {
+        it('checks the descendants with the row', function() {
+            createDataModel();
+            dataModel.check(0);
+
+            expect(dataModel.getRowList(true).length).toBe(4);
+        });
+
+        it('checks the parent if all of its children are checked', function() {
+            createDataModel();
+            dataModel.check(2);
+            expect(dataModel.get(1).get('_button')).toBe(true);
+            expect(dataModel.get(0).get('_button')).toBe(false);
+
+            dataModel.check(3);
+            expect(dataModel.get(0).get('_button')).toBe(true);
+
+            dataModel.uncheck(2);
+            expect(dataModel.get(1).get('_button')).toBe(false);
+            expect(dataModel.get(0).get('_button')).toBe(false);
+        });
+
+        it('does not synchronize the checked states if the useCascadingCheckbox is false', function() {
+            createDataModel({
+                useCascadingCheckbox: false
+            });
+            dataModel.check(0);
+
+            expect(dataModel.getRowList(true).length).toBe(1);
+        });
+    });
+
+    describe('lazy children', function() {
+        beforeEach(function() {
+            createDataModel();
+            dataModel.append({
+                c1: 'c',
+                _children: true
+            });
+        });
+
+        it('triggers the childrenRequired event once when the row is expanded', function() {
+            var spy = jasmine.createSpy('childrenRequired');
+
+            dataModel.on('childrenRequired', spy);
+            dataModel.setTreeExpanded(5, true);
+            dataModel.setTreeExpanded(5, true);
+
+            expect(spy.calls.count()).toBe(1);
+            expect(spy).toHaveBeenCalledWith({
+                rowKey: 5
+            });
+            expect(dataModel.getTreeInfo(5)).toEqual(jasmine.objectContaining({
+                hasChildren: true,
+                isLoading: true
+            }));
+        });
+
+        it('clears the loading state when the children are appended', function() {
+            dataModel.setTreeExpanded(5, true);
+            dataModel.appendOriginalRowList([{c1: 'c-1'}], {
+                parentRowKey: 5
+            });
+
+            expect(dataModel.getTreeInfo(5)).toEqual(jasmine.objectContaining({
+                isExpanded: true,
+                isLoading: false
+            }));
+            expect(getVisibleRowKeys()).toEqual([0, 4, 5, 6]);
+        });
+    });
+});
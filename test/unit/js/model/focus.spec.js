@@ -134,6 +134,57 @@ describe('model/focus', function() {
         });
     });
 
+    describe('focusNextInvalidCell()', function() {
+        beforeEach(function() {
+            var dataModel = focusModel.dataModel;
+
+            focusModel.columnModel.getColumnModel('c2').isRequired = true;
+            focusModel.columnModel.getColumnModel('c3').isRequired = true;
+            dataModel.setValue(1, 'c3', '');
+            dataModel.setValue(2, 'c2', '');
+            dataModel.setValue(3, 'c3', '');
+            focusModel.blur();
+        });
+
+        it('focuses the first invalid cell if no cell is focused', function() {
+            var cell = focusModel.focusNextInvalidCell();
+
+            expect(cell.rowKey).toBe(1);
+            expect(cell.columnName).toBe('c3');
+            expect(focusModel.get('rowKey')).toBe(1);
+            expect(focusModel.get('columnName')).toBe('c3');
+        });
+
+        it('focuses the next invalid cell from the focused cell', function() {
+            focusModel.focus(1, 'c3');
+            focusModel.focusNextInvalidCell();
+            expect(focusModel.get('rowKey')).toBe(2);
+            expect(focusModel.get('columnName')).toBe('c2');
+
+            focusModel.focusNextInvalidCell();
+            expect(focusModel.get('rowKey')).toBe(3);
+            expect(focusModel.get('columnName')).toBe('c3');
+        });
+
+        it('focuses the first invalid cell if no invalid cell exists after the focused cell', function() {
+            focusModel.focus(3, 'c3');
+            focusModel.focusNextInvalidCell();
+
+            expect(focusModel.get('rowKey')).toBe(1);
+            expect(focusModel.get('columnName')).toBe('c3');
+        });
+
+        it('returns null if no invalid cell exists', function() {
+            var dataModel = focusModel.dataModel;
+
+            dataModel.setValue(1, 'c3', 'a');
+            dataModel.setValue(2, 'c2', 'a');
+            dataModel.setValue(3, 'c3', 'a');
+
+            expect(focusModel.focusNextInvalidCell()).toBeNull();
+        });
+    });
+
     describe('blur()', function() {
         it('blur 한다.', function() {
             focusModel.blur();
@@ -300,6 +351,39 @@ describe('model/focus', function() {
         });
     });
 
+    describe('with group rows', function() {
+        beforeEach(function() {
+            focusModel.dataModel.groupBy('c1');
+        });
+
+        it('skips the group rows when moving the focus', function() {
+            focusModel.focus(0, 'c1');
+            expect(focusModel._findRowKey(1)).toBe(1);
+            expect(focusModel._findRowKey(-1)).toBe(0);
+            expect(focusModel.firstRowKey()).toBe(0);
+            expect(focusModel.lastRowKey()).toBe(3);
+        });
+
+        it('does not focus the group rows', function() {
+            var groupRowKey = focusModel.dataModel.getVisibleRowAt(0).get('rowKey');
+
+            focusModel.focus(groupRowKey, 'c1');
+            expect(focusModel.has()).toBe(false);
+
+            focusModel.focusAt(0, 0);
+            expect(focusModel.has()).toBe(false);
+        });
+
+        it('unselects the current row if its group is collapsed', function() {
+            var dataModel = focusModel.dataModel;
+
+            focusModel.focus(1, 'c1');
+            dataModel.setGroupExpanded(dataModel.getVisibleRowAt(2).get('rowKey'), false);
+
+            expect(focusModel.has()).toBe(false);
+        });
+    });
+
     describe('restore', function() {
         it('If previous data exist, restore it and return true', function() {
             var result;
@@ -114,6 +114,38 @@ describe('model.renderer', function() {
         });
     });
 
+    describe('with the server-side row model', function() {
+        var dataModel;
+
+        beforeEach(function() {
+            renderer = create();
+            renderer.dimensionModel.set({
+                bodyHeight: 100,
+                rowHeight: 10 - CELL_BORDER_WIDTH
+            });
+            dataModel = renderer.dataModel;
+            dataModel.useServerSideRows({
+                blockSize: 20
+            });
+            spyOn(dataModel, 'trigger').and.callThrough();
+            dataModel.resetServerSideRows(1000);
+        });
+
+        it('requests the blocks of the rows in the rendering range', function() {
+            renderer.set('scrollTop', 500);
+
+            expect(dataModel.trigger).toHaveBeenCalledWith('blockRequired', 2);
+            expect(dataModel.trigger).not.toHaveBeenCalledWith('blockRequired', 1);
+        });
+
+        it('refreshes the view models when the rows in the rendering range are loaded', function() {
+            dataModel.setBlockRows(0, [{c1: 'a'}]);
+
+            expect(renderer.get('rside').at(0).get('c1').value).toBe('a');
+            expect(renderer.get('rside').at(1).get('c1').className).toContain('cell-placeholder');
+        });
+    });
+
     describe('_shouldRefresh()', function() {
         var rowHeight = 10;
         var bodyHeight = 100;
@@ -116,6 +116,20 @@ describe('model/summary', function() {
 
             expect(summary.getValue('c1', typeConst.SUM)).toBe(2);
         });
+
+        it('Filter', function() {
+            summary.dataModel.filterByField('c1', {
+                type: 'number',
+                min: 2
+            });
+
+            expect(summary.getValue('c1', typeConst.SUM)).toBe(2);
+            expect(summary.getValue('c1', typeConst.CNT)).toBe(1);
+
+            summary.dataModel.unfilterByField();
+
+            expect(summary.getValue('c1', typeConst.SUM)).toBe(3);
+        });
     });
 
     describe('If a column name is not in the autoColumnNames', function() {
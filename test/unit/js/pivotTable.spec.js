@@ -0,0 +1,154 @@
+'use strict';
+
+var ColumnModelData = require('model/data/columnModel');
+var RowListData = require('model/data/rowList');
+var PivotTable = require('pivotTable');
+
+describe('pivotTable', function() {
+    var columnModel, dataModel, pivotTable;
+
+    beforeEach(function() {
+        columnModel = new ColumnModelData({
+            keyColumnName: 'id',
+            columnFixCount: 1,
+            columnModelList: [
+                {columnName: 'id'},
+                {columnName: 'region', title: 'Region', width: 100},
+                {columnName: 'year'},
+                {columnName: 'quarter'},
+                {columnName: 'amount', title: 'Amount'}
+            ]
+        });
+        dataModel = new RowListData([], {
+            columnModel: columnModel
+        });
+        dataModel.setRowList([
+            {id: 1, region: 'east', year: 2016, quarter: 'Q2', amount: 10},
+            {id: 2, region: 'west', year: 2016, quarter: 'Q1', amount: 20},
+            {id: 3, region: 'east', year: 2017, quarter: 'Q1', amount: 30},
+            {id: 4, region: 'east', year: 2016, quarter: 'Q2', amount: 40}
+        ]);
+        pivotTable = new PivotTable({
+            dataModel: dataModel,
+            columnModel: columnModel
+        });
+    });
+
+    describe('apply()', function() {
+        it('creates a row for each value of the row fields and a column for each value of the column fields', function() {
+            pivotTable.apply({
+                rowFields: 'region',
+                columnFields: 'year',
+                valueFields: 'amount'
+            });
+
+            expect(_.pluck(columnModel.get('dataColumnModelList'), 'title')).toEqual(['Region', '2016', '2017']);
+            expect(columnModel.getColumnModel('region').width).toBe(100);
+            expect(columnModel.get('columnFixCount')).toBe(1);
+            expect(columnModel.get('columnMerge')).toEqual([]);
+            expect(dataModel.getRowList()).toEqual([
+                jasmine.objectContaining({region: 'east', 'pivot-0': 50, 'pivot-1': 30}),
+                jasmine.objectContaining({region: 'west', 'pivot-0': 20, 'pivot-1': null})
+            ]);
+            expect(dataModel.isChanged()).toBe(false);
+        });
+
+        it('creates the merged columns for the nested column fields and the multiple value fields', function() {
+            pivotTable.apply({
+                rowFields: 'region',
+                columnFields: ['year', 'quarter'],
+                valueFields: [
+                    {name: 'amount', type: 'sum'},
+                    {name: 'amount', type: 'cnt', title: 'Count'}
+                ]
+            });
+
+            expect(_.pluck(columnModel.get('dataColumnModelList'), 'title')).toEqual([
+                'Region', 'Amount (sum)', 'Count', 'Amount (sum)', 'Count', 'Amount (sum)', 'Count'
+            ]);
+            expect(columnModel.get('columnMerge')).toEqual([
+                {columnName: 'pivot-merge-0', title: 'Q1', columnNameList: ['pivot-0', 'pivot-1']},
+                {columnName: 'pivot-merge-1', title: 'Q2', columnNameList: ['pivot-2', 'pivot-3']},
+                {columnName: 'pivot-merge-2', title: '2016', columnNameList: ['pivot-merge-0', 'pivot-merge-1']},
+                {columnName: 'pivot-merge-3', title: 'Q1', columnNameList: ['pivot-4', 'pivot-5']},
+                {columnName: 'pivot-merge-4', title: '2017', columnNameList: ['pivot-merge-3']}
+            ]);
+            expect(dataModel.getRowList()[0]).toEqual(jasmine.objectContaining({
+                'pivot-0': null,
+                'pivot-2': 50,
+                'pivot-3': 2,
+                'pivot-4': 30
+            }));
+        });
+
+        it('aggregates all rows into a row if the row fields are not specified', function() {
+            pivotTable.apply({
+                valueFields: [
+                    {name: 'amount', type: 'avg'},
+                    {name: 'amount', type: 'max'}
+                ]
+            });
+
+            expect(dataModel.length).toBe(1);
+            expect(dataModel.getRowList()[0]).toEqual(jasmine.objectContaining({
+                'pivot-0': 25,
+                'pivot-1': 40
+            }));
+        });
+
+        it('pivots the rows before the pivot again with the new options', function() {
+            pivotTable.apply({
+                rowFields: 'region',
+                valueFields: 'amount'
+            });
+            pivotTable.apply({
+                rowFields: 'year',
+                valueFields: {name: 'amount', type: 'min'}
+            });
+
+            expect(_.pluck(dataModel.getRowList(), 'pivot-0')).toEqual([10, 30]);
+            expect(pivotTable.getOptions()).toEqual({
+                rowFields: ['year'],
+                columnFields: [],
+                valueFields: [{name: 'amount', type: 'min'}]
+            });
+        });
+
+        it('throws an error if the options are invalid', function() {
+            expect(function() {
+                pivotTable.apply({
+                    rowFields: 'region'
+                });
+            }).toThrow();
+            expect(function() {
+                pivotTable.apply({
+                    valueFields: {name: 'amount', type: 'median'}
+                });
+            }).toThrow();
+            expect(pivotTable.isApplied()).toBe(false);
+        });
+    });
+
+    describe('reset()', function() {
+        it('restores the columns and the rows before the pivot', function() {
+            pivotTable.apply({
+                rowFields: 'region',
+                columnFields: 'year',
+                valueFields: 'amount'
+            });
+            pivotTable.reset();
+
+            expect(pivotTable.isApplied()).toBe(false);
+            expect(pivotTable.getOptions()).toBeNull();
+            expect(columnModel.get('keyColumnName')).toBe('id');
+            expect(columnModel.get('columnFixCount')).toBe(1);
+            expect(_.pluck(columnModel.get('dataColumnModelList'), 'columnName')).toEqual([
+                'id', 'region', 'year', 'quarter', 'amount'
+            ]);
+            expect(dataModel.getRowList()[3]).toEqual(jasmine.objectContaining({
+                rowKey: 4,
+                amount: 40
+            }));
+        });
+    });
+});
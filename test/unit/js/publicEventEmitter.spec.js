@@ -46,6 +46,27 @@ describe('publicEventEmitter', function() {
         });
     });
 
+    describe('listenToDataModel', function() {
+        beforeEach(function() {
+            emitter.listenToDataModel(target);
+        });
+
+        it('should listen sortChanged event', function() {
+            testTrigger(target, publicObject, 'sortChanged');
+        });
+
+        it('should listen filterChanged event', function() {
+            testTrigger(target, publicObject, 'filterChanged');
+        });
+    });
+
+    describe('listenToHistoryModel', function() {
+        it('should listen historyChanged event', function() {
+            emitter.listenToHistoryModel(target);
+            testTrigger(target, publicObject, 'historyChanged');
+        });
+    });
+
     describe('listenToContainerView', function() {
         beforeEach(function() {
             emitter.listenToContainerView(target);
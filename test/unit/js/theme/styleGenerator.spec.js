@@ -221,6 +221,34 @@ describe('theme/styleGenerator: ', function() {
         expect(styleGen.cellInvalid(options)).toBe(expected);
     });
 
+    it('cellValidating() generates a css string for validating cells', function() {
+        var options = {
+            background: 'white',
+            text: 'red'
+        };
+        var expected = '.' + classNameConst.CELL_VALIDATING + '{background-color:white;color:red}';
+
+        expect(styleGen.cellValidating(options)).toBe(expected);
+    });
+
+    it('cellFlash() generates a css string for flashing cells', function() {
+        var options = {
+            background: 'yellow'
+        };
+        var expected = '.' + classNameConst.CELL_FLASH + '{background-color:yellow}';
+
+        expect(styleGen.cellFlash(options)).toBe(expected);
+    });
+
+    it('cellGroupRow() generates a css string for cells in the group rows', function() {
+        var options = {
+            background: 'gray'
+        };
+        var expected = '.' + classNameConst.CELL_GROUP_ROW + '{background-color:gray}';
+
+        expect(styleGen.cellGroupRow(options)).toBe(expected);
+    });
+
     it('cellCurrentRow() generates a css string for cells in a current row', function() {
         var options = {
             background: 'white',
@@ -395,6 +395,17 @@ describe('view.clipboard', function() {
                 expect(modelManager.selectionModel.selectAll.calls.count()).toBe(1);
             });
 
+            it('Ctrl+Z calls dataModel.undo() and Ctrl+Y calls dataModel.redo()', function() {
+                spyOn(modelManager.dataModel, 'undo');
+                spyOn(modelManager.dataModel, 'redo');
+
+                clipboard._keyInWithCtrl(getKeyEvent('CHAR_Z'));
+                expect(modelManager.dataModel.undo).toHaveBeenCalled();
+
+                clipboard._keyInWithCtrl(getKeyEvent('CHAR_Y'));
+                expect(modelManager.dataModel.redo).toHaveBeenCalled();
+            });
+
             it('focus 를 호출하는 키는 focus 호출하는지 확인한다.', function() {
                 clipboard._unlock();
                 keyEvent = getKeyEvent('HOME');
@@ -427,6 +438,13 @@ describe('view.clipboard', function() {
                 clipboard._keyInWithShiftAndCtrl(keyEvent);
                 expect(clipboard._updateSelectionByKeyIn.calls.count()).toBe(2);
             });
+
+            it('Ctrl+Shift+Z calls dataModel.redo()', function() {
+                spyOn(modelManager.dataModel, 'redo');
+                clipboard._keyInWithShiftAndCtrl(getKeyEvent('CHAR_Z'));
+
+                expect(modelManager.dataModel.redo).toHaveBeenCalled();
+            });
         });
 
         describe('_del', function() {
@@ -535,5 +553,133 @@ describe('view.clipboard', function() {
                 expect(modelManager.focusModel.refreshState).toHaveBeenCalled();
             });
         });
+
+        describe('_getProcessClipBoardData', function() {
+            it('parses the value as TSV ignoring the line break at the end', function() {
+                clipboard.$el.val('a\tb\r\nc\td\r\n');
+
+                expect(clipboard._getProcessClipBoardData()).toEqual([
+                    ['a', 'b'],
+                    ['c', 'd']
+                ]);
+            });
+
+            it('parses the quoted cells which contain line breaks, tabs or quotes', function() {
+                clipboard.$el.val('"a\nb"\t"say ""hi"""\n"c\td"\te\n');
+
+                expect(clipboard._getProcessClipBoardData()).toEqual([
+                    ['a\nb', 'say "hi"'],
+                    ['c\td', 'e']
+                ]);
+            });
+        });
+
+        describe('_onPaste', function() {
+            /**
+             * Creates a paste event
+             * @param {Object} data - data mapped by the types
+             * @returns {Object}
+             */
+            function createPasteEvent(data) {
+                return {
+                    originalEvent: {
+                        clipboardData: {
+                            getData: function(type) {
+                                return data[type] || '';
+                            }
+                        }
+                    },
+                    preventDefault: jasmine.createSpy('preventDefault')
+                };
+            }
+
+            beforeEach(function() {
+                modelManager.focusModel.focus(0, 'c1');
+                spyOn(modelManager.dataModel, 'paste');
+            });
+
+            it('pastes the table in the text/html from the focused cell', function() {
+                var event = createPasteEvent({
+                    'text/html': '<meta charset="utf-8"><table><tbody>' +
+                        '<tr><td>a<br>b</td><td> c&nbsp;</td></tr>' +
+                        '<tr><td>d</td><td><span>e</span></td></tr></tbody></table>',
+                    'text/plain': 'x'
+                });
+
+                clipboard._onPaste(event);
+
+                expect(event.preventDefault).toHaveBeenCalled();
+                expect(modelManager.dataModel.paste).toHaveBeenCalledWith([
+                    ['a\nb', 'c'],
+                    ['d', 'e']
+                ], {
+                    row: 0,
+                    column: 0
+                });
+            });
+
+            it('fills the area of the merged cells with empty strings', function() {
+                clipboard._onPaste(createPasteEvent({
+                    'text/html': '<table><tr><td rowspan="2">a</td><td colspan="2">b</td></tr>' +
+                        '<tr><td>c</td><th>d</th></tr></table>'
+                }));
+
+                expect(modelManager.dataModel.paste.calls.argsFor(0)[0]).toEqual([
+                    ['a', 'b', ''],
+                    ['', 'c', 'd']
+                ]);
+            });
+
+            it('does not execute the scripts in the HTML', function() {
+                window.pasteScriptExecuted = false;
+                clipboard._onPaste(createPasteEvent({
+                    'text/html': '<script>window.pasteScriptExecuted = true;</script>' +
+                        '<table><tr><td>a</td></tr></table>'
+                }));
+
+                expect(window.pasteScriptExecuted).toBe(false);
+                expect(modelManager.dataModel.paste.calls.argsFor(0)[0]).toEqual([['a']]);
+                delete window.pasteScriptExecuted;
+            });
+
+            it('parses the text/plain as TSV if there is no table', function() {
+                clipboard._onPaste(createPasteEvent({
+                    'text/html': '<span>a</span>',
+                    'text/plain': '"a\nb"\tc\r\n'
+                }));
+
+                expect(modelManager.dataModel.paste.calls.argsFor(0)[0]).toEqual([['a\nb', 'c']]);
+            });
+
+            it('cancels the paste on keyup', function() {
+                spyOn(clipboard, '_pasteToGrid');
+                clipboard._pasteWhenKeyupCharV();
+                clipboard._onPaste(createPasteEvent({
+                    'text/plain': 'a'
+                }));
+                clipboard.$el.trigger('keyup');
+
+                expect(clipboard._pasteToGrid).not.toHaveBeenCalled();
+                expect(modelManager.dataModel.paste.calls.count()).toBe(1);
+            });
+
+            it('does nothing if the clipboardData is not supported', function() {
+                var event = {
+                    originalEvent: {},
+                    preventDefault: jasmine.createSpy('preventDefault')
+                };
+
+                clipboard._onPaste(event);
+
+                expect(event.preventDefault).not.toHaveBeenCalled();
+                expect(modelManager.dataModel.paste).not.toHaveBeenCalled();
+            });
+
+            it('does not paste the empty data', function() {
+                clipboard._onPaste(createPasteEvent({}));
+
+                expect(modelManager.dataModel.paste).not.toHaveBeenCalled();
+            });
+        });
     });
 });
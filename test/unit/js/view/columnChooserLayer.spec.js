@@ -0,0 +1,259 @@
+'use strict';
+
+var ModelManager = require('model/manager');
+var DomState = require('domState');
+var ColumnChooserLayer = require('view/columnChooserLayer');
+
+var classNameConst = require('common/classNameConst');
+var keyCodeMap = require('common/constMap').keyCode;
+
+describe('view/columnChooserLayer', function() {
+    var modelManager, columnModel, toolbarModel, layer;
+
+    function getItem(columnName) {
+        return layer.$el.find('li[data-column-name="' + columnName + '"]');
+    }
+
+    function getCheckbox(columnName) {
+        return getItem(columnName).find('input[name=columnName]').first();
+    }
+
+    function clickCheckbox(columnName) {
+        var $checkbox = getCheckbox(columnName);
+
+        $checkbox.prop('checked', !$checkbox.prop('checked')).trigger('change');
+    }
+
+    function getVisibleColumnNames() {
+        return _.pluck(columnModel.getVisibleColumnModelList(), 'columnName');
+    }
+
+    beforeEach(function() {
+        var $wrapper = jasmine.getFixtures().set('<div>').css('position', 'relative');
+
+        modelManager = new ModelManager({
+            keyColumnName: 'c1',
+            toolbar: {
+                columnChooserButton: true
+            },
+            columnModelList: [
+                {columnName: 'c1', title: 'Key'},
+                {columnName: 'c2', title: 'Name', isRequired: true},
+                {columnName: 'c3', title: 'Price'},
+                {columnName: 'c4', title: 'Amount'},
+                {columnName: 'c5', title: 'Memo', isHidden: true}
+            ],
+            columnMerge: [
+                {columnName: 'm1', title: 'Order', columnNameList: ['c3', 'c4']}
+            ]
+        }, new DomState($wrapper));
+        columnModel = modelManager.columnModel;
+        toolbarModel = modelManager.toolbarModel;
+        layer = new ColumnChooserLayer({
+            toolbarModel: toolbarModel,
+            columnModel: columnModel,
+            dimensionModel: modelManager.dimensionModel
+        });
+        $wrapper.append(layer.render().el);
+    });
+
+    afterEach(function() {
+        layer.destroy();
+    });
+
+    it('should have LAYER_COLUMN_CHOOSER class and be hidden initially', function() {
+        expect(layer.$el).toHaveClass(classNameConst.LAYER_COLUMN_CHOOSER);
+        expect(layer.$el).toBeHidden();
+    });
+
+    describe('when opened', function() {
+        beforeEach(function() {
+            toolbarModel.set('isColumnChooserOpened', true);
+        });
+
+        it('renders the columns grouped by the merged columns', function() {
+            var $list = layer.$el.find('.' + classNameConst.LAYER_COLUMN_CHOOSER_LIST);
+
+            expect(layer.$el.css('display')).not.toBe('none');
+            expect($list.children('li').map(function() {
+                return $(this).attr('data-column-name');
+            }).get()).toEqual(['c1', 'c2', 'm1', 'c5']);
+            expect(getItem('m1').find('li').length).toBe(2);
+            expect(getItem('c3').children('label').text()).toBe('Price');
+        });
+
+        it('checks the visible columns and disables the required column and the key column', function() {
+            expect(getCheckbox('c3').prop('checked')).toBe(true);
+            expect(getCheckbox('c5').prop('checked')).toBe(false);
+            expect(getCheckbox('c1').prop('disabled')).toBe(true);
+            expect(getCheckbox('c2').prop('disabled')).toBe(true);
+            expect(getCheckbox('c3').prop('disabled')).toBe(false);
+        });
+
+        it('closes the layer when the ESC key is pressed', function() {
+            layer.$el.trigger($.Event('keydown', {
+                keyCode: keyCodeMap.ESC
+            }));
+
+            expect(toolbarModel.get('isColumnChooserOpened')).toBe(false);
+            expect(layer.$el).toBeHidden();
+        });
+
+        it('does not detach the mousedown handler of the other layers when closed', function() {
+            var $otherWrapper = $('<div>').appendTo(document.body);
+            var otherManager = new ModelManager({
+                toolbar: {
+                    columnChooserButton: true
+                },
+                columnModelList: [{columnName: 'c1'}]
+            }, new DomState($otherWrapper));
+            var otherLayer = new ColumnChooserLayer({
+                toolbarModel: otherManager.toolbarModel,
+                columnModel: otherManager.columnModel,
+                dimensionModel: otherManager.dimensionModel
+            });
+
+            $otherWrapper.append(otherLayer.render().el);
+            otherManager.toolbarModel.set('isColumnChooserOpened', true);
+            toolbarModel.set('isColumnChooserOpened', false);
+            $(document.body).trigger('mousedown');
+
+            expect(otherManager.toolbarModel.get('isColumnChooserOpened')).toBe(false);
+
+            otherLayer.destroy();
+            $otherWrapper.remove();
+        });
+    });
+
+    describe('checkbox', function() {
+        beforeEach(function() {
+            toolbarModel.set('isColumnChooserOpened', true);
+        });
+
+        it('shows or hides the column', function() {
+            clickCheckbox('c5');
+            expect(getVisibleColumnNames()).toContain('c5');
+
+            clickCheckbox('c5');
+            expect(getVisibleColumnNames()).not.toContain('c5');
+        });
+
+        it('shows or hides all columns of the merged column', function() {
+            clickCheckbox('m1');
+            expect(getVisibleColumnNames()).toEqual(['c1', 'c2']);
+
+            clickCheckbox('m1');
+            expect(getVisibleColumnNames()).toEqual(['c1', 'c2', 'c3', 'c4']);
+        });
+
+        it('marks the merged column as indeterminate if some of its columns are hidden', function() {
+            clickCheckbox('c3');
+
+            expect(getCheckbox('m1').prop('checked')).toBe(true);
+            expect(getCheckbox('m1').prop('indeterminate')).toBe(true);
+        });
+
+        it('does not hide the last visible column', function() {
+            columnModel.setHidden(['c1', 'c2', 'c3'], true);
+            clickCheckbox('c4');
+
+            expect(getVisibleColumnNames()).toEqual(['c4']);
+            expect(getCheckbox('c4').prop('checked')).toBe(true);
+        });
+    });
+
+    describe('search box', function() {
+        beforeEach(function() {
+            toolbarModel.set('isColumnChooserOpened', true);
+        });
+
+        it('shows only the columns whose title contains the keyword and their merged columns', function() {
+            layer.$el.find('input[name=keyword]').val('pri').trigger('keyup');
+
+            expect(getItem('c1').css('display')).toBe('none');
+            expect(getItem('m1').css('display')).not.toBe('none');
+            expect(getItem('c3').css('display')).not.toBe('none');
+            expect(getItem('c4').css('display')).toBe('none');
+        });
+
+        it('shows all columns of the merged column if the title of the merged column matches', function() {
+            layer.$el.find('input[name=keyword]').val('ORDER').trigger('keyup');
+
+            expect(getItem('c3').css('display')).not.toBe('none');
+            expect(getItem('c4').css('display')).not.toBe('none');
+            expect(getItem('c5').css('display')).toBe('none');
+        });
+    });
+
+    describe('_moveColumn()', function() {
+        function getColumnNames() {
+            return _.pluck(columnModel.get('dataColumnModelList'), 'columnName');
+        }
+
+        it('moves the column before or after the target column', function() {
+            layer._moveColumn('c1', {
+                columnName: 'm1',
+                isAfter: true
+            });
+            expect(getColumnNames()).toEqual(['c2', 'c3', 'c4', 'c1', 'c5']);
+
+            layer._moveColumn('c5', {
+                columnName: 'c2',
+                isAfter: false
+            });
+            expect(getColumnNames()).toEqual(['c5', 'c2', 'c3', 'c4', 'c1']);
+        });
+
+        it('moves the merged column with all of its columns', function() {
+            layer._moveColumn('m1', {
+                columnName: 'c1',
+                isAfter: false
+            });
+            expect(getColumnNames()).toEqual(['c3', 'c4', 'c1', 'c2', 'c5']);
+        });
+
+        it('updates the list after moving the column', function() {
+            toolbarModel.set('isColumnChooserOpened', true);
+            layer._moveColumn('c4', {
+                columnName: 'c3',
+                isAfter: false
+            });
+
+            expect(getItem('m1').find('li').first().attr('data-column-name')).toBe('c4');
+        });
+    });
+
+    describe('drag and drop', function() {
+        function triggerDragEvent(type, $target) {
+            var event = $.Event(type, {
+                pageY: $target.offset().top + 100,
+                originalEvent: {
+                    dataTransfer: jasmine.createSpyObj('dataTransfer', ['setData'])
+                }
+            });
+
+            $target.trigger(event);
+
+            return event;
+        }
+
+        beforeEach(function() {
+            toolbarModel.set('isColumnChooserOpened', true);
+        });
+
+        it('moves the dragged column to the sibling on which it is dropped', function() {
+            triggerDragEvent('dragstart', getItem('c1'));
+            expect(triggerDragEvent('dragover', getItem('c5').children('label')).isDefaultPrevented()).toBe(true);
+
+            triggerDragEvent('drop', getItem('c5').children('label'));
+            expect(_.pluck(columnModel.get('dataColumnModelList'), 'columnName'))
+                .toEqual(['c2', 'c3', 'c4', 'c5', 'c1']);
+        });
+
+        it('does not allow to drop the column out of its merged column', function() {
+            triggerDragEvent('dragstart', getItem('c3'));
+
+            expect(triggerDragEvent('dragover', getItem('c1')).isDefaultPrevented()).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+var ModelManager = require('model/manager');
+var DomState = require('domState');
+var FilterLayer = require('view/filterLayer');
+
+var classNameConst = require('common/classNameConst');
+var keyCodeMap = require('common/constMap').keyCode;
+
+describe('view/filterLayer', function() {
+    var modelManager, filterModel, filterLayer;
+
+    beforeEach(function() {
+        var $wrapper = jasmine.getFixtures().set('<div>').css('position', 'relative');
+
+        $wrapper.html('<table><tr>' +
+            '<th data-column-name="c1"></th><th data-column-name="c2"></th>' +
+            '<th data-column-name="c3"></th><th data-column-name="c4"></th>' +
+        '</tr></table>');
+
+        modelManager = new ModelManager({
+            columnModelList: [
+                {
+                    columnName: 'c1',
+                    filter: 'text'
+                },
+                {
+                    columnName: 'c2',
+                    filter: 'number'
+                },
+                {
+                    columnName: 'c3',
+                    filter: 'select'
+                },
+                {
+                    columnName: 'c4',
+                    filter: 'select',
+                    editOption: {
+                        type: 'select',
+                        list: [
+                            {text: 'One', value: 1},
+                            {text: 'Two', value: 2}
+                        ]
+                    }
+                }
+            ]
+        }, new DomState($wrapper));
+        modelManager.dataModel.setRowList([
+            {c1: 'a', c2: 1, c3: 'x', c4: 1},
+            {c1: 'b', c2: 2, c3: 'y', c4: 2},
+            {c1: 'c', c2: 3, c3: 'x', c4: 1}
+        ]);
+        filterModel = modelManager.filterModel;
+        filterLayer = new FilterLayer({
+            filterModel: filterModel,
+            dataModel: modelManager.dataModel,
+            columnModel: modelManager.columnModel,
+            domState: new DomState($wrapper)
+        });
+        $wrapper.append(filterLayer.render().el);
+    });
+
+    afterEach(function() {
+        filterLayer.destroy();
+    });
+
+    it('should have LAYER_FILTER class and be hidden initially', function() {
+        expect(filterLayer.$el).toHaveClass(classNameConst.LAYER_FILTER);
+        expect(filterLayer.$el).toBeHidden();
+    });
+
+    describe('when the filter layer of a column is opened', function() {
+        it('renders the field of the filter type', function() {
+            filterModel.startEditing('c1');
+            expect(filterLayer.$el.css('display')).not.toBe('none');
+            expect(filterLayer.$el.find('select[name=operator]').length).toBe(1);
+            expect(filterLayer.$el.find('input[name=value]').length).toBe(1);
+
+            filterModel.startEditing('c2');
+            expect(filterLayer.$el.find('input[name=min]').length).toBe(1);
+            expect(filterLayer.$el.find('input[name=max]').length).toBe(1);
+        });
+
+        it('fills the field with the current condition', function() {
+            filterModel.setCondition('c2', {type: 'number', min: 2});
+            filterModel.startEditing('c2');
+
+            expect(filterLayer.$el.find('input[name=min]').val()).toBe('2');
+            expect(filterLayer.$el.find('input[name=max]').val()).toBe('');
+        });
+
+        it('renders the distinct values of the column for the select filter', function() {
+            filterModel.startEditing('c3');
+
+            expect(filterLayer.$el.find('input[name=values]').map(function() {
+                return this.value;
+            }).get()).toEqual(['x', 'y']);
+        });
+
+        it('renders the editOption.list for the select filter if exists', function() {
+            filterModel.setCondition('c4', {type: 'select', values: [2]});
+            filterModel.startEditing('c4');
+
+            expect(filterLayer.$el.find('label').eq(1).text()).toBe('One');
+            expect(filterLayer.$el.find('input[name=values]:checked').val()).toBe('2');
+            expect(filterLayer.$el.find('input[name=selectAll]').prop('checked')).toBe(false);
+        });
+    });
+
+    describe('apply button', function() {
+        it('sets the condition from the form and closes the layer', function() {
+            filterModel.startEditing('c1');
+            filterLayer.$el.find('input[name=value]').val('b');
+            filterLayer.$el.find('.' + classNameConst.BTN_FILTER_APPLY).click();
+
+            expect(filterModel.getCondition('c1')).toEqual({
+                type: 'text',
+                operator: 'contains',
+                value: 'b'
+            });
+            expect(modelManager.dataModel.getVisibleRowCount()).toBe(1);
+            expect(filterModel.get('editingColumnName')).toBeNull();
+            expect(filterLayer.$el).toBeHidden();
+        });
+
+        it('removes the condition if the form is empty', function() {
+            filterModel.setCondition('c2', {type: 'number', min: 2});
+            filterModel.startEditing('c2');
+            filterLayer.$el.find('input[name=min]').val('');
+            filterLayer.$el.find('.' + classNameConst.BTN_FILTER_APPLY).click();
+
+            expect(filterModel.hasCondition('c2')).toBe(false);
+        });
+
+        it('sets the checked values for the select filter', function() {
+            filterModel.startEditing('c3');
+            filterLayer.$el.find('input[name=values][value=y]').prop('checked', false);
+            filterLayer.$el.find('.' + classNameConst.BTN_FILTER_APPLY).click();
+
+            expect(filterModel.getCondition('c3')).toEqual({
+                type: 'select',
+                values: ['x']
+            });
+        });
+    });
+
+    it('clear button removes the condition of the column', function() {
+        filterModel.setCondition('c1', {type: 'text', value: 'a'});
+        filterModel.startEditing('c1');
+        filterLayer.$el.find('.' + classNameConst.BTN_FILTER_CLEAR).click();
+
+        expect(filterModel.hasCondition('c1')).toBe(false);
+        expect(filterLayer.$el).toBeHidden();
+    });
+
+    it('closes the layer without applying when ESC key is pressed', function() {
+        filterModel.startEditing('c1');
+        filterLayer.$el.find('input[name=value]').val('b');
+        filterLayer._onKeydown({keyCode: keyCodeMap.ESC});
+
+        expect(filterModel.hasCondition('c1')).toBe(false);
+        expect(filterLayer.$el).toBeHidden();
+    });
+
+    it('closes the layer when mousedown event occurs outside of the layer', function() {
+        filterModel.startEditing('c1');
+        $(document.body).trigger('mousedown');
+
+        expect(filterModel.get('editingColumnName')).toBeNull();
+    });
+
+    it('does not detach the mousedown handler of the other layers when closed', function() {
+        var $otherWrapper = $('<div><table><tr><th data-column-name="c1"></th></tr></table></div>')
+            .appendTo(document.body);
+        var otherManager = new ModelManager({
+            columnModelList: [{columnName: 'c1', filter: 'text'}]
+        }, new DomState($otherWrapper));
+        var otherLayer = new FilterLayer({
+            filterModel: otherManager.filterModel,
+            dataModel: otherManager.dataModel,
+            columnModel: otherManager.columnModel,
+            domState: new DomState($otherWrapper)
+        });
+
+        $otherWrapper.append(otherLayer.render().el);
+        otherManager.filterModel.startEditing('c1');
+        filterModel.startEditing('c1');
+        filterModel.finishEditing();
+        $(document.body).trigger('mousedown');
+
+        expect(otherManager.filterModel.get('editingColumnName')).toBeNull();
+
+        otherLayer.destroy();
+        $otherWrapper.remove();
+    });
+});
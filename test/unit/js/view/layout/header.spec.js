@@ -135,6 +135,49 @@ describe('Header', function() {
             expect(modelManager.dataModel.sortByField).toHaveBeenCalled();
         });
 
+        it('버튼을 shift 키와 함께 클릭하면 기존 정렬 키에 추가하도록 실행한다.', function() {
+            var $btn = header.$el.find('.' + classNameConst.BTN_SORT).eq(1),
+                eventMock = {
+                    target: $btn[0],
+                    shiftKey: true
+                };
+            modelManager.dataModel.sortByField = jasmine.createSpy('sortByField');
+
+            header._onClick(eventMock);
+            expect(modelManager.dataModel.sortByField).toHaveBeenCalledWith('c2', null, true);
+        });
+
+        it('정렬 키가 둘 이상이면 우선순위 뱃지를 표시한다.', function() {
+            var $btns = header.$el.find('.' + classNameConst.BTN_SORT);
+            var $badges;
+
+            modelManager.dataModel.trigger('sortChanged', {
+                columnName: 'c2',
+                isAscending: false,
+                sortKeys: [
+                    {columnName: 'c2', isAscending: false},
+                    {columnName: 'c1', isAscending: true}
+                ]
+            });
+            $badges = header.$el.find('.' + classNameConst.BTN_SORT_PRIORITY);
+
+            expect($btns.eq(0)).toHaveClass(classNameConst.BTN_SORT_UP);
+            expect($btns.eq(1)).toHaveClass(classNameConst.BTN_SORT_DOWN);
+            expect($badges.length).toBe(2);
+            expect($btns.eq(0).next().text()).toBe('2');
+            expect($btns.eq(1).next().text()).toBe('1');
+
+            modelManager.dataModel.trigger('sortChanged', {
+                columnName: 'c1',
+                isAscending: true,
+                sortKeys: [
+                    {columnName: 'c1', isAscending: true}
+                ]
+            });
+            expect(header.$el.find('.' + classNameConst.BTN_SORT_PRIORITY).length).toBe(0);
+            expect($btns.eq(1)).not.toHaveClass(classNameConst.BTN_SORT_DOWN);
+        });
+
         it('dataModel의 sortChanged 이벤트 발생시 정렬 버튼이 갱신된다.', function() {
             var $btns = header.$el.find('.' + classNameConst.BTN_SORT),
                 eventData = {
@@ -157,6 +200,53 @@ describe('Header', function() {
         });
     });
 
+    describe('filter 관련 테스트', function() {
+        beforeEach(function() {
+            modelManager.columnModel.set('columnModelList', [
+                {
+                    title: 'c1',
+                    columnName: 'c1',
+                    filter: 'text'
+                },
+                {
+                    title: 'c2',
+                    columnName: 'c2'
+                }
+            ]);
+            header = viewFactory.createHeader();
+            header.render();
+        });
+
+        it('filter 옵션이 설정된 컬럼에만 필터 버튼이 생성된다.', function() {
+            var $btns = header.$el.find('.' + classNameConst.BTN_FILTER);
+
+            expect($btns.length).toBe(1);
+            expect($btns.parent().attr(ATTR_COLUMN_NAME)).toBe('c1');
+        });
+
+        it('버튼을 클릭하면 해당 컬럼의 필터 레이어를 연다.', function() {
+            var $btn = header.$el.find('.' + classNameConst.BTN_FILTER);
+
+            header._onClick({
+                target: $btn[0]
+            });
+            expect(modelManager.filterModel.get('editingColumnName')).toBe('c1');
+        });
+
+        it('필터 조건이 변경되면 버튼의 활성화 상태가 갱신된다.', function() {
+            var $btn = header.$el.find('.' + classNameConst.BTN_FILTER);
+
+            modelManager.filterModel.setCondition('c1', {
+                type: 'text',
+                value: 'a'
+            });
+            expect($btn).toHaveClass(classNameConst.BTN_FILTER_ACTIVE);
+
+            modelManager.filterModel.removeCondition('c1');
+            expect($btn).not.toHaveClass(classNameConst.BTN_FILTER_ACTIVE);
+        });
+    });
+
     describe('columnMerge 관련 메서드 테스트', function() {
         var columnData,
             columnMergeList = [
@@ -376,6 +466,64 @@ describe('Header', function() {
         });
     });
 
+    describe('column reorder', function() {
+        beforeEach(function() {
+            header.useColumnReorder = true;
+            header.render();
+        });
+
+        afterEach(function() {
+            header._detachReorderEvents();
+        });
+
+        it('_onMouseDown starts to reorder the column instead of extending the selection', function() {
+            spyOn(header, '_controlStartAction');
+            header._onMouseDown({
+                pageX: 10,
+                pageY: 0,
+                shiftKey: false,
+                target: header.$el.find('th').eq(1)[0]
+            });
+
+            expect(header._controlStartAction).not.toHaveBeenCalled();
+            expect(header.reorderState).toEqual(jasmine.objectContaining({
+                columnName: 'c2',
+                startX: 10,
+                isDragging: false
+            }));
+            expect(modelManager.selectionModel.get('range').column).toEqual([1, 1]);
+        });
+
+        it('does not move the column if the mouse is not dragged', function() {
+            spyOn(modelManager.columnModel, 'moveColumn');
+            header._startColumnReorder('c2', ['c2'], 10);
+            header._onMouseMoveForReorder({
+                pageX: 12
+            });
+            header._onMouseUpForReorder();
+
+            expect(modelManager.columnModel.moveColumn).not.toHaveBeenCalled();
+            expect(header.reorderState).toBeNull();
+        });
+
+        it('moves the column to the drop target on mouseup', function() {
+            header._startColumnReorder('c1', ['c1'], 10);
+            spyOn(header, '_showDropIndicator');
+            spyOn(header, '_getColumnDropTarget').and.returnValue({
+                $th: header.$el.find('th').eq(1),
+                isRight: true,
+                targetIndex: 2,
+                isFixed: false
+            });
+            header._onMouseMoveForReorder({
+                pageX: 100
+            });
+            header._onMouseUpForReorder();
+
+            expect(modelManager.columnModel.getVisibleColumnModelList()[1].columnName).toBe('c1');
+        });
+    });
+
     describe('_controlStartAction', function() {
         var columns, columnNames, pageX, pageY, shiftKey;
 
@@ -0,0 +1,164 @@
+'use strict';
+
+var DomState = require('domState');
+var ModelManager = require('model/manager');
+var RowDragger = require('view/rowDragger');
+var selTypeConst = require('common/constMap').selectionType;
+
+describe('view/rowDragger', function() {
+    var modelManager, dataModel, dragger;
+
+    function createModelManager(gridId, rowList) {
+        var manager = new ModelManager({
+            gridId: gridId,
+            selectType: 'checkbox',
+            columnModelList: [
+                {columnName: 'c1', title: 'c1'}
+            ]
+        }, new DomState($('<div />')));
+
+        manager.dataModel.setRowList(rowList);
+
+        return manager;
+    }
+
+    function createDragger(manager, rowDragOptions) {
+        return new RowDragger({
+            gridId: manager.gridId,
+            dataModel: manager.dataModel,
+            selectionModel: manager.selectionModel,
+            coordConverterModel: manager.coordConverterModel,
+            rowDragOptions: rowDragOptions
+        });
+    }
+
+    function dropAt(targetDragger, manager, index) {
+        spyOn(manager.coordConverterModel, 'getRowBoundaryFromMousePosition').and.returnValue({
+            index: index,
+            top: 0
+        });
+        targetDragger.updateTarget(0, 0);
+
+        return targetDragger.drop();
+    }
+
+    beforeEach(function() {
+        modelManager = createModelManager(1, [
+            {c1: 'a'},
+            {c1: 'b'},
+            {c1: 'c'},
+            {c1: 'd'}
+        ]);
+        dataModel = modelManager.dataModel;
+        dragger = createDragger(modelManager);
+    });
+
+    afterEach(function() {
+        dragger.end();
+    });
+
+    it('drags the row, the checked rows or the selected rows', function() {
+        expect(dragger._getRowKeysToDrag('1')).toEqual([1]);
+
+        modelManager.selectionModel.selectRow(1);
+        modelManager.selectionModel.update(2, 0, selTypeConst.ROW);
+        expect(dragger._getRowKeysToDrag('1')).toEqual([1, 2]);
+        expect(dragger._getRowKeysToDrag('3')).toEqual([3]);
+
+        dataModel.check(0);
+        dataModel.check(3);
+        expect(dragger._getRowKeysToDrag('3')).toEqual([0, 3]);
+    });
+
+    it('moves the rows to the drop line', function() {
+        dragger.start('1');
+
+        expect(dragger.isDroppable()).toBe(true);
+        expect(dropAt(dragger, modelManager, 4)).toBe(true);
+        expect(dataModel.pluck('rowKey')).toEqual([0, 2, 3, 1]);
+        expect(dragger.target).toBeNull();
+    });
+
+    it('does not move the rows if the beforeRowMove event is stopped', function() {
+        var callback = jasmine.createSpy('callback').and.callFake(function(ev) {
+            ev.stop();
+        });
+
+        dataModel.on('beforeRowMove', callback);
+        dragger.start('1');
+        dropAt(dragger, modelManager, 4);
+
+        expect(callback).toHaveBeenCalled();
+        expect(dataModel.pluck('rowKey')).toEqual([0, 1, 2, 3]);
+    });
+
+    it('does not drop the rows if there is no drop line', function() {
+        spyOn(dataModel, 'moveRows');
+        dragger.start('1');
+
+        expect(dragger.drop()).toBe(false);
+        expect(dataModel.moveRows).not.toHaveBeenCalled();
+    });
+
+    it('cancels the drag if the dragStart event is stopped', function() {
+        dragger.on('dragStart', function(ev) {
+            ev.stop();
+        });
+
+        expect(dragger.start('1')).toBeNull();
+        expect(dragger.isDroppable()).toBe(false);
+    });
+
+    it('does not allow to drop the rows if the rows are not movable', function() {
+        dataModel.sortByField('c1', false);
+        dragger.start('1');
+
+        expect(dragger.isDroppable()).toBe(false);
+    });
+
+    describe('between grids', function() {
+        var targetManager;
+
+        beforeEach(function() {
+            targetManager = createModelManager(2, [
+                {c1: 'x'},
+                {c1: 'y'}
+            ]);
+        });
+
+        it('appends the rows to the grid which accepts the drop and removes them from the source', function() {
+            var targetDragger = createDragger(targetManager, {
+                acceptDrop: true
+            });
+
+            dragger.start('0');
+            expect(targetDragger.isDroppable()).toBe(true);
+            expect(targetDragger.getDropEffect()).toBe('move');
+
+            dropAt(targetDragger, targetManager, 1);
+            expect(targetManager.dataModel.pluck('c1')).toEqual(['x', 'a', 'y']);
+            expect(dataModel.pluck('c1')).toEqual(['b', 'c', 'd']);
+        });
+
+        it('copies the rows if the dropEffect option of the source is copy', function() {
+            var targetDragger = createDragger(targetManager, {
+                acceptDrop: true
+            });
+
+            dragger.rowDragOptions.dropEffect = 'copy';
+            dragger.start('0');
+            dropAt(targetDragger, targetManager, 2);
+
+            expect(targetManager.dataModel.pluck('c1')).toEqual(['x', 'y', 'a']);
+            expect(dataModel.length).toBe(4);
+        });
+
+        it('does not allow to drop the rows if the acceptDrop option is false', function() {
+            var targetDragger = createDragger(targetManager);
+
+            dragger.start('0');
+
+            expect(targetDragger.isDroppable()).toBe(false);
+        });
+    });
+});
@@ -53,5 +53,27 @@ describe('view/stateLayer', function() {
             expect(stateLayer.$el.find('p').text()).toBe(StateLayer.MESSAGE_LOADING);
             expect(stateLayer.$el).toBeVisible();
         });
+
+        it('should render the loading row at the bottom if the next page is being loaded', function() {
+            var dimensionModel = stateLayer.dimensionModel;
+            var $el = stateLayer.$el;
+
+            dimensionModel.set({
+                bodyHeight: 200,
+                rowHeight: 20
+            });
+            stateLayer.renderModel.set('state', stateConst.DONE);
+            $wrapper.append(stateLayer.el);
+            stateLayer.renderModel.set('isLoadingNextPage', true);
+
+            expect($el).toHaveClass(classNameConst.LAYER_STATE_ROW);
+            expect($el.find('p').text()).toBe(StateLayer.MESSAGE_LOADING_NEXT_PAGE);
+            expect($el.css('display')).not.toBe('none');
+            expect($el.css('height')).toBe('20px');
+
+            stateLayer.renderModel.set('isLoadingNextPage', false);
+            expect($el.css('display')).toBe('none');
+            expect($el).not.toHaveClass(classNameConst.LAYER_STATE_ROW);
+        });
     });
 });
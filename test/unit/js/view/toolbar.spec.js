@@ -64,6 +64,15 @@ describe('[view/toolbar] ', function() {
             expect(toolbar.$el).not.toContainElement('.' + classNameConst.BTN_EXCEL_ALL);
         });
 
+        it('if toolbarModel.isColumnChooserButtonVisible is true, column-chooser-button should exist', function() {
+            var toolbar = create();
+
+            toolbar.toolbarModel.set('isColumnChooserButtonVisible', true);
+            toolbar.render();
+
+            expect(toolbar.$el).toContainElement('.' + classNameConst.BTN_COLUMN_CHOOSER);
+        });
+
         it('should be called, when isExcelButtonVisible or isExcelAllButtonVisible is changed', function() {
             var toolbar, toolbarModel;
 
@@ -78,6 +87,17 @@ describe('[view/toolbar] ', function() {
         });
     });
 
+    it('when column-chooser-button is clicked, toggle toolbarModel.isColumnChooserOpened', function() {
+        var toolbar = create();
+
+        toolbar.toolbarModel.set('isColumnChooserButtonVisible', true);
+        toolbar.$el.find('.' + classNameConst.BTN_COLUMN_CHOOSER).trigger('click');
+        expect(toolbar.toolbarModel.get('isColumnChooserOpened')).toBe(true);
+
+        toolbar.$el.find('.' + classNameConst.BTN_COLUMN_CHOOSER).trigger('click');
+        expect(toolbar.toolbarModel.get('isColumnChooserOpened')).toBe(false);
+    });
+
     describe('when net addon exist and ', function() {
         function mockGrid(net) {
             tui.Grid.getInstanceById = _.constant({
@@ -87,6 +107,10 @@ describe('[view/toolbar] ', function() {
 
         function createNetStub() {
             return {
+                api: {
+                    downloadExcel: '/download/excel',
+                    downloadExcelAll: '/download/excelAll'
+                },
                 download: jasmine.createSpy('download')
             };
         }
@@ -115,4 +139,27 @@ describe('[view/toolbar] ', function() {
             expect(net.download).toHaveBeenCalledWith('excelAll');
         });
     });
+
+    describe('when the download API does not exist', function() {
+        it('download buttons export the data in the browser', function() {
+            var grid = {
+                getAddOn: _.constant(null),
+                'export': jasmine.createSpy('export')
+            };
+            var toolbar = create();
+
+            tui.Grid.getInstanceById = _.constant(grid);
+            toolbar.toolbarModel.set({
+                isExcelButtonVisible: true,
+                isExcelAllButtonVisible: true
+            });
+            toolbar.render();
+
+            toolbar.$el.find('.' + classNameConst.BTN_EXCEL_PAGE).trigger('click');
+            toolbar.$el.find('.' + classNameConst.BTN_EXCEL_ALL).trigger('click');
+
+            expect(grid['export'].calls.count()).toBe(2);
+            expect(grid['export']).toHaveBeenCalledWith('xls');
+        });
+    });
 });
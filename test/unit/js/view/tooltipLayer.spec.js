@@ -0,0 +1,121 @@
+'use strict';
+
+var ModelManager = require('model/manager');
+var DomState = require('domState');
+var TooltipLayer = require('view/tooltipLayer');
+
+var classNameConst = require('common/classNameConst');
+
+describe('view/tooltipLayer', function() {
+    var modelManager, tooltipLayer, $wrapper;
+
+    beforeEach(function() {
+        var domState;
+
+        $wrapper = jasmine.getFixtures().set('<div>').css('position', 'relative');
+        $wrapper.html('<table>' +
+            '<tr data-row-key="0"><td data-column-name="c1"></td><td data-column-name="c2"></td></tr>' +
+            '<tr data-row-key="1"><td data-column-name="c1"></td><td data-column-name="c2"></td></tr>' +
+        '</table>');
+
+        domState = new DomState($wrapper);
+        modelManager = new ModelManager({
+            columnModelList: [
+                {
+                    columnName: 'c1',
+                    isRequired: true
+                },
+                {
+                    columnName: 'c2',
+                    validation: {
+                        maxLength: 2,
+                        messages: {
+                            MAX_LENGTH: 'max: {maxLength}'
+                        }
+                    }
+                }
+            ]
+        }, domState);
+        modelManager.dataModel.setRowList([
+            {c1: '', c2: 'a'},
+            {c1: 'b', c2: 'abc'}
+        ]);
+        modelManager.dataModel.validate();
+
+        tooltipLayer = new TooltipLayer({
+            dataModel: modelManager.dataModel,
+            columnModel: modelManager.columnModel,
+            focusModel: modelManager.focusModel,
+            renderModel: modelManager.renderModel,
+            domState: domState
+        });
+        $wrapper.append(tooltipLayer.render().el);
+    });
+
+    afterEach(function() {
+        tooltipLayer.destroy();
+    });
+
+    function getCell(rowKey, columnName) {
+        return $wrapper.find('tr[data-row-key=' + rowKey + '] td[data-column-name=' + columnName + ']');
+    }
+
+    it('should have LAYER_TOOLTIP class and be hidden initially', function() {
+        expect(tooltipLayer.$el).toHaveClass(classNameConst.LAYER_TOOLTIP);
+        expect(tooltipLayer.$el).toBeHidden();
+    });
+
+    describe('when the mouse is over the cell', function() {
+        it('shows the message if the cell is invalid', function() {
+            getCell(0, 'c1').trigger('mouseover');
+
+            expect(tooltipLayer.$el.css('display')).not.toBe('none');
+            expect(tooltipLayer.$el.text()).toBe('필수 입력 항목입니다.');
+
+            getCell(1, 'c2').trigger('mouseover');
+            expect(tooltipLayer.$el.text()).toBe('max: 2');
+        });
+
+        it('does not show the layer if the cell is valid', function() {
+            getCell(1, 'c1').trigger('mouseover');
+
+            expect(tooltipLayer.$el).toBeHidden();
+        });
+
+        it('hides the layer when the mouse is out of the cell', function() {
+            getCell(0, 'c1').trigger('mouseover').trigger('mouseout');
+
+            expect(tooltipLayer.$el).toBeHidden();
+        });
+    });
+
+    describe('when the cell is focused', function() {
+        it('shows the message if the cell is invalid', function() {
+            modelManager.focusModel.focus(1, 'c2');
+
+            expect(tooltipLayer.$el.css('display')).not.toBe('none');
+            expect(tooltipLayer.$el.text()).toBe('max: 2');
+        });
+
+        it('hides the layer when the focused cell becomes valid', function() {
+            modelManager.focusModel.focus(1, 'c2');
+            modelManager.dataModel.setValue(1, 'c2', 'ab');
+
+            expect(tooltipLayer.$el).toBeHidden();
+        });
+
+        it('hides the layer on blur', function() {
+            modelManager.focusModel.focus(1, 'c2');
+            modelManager.focusModel.blur();
+
+            expect(tooltipLayer.$el).toBeHidden();
+        });
+
+        it('shows the message of the hovered cell first', function() {
+            modelManager.focusModel.focus(1, 'c2');
+            getCell(0, 'c1').trigger('mouseover');
+
+            expect(tooltipLayer.$el.text()).toBe('필수 입력 항목입니다.');
+        });
+    });
+});